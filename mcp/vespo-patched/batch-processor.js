@@ -16,11 +16,17 @@
  * - Temporary collections for quick load/unload
  */
 
-import { readdir, stat, readFile } from 'fs/promises';
+import { opendir, stat, readFile } from 'fs/promises';
 import { join, extname, basename, dirname, relative } from 'path';
 import { createHash } from 'crypto';
-import { logError } from './logger.js';
+import { logError, logWarn } from './logger.js';
 import { intelligentChunk } from './smart-chunker.js';
+import { PARSEABLE_EXTENSIONS } from './code-parser.js';
+import { chunkDocument, DOCUMENT_CHUNK_EXTENSIONS } from './document-chunker.js';
+import { chunkData, DATA_CHUNK_EXTENSIONS } from './data-chunker.js';
+import { extractDocumentText, chunkExtractedText, EXTRACTABLE_DOCUMENT_EXTENSIONS } from './document-extractor.js';
+import { chunkNotebook, NOTEBOOK_EXTENSIONS } from './notebook-chunker.js';
+import { loadScanRules, loadIgnoreRules, parseIgnoreRules, isIgnored, matchesAny, toPosixPath } from './ignore-rules.js';
 
 // Lazy load EXIF extractor to avoid circular deps
 let exifExtractor = null;
@@ -54,9 +60,14 @@ export const FILE_TYPES = {
     extractText: true
   },
   code: {
-    extensions: ['.js', '.ts', '.jsx', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift', '.c', '.cpp', '.h', '.hpp', '.cs', '.php', '.vue', '.svelte', '.html', '.css', '.scss', '.sass', '.less', '.sql', '.sh', '.bash', '.zsh', '.ps1', '.bat'],
+    extensions: ['.js', '.ts', '.jsx', '.tsx', '.mts', '.cts', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.kts', '.swift', '.c', '.cpp', '.cc', '.cxx', '.h', '.hpp', '.hh', '.hxx', '.cs', '.php', '.vue', '.svelte', '.html', '.css', '.scss', '.sass', '.less', '.sql', '.sh', '.bash', '.zsh', '.ps1', '.bat'],
     category: 'code',
     extractText: true
+  },
+  notebooks: {
+    extensions: ['.ipynb'],
+    category: 'notebook',
+    extractText: true
   }
 };
 
@@ -276,6 +287,10 @@ export async function processFile(filePath, options = {}) {
   const {
     includeContent = true,
     maxContentSize = 100 * 1024, // 100KB
+    maxExtractedSize = 2 * 1024 * 1024, // 2MB of extracted document text
+    maxNotebookSize = 20 * 1024 * 1024, // 20MB: outputs embed images as base64
+    includeOutputs = false,
+    maxOutputChars = 1000,
     basePath = null,
     useSmartChunking = false,
     chunkSize = 4000,
@@ -283,8 +298,10 @@ export async function processFile(filePath, options = {}) {
   } = options;
 
   const category = getFileCategory(filePath);
+  const ext = extname(filePath).toLowerCase();
   let metadata;
   let content;
+  let extracted = null;
 
   // Extract type-specific metadata
   switch (category.type) {
@@ -302,8 +319,31 @@ export async function processFile(filePath, options = {}) {
 
     default:
       metadata = await extractFileMetadata(filePath);
-      if (category.extractText && includeContent) {
-        content = await readTextContent(filePath, maxContentSize);
+      if (includeContent && EXTRACTABLE_DOCUMENT_EXTENSIONS.includes(ext)) {
+        // Binary documents: extract the text layer instead of reading raw bytes
+        try {
+          extracted = await extractDocumentText(filePath);
+          if (extracted.text.length > maxExtractedSize) {
+            extracted.text = extracted.text.slice(0, maxExtractedSize);
+            extracted.pages = extracted.pages.filter(page => page.start < maxExtractedSize);
+            metadata.extract_truncated = true;
+          }
+          metadata.is_binary = false;
+          metadata.extracted_format = extracted.format;
+          if (extracted.pageCount) metadata.page_count = extracted.pageCount;
+          content = extracted.text || `File: ${metadata.filename}\nType: ${metadata.file_type}\nSize: ${metadata.size_human}\n[No text layer found - scanned document?]`;
+        } catch (error) {
+          metadata.is_binary = true;
+          metadata.extract_error = error.message;
+          content = `File: ${metadata.filename}\nType: ${metadata.file_type}\nSize: ${metadata.size_human}\n[Text extraction failed: ${error.message}]`;
+        }
+      } else if (ext === '.doc') {
+        // Legacy Word binary format has no extractor; index the file without garbage
+        metadata.is_binary = true;
+        content = `File: ${metadata.filename}\nType: ${metadata.file_type}\nSize: ${metadata.size_human}\n[Text extraction not supported for .doc - save as .docx to index the text]`;
+      } else if (category.extractText && includeContent) {
+        // A truncated notebook is no longer valid JSON
+        content = await readTextContent(filePath, NOTEBOOK_EXTENSIONS.includes(ext) ? maxNotebookSize : maxContentSize);
       } else {
         content = `File: ${metadata.filename}\nType: ${metadata.file_type}\nSize: ${metadata.size_human}`;
       }
@@ -320,9 +360,8 @@ export async function processFile(filePath, options = {}) {
   const fileLabel = metadata.relative_path || metadata.filename;
   const baseId = generateDocId(filePath);
 
-  // NEW: Smart chunking for code files (JavaScript, TypeScript, Python)
-  const ext = extname(filePath).toLowerCase();
-  const isCodeFile = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.pyw'].includes(ext);
+  // NEW: Smart chunking for code files the parser understands (see code-parser.js)
+  const isCodeFile = PARSEABLE_EXTENSIONS.includes(ext);
 
   if (useSmartChunking && category.extractText && includeContent && content && isCodeFile) {
     try {
@@ -351,6 +390,128 @@ export async function processFile(filePath, options = {}) {
     }
   }
 
+  // Jupyter notebooks: one chunk per cell (large cells split), code cells named by the parser
+  if (category.extractText && includeContent && content && NOTEBOOK_EXTENSIONS.includes(ext)) {
+    try {
+      const notebook = await chunkNotebook(content, { maxChunkSize: chunkSize, includeOutputs, maxOutputChars });
+      if (notebook.chunks.length > 0) {
+        const cells = notebook.chunks;
+        return cells.map((cell, idx) => {
+          const header = `// File: ${fileLabel} | Chunk ${idx + 1}/${cells.length} | Cell ${cell.cellIndex + 1}/${notebook.cellCount} (${cell.cellType})\n`;
+          return {
+            id: `${baseId}_chunk_${idx}`,
+            content: header + cell.content,
+            metadata: {
+              ...metadata,
+              chunk_type: `${cell.cellType}_cell`,
+              ...(cell.name ? { name: cell.name } : {}),
+              ...(cell.signature ? { signature: cell.signature } : {}),
+              ...(cell.defines?.length ? { defines: cell.defines.join(', ') } : {}),
+              ...(cell.headingPath?.length ? { heading_path: cell.headingPath.join(' > ') } : {}),
+              language: cell.cellType === 'code' ? notebook.language : cell.cellType,
+              cell_index: cell.cellIndex,
+              cell_type: cell.cellType,
+              ...(cell.executionCount !== null ? { execution_count: cell.executionCount } : {}),
+              cell_start_line: cell.startLine,
+              cell_end_line: cell.endLine,
+              part_number: cell.partNumber,
+              total_parts: cell.totalParts,
+              has_output: cell.hasOutput,
+              ...(cell.outputTruncated ? { output_truncated: true } : {}),
+              chunk_index: idx,
+              total_chunks: cells.length,
+              chunking_method: 'notebook'
+            }
+          };
+        });
+      }
+    } catch (error) {
+      logWarn(`Notebook chunking failed for ${filePath}: ${error.message}. Falling back to simple chunking.`);
+    }
+  }
+
+  // Markdown/reStructuredText: one chunk per heading section, breadcrumb in metadata
+  if (category.extractText && includeContent && content && content.length > 1500 && DOCUMENT_CHUNK_EXTENSIONS.includes(ext)) {
+    const sections = chunkDocument(content, filePath);
+    return sections.map((section, idx) => {
+      const headingPath = section.headingPath.join(' > ');
+      const header = `// File: ${fileLabel} | Chunk ${idx + 1}/${sections.length}${headingPath ? ` | ${headingPath}` : ''}\n`;
+      return {
+        id: `${baseId}_chunk_${idx}`,
+        content: header + section.content,
+        metadata: {
+          ...metadata,
+          chunk_type: 'section',
+          ...(section.heading ? { name: section.heading } : {}),
+          heading_path: headingPath,
+          heading_level: section.level,
+          start_line: section.startLine,
+          end_line: section.endLine,
+          chunk_index: idx,
+          total_chunks: sections.length,
+          chunking_method: 'markdown'
+        }
+      };
+    });
+  }
+
+  // JSON/YAML/CSV/TOML/INI: whole keys, rows or sections per chunk
+  const records = category.extractText && includeContent && content && content.length > 1500 && DATA_CHUNK_EXTENSIONS.includes(ext)
+    ? chunkData(content, filePath)
+    : null;
+  if (records) {
+    return records.map((record, idx) => {
+      const header = `// File: ${fileLabel} | Chunk ${idx + 1}/${records.length} | ${record.keyPath}\n`;
+      return {
+        id: `${baseId}_chunk_${idx}`,
+        content: header + record.content,
+        metadata: {
+          ...metadata,
+          chunk_type: 'data',
+          data_format: record.format,
+          key_path: record.keyPath,
+          ...(record.startLine !== undefined
+            ? { start_line: record.startLine, end_line: record.endLine }
+            : { start_char: record.startChar, end_char: record.endChar }),
+          ...(record.columns !== undefined ? {
+            columns: record.columns,
+            row_start: record.rowStart,
+            row_end: record.rowEnd,
+            repeated_header: record.repeatedHeader
+          } : {}),
+          chunk_index: idx,
+          total_chunks: records.length,
+          chunking_method: 'structured'
+        }
+      };
+    });
+  }
+
+  // PDF/DOCX/ODT/RTF: paragraph-aligned slices of the extracted text with page numbers
+  if (extracted && extracted.text) {
+    const parts = chunkExtractedText(extracted);
+    return parts.map((part, idx) => {
+      const pages = part.pageStart === null ? ''
+        : part.pageStart === part.pageEnd ? ` | Page ${part.pageStart}` : ` | Pages ${part.pageStart}-${part.pageEnd}`;
+      const header = parts.length > 1
+        ? `// File: ${fileLabel} | Chunk ${idx + 1}/${parts.length}${pages}\n`
+        : `// File: ${fileLabel}${pages}\n`;
+      return {
+        id: parts.length > 1 ? `${baseId}_chunk_${idx}` : baseId,
+        content: header + part.content,
+        metadata: {
+          ...metadata,
+          start_char: part.startChar,
+          end_char: part.endChar,
+          ...(part.pageStart !== null ? { page_start: part.pageStart, page_end: part.pageEnd } : {}),
+          chunk_index: idx,
+          total_chunks: parts.length,
+          chunking_method: 'extracted'
+        }
+      };
+    });
+  }
+
   // EXISTING: Simple chunking for text/code files
   if (category.extractText && includeContent && content && content.length > 1500) {
     const chunks = splitIntoChunks(content);
@@ -384,13 +545,18 @@ export async function processFile(filePath, options = {}) {
   }];
 }
 
-// Scan directory for files matching criteria
-export async function scanDirectory(dirPath, options = {}) {
+// Walk a directory lazily, yielding matching file paths one at a time.
+// Directories are read with opendir, so nothing is buffered beyond the
+// current entry of each open directory level.
+export async function* walkDirectory(dirPath, options = {}) {
   const {
     recursive = true,
     extensions = null, // null = all, or array like ['.jpg', '.png']
     categories = null, // null = all, or array like ['images', 'cad']
-    maxFiles = 10000,
+    maxFiles = Infinity,
+    include = null, // null = all, or globs relative to dirPath like ['src/**/*.ts']
+    exclude = null, // globs relative to dirPath, gitignore syntax
+    respectIgnoreFiles = true, // honour .gitignore and .chromaignore
     excludePatterns = [
       /node_modules/,
       /\.git/,
@@ -408,27 +574,47 @@ export async function scanDirectory(dirPath, options = {}) {
     ]
   } = options;
 
-  const files = [];
-
-  async function scan(currentPath) {
-    if (files.length >= maxFiles) return;
+  const { root, rules } = respectIgnoreFiles ? await loadScanRules(dirPath) : { root: dirPath, rules: [] };
+  const includeRules = include?.length ? parseIgnoreRules(include.join('\n')) : null;
+  const excludeRules = exclude?.length ? parseIgnoreRules(exclude.join('\n')) : [];
+  let found = 0;
 
+  // ignoreRules: .gitignore/.chromaignore rules of currentPath and its parents
+  async function* walk(currentPath, ignoreRules) {
+    let dir;
     try {
-      const entries = await readdir(currentPath, { withFileTypes: true });
+      dir = await opendir(currentPath);
+    } catch (error) {
+      logError(`Error scanning ${currentPath}: ${error.message}`);
+      return;
+    }
 
-      for (const entry of entries) {
-        if (files.length >= maxFiles) break;
+    try {
+      for await (const entry of dir) {
+        if (found >= maxFiles) return;
 
         const fullPath = join(currentPath, entry.name);
+        const relPath = toPosixPath(relative(dirPath, fullPath));
+        const isDirectory = entry.isDirectory();
 
         // Check exclude patterns
         if (excludePatterns.some(pattern => pattern.test(fullPath))) {
           continue;
         }
 
-        if (entry.isDirectory() && recursive) {
-          await scan(fullPath);
+        // Ignore files and exclude globs; an ignored directory is never entered
+        if (isIgnored(ignoreRules, toPosixPath(relative(root, fullPath)), isDirectory) ||
+            isIgnored(excludeRules, relPath, isDirectory)) {
+          continue;
+        }
+
+        if (isDirectory && recursive) {
+          yield* walk(fullPath, respectIgnoreFiles ? [...ignoreRules, ...await loadIgnoreRules(fullPath, root)] : ignoreRules);
         } else if (entry.isFile()) {
+          if (includeRules && !matchesAny(includeRules, relPath)) {
+            continue;
+          }
+
           const ext = extname(entry.name).toLowerCase();
           const category = getFileCategory(fullPath);
 
@@ -442,7 +628,8 @@ export async function scanDirectory(dirPath, options = {}) {
             continue;
           }
 
-          files.push(fullPath);
+          found++;
+          yield fullPath;
         }
       }
     } catch (error) {
@@ -450,10 +637,28 @@ export async function scanDirectory(dirPath, options = {}) {
     }
   }
 
-  await scan(dirPath);
+  yield* walk(dirPath, rules);
+}
+
+// Scan directory for files matching criteria (see walkDirectory for options)
+export async function scanDirectory(dirPath, options = {}) {
+  const { maxFiles = 10000 } = options;
+  const files = [];
+  for await (const file of walkDirectory(dirPath, { ...options, maxFiles })) {
+    files.push(file);
+  }
   return files;
 }
 
+// Count the files walkDirectory would yield, without holding their paths
+export async function countFiles(dirPath, options = {}) {
+  let count = 0;
+  for await (const file of walkDirectory(dirPath, options)) {
+    count++;
+  }
+  return count;
+}
+
 // Batch process files with progress tracking
 export async function batchProcessFiles(files, options = {}) {
   const {
@@ -461,7 +666,11 @@ export async function batchProcessFiles(files, options = {}) {
     onProgress = null,
     includeContent = true,
     maxContentSize = 100 * 1024,
-    basePath = null
+    basePath = null,
+    useSmartChunking = false,
+    chunkSize = 4000,
+    overlap = 200,
+    includeOutputs = false
   } = options;
 
   const results = [];
@@ -475,7 +684,15 @@ export async function batchProcessFiles(files, options = {}) {
     const batchResults = await Promise.all(
       batch.map(async (file) => {
         try {
-          const result = await processFile(file, { includeContent, maxContentSize, basePath });
+          const result = await processFile(file, {
+            includeContent,
+            maxContentSize,
+            basePath,
+            useSmartChunking,
+            chunkSize,
+            overlap,
+            includeOutputs
+          });
           return { success: true, result };
         } catch (error) {
           return { success: false, file, error: error.message };
@@ -507,6 +724,89 @@ export async function batchProcessFiles(files, options = {}) {
   return { results, errors, stats: { total: files.length, processed: results.length, failed: errors.length } };
 }
 
+// Process files from any (async) iterable with bounded concurrency, yielding
+// {file, chunks}, {file, error} or {file, skipped} as each file finishes.
+// A new file is only pulled from the source when a slot is free and the
+// consumer has taken the previous result, so a slow writer slows the scan
+// instead of letting results pile up in memory.
+export async function* processFilesStream(files, options = {}) {
+  const {
+    concurrency = 10,
+    select = null, // async (file) => false to skip a file (e.g. unchanged)
+    onProgress = null, // ({processed, current, skipped, failed}) after each file
+    ...processOptions
+  } = options;
+
+  const source = files[Symbol.asyncIterator] ? files[Symbol.asyncIterator]() : files[Symbol.iterator]();
+  const running = new Map(); // slot id -> promise of {slot, result}
+  let nextSlot = 0;
+  let exhausted = false;
+
+  async function run(file) {
+    try {
+      if (select && !(await select(file))) {
+        return { file, skipped: true };
+      }
+      return { file, chunks: await processFile(file, processOptions) };
+    } catch (error) {
+      return { file, error: error.message };
+    }
+  }
+
+  async function fill() {
+    while (!exhausted && running.size < concurrency) {
+      const { value: file, done } = await source.next();
+      if (done) {
+        exhausted = true;
+        break;
+      }
+      const slot = nextSlot++;
+      running.set(slot, run(file).then(result => ({ slot, result })));
+    }
+  }
+
+  let processed = 0;
+  await fill();
+  while (running.size > 0) {
+    const { slot, result } = await Promise.race(running.values());
+    running.delete(slot);
+    processed++;
+    if (onProgress) {
+      onProgress({ processed, current: result.file, skipped: !!result.skipped, failed: !!result.error });
+    }
+    yield result;
+    await fill();
+  }
+}
+
+// Group streamed file results into write batches of about batchSize chunks.
+// Batches end on file boundaries, so each holds every chunk of its files;
+// a file with more chunks than batchSize becomes a batch of its own.
+export async function* batchFileResults(results, options = {}) {
+  const { batchSize = 100 } = options;
+  let batch = { chunks: [], files: [], errors: [], skipped: [] };
+
+  for await (const result of results) {
+    if (result.error) {
+      batch.errors.push({ file: result.file, error: result.error });
+    } else if (result.skipped) {
+      batch.skipped.push(result.file);
+    } else {
+      batch.chunks.push(...result.chunks);
+      batch.files.push(result.file);
+    }
+
+    if (batch.chunks.length >= batchSize) {
+      yield batch;
+      batch = { chunks: [], files: [], errors: [], skipped: [] };
+    }
+  }
+
+  if (batch.chunks.length > 0 || batch.errors.length > 0 || batch.skipped.length > 0) {
+    yield batch;
+  }
+}
+
 // Export collection to JSON
 export async function exportCollection(client, collectionName) {
   try {
@@ -566,18 +866,26 @@ export async function importCollection(client, data, options = {}) {
   }
 }
 
-// Quick stats about a directory
+// Quick stats about a directory. Counting stops after maxFiles files;
+// truncated tells whether more were left.
 export async function getDirectoryStats(dirPath, options = {}) {
-  const files = await scanDirectory(dirPath, { ...options, maxFiles: 100000 });
-
+  const { maxFiles = Infinity } = options;
   const stats = {
-    total_files: files.length,
+    total_files: 0,
     by_category: {},
     by_extension: {},
-    total_size: 0
+    total_size: 0,
+    truncated: false
   };
 
-  for (const file of files) {
+  // Streamed, so counting a huge tree holds no file list in memory; one
+  // file past the limit shows whether the count was cut short
+  for await (const file of walkDirectory(dirPath, { ...options, maxFiles: maxFiles + 1 })) {
+    if (stats.total_files >= maxFiles) {
+      stats.truncated = true;
+      break;
+    }
+    stats.total_files++;
     const category = getFileCategory(file);
     const ext = extname(file).toLowerCase();
 
@@ -602,8 +910,12 @@ export default {
   getFileCategory,
   generateDocId,
   processFile,
+  walkDirectory,
   scanDirectory,
+  countFiles,
   batchProcessFiles,
+  processFilesStream,
+  batchFileResults,
   exportCollection,
   importCollection,
   getDirectoryStats
@@ -1,31 +1,54 @@
 /**
  * Code Parser - Language-aware AST parsing for intelligent chunking
- * Supports JavaScript/TypeScript (via Acorn) and Python (regex-based)
+ * Supports JavaScript (via Acorn), Python (regex-based) and TypeScript/TSX,
+ * Go, Rust, Java, C/C++, C#, Ruby, PHP and Kotlin (via tree-sitter)
  */
 
 import { parse } from 'acorn';
 import { extname } from 'path';
+import { TREE_SITTER_LANGUAGES, parseWithTreeSitter, extractModuleInfoWithTreeSitter } from './tree-sitter-parser.js';
+import { logWarn } from './logger.js';
+
+const LANGUAGE_MAP = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.py': 'python',
+  '.pyw': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.cc': 'cpp',
+  '.cxx': 'cpp',
+  '.hpp': 'cpp',
+  '.hh': 'cpp',
+  '.hxx': 'cpp',
+  '.cs': 'csharp',
+  '.rb': 'ruby',
+  '.php': 'php',
+  '.kt': 'kotlin',
+  '.kts': 'kotlin'
+};
+
+// Extensions the smart chunker can parse
+export const PARSEABLE_EXTENSIONS = Object.keys(LANGUAGE_MAP);
 
 /**
  * Detect programming language from file path
  * @param {string} filePath - Path to the file
- * @returns {string} - 'javascript', 'python', or 'unknown'
+ * @returns {string} - Language name (e.g. 'javascript', 'go'), or 'unknown'
  */
 export function detectLanguage(filePath) {
   const ext = extname(filePath).toLowerCase();
-
-  const languageMap = {
-    '.js': 'javascript',
-    '.jsx': 'javascript',
-    '.ts': 'typescript',
-    '.tsx': 'typescript',
-    '.mjs': 'javascript',
-    '.cjs': 'javascript',
-    '.py': 'python',
-    '.pyw': 'python'
-  };
-
-  return languageMap[ext] || 'unknown';
+  return LANGUAGE_MAP[ext] || 'unknown';
 }
 
 /**
@@ -50,13 +73,10 @@ export function parseJavaScript(code, filePath) {
 
     const lines = code.split('\n');
 
-    // Walk the AST to find top-level declarations
+    // Walk the AST to find top-level declarations (classes and objects expand into their methods)
     if (ast.body) {
       for (const node of ast.body) {
-        const chunk = extractNodeInfo(node, code, lines);
-        if (chunk) {
-          chunks.push(chunk);
-        }
+        chunks.push(...extractNodeChunks(node, code, lines));
       }
     }
 
@@ -94,6 +114,331 @@ export function parseJavaScript(code, filePath) {
   return chunks;
 }
 
+/**
+ * Extract chunks from a top-level node
+ * Classes, object literals with methods and module.exports objects become a
+ * head chunk plus one chunk per method; everything else goes through
+ * extractNodeInfo.
+ * @param {Object} node - AST node
+ * @param {string} code - Full source code
+ * @param {Array} lines - Code split into lines
+ * @returns {Array} - Chunks (possibly empty)
+ */
+function extractNodeChunks(node, code, lines) {
+  switch (node.type) {
+    case 'ClassDeclaration':
+      return extractClassChunks(node, node, null, code, lines);
+
+    case 'VariableDeclaration':
+      for (const declarator of node.declarations) {
+        const init = declarator.init;
+        const name = declarator.id.type === 'Identifier' ? declarator.id.name : null;
+        if (init?.type === 'ClassExpression') {
+          return extractClassChunks(node, init, name, code, lines);
+        }
+        if (init?.type === 'ObjectExpression' && name && hasFunctionMembers(init.properties)) {
+          return extractObjectChunks(node, init, name, code, lines);
+        }
+      }
+      break;
+
+    case 'ExportNamedDeclaration':
+    case 'ExportDefaultDeclaration': {
+      const declaration = node.declaration;
+      let exported = [];
+      if (declaration?.type === 'ObjectExpression' && hasFunctionMembers(declaration.properties)) {
+        exported = extractObjectChunks(node, declaration, 'default', code, lines);
+      } else if (declaration && ['ClassDeclaration', 'VariableDeclaration'].includes(declaration.type)) {
+        exported = extractNodeChunks(declaration, code, lines);
+      }
+      if (exported.length > 0) {
+        exported.forEach(chunk => { chunk.isExported = true; });
+        return exported;
+      }
+      break;
+    }
+
+    case 'ExpressionStatement':
+      return extractCommonJSChunks(node, code, lines);
+  }
+
+  const chunk = extractNodeInfo(node, code, lines);
+  return chunk ? [chunk] : [];
+}
+
+/**
+ * Whether a class/object member holds a function
+ * @param {Object} member - MethodDefinition, PropertyDefinition or Property node
+ * @returns {boolean} - True for methods and function-valued properties
+ */
+function isFunctionMember(member) {
+  if (member.type === 'MethodDefinition') return true;
+  return ['FunctionExpression', 'ArrowFunctionExpression'].includes(member.value?.type);
+}
+
+function hasFunctionMembers(members) {
+  return members.some(isFunctionMember);
+}
+
+/**
+ * Readable name of a member key
+ * @param {Object} member - Member node
+ * @param {string} code - Full source code
+ * @returns {string} - Name
+ */
+function memberName(member, code) {
+  const key = member.key;
+  if (member.type === 'StaticBlock') return 'static';
+  if (member.type === 'SpreadElement') return code.substring(member.start, member.end);
+  if (member.computed) return `[${code.substring(key.start, key.end)}]`;
+  if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+  return key.name ?? String(key.value);
+}
+
+/**
+ * Build one chunk per function member
+ * @param {Array} members - Class body or object properties
+ * @param {string} parentName - Owning class/object name
+ * @param {string} code - Full source code
+ * @param {Array} lines - Code split into lines
+ * @returns {Array} - Method chunks
+ */
+function extractMethodChunks(members, parentName, code, lines) {
+  return members.filter(isFunctionMember).map(member => {
+    const fn = member.value;
+    return {
+      type: 'method',
+      name: memberName(member, code),
+      startLine: member.loc.start.line,
+      endLine: member.loc.end.line,
+      startChar: member.start,
+      endChar: member.end,
+      content: code.substring(member.start, member.end),
+      signature: code.substring(member.start, fn.body.start).trim(),
+      docstring: extractJSDoc(member, code, lines),
+      isAsync: fn.async || false,
+      isGenerator: fn.generator || false,
+      parentChunk: parentName
+    };
+  });
+}
+
+/**
+ * Build one chunk per run of non-function members after the first method
+ * (fields and plain properties before it belong to the head)
+ * @param {Array} members - Class body or object properties
+ * @param {string} parentName - Owning class/object name
+ * @param {string} type - Chunk type ('field' or 'property')
+ * @param {string} code - Full source code
+ * @returns {Array} - Member run chunks
+ */
+function extractMemberRunChunks(members, parentName, type, code) {
+  const runs = [];
+  let current = null;
+  let seenMethod = false;
+
+  for (const member of members) {
+    if (isFunctionMember(member)) {
+      seenMethod = true;
+      current = null;
+    } else if (seenMethod) {
+      if (!current) {
+        current = [];
+        runs.push(current);
+      }
+      current.push(member);
+    }
+  }
+
+  return runs.map(run => {
+    const first = run[0];
+    const last = run[run.length - 1];
+    return {
+      type,
+      name: run.map(member => memberName(member, code)).join(', '),
+      startLine: first.loc.start.line,
+      endLine: last.loc.end.line,
+      startChar: first.start,
+      endChar: last.end,
+      content: code.substring(first.start, last.end),
+      signature: null,
+      docstring: null,
+      parentChunk: parentName
+    };
+  });
+}
+
+/**
+ * Order split chunks by position and let the last one take the closing brace
+ * @param {Array} chunks - Head, method and member run chunks
+ * @param {Object} outer - Node the class/object chunk starts at
+ * @param {string} code - Full source code
+ * @returns {Array} - Chunks in source order
+ */
+function closeSplitChunks(chunks, outer, code) {
+  chunks.sort((a, b) => a.startChar - b.startChar);
+  const last = chunks[chunks.length - 1];
+  last.endLine = outer.loc.end.line;
+  last.endChar = outer.end;
+  last.content = code.substring(last.startChar, outer.end);
+  return chunks;
+}
+
+/**
+ * Head of a class/object: everything before the first method and its JSDoc
+ * @param {Object} outer - Node the chunk starts at (declaration/export/statement)
+ * @param {Array} members - Members of the class/object
+ * @param {string} code - Full source code
+ * @param {Array} lines - Code split into lines
+ * @returns {Object} - {content, startLine, endLine, startChar, endChar}
+ */
+function extractHead(outer, members, code, lines) {
+  const first = members.find(isFunctionMember);
+  let endLine = first.loc.start.line - 1;
+
+  // Leave the first method's doc comment to the method
+  const doc = extractJSDoc(first, code, lines);
+  if (doc) {
+    endLine -= doc.split('\n').length;
+  }
+  while (endLine > outer.loc.start.line && !lines[endLine - 1].trim()) {
+    endLine--;
+  }
+
+  // A method on the opening line ("class A { m() {} }") leaves just the header
+  const lineEnd = lines.slice(0, Math.max(endLine, outer.loc.start.line)).join('\n').length;
+  const endChar = Math.min(Math.max(lineEnd, outer.start), first.start);
+  const content = code.substring(outer.start, endChar).trimEnd();
+
+  return {
+    content,
+    startLine: outer.loc.start.line,
+    endLine: outer.loc.start.line + (content.match(/\n/g) || []).length,
+    startChar: outer.start,
+    endChar: outer.start + content.length
+  };
+}
+
+/**
+ * Split a class into a head chunk and method chunks
+ * @param {Object} outer - Node the class chunk starts at
+ * @param {Object} classNode - ClassDeclaration/ClassExpression
+ * @param {string|null} fallbackName - Name when the class is anonymous
+ * @param {string} code - Full source code
+ * @param {Array} lines - Code split into lines
+ * @returns {Array} - Chunks
+ */
+function extractClassChunks(outer, classNode, fallbackName, code, lines) {
+  const name = classNode.id ? classNode.id.name : (fallbackName || 'anonymous');
+  const members = classNode.body.body;
+  const header = code.substring(classNode.start, classNode.body.start).trim();
+  const base = {
+    type: 'class',
+    name,
+    signature: classNode.id ? header : header.replace(/^class\b/, `class ${name}`),
+    docstring: extractJSDoc(outer, code, lines)
+  };
+
+  if (!hasFunctionMembers(members)) {
+    return [{
+      ...base,
+      startLine: outer.loc.start.line,
+      endLine: outer.loc.end.line,
+      startChar: outer.start,
+      endChar: outer.end,
+      content: code.substring(outer.start, outer.end)
+    }];
+  }
+
+  return closeSplitChunks([
+    { ...base, ...extractHead(outer, members, code, lines) },
+    ...extractMethodChunks(members, name, code, lines),
+    ...extractMemberRunChunks(members, name, 'field', code)
+  ], outer, code);
+}
+
+/**
+ * Split an object literal into a head chunk and method chunks
+ * @param {Object} outer - Node the object chunk starts at
+ * @param {Object} objectNode - ObjectExpression
+ * @param {string} name - Object name (variable, 'default' or 'module.exports')
+ * @param {string} code - Full source code
+ * @param {Array} lines - Code split into lines
+ * @returns {Array} - Chunks
+ */
+function extractObjectChunks(outer, objectNode, name, code, lines) {
+  const members = objectNode.properties;
+  return closeSplitChunks([
+    {
+      type: 'object',
+      name,
+      signature: code.substring(outer.start, objectNode.start + 1).trim(),
+      docstring: extractJSDoc(outer, code, lines),
+      ...extractHead(outer, members, code, lines)
+    },
+    ...extractMethodChunks(members, name, code, lines),
+    ...extractMemberRunChunks(members, name, 'property', code)
+  ], outer, code);
+}
+
+/**
+ * Exported name of a CommonJS assignment target
+ * @param {Object} left - Assignment target
+ * @returns {string|null} - 'module.exports', the member name for exports.x / module.exports.x, or null
+ */
+function commonJSExportName(left) {
+  const isModuleExports = node => node.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'module' && node.property.name === 'exports';
+
+  if (isModuleExports(left)) return 'module.exports';
+  if (left.type !== 'MemberExpression' || left.computed) return null;
+  if ((left.object.type === 'Identifier' && left.object.name === 'exports') || isModuleExports(left.object)) {
+    return left.property.name;
+  }
+  return null;
+}
+
+/**
+ * Chunks for module.exports = ... / exports.x = ... statements
+ * @param {Object} node - ExpressionStatement
+ * @param {string} code - Full source code
+ * @param {Array} lines - Code split into lines
+ * @returns {Array} - Exported chunks (empty for other statements)
+ */
+function extractCommonJSChunks(node, code, lines) {
+  const expr = node.expression;
+  if (expr?.type !== 'AssignmentExpression') return [];
+
+  const name = commonJSExportName(expr.left);
+  if (!name) return [];
+
+  const value = expr.right;
+  let chunks = [];
+
+  if (value.type === 'ObjectExpression' && hasFunctionMembers(value.properties)) {
+    chunks = extractObjectChunks(node, value, name, code, lines);
+  } else if (value.type === 'ClassExpression') {
+    chunks = extractClassChunks(node, value, name, code, lines);
+  } else if (['FunctionExpression', 'ArrowFunctionExpression'].includes(value.type)) {
+    chunks = [{
+      type: 'function',
+      name: name === 'module.exports' && value.id ? value.id.name : name,
+      startLine: node.loc.start.line,
+      endLine: node.loc.end.line,
+      startChar: node.start,
+      endChar: node.end,
+      content: code.substring(node.start, node.end),
+      signature: code.substring(node.start, value.body.start).trim(),
+      docstring: extractJSDoc(node, code, lines),
+      isAsync: value.async || false,
+      isGenerator: value.generator || false
+    }];
+  }
+
+  chunks.forEach(chunk => { chunk.isExported = true; });
+  return chunks;
+}
+
 /**
  * Extract information from an AST node
  * @param {Object} node - AST node
@@ -416,33 +761,275 @@ function extractPythonDocstring(lines, startLine) {
   return null;
 }
 
+/**
+ * Whole-file chunk used when a file has no recognizable declarations
+ * @param {string} code - Source code
+ * @param {string} name - Chunk name
+ * @returns {Object} - Chunk
+ */
+function wholeFileChunk(code, name) {
+  return {
+    type: 'other',
+    name,
+    startLine: 1,
+    endLine: code.split('\n').length,
+    startChar: 0,
+    endChar: code.length,
+    content: code,
+    signature: null,
+    docstring: null
+  };
+}
+
 /**
  * Extract chunks from code based on language
  * @param {string} code - Source code
  * @param {string} filePath - File path
- * @returns {Array} - Array of chunks with metadata
+ * @returns {Promise<Array>} - Array of chunks with metadata
  */
-export function extractChunks(code, filePath) {
+export async function extractChunks(code, filePath) {
   const language = detectLanguage(filePath);
+  // TSX needs its own grammar; everything else maps 1:1
+  const grammar = extname(filePath).toLowerCase() === '.tsx' ? 'tsx' : language;
+
+  if (TREE_SITTER_LANGUAGES.includes(grammar)) {
+    try {
+      const chunks = await parseWithTreeSitter(code, grammar);
+      return chunks.length > 0 ? chunks : [wholeFileChunk(code, 'module')];
+    } catch (error) {
+      logWarn(`Failed to parse ${language} with tree-sitter: ${error.message}`);
+      return [wholeFileChunk(code, 'unparseable')];
+    }
+  }
 
   switch (language) {
     case 'javascript':
-    case 'typescript':
       return parseJavaScript(code, filePath);
     case 'python':
       return parsePython(code, filePath);
     default:
       // Return whole file as single chunk for unknown languages
-      return [{
-        type: 'other',
-        name: 'unknown',
-        startLine: 1,
-        endLine: code.split('\n').length,
-        startChar: 0,
-        endChar: code.length,
-        content: code,
-        signature: null,
-        docstring: null
-      }];
+      return [wholeFileChunk(code, 'unknown')];
+  }
+}
+
+/**
+ * Visit every node of an Acorn AST
+ * @param {Object} node - Root node
+ * @param {Function} visit - Called with (node, parent)
+ * @param {Object|null} parent - Parent node
+ */
+function walkAst(node, visit, parent = null) {
+  visit(node, parent);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') continue;
+    if (Array.isArray(value)) {
+      value.forEach(child => child && typeof child.type === 'string' && walkAst(child, visit, node));
+    } else if (value && typeof value.type === 'string') {
+      walkAst(value, visit, node);
+    }
+  }
+}
+
+/**
+ * Names destructured from a require() call (const { a, b: c } = require('x'))
+ * @param {Object|null} parent - Parent of the call
+ * @returns {Array<string>} - Required names
+ */
+function requiredNames(parent) {
+  if (parent?.type !== 'VariableDeclarator' || parent.id.type !== 'ObjectPattern') return [];
+  return parent.id.properties
+    .filter(p => p.type === 'Property' && !p.computed)
+    .map(p => p.key.name ?? String(p.key.value));
+}
+
+/**
+ * Names declared by an exported declaration
+ * @param {Object} declaration - Declaration node
+ * @returns {Array<string>} - Names
+ */
+function declaredNames(declaration) {
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations
+      .filter(d => d.id.type === 'Identifier')
+      .map(d => d.id.name);
+  }
+  return declaration.id ? [declaration.id.name] : [];
+}
+
+/**
+ * Extract imports and exports from JavaScript with Acorn
+ * @param {string} code - Source code
+ * @returns {Object} - {imports: [{source, kind, names}], exports: [name]}
+ */
+function extractJavaScriptModuleInfo(code) {
+  const ast = parse(code, {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    allowHashBang: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true
+  });
+
+  const imports = [];
+  const exports = new Set();
+
+  walkAst(ast, (node, parent) => {
+    switch (node.type) {
+      case 'ImportDeclaration':
+        imports.push({
+          source: node.source.value,
+          kind: 'import',
+          names: node.specifiers.map(s => {
+            if (s.type === 'ImportDefaultSpecifier') return 'default';
+            if (s.type === 'ImportNamespaceSpecifier') return '*';
+            return s.imported.name ?? s.imported.value;
+          })
+        });
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          declaredNames(node.declaration).forEach(name => exports.add(name));
+        }
+        node.specifiers.forEach(s => exports.add(s.exported.name ?? s.exported.value));
+        if (node.source) {
+          imports.push({ source: node.source.value, kind: 'reexport', names: node.specifiers.map(s => s.local.name ?? s.local.value) });
+        }
+        break;
+
+      case 'ExportDefaultDeclaration':
+        exports.add('default');
+        break;
+
+      case 'ExportAllDeclaration':
+        if (node.exported) exports.add(node.exported.name ?? node.exported.value);
+        imports.push({ source: node.source.value, kind: 'reexport', names: ['*'] });
+        break;
+
+      case 'ImportExpression':
+        if (node.source.type === 'Literal' && typeof node.source.value === 'string') {
+          imports.push({ source: node.source.value, kind: 'dynamic', names: [] });
+        }
+        break;
+
+      case 'CallExpression':
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+            node.arguments[0]?.type === 'Literal' && typeof node.arguments[0].value === 'string') {
+          imports.push({ source: node.arguments[0].value, kind: 'require', names: requiredNames(parent) });
+        }
+        break;
+
+      case 'AssignmentExpression': {
+        // CommonJS: module.exports = {...}, module.exports = fn, exports.x = ...
+        const left = node.left;
+        if (left.type !== 'MemberExpression' || left.computed) break;
+        const isModuleExports = target => target.type === 'MemberExpression' && !target.computed &&
+          target.object.name === 'module' && target.property.name === 'exports';
+
+        if (isModuleExports(left)) {
+          if (node.right.type === 'ObjectExpression') {
+            node.right.properties
+              .filter(p => p.type === 'Property' && !p.computed)
+              .forEach(p => exports.add(p.key.name ?? String(p.key.value)));
+          } else {
+            exports.add('default');
+          }
+        } else if (left.object.name === 'exports' || isModuleExports(left.object)) {
+          exports.add(left.property.name);
+        }
+        break;
+      }
+    }
+  });
+
+  return { imports, exports: [...exports] };
+}
+
+/**
+ * Extract import sources with regular expressions (JSX and other syntax Acorn rejects)
+ * @param {string} code - Source code
+ * @returns {Object} - {imports: [{source, kind, names}], exports: [name]}
+ */
+function extractModuleInfoWithRegex(code) {
+  const imports = [];
+  const exports = new Set();
+  const patterns = [
+    { kind: 'import', regex: /^\s*import\s+(?:[^'";]*?\s+from\s+)?['"]([^'"]+)['"]/gm },
+    { kind: 'reexport', regex: /^\s*export\s+[^'";]*?\s+from\s+['"]([^'"]+)['"]/gm },
+    { kind: 'require', regex: /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g },
+    { kind: 'dynamic', regex: /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g }
+  ];
+
+  for (const { kind, regex } of patterns) {
+    let match;
+    while ((match = regex.exec(code)) !== null) {
+      imports.push({ source: match[1], kind, names: [] });
+    }
+  }
+
+  const exportPattern = /^\s*export\s+(default\b|(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([\w$]+))/gm;
+  let match;
+  while ((match = exportPattern.exec(code)) !== null) {
+    exports.add(match[2] || 'default');
+  }
+
+  return { imports, exports: [...exports] };
+}
+
+/**
+ * Extract imports from Python with regular expressions
+ * @param {string} code - Source code
+ * @returns {Object} - {imports: [{source, kind, names}], exports: [name]}
+ */
+function extractPythonModuleInfo(code) {
+  const imports = [];
+
+  for (const match of code.matchAll(/^\s*from\s+(\.*[\w.]*)\s+import\s+\(?([^)\n]+)/gm)) {
+    const names = match[2].split(',').map(n => n.trim().split(/\s+as\s+/)[0]).filter(Boolean);
+    imports.push({ source: match[1], kind: 'import', names });
+  }
+  for (const match of code.matchAll(/^\s*import\s+([\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+(?:\s+as\s+\w+)?)*)/gm)) {
+    for (const module of match[1].split(',')) {
+      imports.push({ source: module.trim().split(/\s+as\s+/)[0], kind: 'import', names: [] });
+    }
+  }
+
+  // Public top-level names, or __all__ when present
+  const all = code.match(/^__all__\s*=\s*[[(]([^\])]*)[\])]/m);
+  const exports = all
+    ? [...all[1].matchAll(/['"]([\w]+)['"]/g)].map(m => m[1])
+    : [...code.matchAll(/^(?:async\s+)?(?:def|class)\s+([A-Za-z]\w*)/gm)].map(m => m[1]);
+
+  return { imports, exports };
+}
+
+/**
+ * Extract a file's imports and exports for the dependency graph
+ * @param {string} code - Source code
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} - {imports: [{source, kind, names}], exports: [name]}, or null for unsupported languages
+ */
+export async function extractModuleInfo(code, filePath) {
+  const language = detectLanguage(filePath);
+
+  switch (language) {
+    case 'javascript':
+      try {
+        return extractJavaScriptModuleInfo(code);
+      } catch {
+        return extractModuleInfoWithRegex(code);
+      }
+    case 'typescript':
+      try {
+        return await extractModuleInfoWithTreeSitter(code, extname(filePath).toLowerCase() === '.tsx' ? 'tsx' : 'typescript');
+      } catch (error) {
+        logWarn(`Failed to extract imports with tree-sitter: ${error.message}`);
+        return extractModuleInfoWithRegex(code);
+      }
+    case 'python':
+      return extractPythonModuleInfo(code);
+    default:
+      return null;
   }
 }
@@ -0,0 +1,336 @@
+/**
+ * Collection Resources - MCP resources for collections and their files
+ *
+ * Every collection is a resource (chroma://collection/<name>) whose contents
+ * are its statistics, and every file ingested into it is a resource
+ * (chroma://collection/<name>/file/<relative_path>) whose contents are the
+ * file rebuilt from its chunks. Files are named by the relative_path stored at
+ * ingest, or by their full path when they were ingested on their own.
+ *
+ * Subscriptions are kept for the whole process rather than per server: over
+ * HTTP every session has its own server, and a write made in one session must
+ * reach subscribers in all of them.
+ */
+
+import { extname } from 'path';
+import { reconstructFile } from './context-window.js';
+
+export const RESOURCE_SCHEME = 'chroma://collection/';
+
+// Chunks read per collection.get() when listing files
+const PAGE_SIZE = 1000;
+
+// Resources per resources/list page
+export const RESOURCE_PAGE_SIZE = 500;
+
+// File lists kept between resources/list pages: collection id -> {count, files}
+const fileListCache = new Map();
+const FILE_LIST_CACHE_SIZE = 8;
+
+// Connected MCP servers (one per session) -> the resource URIs their client subscribed to
+const resourceSessions = new Map();
+
+// MIME types for file resources; everything else is text/plain
+const MIME_TYPES = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.json': 'application/json',
+  '.ipynb': 'application/json',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.ts': 'text/x-typescript',
+  '.py': 'text/x-python',
+  '.yaml': 'text/yaml',
+  '.yml': 'text/yaml',
+  '.xml': 'application/xml'
+};
+
+/**
+ * Resource path of a chunk's file
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string|null} - relative_path, else full_path, else null (not a file)
+ */
+export function resourcePath(metadata) {
+  return metadata?.relative_path || metadata?.full_path || null;
+}
+
+/**
+ * URI of a collection resource
+ * @param {string} collection - Collection name
+ * @returns {string} - chroma://collection/<name>
+ */
+export function collectionUri(collection) {
+  return `${RESOURCE_SCHEME}${encodeURIComponent(collection)}`;
+}
+
+/**
+ * URI of a file resource
+ * @param {string} collection - Collection name
+ * @param {string} path - Resource path (see resourcePath)
+ * @returns {string} - chroma://collection/<name>/file/<path>
+ */
+export function fileUri(collection, path) {
+  const encoded = path.split('/').map(encodeURIComponent).join('/');
+  return `${collectionUri(collection)}/file/${encoded}`;
+}
+
+/**
+ * Parse a chroma:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} - {collection, path} (path null for a collection), or null if not ours
+ */
+export function parseResourceUri(uri) {
+  if (!uri || !uri.startsWith(RESOURCE_SCHEME)) return null;
+
+  const rest = uri.slice(RESOURCE_SCHEME.length);
+  const match = rest.match(/^([^/]+)(?:\/file\/(.+))?$/);
+  if (!match) return null;
+
+  try {
+    return {
+      collection: decodeURIComponent(match[1]),
+      path: match[2] ? match[2].split('/').map(decodeURIComponent).join('/') : null
+    };
+  } catch (error) {
+    // Malformed percent-encoding
+    return null;
+  }
+}
+
+/**
+ * Files held by a collection, sorted by resource path
+ * @param {Collection} collection - ChromaDB collection
+ * @returns {Promise<Array<Object>>} - {path, full_path, chunks, file_type, language}
+ */
+export async function listCollectionFiles(collection) {
+  const files = new Map();
+  let offset = 0;
+
+  while (true) {
+    const page = await collection.get({ include: ['metadatas'], limit: PAGE_SIZE, offset });
+    const metadatas = page.metadatas || [];
+
+    for (const meta of metadatas) {
+      const path = resourcePath(meta);
+      if (!path) continue;
+      if (!files.has(path)) {
+        files.set(path, {
+          path,
+          full_path: meta.full_path,
+          chunks: 0,
+          file_type: meta.file_type || meta.category || null,
+          language: meta.language || null
+        });
+      }
+      files.get(path).chunks++;
+    }
+
+    if ((page.ids || []).length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return [...files.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Files held by a collection, reusing the last listing while its chunk count
+ * is unchanged, so paging through resources/list scans a collection once
+ * @param {Collection} collection - ChromaDB collection
+ * @returns {Promise<Array<Object>>} - Files as listCollectionFiles returns them
+ */
+export async function cachedCollectionFiles(collection) {
+  const key = collection.id || collection.name;
+  const count = await collection.count();
+  const cached = fileListCache.get(key);
+  if (cached && cached.count === count) return cached.files;
+
+  const files = await listCollectionFiles(collection);
+  fileListCache.delete(key);
+  fileListCache.set(key, { name: collection.name, count, files });
+  if (fileListCache.size > FILE_LIST_CACHE_SIZE) {
+    fileListCache.delete(fileListCache.keys().next().value);
+  }
+  return files;
+}
+
+/**
+ * Drop the cached file list of a collection that was written to
+ * @param {string} name - Collection name
+ */
+export function forgetCollectionFiles(name) {
+  for (const [key, entry] of fileListCache) {
+    if (entry.name === name) fileListCache.delete(key);
+  }
+}
+
+/**
+ * resources/list entry for a collection
+ * @param {string} collection - Collection name
+ * @returns {Object} - Resource
+ */
+export function collectionResource(collection) {
+  return {
+    uri: collectionUri(collection),
+    name: collection,
+    description: `ChromaDB collection '${collection}': document count, files and embedding settings`,
+    mimeType: 'application/json'
+  };
+}
+
+/**
+ * resources/list entry for a file
+ * @param {string} collection - Collection name
+ * @param {Object} file - Entry from listCollectionFiles
+ * @returns {Object} - Resource
+ */
+export function fileResource(collection, file) {
+  return {
+    uri: fileUri(collection, file.path),
+    name: `${collection}: ${file.path}`,
+    description: `${file.path} rebuilt from ${file.chunks} chunk${file.chunks === 1 ? '' : 's'}`,
+    mimeType: MIME_TYPES[extname(file.path).toLowerCase()] || 'text/plain'
+  };
+}
+
+/**
+ * Contents of a collection resource
+ * @param {Collection} collection - ChromaDB collection
+ * @returns {Promise<Object>} - Text resource contents (JSON statistics)
+ */
+export async function readCollectionResource(collection) {
+  const files = await listCollectionFiles(collection);
+  const fileTypes = {};
+  for (const file of files) {
+    const type = file.file_type || 'unknown';
+    fileTypes[type] = (fileTypes[type] || 0) + 1;
+  }
+
+  return {
+    uri: collectionUri(collection.name),
+    mimeType: 'application/json',
+    text: JSON.stringify({
+      collection: collection.name,
+      metadata: collection.metadata || {},
+      document_count: await collection.count(),
+      file_count: files.length,
+      file_types: fileTypes,
+      files: files.slice(0, 100).map(file => ({ path: file.path, uri: fileUri(collection.name, file.path), chunks: file.chunks })),
+      files_truncated: files.length > 100
+    }, null, 2)
+  };
+}
+
+/**
+ * Contents of a file resource
+ * @param {Collection} collection - ChromaDB collection
+ * @param {string} path - Resource path from the URI
+ * @returns {Promise<Object|null>} - Text resource contents, or null if the file is not indexed
+ */
+export async function readFileResource(collection, path) {
+  // A path is a relative_path unless only a full_path matches
+  let found = await collection.get({ where: { relative_path: path }, include: ['metadatas'], limit: 1 });
+  if (!found.ids || found.ids.length === 0) {
+    found = await collection.get({ where: { full_path: path }, include: ['metadatas'], limit: 1 });
+  }
+  const fullPath = found.metadatas?.[0]?.full_path;
+  if (!fullPath) return null;
+
+  const file = await reconstructFile(collection, fullPath);
+  if (!file) return null;
+
+  return {
+    uri: fileUri(collection.name, path),
+    mimeType: MIME_TYPES[extname(path).toLowerCase()] || 'text/plain',
+    text: file.text
+  };
+}
+
+/**
+ * Register a connected server, so it hears about resource changes
+ * @param {Server} server - MCP server of one session
+ */
+export function openResourceSession(server) {
+  if (!resourceSessions.has(server)) resourceSessions.set(server, new Set());
+}
+
+/**
+ * Forget a closed server and its subscriptions
+ * @param {Server} server - MCP server of one session
+ */
+export function closeResourceSession(server) {
+  resourceSessions.delete(server);
+}
+
+/**
+ * Subscribe a session to a resource
+ * @param {Server} server - MCP server of the subscribing session
+ * @param {string} uri - Resource URI
+ */
+export function subscribeResource(server, uri) {
+  openResourceSession(server);
+  resourceSessions.get(server).add(uri);
+}
+
+/**
+ * Unsubscribe a session from a resource
+ * @param {Server} server - MCP server of the session
+ * @param {string} uri - Resource URI
+ */
+export function unsubscribeResource(server, uri) {
+  resourceSessions.get(server)?.delete(uri);
+}
+
+/**
+ * Servers of every open session
+ * @returns {Array<Server>} - MCP servers
+ */
+export function resourceSessionServers() {
+  return [...resourceSessions.keys()];
+}
+
+/**
+ * Subscriptions, across all sessions, affected by a change to a collection.
+ * Subscribers of the collection URI always are; subscribers of its file URIs
+ * only for the given resource paths (all files when paths is null).
+ * @param {string} collection - Collection name
+ * @param {Array<string>|null} paths - Resource paths that changed
+ * @returns {Array<Object>} - {server, uri}
+ */
+export function changedSubscriptions(collection, paths = null) {
+  const changed = [];
+  for (const [server, uris] of resourceSessions) {
+    for (const uri of uris) {
+      const target = parseResourceUri(uri);
+      if (target.collection !== collection) continue;
+      if (target.path && paths && !paths.includes(target.path)) continue;
+      changed.push({ server, uri });
+    }
+  }
+  return changed;
+}
+
+export default {
+  RESOURCE_SCHEME,
+  RESOURCE_PAGE_SIZE,
+  resourcePath,
+  collectionUri,
+  fileUri,
+  parseResourceUri,
+  listCollectionFiles,
+  cachedCollectionFiles,
+  forgetCollectionFiles,
+  collectionResource,
+  fileResource,
+  readCollectionResource,
+  readFileResource,
+  openResourceSession,
+  closeResourceSession,
+  subscribeResource,
+  unsubscribeResource,
+  resourceSessionServers,
+  changedSubscriptions
+};
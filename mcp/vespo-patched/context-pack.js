@@ -0,0 +1,249 @@
+/**
+ * Context Pack - Token-budgeted Markdown bundle of search hits
+ *
+ * search_context returns every hit as pretty-printed JSON with full metadata,
+ * which is mostly overhead for an agent. A pack keeps the code only: chunks of
+ * the same file are cut down to the lines not already included, snippets are
+ * grouped under one heading per file, and hits are added best-first until the
+ * token budget is spent.
+ */
+
+import { createHash } from 'crypto';
+import { stripChunkHeader, chunkLines } from './context-window.js';
+
+// A truncated snippet smaller than this is noise, so the hit is skipped instead
+const MIN_TRUNCATED_TOKENS = 40;
+
+/**
+ * Fallback token estimate (~4 characters per token), as used by the embedders
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+export function defaultEstimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Parts of an inclusive range not inside any covered range
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {Array<Array<number>>} covered - Inclusive [start, end] ranges already packed
+ * @returns {Array<Array<number>>} - Remaining [start, end] ranges in order, empty if fully covered
+ */
+function uncoveredRanges(start, end, covered) {
+  const remaining = [];
+  let from = start;
+  for (const [coveredStart, coveredEnd] of [...covered].sort((a, b) => a[0] - b[0])) {
+    if (coveredEnd < from || coveredStart > end) continue;
+    if (coveredStart > from) remaining.push([from, coveredStart - 1]);
+    from = Math.max(from, coveredEnd + 1);
+  }
+  if (from <= end) remaining.push([from, end]);
+  return remaining;
+}
+
+/**
+ * Turn a hit into a snippet addressed by lines, characters or content hash
+ * @param {Object} hit - Search hit {id, content, metadata}
+ * @returns {Object} - Snippet
+ */
+function toSnippet(hit) {
+  const meta = hit.metadata || {};
+  const file = meta.relative_path || meta.full_path || meta.filename || hit.id;
+  const base = {
+    file,
+    fileKey: meta.full_path || file,
+    language: meta.language || (meta.extension || '').replace(/^\./, ''),
+    label: meta.name && meta.chunk_type ? `${meta.chunk_type} \`${meta.name}\`` : null
+  };
+
+  if (meta.full_path && typeof meta.start_line === 'number') {
+    const { startLine, lines } = chunkLines(hit);
+    return { ...base, unit: 'lines', start: startLine, end: startLine + lines.length - 1, lines };
+  }
+
+  const text = stripChunkHeader(hit.content);
+  if (meta.full_path && typeof meta.start_char === 'number') {
+    // Simple chunks: one "unit" per character
+    return { ...base, unit: 'chars', start: meta.start_char, end: meta.start_char + text.length - 1, text };
+  }
+
+  return { ...base, unit: 'document', text };
+}
+
+/**
+ * Cut a snippet down to the parts not already packed
+ * A chunk enclosing packed ones (a class after its methods) keeps only the
+ * lines around them.
+ * @param {Object} snippet - Snippet from toSnippet
+ * @param {Object} seen - {ranges: Map fileKey -> ranges, hashes: Set}
+ * @returns {Array<Object>} - Remaining snippets, empty if it is a duplicate
+ */
+function removeOverlap(snippet, seen) {
+  if (snippet.unit === 'document') {
+    const hash = createHash('md5').update(snippet.text).digest('hex');
+    return seen.hashes.has(hash) ? [] : [{ ...snippet, hash }];
+  }
+
+  const ranges = seen.ranges.get(`${snippet.unit}:${snippet.fileKey}`) || [];
+  return uncoveredRanges(snippet.start, snippet.end, ranges).map(([start, end]) => {
+    const from = start - snippet.start;
+    const to = end - snippet.start + 1;
+    return snippet.unit === 'lines'
+      ? { ...snippet, start, end, lines: snippet.lines.slice(from, to) }
+      : { ...snippet, start, end, text: snippet.text.slice(from, to) };
+  });
+}
+
+/**
+ * Record a packed snippet so later hits can be trimmed against it
+ * @param {Object} snippet - Packed snippet
+ * @param {Object} seen - See removeOverlap
+ */
+function markSeen(snippet, seen) {
+  if (snippet.unit === 'document') {
+    seen.hashes.add(snippet.hash);
+    return;
+  }
+  const key = `${snippet.unit}:${snippet.fileKey}`;
+  if (!seen.ranges.has(key)) seen.ranges.set(key, []);
+  seen.ranges.get(key).push([snippet.start, snippet.end]);
+}
+
+/**
+ * Body lines of a snippet
+ * @param {Object} snippet - Snippet
+ * @returns {Array<string>} - Lines
+ */
+function snippetLines(snippet) {
+  return snippet.unit === 'lines' ? snippet.lines : snippet.text.split('\n');
+}
+
+/**
+ * Render one snippet as a labelled code fence
+ * @param {Object} snippet - Snippet with lines
+ * @returns {string} - Markdown
+ */
+function renderSnippet(snippet) {
+  const { lines } = snippet;
+  const position = snippet.unit === 'lines'
+    ? `L${snippet.start}-${snippet.start + lines.length - 1}`
+    : null;
+  const caption = [position, snippet.label, snippet.truncated ? '(truncated)' : null].filter(Boolean).join(' · ');
+  const fence = lines.some(line => line.startsWith('```')) ? '````' : '```';
+  return `\n${caption ? `${caption}\n` : ''}${fence}${snippet.language}\n${lines.join('\n')}\n${fence}\n`;
+}
+
+/**
+ * Join snippets of one file that continue each other into a single fence
+ * Merging only drops captions and fences, so the result stays within budget.
+ * @param {Array<Object>} snippets - Snippets of one file, sorted by start
+ * @returns {Array<Object>} - Merged snippets
+ */
+function mergeAdjacent(snippets) {
+  const merged = [];
+  for (const snippet of snippets) {
+    const prev = merged[merged.length - 1];
+    if (!prev || prev.unit === 'document' || prev.unit !== snippet.unit || prev.truncated || snippet.start !== prev.end + 1) {
+      merged.push({ ...snippet, labels: snippet.label ? [snippet.label] : [] });
+      continue;
+    }
+
+    // Character chunks break mid-line, so the boundary lines are glued together
+    prev.lines = prev.unit === 'chars'
+      ? [...prev.lines.slice(0, -1), prev.lines[prev.lines.length - 1] + snippet.lines[0], ...snippet.lines.slice(1)]
+      : [...prev.lines, ...snippet.lines];
+    prev.end = snippet.end;
+    prev.truncated = snippet.truncated;
+    // Pieces of one enclosing chunk share its label, so each label is listed once
+    if (snippet.label && !prev.labels.includes(snippet.label)) {
+      prev.labels.push(snippet.label);
+      prev.label = prev.labels.join(', ');
+    }
+  }
+  return merged;
+}
+
+/**
+ * Build a Markdown context pack from ranked hits
+ * @param {Array<Object>} hits - Hits, best first
+ * @param {Object} options - {question, budget, estimateTokens}
+ * @returns {Object} - {markdown, tokens, budget, files, chunks, skipped}
+ */
+export function buildContextPack(hits, options = {}) {
+  const {
+    question = '',
+    budget = 4000,
+    estimateTokens = defaultEstimateTokens
+  } = options;
+
+  const title = question ? `# Context: ${question}\n` : '# Context\n';
+  let used = estimateTokens(title);
+
+  const seen = { ranges: new Map(), hashes: new Set() };
+  const files = new Map(); // file -> packed snippets, in order of best hit
+  const skipped = { duplicate: 0, over_budget: 0 };
+
+  for (const hit of hits) {
+    const pieces = removeOverlap(toSnippet(hit), seen);
+    if (pieces.length === 0) {
+      skipped.duplicate++;
+      continue;
+    }
+
+    for (const snippet of pieces) {
+      const heading = files.has(snippet.file) ? '' : `\n## ${snippet.file}\n`;
+      const remaining = budget - used - estimateTokens(heading);
+      snippet.lines = snippetLines(snippet);
+      snippet.truncated = false;
+      let cost = estimateTokens(renderSnippet(snippet));
+
+      if (cost > remaining) {
+        if (remaining < MIN_TRUNCATED_TOKENS) {
+          skipped.over_budget++;
+          continue;
+        }
+
+        // Keep the leading lines that fit; the start of a chunk carries its signature
+        snippet.truncated = true;
+        while (snippet.lines.length > 1 && cost > remaining) {
+          snippet.lines = snippet.lines.slice(0, Math.max(1, Math.floor(snippet.lines.length * remaining / cost)));
+          cost = estimateTokens(renderSnippet(snippet));
+        }
+        if (cost > remaining) {
+          skipped.over_budget++;
+          continue;
+        }
+        if (snippet.unit !== 'document') {
+          snippet.end = snippet.start + (snippet.unit === 'chars' ? snippet.lines.join('\n').length : snippet.lines.length) - 1;
+        }
+      }
+
+      markSeen(snippet, seen);
+      if (!files.has(snippet.file)) files.set(snippet.file, []);
+      files.get(snippet.file).push(snippet);
+      used += estimateTokens(heading) + cost;
+    }
+  }
+
+  // Within a file, read top to bottom
+  const sections = [...files.entries()].map(([file, snippets]) => {
+    const ordered = [...snippets].sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+    return `\n## ${file}\n${mergeAdjacent(ordered).map(renderSnippet).join('')}`;
+  });
+
+  const markdown = title + sections.join('');
+  return {
+    markdown,
+    tokens: estimateTokens(markdown),
+    budget,
+    files: files.size,
+    chunks: [...files.values()].reduce((sum, s) => sum + s.length, 0),
+    skipped
+  };
+}
+
+export default {
+  defaultEstimateTokens,
+  buildContextPack
+};
@@ -0,0 +1,255 @@
+/**
+ * Context Window - Reassemble the code around a search hit
+ *
+ * Chunks from processFile carry chunk_index/total_chunks plus either line
+ * ranges (smart chunks), character ranges (simple chunks) or cell indexes
+ * (notebooks). This module fetches the neighbouring chunks of the same file
+ * and stitches them into one contiguous, line-numbered region with overlaps
+ * removed, or rebuilds a whole file for the chroma:// file resources.
+ */
+
+const HEADER_PATTERN = /^\/\/ File: .*\n/;
+
+/**
+ * Remove the "// File: ..." header processFile prepends to every chunk
+ * @param {string} content - Stored chunk content
+ * @returns {string} - Original chunk text
+ */
+export function stripChunkHeader(content) {
+  return (content || '').replace(HEADER_PATTERN, '');
+}
+
+/**
+ * Prefix lines with right-aligned line numbers
+ * @param {Array<string>} lines - Lines to number
+ * @param {number} startLine - Number of the first line
+ * @returns {string} - Numbered text
+ */
+export function formatWithLineNumbers(lines, startLine) {
+  const width = String(startLine + lines.length - 1).length;
+  return lines
+    .map((line, idx) => `${String(startLine + idx).padStart(width)} | ${line}`)
+    .join('\n');
+}
+
+/**
+ * Fetch chunks of one file, sorted by chunk_index
+ * @param {Collection} collection - ChromaDB collection
+ * @param {string} fullPath - File path stored in metadata
+ * @param {number|null} fromIndex - First chunk index (null for every chunk)
+ * @param {number|null} toIndex - Last chunk index
+ * @returns {Promise<Array<Object>>} - Chunks {id, content, metadata}
+ */
+async function fetchFileChunks(collection, fullPath, fromIndex = null, toIndex = null) {
+  const where = fromIndex === null
+    ? { full_path: fullPath }
+    : {
+      $and: [
+        { full_path: fullPath },
+        { chunk_index: { $gte: fromIndex } },
+        { chunk_index: { $lte: toIndex } }
+      ]
+    };
+  const result = await collection.get({ where, include: ['documents', 'metadatas'] });
+
+  return (result.ids || [])
+    .map((id, idx) => ({ id, content: result.documents[idx], metadata: result.metadatas[idx] }))
+    .sort((a, b) => a.metadata.chunk_index - b.metadata.chunk_index);
+}
+
+/**
+ * Source lines of a line-addressed (smart) chunk
+ * @param {Object} chunk - Chunk {content, metadata} with start_line
+ * @returns {Object} - {startLine, lines}
+ */
+export function chunkLines(chunk) {
+  const meta = chunk.metadata;
+  let lines = stripChunkHeader(chunk.content).split('\n');
+  // Later parts of a split function start with a synthetic "signature {" line,
+  // later CSV chunks with a copy of the header row
+  if ((meta.is_partial && meta.part_number > 0 && meta.signature) || meta.repeated_header) {
+    lines = lines.slice(1);
+  }
+  return { startLine: meta.start_line, lines };
+}
+
+/**
+ * Stitch line-addressed (smart) chunks, skipping lines already emitted
+ * @param {Array<Object>} chunks - Chunks sorted by chunk_index
+ * @returns {Object} - {lines, startLine, endLine}
+ */
+function stitchByLines(chunks) {
+  const segments = chunks.map(chunkLines).sort((a, b) => a.startLine - b.startLine);
+
+  const output = [];
+  const startLine = segments[0].startLine;
+  let nextLine = startLine;
+
+  for (const segment of segments) {
+    if (segment.startLine > nextLine) {
+      // Code between chunks (imports, top-level statements) is not indexed
+      output.push(`... (lines ${nextLine}-${segment.startLine - 1} not indexed) ...`);
+      nextLine = segment.startLine;
+    }
+    segment.lines.forEach((line, idx) => {
+      const lineNumber = segment.startLine + idx;
+      if (lineNumber >= nextLine) {
+        output.push(line);
+        nextLine = lineNumber + 1;
+      }
+    });
+  }
+
+  return { lines: output, startLine, endLine: nextLine - 1 };
+}
+
+/**
+ * Stitch character-addressed (simple) chunks into text
+ * @param {Array<Object>} chunks - Chunks sorted by chunk_index
+ * @returns {Object} - {text, startChar}
+ */
+function stitchByChars(chunks) {
+  let text = '';
+  const startChar = chunks[0].metadata.start_char || 0;
+  let endChar = startChar;
+
+  for (const chunk of chunks) {
+    const body = stripChunkHeader(chunk.content);
+    const chunkStart = chunk.metadata.start_char || 0;
+    const skip = Math.max(0, endChar - chunkStart);
+    text += body.slice(skip);
+    endChar = chunkStart + body.length;
+  }
+
+  return { text, startChar };
+}
+
+/**
+ * Build the contiguous region around a chunk
+ * @param {Collection} collection - ChromaDB collection
+ * @param {Object} hit - The hit ({id, content, metadata}) to expand
+ * @param {Object} options - {window: chunks on each side, lineNumbers}
+ * @returns {Promise<Object>} - Region with file, line range, chunk ids and text
+ */
+export async function buildContextWindow(collection, hit, options = {}) {
+  const { window = 2, lineNumbers = true } = options;
+  const meta = hit.metadata || {};
+  const index = meta.chunk_index ?? 0;
+  const total = meta.total_chunks ?? 1;
+
+  // Documents not produced by processFile (e.g. store_context) are returned as-is
+  if (!meta.full_path || total <= 1) {
+    const lines = stripChunkHeader(hit.content).split('\n');
+    const startLine = meta.start_line || 1;
+    return {
+      file: meta.relative_path || meta.full_path || meta.filename || null,
+      start_line: startLine,
+      end_line: startLine + lines.length - 1,
+      chunk_ids: [hit.id],
+      text: lineNumbers ? formatWithLineNumbers(lines, startLine) : lines.join('\n')
+    };
+  }
+
+  const fromIndex = Math.max(0, index - window);
+  const toIndex = Math.min(total - 1, index + window);
+
+  // Notebook cells have no offsets in the .ipynb file; show the neighbouring
+  // cells in order, each under its "// File: ... | Cell n/m" header
+  if (meta.cell_index !== undefined && meta.cell_index !== null) {
+    const chunks = await fetchFileChunks(collection, meta.full_path, fromIndex, toIndex);
+    return {
+      file: meta.relative_path || meta.full_path,
+      start_cell: chunks[0].metadata.cell_index + 1,
+      end_cell: chunks[chunks.length - 1].metadata.cell_index + 1,
+      chunk_ids: chunks.map(c => c.id),
+      text: chunks.map(c => c.content).join('\n\n')
+    };
+  }
+
+  if (meta.start_line !== undefined && meta.start_line !== null) {
+    const chunks = await fetchFileChunks(collection, meta.full_path, fromIndex, toIndex);
+    const { lines, startLine, endLine } = stitchByLines(chunks);
+    return {
+      file: meta.relative_path || meta.full_path,
+      start_line: startLine,
+      end_line: endLine,
+      chunk_ids: chunks.map(c => c.id),
+      text: lineNumbers ? formatWithLineNumbers(lines, startLine) : lines.join('\n')
+    };
+  }
+
+  // Simple chunks only know character offsets; stitch from the start of the
+  // file so the line numbers of the window can be counted
+  const chunks = await fetchFileChunks(collection, meta.full_path, 0, toIndex);
+  const { text, startChar } = stitchByChars(chunks);
+  const windowChunks = chunks.filter(c => c.metadata.chunk_index >= fromIndex);
+  const windowStart = (windowChunks[0]?.metadata.start_char || 0) - startChar;
+  const startLine = text.slice(0, windowStart).split('\n').length;
+  const lines = text.slice(windowStart).split('\n');
+
+  return {
+    file: meta.relative_path || meta.full_path,
+    start_line: startLine,
+    end_line: startLine + lines.length - 1,
+    chunk_ids: windowChunks.map(c => c.id),
+    text: lineNumbers ? formatWithLineNumbers(lines, startLine) : lines.join('\n')
+  };
+}
+
+/**
+ * Reassemble a whole indexed file from its chunks
+ * Uses the same stitching as a context window, so code the smart chunker did
+ * not index shows up as a "not indexed" marker and notebooks as their cells.
+ * @param {Collection} collection - ChromaDB collection
+ * @param {string} fullPath - File path stored in metadata
+ * @returns {Promise<Object|null>} - {chunk_count, text}, or null if no chunk has this path
+ */
+export async function reconstructFile(collection, fullPath) {
+  const chunks = await fetchFileChunks(collection, fullPath);
+  if (chunks.length === 0) {
+    return null;
+  }
+
+  const meta = chunks[0].metadata;
+  let text;
+  if (chunks.length === 1) {
+    text = stripChunkHeader(chunks[0].content);
+  } else if (meta.cell_index !== undefined && meta.cell_index !== null) {
+    text = chunks.map(c => c.content).join('\n\n');
+  } else if (meta.start_line !== undefined && meta.start_line !== null) {
+    text = stitchByLines(chunks).lines.join('\n');
+  } else {
+    text = stitchByChars(chunks).text;
+  }
+
+  return { chunk_count: chunks.length, text };
+}
+
+/**
+ * Look up a chunk by id and build its context window
+ * @param {Collection} collection - ChromaDB collection
+ * @param {string} id - Chunk id
+ * @param {Object} options - See buildContextWindow
+ * @returns {Promise<Object|null>} - Region, or null if the id does not exist
+ */
+export async function getContextWindow(collection, id, options = {}) {
+  const result = await collection.get({ ids: [id], include: ['documents', 'metadatas'] });
+  if (!result.ids || result.ids.length === 0) {
+    return null;
+  }
+
+  return buildContextWindow(collection, {
+    id,
+    content: result.documents[0],
+    metadata: result.metadatas[0]
+  }, options);
+}
+
+export default {
+  stripChunkHeader,
+  formatWithLineNumbers,
+  chunkLines,
+  buildContextWindow,
+  reconstructFile,
+  getContextWindow
+};
@@ -0,0 +1,431 @@
+/**
+ * Data Chunker - Record-aware chunking for JSON, YAML, CSV/TSV, TOML and INI
+ *
+ * A data file is cut into records (top-level keys or array elements, rows,
+ * sections) and neighbouring records are packed into chunks up to a size
+ * limit, so no key or row is split in the middle. JSON/YAML records larger
+ * than the limit are replaced by their own children, giving key paths such as
+ * `services.api.environment`. Chunks are exact slices of the file: whole
+ * lines where records start on their own line, characters for minified JSON.
+ */
+
+import { extname } from 'path';
+
+export const DATA_CHUNK_EXTENSIONS = ['.json', '.yaml', '.yml', '.csv', '.tsv', '.toml', '.ini'];
+
+// Most key paths listed in a chunk's metadata
+const MAX_KEY_PATHS = 10;
+
+/**
+ * Join a key onto a parent path
+ * @param {string} parent - Parent path ('' at the root)
+ * @param {string|number} key - Object key or array index
+ * @returns {string} - Path like a.b[2]
+ */
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Offset just past a JSON value
+ * @param {string} text - JSON text
+ * @param {number} start - Offset of the value's first character
+ * @returns {number} - End offset (exclusive)
+ */
+function jsonValueEnd(text, start) {
+  let depth = 0;
+  let i = start;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\') i++;
+      }
+      if (depth === 0) return i + 1;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return i + 1;
+    } else if (depth === 0 && (char === ',' || /\s/.test(char))) {
+      return i;
+    }
+  }
+  return i;
+}
+
+/**
+ * Offset of the next non-whitespace character
+ * @param {string} text - Text
+ * @param {number} i - Start offset
+ * @returns {number} - Offset
+ */
+function skipWhitespace(text, i) {
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+}
+
+/**
+ * Members of a JSON object or elements of an array
+ * @param {string} text - JSON text
+ * @param {number} open - Offset of the opening { or [
+ * @param {string} path - Path of the container
+ * @returns {Array<Object>} - Records {start, path, children}
+ */
+function jsonChildren(text, open, path) {
+  const isObject = text[open] === '{';
+  const children = [];
+  let i = skipWhitespace(text, open + 1);
+
+  while (i < text.length && text[i] !== '}' && text[i] !== ']') {
+    const start = i;
+    let key = children.length;
+    if (isObject) {
+      const keyEnd = jsonValueEnd(text, i);
+      key = JSON.parse(text.slice(i, keyEnd));
+      i = skipWhitespace(text, keyEnd) + 1; // past the colon
+      i = skipWhitespace(text, i);
+    }
+    const valueEnd = jsonValueEnd(text, i);
+    children.push({ start, path: joinPath(path, key), valueStart: i, valueEnd });
+    i = skipWhitespace(text, valueEnd);
+    if (text[i] === ',') i = skipWhitespace(text, i + 1);
+  }
+
+  return children.map(child => ({
+    start: child.start,
+    path: child.path,
+    children: '{['.includes(text[child.valueStart]) ? () => jsonChildren(text, child.valueStart, child.path) : null
+  }));
+}
+
+/**
+ * Top-level records of a JSON document
+ * @param {string} text - JSON text
+ * @returns {Array<Object>|null} - Records, or null if the text is not a JSON object/array
+ */
+function jsonRecords(text) {
+  try {
+    JSON.parse(text);
+  } catch {
+    return null;
+  }
+  const open = skipWhitespace(text, 0);
+  return '{['.includes(text[open]) ? jsonChildren(text, open, '') : null;
+}
+
+/**
+ * Offsets at which each line starts
+ * @param {string} text - Text
+ * @returns {Array<number>} - Line start offsets
+ */
+function lineOffsets(text) {
+  const offsets = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') offsets.push(i + 1);
+  }
+  return offsets;
+}
+
+/**
+ * Index of the line containing an offset
+ * @param {Array<number>} offsets - Line start offsets
+ * @param {number} offset - Character offset
+ * @returns {number} - 0-indexed line
+ */
+function lineIndex(offsets, offset) {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= offset) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * Indentation of a YAML line, or -1 for blank lines, comments and document markers
+ * @param {string} line - Line
+ * @returns {number} - Indentation
+ */
+function yamlIndent(line) {
+  if (!line.trim() || /^\s*#/.test(line) || /^(---|\.\.\.)(\s|$)/.test(line)) return -1;
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * Records of a YAML block: keys or sequence items at one indentation
+ * @param {Array<string>} lines - Document lines
+ * @param {Array<number>} offsets - Line start offsets
+ * @param {number} from - First line of the block
+ * @param {number} to - Line after the block
+ * @param {string} path - Path of the block
+ * @returns {Array<Object>} - Records {start, path, children}
+ */
+function yamlBlockRecords(lines, offsets, from, to, path) {
+  const indents = [];
+  for (let i = from; i < to; i++) {
+    if (yamlIndent(lines[i]) >= 0) indents.push(yamlIndent(lines[i]));
+  }
+  if (indents.length === 0) return [];
+  const indent = Math.min(...indents);
+
+  const starts = [];
+  for (let i = from; i < to; i++) {
+    if (yamlIndent(lines[i]) === indent) starts.push(i);
+  }
+
+  let index = 0;
+  return starts.map((line, n) => {
+    const text = lines[line].trim();
+    const end = starts[n + 1] ?? to;
+    const keyMatch = text.match(/^(?:"([^"]+)"|'([^']+)'|([^\s#'"][^:#]*?))\s*:(\s|$)/);
+    const key = text.startsWith('- ') || text === '-'
+      ? index++
+      : (keyMatch ? (keyMatch[1] ?? keyMatch[2] ?? keyMatch[3]) : text);
+    const childPath = joinPath(path, key);
+
+    // Only "key:" opening a nested block can be split further (not "key: |" scalars)
+    const opensBlock = /:\s*(#.*)?$/.test(text) && end > line + 1;
+    return {
+      start: offsets[line],
+      path: childPath,
+      children: opensBlock ? () => yamlBlockRecords(lines, offsets, line + 1, end, childPath) : null
+    };
+  });
+}
+
+/**
+ * Rows of a CSV/TSV file, honouring quoted fields that span lines
+ * @param {string} text - File text
+ * @returns {Array<Object>|null} - Records {start, row} (row 0 is the header), or null without data rows
+ */
+function csvRecords(text) {
+  const records = [];
+  let inQuotes = false;
+  let rowStart = 0;
+
+  for (let i = 0; i <= text.length; i++) {
+    if (text[i] === '"') inQuotes = !inQuotes;
+    if ((text[i] === '\n' || i === text.length) && !inQuotes) {
+      if (text.slice(rowStart, i).trim()) {
+        records.push({ start: rowStart, row: records.length });
+      }
+      rowStart = i + 1;
+    }
+  }
+
+  return records.length > 1 ? records : null;
+}
+
+/**
+ * Sections of a TOML or INI file; keys before the first section form the root record
+ * @param {Array<string>} lines - File lines
+ * @param {Array<number>} offsets - Line start offsets
+ * @returns {Array<Object>|null} - Records, or null without sections
+ */
+function sectionRecords(lines, offsets) {
+  const records = [{ start: 0, path: '(root)', children: null }];
+  const arrayCounts = new Map();
+
+  lines.forEach((line, idx) => {
+    const match = line.match(/^\s*(\[\[?)\s*([^\]]+?)\s*\]\]?\s*([#;].*)?$/);
+    if (!match) return;
+
+    let path = match[2];
+    if (match[1] === '[[') {
+      // TOML array of tables: [[servers]] -> servers[0], servers[1]...
+      const count = arrayCounts.get(path) || 0;
+      arrayCounts.set(path, count + 1);
+      path = `${path}[${count}]`;
+    }
+    records.push({ start: offsets[idx], path, children: null });
+  });
+
+  if (records.length === 1) return null;
+
+  // Without keys before the first section there is no root record
+  const preamble = lines.slice(0, lineIndex(offsets, records[1].start));
+  if (!preamble.some(line => line.trim() && !/^\s*[#;]/.test(line))) {
+    records.shift();
+  }
+  return records;
+}
+
+/**
+ * Replace records larger than the limit by their children, recursively
+ * @param {Array<Object>} records - Records {start, path, children}
+ * @param {number} end - Offset where the last record ends
+ * @param {number} maxChunkSize - Size limit
+ * @returns {Array<Object>} - Flat records {start, end, path}
+ */
+function flattenRecords(records, end, maxChunkSize) {
+  const flat = [];
+
+  records.forEach((record, idx) => {
+    const recordEnd = records[idx + 1]?.start ?? end;
+    const children = recordEnd - record.start > maxChunkSize && record.children ? record.children() : [];
+
+    if (children.length > 0) {
+      // The record's opening line goes with its first child
+      children[0] = { ...children[0], start: record.start };
+      flat.push(...flattenRecords(children, recordEnd, maxChunkSize));
+    } else {
+      flat.push({ start: record.start, end: recordEnd, path: record.path });
+    }
+  });
+
+  return flat;
+}
+
+/**
+ * Move record boundaries to line starts, unless two records share a line
+ * @param {Array<Object>} records - Flat records
+ * @param {Array<number>} offsets - Line start offsets
+ * @returns {boolean} - True if the records now cover whole lines
+ */
+function snapToLines(records, offsets) {
+  const lines = records.map(r => lineIndex(offsets, r.start));
+  if (lines.some((line, idx) => idx > 0 && line === lines[idx - 1])) return false;
+
+  records.forEach((record, idx) => {
+    record.start = idx === 0 ? 0 : offsets[lines[idx]];
+    if (idx > 0) records[idx - 1].end = record.start;
+  });
+  return true;
+}
+
+/**
+ * Pack neighbouring records into chunks up to the size limit
+ * @param {Array<Object>} records - Flat records {start, end, path}
+ * @param {number} maxChunkSize - Size limit
+ * @returns {Array<Array<Object>>} - Groups of records
+ */
+function groupRecords(records, maxChunkSize) {
+  const groups = [];
+  let current = [];
+
+  for (const record of records) {
+    const size = current.length > 0 ? record.end - current[0].start : 0;
+    if (current.length > 0 && size > maxChunkSize) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(record);
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Metadata label for the key paths of a group
+ * @param {Array<Object>} group - Records
+ * @returns {string} - Comma-separated paths
+ */
+function describePaths(group) {
+  const paths = group.map(r => r.path);
+  return paths.length > MAX_KEY_PATHS
+    ? `${paths.slice(0, MAX_KEY_PATHS).join(', ')}, ... (+${paths.length - MAX_KEY_PATHS})`
+    : paths.join(', ');
+}
+
+/**
+ * Chunk a structured data file by its records
+ * @param {string} text - File text
+ * @param {string} filePath - File path (selects the format)
+ * @param {Object} options - {maxChunkSize}
+ * @returns {Array<Object>|null} - Chunks {content, keyPath, startLine/endLine or startChar/endChar, ...},
+ *   or null if the file cannot be parsed (callers fall back to character chunking)
+ */
+export function chunkData(text, filePath, options = {}) {
+  const { maxChunkSize = 1500 } = options;
+  const ext = extname(filePath).toLowerCase();
+  const lines = text.split('\n');
+  const offsets = lineOffsets(text);
+
+  let format;
+  let records;
+  switch (ext) {
+    case '.json':
+      format = 'json';
+      records = jsonRecords(text);
+      break;
+    case '.yaml':
+    case '.yml':
+      format = 'yaml';
+      records = yamlBlockRecords(lines, offsets, 0, lines.length, '');
+      break;
+    case '.csv':
+    case '.tsv':
+      format = ext.slice(1);
+      records = csvRecords(text);
+      break;
+    default:
+      format = ext.slice(1);
+      records = sectionRecords(lines, offsets);
+  }
+  if (!records || records.length === 0) return null;
+
+  if (format === 'csv' || format === 'tsv') {
+    return chunkRows(text, records, offsets, format, maxChunkSize);
+  }
+
+  const flat = flattenRecords(records, text.length, maxChunkSize);
+  const byLine = snapToLines(flat, offsets);
+  flat[0].start = 0;
+
+  return groupRecords(flat, maxChunkSize).map(group => {
+    const start = group[0].start;
+    const end = group[group.length - 1].end;
+    const content = text.slice(start, end).replace(/\n$/, '');
+    const startLine = lineIndex(offsets, start) + 1;
+    const position = byLine
+      ? { startLine, endLine: startLine + content.split('\n').length - 1 }
+      : { startChar: start, endChar: end };
+    return { content, format, keyPath: describePaths(group), ...position };
+  });
+}
+
+/**
+ * Chunk CSV/TSV rows, repeating the header row at the top of every chunk
+ * @param {string} text - File text
+ * @param {Array<Object>} records - Header and row records
+ * @param {Array<number>} offsets - Line start offsets
+ * @param {string} format - csv or tsv
+ * @param {number} maxChunkSize - Size limit
+ * @returns {Array<Object>} - Chunks
+ */
+function chunkRows(text, records, offsets, format, maxChunkSize) {
+  const rows = records.map((record, idx) => ({
+    ...record,
+    end: records[idx + 1]?.start ?? text.length
+  }));
+  const header = text.slice(rows[0].start, rows[0].end).replace(/\r?\n$/, '');
+
+  return groupRecords(rows.slice(1), maxChunkSize - header.length).map((group, idx) => {
+    // The first chunk starts at the real header line; later ones repeat it
+    const start = idx === 0 ? 0 : group[0].start;
+    const body = text.slice(start, group[group.length - 1].end).replace(/\r?\n$/, '');
+    const startLine = lineIndex(offsets, start) + 1;
+    const rowStart = group[0].row;
+    const rowEnd = group[group.length - 1].row;
+    return {
+      content: idx === 0 ? body : `${header}\n${body}`,
+      format,
+      keyPath: `rows ${rowStart}-${rowEnd}`,
+      startLine,
+      endLine: startLine + body.split('\n').length - 1,
+      repeatedHeader: idx > 0,
+      columns: header,
+      rowStart,
+      rowEnd
+    };
+  });
+}
+
+export default {
+  DATA_CHUNK_EXTENSIONS,
+  chunkData
+};
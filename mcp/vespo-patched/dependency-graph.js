@@ -0,0 +1,502 @@
+/**
+ * Dependency Graph - Module import/export graph recorded during ingestion
+ *
+ * Every ingested file with a supported language gets one entry in a side
+ * collection (<collection>_module_graph) holding its imports, resolved to
+ * other files of the repository where possible, and its exported names.
+ * get_dependencies and get_dependents walk these entries in either direction.
+ * Files are keyed by their path relative to one fixed root (the workspace
+ * mount), so ingesting several subdirectories into one collection yields
+ * matching keys.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { dirname, join, relative, resolve, extname, isAbsolute } from 'path';
+import { extractModuleInfo, detectLanguage } from './code-parser.js';
+import { generateDocId } from './batch-processor.js';
+import { logWarn } from './logger.js';
+
+export const MODULE_GRAPH_SUFFIX = '_module_graph';
+
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 100;
+
+// Languages extractModuleInfo understands
+const GRAPH_LANGUAGES = ['javascript', 'typescript', 'python'];
+
+// Extensions tried, in order, for extensionless JS/TS specifiers
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// TypeScript sources import each other by their compiled .js names
+const COMPILED_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+/**
+ * Name of the side collection holding a collection's module graph
+ * @param {string} collection - Source collection name
+ * @returns {string} - Graph collection name
+ */
+export function moduleGraphCollectionName(collection) {
+  return `${collection}${MODULE_GRAPH_SUFFIX}`;
+}
+
+/**
+ * Path a file is stored under: relative to the root, or absolute outside it
+ * @param {string} root - Fixed root of stored paths
+ * @param {string} fullPath - File path
+ * @returns {string} - Stored path
+ */
+export function storedPath(root, fullPath) {
+  const path = relative(root, fullPath);
+  return path.startsWith('..') || isAbsolute(path) ? fullPath : path;
+}
+
+/**
+ * Check whether a path is an existing file, caching the answer
+ * @param {string} filePath - Path to check
+ * @param {Map<string, boolean>} cache - Lookup cache
+ * @returns {Promise<boolean>} - True for a regular file
+ */
+async function isFile(filePath, cache) {
+  if (!cache.has(filePath)) {
+    cache.set(filePath, await stat(filePath).then(s => s.isFile(), () => false));
+  }
+  return cache.get(filePath);
+}
+
+/**
+ * Return the first candidate path that exists
+ * @param {Array<string>} candidates - Paths in order of preference
+ * @param {Map<string, boolean>} cache - Lookup cache
+ * @returns {Promise<string|null>} - Existing path
+ */
+async function firstExisting(candidates, cache) {
+  for (const candidate of candidates) {
+    if (await isFile(candidate, cache)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Package name of a bare specifier (lodash/fp -> lodash, @scope/pkg/x -> @scope/pkg)
+ * @param {string} specifier - Import specifier
+ * @returns {string} - Package name
+ */
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Resolve a JavaScript/TypeScript specifier to a file
+ * @param {string} source - Import specifier
+ * @param {string} fromFile - Importing file
+ * @param {Map<string, boolean>} cache - Lookup cache
+ * @returns {Promise<Object>} - {resolved: full path} or {external: package name}
+ */
+async function resolveScriptImport(source, fromFile, cache) {
+  if (!source.startsWith('.') && !source.startsWith('/')) {
+    return { external: packageName(source) };
+  }
+
+  const target = resolve(dirname(fromFile), source);
+  const ext = extname(target);
+  const candidates = [
+    target,
+    ...(COMPILED_EXTENSIONS[ext] || []).map(e => target.slice(0, -ext.length) + e),
+    ...SCRIPT_EXTENSIONS.map(e => target + e),
+    ...SCRIPT_EXTENSIONS.map(e => join(target, `index${e}`))
+  ];
+  return { resolved: await firstExisting(candidates, cache) };
+}
+
+/**
+ * Resolve a Python module to a file
+ * @param {Object} entry - Import {source, names}
+ * @param {string} fromFile - Importing file
+ * @param {string} basePath - Repository root for absolute imports
+ * @param {Map<string, boolean>} cache - Lookup cache
+ * @returns {Promise<Object>} - {resolved: full path} or {external: package name}
+ */
+async function resolvePythonImport(entry, fromFile, basePath, cache) {
+  const { source, names } = entry;
+  const dots = source.match(/^\.*/)[0].length;
+  const modulePath = source.slice(dots).split('.').filter(Boolean);
+
+  let root = basePath;
+  if (dots > 0) {
+    root = dirname(fromFile);
+    for (let i = 1; i < dots; i++) root = dirname(root);
+  }
+
+  const target = join(root, ...modulePath);
+  const moduleCandidates = [`${target}.py`, join(target, '__init__.py')];
+
+  // "from . import util" names a submodule rather than a symbol
+  const resolved = modulePath.length > 0
+    ? await firstExisting(moduleCandidates, cache)
+    : await firstExisting([...names.map(n => join(target, `${n}.py`)), join(target, '__init__.py')], cache);
+
+  if (resolved || dots > 0) {
+    return { resolved };
+  }
+  return { external: modulePath[0] };
+}
+
+/**
+ * Extract and resolve one file's imports and exports
+ * @param {string} fullPath - File path
+ * @param {Object} paths - {basePath: repository root for Python imports, root: root of stored paths}
+ * @param {Map<string, boolean>} cache - Lookup cache
+ * @returns {Promise<Object|null>} - Graph entry, or null for unsupported languages
+ */
+async function buildModuleEntry(fullPath, paths, cache) {
+  const { basePath, root } = paths;
+  const code = await readFile(fullPath, 'utf-8');
+  const info = await extractModuleInfo(code, fullPath);
+  if (!info) return null;
+
+  const language = detectLanguage(fullPath);
+  const isPython = language === 'python';
+  const imports = [];
+  const seen = new Set();
+
+  for (const entry of info.imports) {
+    const key = `${entry.kind}:${entry.source}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const target = isPython
+      ? await resolvePythonImport(entry, fullPath, basePath, cache)
+      : await resolveScriptImport(entry.source, fullPath, cache);
+
+    imports.push({
+      ...entry,
+      ...(target.resolved ? { resolved: storedPath(root, target.resolved) } : {}),
+      ...(target.external ? { external: target.external } : {})
+    });
+  }
+
+  return {
+    file: storedPath(root, fullPath),
+    full_path: fullPath,
+    language,
+    imports,
+    exports: info.exports
+  };
+}
+
+/**
+ * Build graph entries for ingested files
+ * @param {Array<string>} fullPaths - Ingested files
+ * @param {string} basePath - Repository root, for Python absolute imports
+ * @param {string} root - Root of stored paths (default basePath)
+ * @returns {Promise<Array<Object>>} - Entries {file, full_path, language, imports, exports}
+ */
+export async function buildModuleGraphEntries(fullPaths, basePath, root = basePath) {
+  const cache = new Map();
+  const entries = [];
+
+  for (const fullPath of fullPaths) {
+    if (!GRAPH_LANGUAGES.includes(detectLanguage(fullPath))) continue;
+    try {
+      const entry = await buildModuleEntry(fullPath, { basePath, root }, cache);
+      if (entry) entries.push(entry);
+    } catch (error) {
+      logWarn(`Failed to extract imports from ${fullPath}: ${error.message}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Count imports that resolved to a file of the repository
+ * @param {Array<Object>} entries - Graph entries
+ * @returns {number} - Edge count
+ */
+export function countEdges(entries) {
+  return entries.reduce((sum, e) => sum + e.imports.filter(i => i.resolved).length, 0);
+}
+
+/**
+ * Get (or create) the side collection of a collection's graph
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<Collection>} - Graph collection
+ */
+async function getGraphCollection(client, collection) {
+  return client.getOrCreateCollection({
+    name: moduleGraphCollectionName(collection),
+    metadata: { source_collection: collection, purpose: 'module_graph' }
+  });
+}
+
+/**
+ * Look up the side collection of a collection's graph without creating it
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<Collection|null>} - Graph collection, or null if none was indexed
+ */
+async function findGraphCollection(client, collection) {
+  try {
+    return await client.getCollection({ name: moduleGraphCollectionName(collection) });
+  } catch (error) {
+    // Newer servers answer 404, older ones a ValueError naming the collection
+    if (error.name === 'ChromaNotFoundError' || /does not exist/i.test(error.message)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Store graph entries, replacing earlier entries for the same files
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @param {Array<Object>} entries - Entries from buildModuleGraphEntries
+ * @returns {Promise<number>} - Entries stored
+ */
+export async function saveModuleGraph(client, collection, entries) {
+  if (entries.length === 0) return 0;
+  const graph = await getGraphCollection(client, collection);
+
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const batch = entries.slice(i, i + BATCH_SIZE);
+    await graph.upsert({
+      ids: batch.map(e => generateDocId(e.full_path, 'module')),
+      documents: batch.map(e => [
+        `Module ${e.file}`,
+        `Imports: ${e.imports.map(imp => imp.resolved || imp.source).join(', ') || '(none)'}`,
+        `Exports: ${e.exports.join(', ') || '(none)'}`
+      ].join('\n')),
+      // Entries are looked up by metadata only; a constant vector keeps the
+      // collection's embedding function from ever running
+      embeddings: batch.map(() => [0]),
+      metadatas: batch.map(e => ({
+        source_collection: collection,
+        file: e.file,
+        full_path: e.full_path,
+        language: e.language,
+        import_count: e.imports.length,
+        imports: JSON.stringify(e.imports),
+        exports: JSON.stringify(e.exports)
+      }))
+    });
+  }
+
+  return entries.length;
+}
+
+/**
+ * Remove graph entries of files that no longer exist
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @param {Array<string>} fullPaths - Removed files
+ */
+export async function removeModuleGraphEntries(client, collection, fullPaths) {
+  if (fullPaths.length === 0) return;
+  const graph = await findGraphCollection(client, collection);
+  if (!graph) return;
+  const ids = fullPaths.map(p => generateDocId(p, 'module'));
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    await graph.delete({ ids: ids.slice(i, i + BATCH_SIZE) });
+  }
+}
+
+/**
+ * Record the modules of an ingest run and forget removed files
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @param {Object} options - {fullPaths: ingested files, basePath, root, removed: deleted files}
+ * @returns {Promise<Object>} - {files, edges}
+ */
+export async function updateModuleGraph(client, collection, options = {}) {
+  const { fullPaths = [], basePath, root = basePath, removed = [] } = options;
+  const entries = await buildModuleGraphEntries([...new Set(fullPaths)], basePath, root);
+  await saveModuleGraph(client, collection, entries);
+  await removeModuleGraphEntries(client, collection, removed);
+  return { files: entries.length, edges: countEdges(entries) };
+}
+
+/**
+ * Delete a collection's graph, if it has one
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<boolean>} - True if a graph was deleted
+ */
+export async function deleteModuleGraph(client, collection) {
+  if (!await findGraphCollection(client, collection)) return false;
+  await client.deleteCollection({ name: moduleGraphCollectionName(collection) });
+  return true;
+}
+
+/**
+ * Load every graph entry of a collection
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<Array<Object>|null>} - Entries, or null if no graph was indexed
+ */
+export async function loadModuleGraph(client, collection) {
+  const graph = await findGraphCollection(client, collection);
+  if (!graph) return null;
+  const entries = [];
+  let offset = 0;
+
+  while (true) {
+    const page = await graph.get({ include: ['metadatas'], limit: PAGE_SIZE, offset });
+    const metadatas = page.metadatas || [];
+
+    for (const meta of metadatas) {
+      entries.push({
+        file: meta.file,
+        full_path: meta.full_path,
+        language: meta.language,
+        imports: JSON.parse(meta.imports || '[]'),
+        exports: JSON.parse(meta.exports || '[]')
+      });
+    }
+
+    if (metadatas.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return entries;
+}
+
+/**
+ * Find the entries a user-supplied path refers to
+ * Accepts the relative path, the full path, a path suffix, or either without
+ * its extension.
+ * @param {Array<Object>} entries - Graph entries
+ * @param {string} query - File or module path
+ * @returns {Array<Object>} - Matching entries (several when ambiguous)
+ */
+export function findModule(entries, query) {
+  const normalized = query.replace(/\\/g, '/').replace(/^\.\//, '');
+  const stripExt = p => p.slice(0, p.length - extname(p).length);
+
+  const exact = entries.filter(e => e.file === normalized || e.full_path === query);
+  if (exact.length > 0) return exact;
+
+  const matches = candidate => candidate === normalized || candidate.endsWith(`/${normalized}`);
+  const bySuffix = entries.filter(e => matches(e.file));
+  if (bySuffix.length > 0) return bySuffix;
+
+  return entries.filter(e => matches(stripExt(e.file)));
+}
+
+/**
+ * Walk imports of a file, breadth first
+ * @param {Array<Object>} entries - Graph entries
+ * @param {Object} start - Entry to start from
+ * @param {Object} options - {depth}
+ * @returns {Object} - {file, exports, dependencies, external, unresolved}
+ */
+export function getDependencies(entries, start, options = {}) {
+  const { depth = 1 } = options;
+  const byFile = new Map(entries.map(e => [e.file, e]));
+  const dependencies = [];
+  const external = new Map();
+  const unresolved = [];
+  const visited = new Set([start.file]);
+  let frontier = [start];
+
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const entry of frontier) {
+      for (const imp of entry.imports) {
+        if (imp.external) {
+          if (!external.has(imp.external)) external.set(imp.external, new Set());
+          external.get(imp.external).add(entry.file);
+          continue;
+        }
+        if (!imp.resolved) {
+          if (level === 1) unresolved.push(imp.source);
+          continue;
+        }
+        if (visited.has(imp.resolved)) continue;
+        visited.add(imp.resolved);
+
+        dependencies.push({
+          file: imp.resolved,
+          depth: level,
+          via: entry.file,
+          kind: imp.kind,
+          names: imp.names
+        });
+        // Targets outside the ingested set are listed but cannot be followed
+        if (byFile.has(imp.resolved)) next.push(byFile.get(imp.resolved));
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    file: start.file,
+    exports: start.exports,
+    dependencies,
+    external: [...external.entries()].map(([name, from]) => ({ package: name, imported_by: [...from] })),
+    unresolved
+  };
+}
+
+/**
+ * Walk files importing a module or external package, breadth first
+ * @param {Array<Object>} entries - Graph entries
+ * @param {Object} target - {file} of a graph entry, or {package} name
+ * @param {Object} options - {depth}
+ * @returns {Object} - {target, dependents}
+ */
+export function getDependents(entries, target, options = {}) {
+  const { depth = 1 } = options;
+  const importers = new Map(); // file -> [{file, kind, names}]
+
+  for (const entry of entries) {
+    for (const imp of entry.imports) {
+      const key = imp.resolved || (imp.external ? `package:${imp.external}` : null);
+      if (!key) continue;
+      if (!importers.has(key)) importers.set(key, []);
+      importers.get(key).push({ file: entry.file, kind: imp.kind, names: imp.names });
+    }
+  }
+
+  const startKey = target.package ? `package:${target.package}` : target.file;
+  const dependents = [];
+  const visited = new Set([startKey]);
+  let frontier = [startKey];
+
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const key of frontier) {
+      for (const importer of importers.get(key) || []) {
+        if (visited.has(importer.file)) continue;
+        visited.add(importer.file);
+        dependents.push({ ...importer, depth: level, via: key.replace(/^package:/, '') });
+        next.push(importer.file);
+      }
+    }
+    frontier = next;
+  }
+
+  return { target: target.package || target.file, dependents };
+}
+
+export default {
+  MODULE_GRAPH_SUFFIX,
+  moduleGraphCollectionName,
+  storedPath,
+  buildModuleGraphEntries,
+  countEdges,
+  saveModuleGraph,
+  removeModuleGraphEntries,
+  updateModuleGraph,
+  deleteModuleGraph,
+  loadModuleGraph,
+  findModule,
+  getDependencies,
+  getDependents
+};
@@ -0,0 +1,261 @@
+/**
+ * Document Chunker - Heading-aware chunking for Markdown and reStructuredText
+ *
+ * Documents are cut at headings instead of every N characters: each chunk is
+ * one section and remembers its heading breadcrumb, e.g.
+ * "Installation > Windows". A heading with hardly any text of its own is kept
+ * with its first subsection, and oversized sections are split at
+ * blank lines, never inside a fenced code block, literal block or front
+ * matter. Chunks are exact, non-overlapping line ranges of the document.
+ */
+
+import { extname } from 'path';
+
+export const DOCUMENT_CHUNK_EXTENSIONS = ['.md', '.markdown', '.rst'];
+
+// Parts smaller than this fraction of the chunk size are folded into a neighbour
+const MIN_CHUNK_RATIO = 0.2;
+
+// Underline characters reStructuredText accepts for section titles
+const RST_ADORNMENT = /^([=\-`:'"~^_*+#<>.])\1{2,}\s*$/;
+
+/**
+ * Find Markdown headings, skipping fenced code and front matter
+ * @param {Array<string>} lines - Document lines
+ * @returns {Object} - {headings: [{line, level, title, lines}], protectedLines: Set}
+ */
+function findMarkdownHeadings(lines) {
+  const headings = [];
+  const protectedLines = new Set(); // lines a chunk boundary may not follow
+  let fence = null;
+  let start = 0;
+
+  // YAML front matter
+  if (lines[0]?.trim() === '---') {
+    const end = lines.findIndex((line, idx) => idx > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (end > 0) {
+      for (let i = 0; i < end; i++) protectedLines.add(i);
+      start = end + 1;
+    }
+  }
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+
+    if (fence) {
+      protectedLines.add(i);
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+        fence = null;
+        protectedLines.delete(i);
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      protectedLines.add(i);
+      continue;
+    }
+
+    const atx = line.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/);
+    if (atx) {
+      headings.push({ line: i, level: atx[1].length, title: (atx[2] || '').trim(), lines: 1 });
+      continue;
+    }
+
+    // Setext: a paragraph line underlined with === (h1) or --- (h2)
+    const next = lines[i + 1];
+    if (next !== undefined && line.trim() && !/^\s{4,}/.test(line) && /^ {0,3}(=+|-+)\s*$/.test(next) &&
+        !/^\s*([-*+]\s|\d+[.)]\s|>|\|)/.test(line)) {
+      headings.push({ line: i, level: next.trim()[0] === '=' ? 1 : 2, title: line.trim(), lines: 2 });
+      i++;
+    }
+  }
+
+  return { headings, protectedLines };
+}
+
+/**
+ * Find reStructuredText section titles and literal blocks
+ * Levels follow the order in which adornment styles first appear.
+ * @param {Array<string>} lines - Document lines
+ * @returns {Object} - {headings: [{line, level, title, lines}], protectedLines: Set}
+ */
+function findRstHeadings(lines) {
+  const headings = [];
+  const protectedLines = new Set();
+  const styles = [];
+  let literal = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Indented lines after "::" or a directive belong to a literal/code block
+    if (literal) {
+      if (!line.trim() || /^\s/.test(line)) {
+        protectedLines.add(i);
+        continue;
+      }
+      literal = false;
+    }
+    if (/::\s*$/.test(line) || /^\.\.\s+[\w-]+::/.test(line)) {
+      literal = true;
+      protectedLines.add(i);
+      continue;
+    }
+
+    const overline = RST_ADORNMENT.test(line) && lines[i + 1]?.trim() && RST_ADORNMENT.test(lines[i + 2] || '') &&
+      lines[i + 2].trim()[0] === line.trim()[0];
+    const underline = !overline && line.trim() && !/^\s/.test(line) && RST_ADORNMENT.test(lines[i + 1] || '') &&
+      lines[i + 1].trim().length >= line.trim().length;
+
+    if (overline || underline) {
+      const style = `${overline ? 'over' : ''}${(overline ? line : lines[i + 1]).trim()[0]}`;
+      if (!styles.includes(style)) styles.push(style);
+      headings.push({
+        line: i,
+        level: styles.indexOf(style) + 1,
+        title: (overline ? lines[i + 1] : line).trim(),
+        lines: overline ? 3 : 2
+      });
+      i += overline ? 2 : 1;
+    }
+  }
+
+  return { headings, protectedLines };
+}
+
+/**
+ * Cut the document into sections at headings
+ * @param {Array<string>} lines - Document lines
+ * @param {Array<Object>} headings - Headings in document order
+ * @returns {Array<Object>} - Sections {start, end, path, level} (0-indexed, end inclusive)
+ */
+function buildSections(lines, headings) {
+  const sections = [];
+  const stack = []; // open headings {level, title}
+
+  if (headings.length === 0 || headings[0].line > 0) {
+    sections.push({ start: 0, end: (headings[0]?.line ?? lines.length) - 1, path: [], level: 0 });
+  }
+
+  headings.forEach((heading, idx) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+    stack.push(heading);
+    sections.push({
+      start: heading.line,
+      end: (headings[idx + 1]?.line ?? lines.length) - 1,
+      path: stack.map(h => h.title),
+      level: heading.level
+    });
+  });
+
+  return sections;
+}
+
+/**
+ * Character length of a line range
+ * @param {Array<string>} lines - Document lines
+ * @param {number} start - First line
+ * @param {number} end - Last line (inclusive)
+ * @returns {number} - Length including newlines
+ */
+function rangeLength(lines, start, end) {
+  let length = 0;
+  for (let i = start; i <= end; i++) length += lines[i].length + 1;
+  return length;
+}
+
+/**
+ * Split an oversized section at blank lines outside protected blocks
+ * A single block larger than the limit (e.g. a long code fence) stays whole.
+ * @param {Array<string>} lines - Document lines
+ * @param {Object} section - Section {start, end}
+ * @param {Set<number>} protectedLines - Lines inside fences/literal blocks
+ * @param {number} maxChunkSize - Target chunk size in characters
+ * @param {number} minChunkSize - Smallest part worth its own chunk
+ * @returns {Array<Array<number>>} - [start, end] ranges
+ */
+function splitSection(lines, section, protectedLines, maxChunkSize, minChunkSize) {
+  const ranges = [];
+  let start = section.start;
+  let size = 0;
+  let lastBreak = -1; // last blank line a part may end on
+
+  for (let i = section.start; i <= section.end; i++) {
+    size += lines[i].length + 1;
+
+    if (size > maxChunkSize && lastBreak >= start && rangeLength(lines, start, lastBreak) >= minChunkSize) {
+      ranges.push([start, lastBreak]);
+      start = lastBreak + 1;
+      size = rangeLength(lines, start, i);
+      lastBreak = -1;
+    }
+
+    // Breaking before an indented line could cut a literal block or list
+    const nextIndented = /^\s+\S/.test(lines[i + 1] || '');
+    if (!lines[i].trim() && !protectedLines.has(i) && !nextIndented) {
+      lastBreak = i;
+    }
+  }
+
+  // A short tail joins the previous part rather than standing alone
+  if (ranges.length > 0 && rangeLength(lines, start, section.end) < minChunkSize) {
+    ranges[ranges.length - 1][1] = section.end;
+  } else {
+    ranges.push([start, section.end]);
+  }
+  return ranges;
+}
+
+/**
+ * Chunk a Markdown or reStructuredText document by its heading hierarchy
+ * @param {string} text - Document text
+ * @param {string} filePath - File path (selects the syntax)
+ * @param {Object} options - {maxChunkSize}
+ * @returns {Array<Object>} - Chunks {content, startLine, endLine, headingPath, heading, level}
+ */
+export function chunkDocument(text, filePath, options = {}) {
+  const { maxChunkSize = 1500 } = options;
+  const minChunkSize = Math.floor(maxChunkSize * MIN_CHUNK_RATIO);
+  const lines = text.split('\n');
+  const isRst = extname(filePath).toLowerCase() === '.rst';
+  const { headings, protectedLines } = isRst ? findRstHeadings(lines) : findMarkdownHeadings(lines);
+
+  // "## Setup" followed directly by "### Linux" becomes one chunk under the
+  // deeper breadcrumb; the same goes for a short preamble before the first heading
+  const merged = [];
+  for (const section of buildSections(lines, headings)) {
+    const prev = merged[merged.length - 1];
+    const nested = prev && prev.path.length < section.path.length &&
+      prev.path.every((title, idx) => section.path[idx] === title);
+    if (nested && rangeLength(lines, prev.start, prev.end) < minChunkSize) {
+      merged[merged.length - 1] = { ...section, start: prev.start };
+    } else {
+      merged.push({ ...section });
+    }
+  }
+
+  const chunks = [];
+  for (const section of merged) {
+    for (const [start, end] of splitSection(lines, section, protectedLines, maxChunkSize, minChunkSize)) {
+      const content = lines.slice(start, end + 1).join('\n');
+      if (!content.trim()) continue;
+      chunks.push({
+        content,
+        startLine: start + 1,
+        endLine: end + 1,
+        headingPath: section.path,
+        heading: section.path[section.path.length - 1] || null,
+        level: section.level
+      });
+    }
+  }
+
+  return chunks;
+}
+
+export default {
+  DOCUMENT_CHUNK_EXTENSIONS,
+  chunkDocument
+};
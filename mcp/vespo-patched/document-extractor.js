@@ -0,0 +1,503 @@
+/**
+ * Document Extractor - Plain text from PDF, DOCX, ODT and RTF files
+ *
+ * Binary documents used to be read as UTF-8 and ingested as garbage. Each
+ * extractor returns the document text plus where every page starts, so
+ * chunks can carry page numbers:
+ * - PDF   pdfjs-dist (pure JS), one text layer per page
+ * - DOCX  word/document.xml; pages from Word's rendered page breaks
+ * - ODT   content.xml; pages from LibreOffice's soft page breaks
+ * - RTF   control words stripped; pages from \page
+ * Archives are read with a minimal zip reader on top of zlib.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { inflateRawSync } from 'zlib';
+
+export const EXTRACTABLE_DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.odt', '.rtf'];
+
+// Largest archive part inflated; a small zip bomb could otherwise fill memory
+export const MAX_ZIP_ENTRY_SIZE = 64 * 1024 * 1024;
+
+// Lazy load pdfjs: it is large and only needed for PDFs
+let pdfjs = null;
+async function getPdfjs() {
+  if (!pdfjs) {
+    pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjs;
+}
+
+/**
+ * Read the central directory of a zip archive
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Map<string, Object>} - Entries by name {method, compressedSize, localOffset}
+ */
+function readZipDirectory(buffer) {
+  // The end-of-central-directory record sits in the last 22 bytes + comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+/**
+ * Read one file from a zip archive as UTF-8
+ * @param {Buffer} buffer - Archive bytes
+ * @param {string} name - Entry name
+ * @param {number} maxOutputLength - Largest inflated size accepted
+ * @returns {string} - File contents
+ */
+function readZipText(buffer, name, maxOutputLength = MAX_ZIP_ENTRY_SIZE) {
+  const entry = readZipDirectory(buffer).get(name);
+  if (!entry) {
+    throw new Error(`Missing ${name} in archive`);
+  }
+
+  const local = entry.localOffset;
+  const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  switch (entry.method) {
+    case 0:
+      return data.toString('utf-8');
+    case 8:
+      try {
+        return inflateRawSync(data, { maxOutputLength }).toString('utf-8');
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`${name} inflates to more than ${maxOutputLength} bytes`);
+        }
+        throw error;
+      }
+    default:
+      throw new Error(`Unsupported zip compression method ${entry.method}`);
+  }
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} text - Escaped text
+ * @returns {string} - Decoded text
+ */
+function decodeXmlEntities(text) {
+  const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return named[entity] ?? match;
+  });
+}
+
+/**
+ * Iterate the tags and text of an XML document
+ * @param {string} xml - XML source
+ * @returns {Generator<Object>} - {tag, closing, selfClosing, attributes} or {text}
+ */
+function* xmlTokens(xml) {
+  const pattern = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|<[!?][^>]*>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[5] !== undefined) {
+      yield { text: decodeXmlEntities(match[5]) };
+    } else if (match[2]) {
+      yield { tag: match[2], closing: match[1] === '/', selfClosing: match[4] === '/', attributes: match[3] };
+    }
+  }
+}
+
+/**
+ * Collect paragraphs into the extractor result
+ * @param {Array<Object>} paragraphs - {page, text}
+ * @param {boolean} pagesKnown - Whether page numbers are reliable
+ * @param {string} format - Document format
+ * @returns {Object} - {text, pages: [{page, start}], pageCount, format}
+ */
+function buildResult(paragraphs, pagesKnown, format) {
+  let text = '';
+  const pages = [];
+
+  for (const paragraph of paragraphs) {
+    const body = paragraph.text.replace(/[ \t]+\n/g, '\n').trim();
+    if (!body) continue;
+    if (text) text += '\n\n';
+    if (pagesKnown && pages[pages.length - 1]?.page !== paragraph.page) {
+      pages.push({ page: paragraph.page, start: text.length });
+    }
+    text += body;
+  }
+
+  return {
+    text,
+    pages,
+    pageCount: pagesKnown ? (paragraphs[paragraphs.length - 1]?.page ?? 1) : null,
+    format
+  };
+}
+
+/**
+ * Extract text from a PDF, page by page
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractPdf(buffer) {
+  const { getDocument } = await getPdfjs();
+  // verbosity 0: pdfjs reports warnings on stdout, which would break MCP stdio
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const paragraphs = [];
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => (item.str ?? '') + (item.hasEOL ? '\n' : ''))
+        .join('');
+      paragraphs.push({ page: pageNumber, text });
+      page.cleanup();
+    }
+
+    const result = buildResult(paragraphs, true, 'pdf');
+    result.pageCount = doc.numPages;
+    return result;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Extract text from a DOCX file
+ * Word stores no page numbers; it marks where the last rendering broke pages
+ * (w:lastRenderedPageBreak), and hard page breaks are used when those are missing.
+ * @param {Buffer} buffer - File bytes
+ * @param {number} maxEntrySize - Largest inflated document part
+ * @returns {Object} - Extraction result
+ */
+function extractDocx(buffer, maxEntrySize) {
+  const xml = readZipText(buffer, 'word/document.xml', maxEntrySize);
+  const useRendered = xml.includes('<w:lastRenderedPageBreak');
+  const paragraphs = [];
+  let current = '';
+  let page = 1;
+  let inText = false;
+  let inProperties = false; // w:pPr holds tab stops, not tabs
+  let sawBreak = false;
+
+  for (const token of xmlTokens(xml)) {
+    if (token.text !== undefined) {
+      if (inText) current += token.text;
+      continue;
+    }
+
+    switch (token.tag) {
+      case 'w:t':
+        inText = !token.closing && !token.selfClosing;
+        break;
+      case 'w:pPr':
+        inProperties = !token.closing && !token.selfClosing;
+        break;
+      case 'w:tab':
+        if (!token.closing && !inProperties) current += '\t';
+        break;
+      case 'w:br':
+      case 'w:cr':
+        if (/w:type="page"/.test(token.attributes)) {
+          if (!useRendered) {
+            paragraphs.push({ page, text: current });
+            current = '';
+            page++;
+            sawBreak = true;
+          }
+        } else {
+          current += '\n';
+        }
+        break;
+      case 'w:lastRenderedPageBreak':
+        paragraphs.push({ page, text: current });
+        current = '';
+        page++;
+        break;
+      case 'w:p':
+        if (token.closing) {
+          paragraphs.push({ page, text: current });
+          current = '';
+        }
+        break;
+    }
+  }
+  paragraphs.push({ page, text: current });
+
+  return buildResult(paragraphs, useRendered || sawBreak, 'docx');
+}
+
+/**
+ * Extract text from an ODT file
+ * @param {Buffer} buffer - File bytes
+ * @param {number} maxEntrySize - Largest inflated document part
+ * @returns {Object} - Extraction result
+ */
+function extractOdt(buffer, maxEntrySize) {
+  const xml = readZipText(buffer, 'content.xml', maxEntrySize);
+  const paragraphs = [];
+  let current = '';
+  let page = 1;
+  let depth = 0; // paragraph/heading nesting
+  let skipDepth = 0; // inside annotations
+
+  for (const token of xmlTokens(xml)) {
+    if (token.text !== undefined) {
+      if (depth > 0 && skipDepth === 0) current += token.text;
+      continue;
+    }
+
+    switch (token.tag) {
+      case 'text:p':
+      case 'text:h':
+        if (token.selfClosing) break;
+        if (token.closing) {
+          depth--;
+          if (depth === 0) {
+            paragraphs.push({ page, text: current });
+            current = '';
+          }
+        } else {
+          depth++;
+        }
+        break;
+      case 'office:annotation':
+        if (!token.selfClosing) skipDepth += token.closing ? -1 : 1;
+        break;
+      case 'text:s': {
+        const count = Number((token.attributes.match(/text:c="(\d+)"/) || [])[1] || 1);
+        current += ' '.repeat(count);
+        break;
+      }
+      case 'text:tab':
+        current += '\t';
+        break;
+      case 'text:line-break':
+        current += '\n';
+        break;
+      case 'text:soft-page-break':
+        if (current.trim()) {
+          paragraphs.push({ page, text: current });
+          current = '';
+        }
+        page++;
+        break;
+    }
+  }
+
+  return buildResult(paragraphs, page > 1, 'odt');
+}
+
+// RTF destinations whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info', 'pict',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'object', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'rsidtbl',
+  'generator', 'xmlnstbl', 'mmathPr', 'fldinst'
+]);
+
+/**
+ * Extract text from an RTF file
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} - Extraction result
+ */
+function extractRtf(buffer) {
+  const rtf = buffer.toString('latin1');
+  const cp1252 = new TextDecoder('windows-1252');
+  const paragraphs = [];
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1; // \ucN: fallback characters after each \u
+  let pendingSkip = 0;
+  let current = '';
+  let page = 1;
+  let sawPage = false;
+
+  const pattern = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+  let match;
+  while ((match = pattern.exec(rtf)) !== null) {
+    const [, word, param, hex, symbol, brace] = match;
+    let text = match[6];
+
+    if (brace === '{') {
+      stack.push({ skip, unicodeSkip });
+      continue;
+    }
+    if (brace === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+      continue;
+    }
+
+    // Characters standing in for the preceding \u character
+    if (pendingSkip > 0 && (hex || text)) {
+      if (hex) {
+        pendingSkip--;
+        continue;
+      }
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      if (dropped === text.length) continue;
+      text = text.slice(dropped);
+    }
+
+    if (word) {
+      if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+        skip = true;
+      } else if (skip) {
+        continue;
+      } else if (word === 'par' || word === 'line' || word === 'row') {
+        current += '\n';
+      } else if (word === 'cell' || word === 'tab') {
+        current += '\t';
+      } else if (word === 'page') {
+        paragraphs.push({ page, text: current });
+        current = '';
+        page++;
+        sawPage = true;
+      } else if (word === 'uc') {
+        unicodeSkip = Number(param);
+      } else if (word === 'u') {
+        const code = Number(param);
+        current += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = unicodeSkip;
+      }
+    } else if (symbol) {
+      if (symbol === '*') {
+        skip = true; // {\* ...} marks an optional destination
+      } else if (!skip && symbol === '~') {
+        current += ' ';
+      } else if (!skip && '\\{}'.includes(symbol)) {
+        current += symbol;
+      }
+    } else if (hex && !skip) {
+      current += cp1252.decode(Uint8Array.of(parseInt(hex, 16)));
+    } else if (text && !skip) {
+      current += text;
+    }
+  }
+  paragraphs.push({ page, text: current });
+
+  // \par separates paragraphs; blank lines between them become paragraph breaks
+  const split = paragraphs.flatMap(p => p.text.split(/\n/).map(line => ({ page: p.page, text: line })));
+  return buildResult(split, sawPage, 'rtf');
+}
+
+/**
+ * Extract the text of a binary document
+ * @param {string} filePath - Path to a .pdf, .docx, .odt or .rtf file
+ * @param {Object} options - {maxEntrySize: largest inflated DOCX/ODT part}
+ * @returns {Promise<Object>} - {text, pages: [{page, start}], pageCount, format}
+ */
+export async function extractDocumentText(filePath, options = {}) {
+  const { maxEntrySize = MAX_ZIP_ENTRY_SIZE } = options;
+  const ext = extname(filePath).toLowerCase();
+  const buffer = await readFile(filePath);
+
+  switch (ext) {
+    case '.pdf':
+      return extractPdf(buffer);
+    case '.docx':
+      return extractDocx(buffer, maxEntrySize);
+    case '.odt':
+      return extractOdt(buffer, maxEntrySize);
+    case '.rtf':
+      return extractRtf(buffer);
+    default:
+      throw new Error(`No text extractor for ${ext}`);
+  }
+}
+
+/**
+ * Page containing a character offset
+ * @param {Array<Object>} pages - Page starts
+ * @param {number} offset - Character offset
+ * @returns {number|null} - Page number
+ */
+function pageAt(pages, offset) {
+  let page = null;
+  for (const entry of pages) {
+    if (entry.start > offset) break;
+    page = entry.page;
+  }
+  return page;
+}
+
+/**
+ * Split extracted text into contiguous chunks at paragraph boundaries
+ * @param {Object} extracted - Result of extractDocumentText
+ * @param {Object} options - {maxChunkSize}
+ * @returns {Array<Object>} - Chunks {content, startChar, endChar, pageStart, pageEnd}
+ */
+export function chunkExtractedText(extracted, options = {}) {
+  const { maxChunkSize = 1500 } = options;
+  const { text, pages } = extracted;
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxChunkSize, text.length);
+    if (end < text.length) {
+      // Prefer a paragraph break, then a line break, then a space in the second half
+      const from = start + Math.floor(maxChunkSize / 2);
+      const window = text.slice(from, end);
+      const separator = ['\n\n', '\n', ' '].find(sep => window.includes(sep));
+      if (separator) end = from + window.lastIndexOf(separator) + separator.length;
+    }
+
+    const content = text.slice(start, end);
+    chunks.push({
+      content,
+      startChar: start,
+      endChar: end,
+      pageStart: pageAt(pages, start + (content.length - content.trimStart().length)),
+      pageEnd: pageAt(pages, end - 1)
+    });
+    start = end;
+  }
+
+  return chunks;
+}
+
+export default {
+  EXTRACTABLE_DOCUMENT_EXTENSIONS,
+  MAX_ZIP_ENTRY_SIZE,
+  extractDocumentText,
+  chunkExtractedText
+};
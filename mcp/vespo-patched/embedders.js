@@ -0,0 +1,161 @@
+/**
+ * Embedding providers - pick an embedder by name or from the environment
+ *
+ * Every provider exposes the same surface as OpenAIEmbedder:
+ *   provider, model, dimensions,
+ *   embed(texts, options), embedSingle(text), getModelInfo(),
+ *   estimateTokens(text), calculateCost(tokens)
+ *
+ * Providers:
+ * - openai            OpenAI API (OPENAI_API_KEY, OPENAI_EMBEDDING_MODEL)
+ * - openai-compatible Any OpenAI-style /embeddings endpoint (EMBEDDING_BASE_URL, EMBEDDING_MODEL, EMBEDDING_API_KEY)
+ * - local             Offline ONNX model via transformers.js (LOCAL_EMBEDDING_MODEL)
+ */
+
+import { createEmbedder } from './openai-embedder.js';
+import { createLocalEmbedder } from './local-embedder.js';
+
+export const EMBEDDING_PROVIDERS = ['openai', 'openai-compatible', 'local'];
+
+/**
+ * Resolve which provider to use
+ * @param {string|null} provider - Explicitly requested provider
+ * @returns {string} - Provider name
+ */
+export function resolveEmbeddingProvider(provider = null) {
+  const resolved = provider || process.env.EMBEDDING_PROVIDER;
+  if (resolved) {
+    return resolved;
+  }
+
+  // Without any configuration, prefer OpenAI when a key is present, else stay offline
+  return process.env.OPENAI_API_KEY ? 'openai' : 'local';
+}
+
+/**
+ * Create an embedder for a provider
+ * @param {string|null} provider - Provider name (see EMBEDDING_PROVIDERS)
+ * @param {Object} options - Overrides for model/baseURL/dimensions
+ * @returns {Object} - Embedder instance
+ */
+export function createEmbeddingProvider(provider = null, options = {}) {
+  const name = resolveEmbeddingProvider(provider);
+  const dimensions = options.dimensions
+    || (process.env.EMBEDDING_DIMENSIONS ? parseInt(process.env.EMBEDDING_DIMENSIONS, 10) : undefined);
+
+  switch (name) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY environment variable not set. Set it, or use embedding_provider "local" or "openai-compatible".');
+      }
+      return createEmbedder(process.env.OPENAI_API_KEY, {
+        model: options.model || process.env.OPENAI_EMBEDDING_MODEL,
+        dimensions
+      });
+
+    case 'openai-compatible': {
+      const baseURL = options.baseURL || process.env.EMBEDDING_BASE_URL;
+      const model = options.model || process.env.EMBEDDING_MODEL;
+      if (!baseURL || !model) {
+        throw new Error('EMBEDDING_BASE_URL and EMBEDDING_MODEL must be set for the openai-compatible provider.');
+      }
+      return createEmbedder(process.env.EMBEDDING_API_KEY, { baseURL, model, dimensions });
+    }
+
+    case 'local':
+      return createLocalEmbedder({
+        model: options.model || process.env.LOCAL_EMBEDDING_MODEL,
+        cacheDir: process.env.LOCAL_EMBEDDING_CACHE_DIR,
+        allowRemoteModels: process.env.LOCAL_EMBEDDING_ALLOW_REMOTE !== 'false'
+      });
+
+    default:
+      throw new Error(`Unknown embedding provider "${name}". Supported: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Query-time embedders are reused across tool calls (local models are slow to load)
+const embedderCache = new Map();
+
+/**
+ * Get a cached embedder for a provider/model pair
+ * @param {string} provider - Provider name
+ * @param {Object} options - Model/dimension overrides
+ * @returns {Object} - Embedder instance
+ */
+export function getEmbeddingProvider(provider, options = {}) {
+  const key = `${provider}|${options.model || ''}|${options.dimensions || ''}`;
+  if (!embedderCache.has(key)) {
+    embedderCache.set(key, createEmbeddingProvider(provider, options));
+  }
+  return embedderCache.get(key);
+}
+
+/**
+ * Collection-level metadata describing how a collection was embedded
+ * @param {Object} embedder - Embedder used for ingestion
+ * @returns {Object} - Metadata for getOrCreateCollection/modify
+ */
+export function collectionEmbeddingMetadata(embedder) {
+  const metadata = {
+    embedding_provider: embedder.provider,
+    embedding_model: embedder.model
+  };
+  if (embedder.dimensions) {
+    metadata.embedding_dimensions = embedder.dimensions;
+  }
+  return metadata;
+}
+
+/**
+ * Read how a collection was embedded
+ * Checks the collection metadata first, then a stored chunk for collections
+ * created before the provider was recorded on the collection itself.
+ * @param {Collection} collection - ChromaDB collection
+ * @returns {Promise<Object|null>} - {provider, model, dimensions} or null for Chroma's default embedding
+ */
+export async function readCollectionEmbedding(collection) {
+  let source = collection.metadata;
+
+  if (!source?.embedding_provider) {
+    const sample = await collection.get({ limit: 1, include: ['metadatas'] });
+    source = sample.metadatas?.[0];
+  }
+
+  if (!source?.embedding_provider) {
+    return null;
+  }
+
+  return {
+    provider: source.embedding_provider,
+    model: source.embedding_model || null,
+    dimensions: source.embedding_dimensions || null
+  };
+}
+
+/**
+ * Get the embedder matching a collection's ingestion provider
+ * @param {Collection} collection - ChromaDB collection
+ * @returns {Promise<Object|null>} - Embedder, or null when Chroma's default embedding applies
+ */
+export async function getCollectionEmbedder(collection) {
+  const config = await readCollectionEmbedding(collection);
+  if (!config) {
+    return null;
+  }
+
+  return getEmbeddingProvider(config.provider, {
+    model: config.model,
+    dimensions: config.dimensions
+  });
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  resolveEmbeddingProvider,
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  collectionEmbeddingMetadata,
+  readCollectionEmbedding,
+  getCollectionEmbedder
+};
@@ -0,0 +1,140 @@
+/**
+ * Federated Search - Merge search results from many collections
+ *
+ * Every collection is searched with the same mode and reranker, so the hits
+ * are pooled and min-max normalized to a 0-1 score together: a collection
+ * whose best match is poor stays low instead of being lifted to 1.0. The
+ * same chunk ingested into several collections is collapsed into one hit,
+ * matched by content rather than path since every repository is mounted at
+ * /workspace.
+ */
+
+import { createHash } from 'crypto';
+import { MODULE_GRAPH_SUFFIX } from './dependency-graph.js';
+import { SYMBOL_INDEX_SUFFIX } from './symbol-index.js';
+
+// Bookkeeping collections used by the router, never worth searching
+export const INTERNAL_COLLECTIONS = ['vinos_environments', 'vinos_state', 'mcp_registry', 'chromadb_routing'];
+
+// Side collections written next to an ingested collection
+const SIDE_COLLECTION_SUFFIXES = [MODULE_GRAPH_SUFFIX, SYMBOL_INDEX_SUFFIX];
+
+/**
+ * Whether a collection is the module graph or symbol index of another
+ * @param {string} name - Collection name
+ * @returns {boolean}
+ */
+export function isSideCollection(name) {
+  return SIDE_COLLECTION_SUFFIXES.some(suffix => name.endsWith(suffix));
+}
+
+/**
+ * Convert a glob (* and ?) to a regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Anchored expression
+ */
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Select collection names matching comma-separated names/globs
+ * @param {Array<string>} names - Available collection names
+ * @param {string|Array<string>|null} patterns - Patterns (null = all non-internal)
+ * @returns {Array<string>} - Selected names
+ */
+export function selectCollections(names, patterns = null) {
+  if (!patterns || (Array.isArray(patterns) && patterns.length === 0)) {
+    // Side collections hold no searchable content either
+    return names.filter(name => !INTERNAL_COLLECTIONS.includes(name) && !isSideCollection(name));
+  }
+
+  const list = Array.isArray(patterns) ? patterns : patterns.split(',').map(p => p.trim()).filter(Boolean);
+  const expressions = list.map(globToRegExp);
+  return names.filter(name => expressions.some(re => re.test(name)));
+}
+
+/**
+ * Raw relevance of a hit: higher is better
+ * @param {Object} hit - Search hit
+ * @returns {number} - Relevance
+ */
+function rawRelevance(hit) {
+  if (hit.rerank_score !== undefined) return hit.rerank_score;
+  if (hit.rrf_score !== undefined) return hit.rrf_score;
+  if (hit.keyword_score !== undefined) return hit.keyword_score;
+  if (hit.distance !== undefined && hit.distance !== null) return -hit.distance;
+  return 0;
+}
+
+/**
+ * Min-max normalize hits to a 0-1 score
+ * @param {Array<Object>} hits - Hits to score together
+ * @returns {Array<Object>} - Hits with a score field
+ */
+export function normalizeScores(hits) {
+  if (hits.length === 0) return [];
+
+  const values = hits.map(rawRelevance);
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const range = max - min;
+
+  return hits.map((hit, idx) => ({
+    ...hit,
+    score: Number((range === 0 ? 1 : (values[idx] - min) / range).toFixed(4))
+  }));
+}
+
+/**
+ * Key identifying the same chunk across collections
+ * Paths repeat across repositories, so the key is the file's content hash
+ * and chunk index when ingest recorded one, else the chunk text.
+ * @param {Object} hit - Search hit
+ * @returns {string} - Dedup key
+ */
+function dedupKey(hit) {
+  const meta = hit.metadata || {};
+  if (meta.content_hash) {
+    return `${meta.content_hash}#${meta.chunk_index ?? 0}`;
+  }
+  return createHash('md5').update(hit.content || hit.id).digest('hex');
+}
+
+/**
+ * Merge per-collection hit lists into one ranked, deduplicated list
+ * @param {Array<{collection: string, source: string, hits: Array}>} lists - Per-collection results
+ * @param {Object} options - {limit}
+ * @returns {Array<Object>} - Merged hits tagged with collection/source
+ */
+export function mergeFederatedResults(lists, options = {}) {
+  const { limit = 10 } = options;
+  const merged = new Map();
+  const pooled = lists.flatMap(({ collection, source, hits }) => hits.map(hit => ({ ...hit, collection, source })));
+
+  for (const hit of normalizeScores(pooled)) {
+    const key = dedupKey(hit);
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...hit, also_in: [] });
+    } else if (hit.score > existing.score) {
+      merged.set(key, { ...hit, also_in: [...existing.also_in, existing.collection] });
+    } else {
+      existing.also_in.push(hit.collection);
+    }
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export default {
+  INTERNAL_COLLECTIONS,
+  isSideCollection,
+  selectCollections,
+  normalizeScores,
+  mergeFederatedResults
+};
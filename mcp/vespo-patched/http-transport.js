@@ -0,0 +1,285 @@
+/**
+ * HTTP Transport - Streamable HTTP and legacy SSE endpoints for the MCP server
+ *
+ * Over stdio every client gets its own server process. Over HTTP one
+ * long-lived process serves any number of sessions: each session gets its
+ * own MCP Server from the factory passed to startHttpServer, while process
+ * state (watchers, background ingest jobs) is shared and outlives sessions.
+ * Both wire formats are served on one port by the SDK's transports:
+ *   POST/GET/DELETE /mcp        Streamable HTTP
+ *   GET /sse + POST /messages   legacy HTTP+SSE
+ * The protocol version is negotiated in initialize, whichever transport the
+ * client uses. Every endpoint except GET /health requires
+ * `Authorization: Bearer <token>` when a token is configured.
+ */
+
+import { createServer } from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logDebug, logError } from './logger.js';
+
+export const DEFAULT_HTTP_PORT = 8765;
+
+// Largest body read from a POST that opens a session (the SDK's SSE transport uses the same)
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Streamable HTTP sessions idle this long with no open stream are dropped
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+
+/**
+ * Transport settings from CLI flags and environment
+ * --http or MCP_TRANSPORT=http selects HTTP; --host/--port override
+ * MCP_HTTP_HOST/MCP_HTTP_PORT.
+ * @param {Array<string>} argv - Process arguments
+ * @param {Object} env - Environment variables
+ * @returns {Object} - {http, host, port, authToken, allowedOrigins}
+ */
+export function getTransportConfig(argv = process.argv, env = process.env) {
+  const flag = name => {
+    const index = argv.indexOf(name);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+  const transport = argv.includes('--http') ? 'http' : (flag('--transport') || env.MCP_TRANSPORT || 'stdio');
+
+  return {
+    http: transport.toLowerCase() === 'http',
+    host: flag('--host') || env.MCP_HTTP_HOST || '127.0.0.1',
+    port: parseInt(flag('--port') || env.MCP_HTTP_PORT || DEFAULT_HTTP_PORT, 10),
+    authToken: env.MCP_AUTH_TOKEN || null,
+    allowedOrigins: (env.MCP_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Send a JSON-RPC error as a plain HTTP response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ */
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Read a request body up to MAX_BODY_BYTES
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<string>} - Body text
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check the bearer token, in constant time
+ * @param {IncomingMessage} req - HTTP request
+ * @param {string|null} authToken - Expected token (null disables auth)
+ * @returns {boolean}
+ */
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Start the HTTP server
+ * Binding to anything but loopback without a token is refused, since every
+ * tool (including ingest and delete) would be open to the network.
+ * @param {Function} createMcpServer - () => MCP Server, called once per session
+ * @param {Object} options - {host, port, authToken, allowedOrigins} (see getTransportConfig)
+ * @returns {Promise<Object>} - {server: http.Server, sessions: Map}
+ */
+export async function startHttpServer(createMcpServer, options = {}) {
+  const { host = '127.0.0.1', port = DEFAULT_HTTP_PORT, authToken = null, allowedOrigins = [] } = options;
+  if (!authToken && !LOOPBACK_HOSTS.has(host)) {
+    throw new Error(`Refusing to listen on ${host} without MCP_AUTH_TOKEN; set a token or bind to 127.0.0.1`);
+  }
+
+  // Session id -> StreamableHTTPServerTransport or SSEServerTransport
+  const sessions = new Map();
+  // Streamable HTTP transport -> {openResponses, lastActivity}, for the idle sweep
+  const activity = new Map();
+
+  const connectSession = async transport => {
+    const mcpServer = createMcpServer();
+    const closeServer = mcpServer.onclose;
+    mcpServer.onclose = () => {
+      closeServer?.();
+      sessions.delete(transport.sessionId);
+      activity.delete(transport);
+      logDebug(`MCP session ${transport.sessionId} closed`);
+    };
+    await mcpServer.connect(transport);
+  };
+
+  const registerSession = transport => {
+    sessions.set(transport.sessionId, transport);
+    logDebug(`MCP session ${transport.sessionId} opened (${sessions.size} active)`);
+  };
+
+  // Counts the responses a session holds open; streams count as activity
+  const trackResponse = (transport, res) => {
+    const entry = activity.get(transport);
+    if (!entry) return;
+    entry.openResponses++;
+    entry.lastActivity = Date.now();
+    res.on('close', () => {
+      entry.openResponses--;
+      entry.lastActivity = Date.now();
+    });
+  };
+
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const transport = sessionId ? sessions.get(sessionId) : null;
+    if (sessionId && !(transport instanceof StreamableHTTPServerTransport)) {
+      sendError(res, 404, `Session not found: ${sessionId}`);
+      return;
+    }
+
+    // The transport checks methods, headers and messages itself; only a new
+    // session's POST is read here, to see that it initializes before a
+    // server is created for it
+    if (transport) {
+      trackResponse(transport, res);
+      await transport.handleRequest(req, res);
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendError(res, 400, 'Missing Mcp-Session-Id header');
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendError(res, 400, `Invalid JSON-RPC message: ${error.message}`);
+      return;
+    }
+    if (!(Array.isArray(body) ? body : [body]).some(isInitializeRequest)) {
+      sendError(res, 400, 'Missing Mcp-Session-Id header; send initialize first');
+      return;
+    }
+
+    const newTransport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: randomUUID,
+      onsessioninitialized: () => registerSession(newTransport)
+    });
+    activity.set(newTransport, { openResponses: 0, lastActivity: Date.now() });
+    await connectSession(newTransport);
+    trackResponse(newTransport, res);
+    await newTransport.handleRequest(req, res, body);
+  };
+
+  const handleSse = async (req, res, url) => {
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      const transport = new SSEServerTransport('/messages', res);
+      // start() sends the endpoint event, so the session exists before it goes out
+      registerSession(transport);
+      await connectSession(transport);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const transport = sessions.get(url.searchParams.get('sessionId'));
+      if (!(transport instanceof SSEServerTransport)) {
+        sendError(res, 404, 'Session not found');
+        return;
+      }
+      // Answers 202 and delivers the message; replies go out on the GET stream
+      await transport.handlePostMessage(req, res).catch(error => logDebug(`SSE message rejected: ${error.message}`));
+      return;
+    }
+
+    sendError(res, 405, `Method ${req.method} not allowed`);
+  };
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname === '/health' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', sessions: sessions.size }));
+        return;
+      }
+
+      // Browsers send Origin; rejecting unknown ones blocks DNS rebinding
+      const origin = req.headers.origin;
+      if (origin && !allowedOrigins.includes(origin)) {
+        sendError(res, 403, `Origin not allowed: ${origin}`);
+        return;
+      }
+      if (!isAuthorized(req, authToken)) {
+        sendError(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+
+      if (url.pathname === '/mcp') {
+        await handleStreamable(req, res);
+      } else if (url.pathname === '/sse' || url.pathname === '/messages') {
+        await handleSse(req, res, url);
+      } else {
+        sendError(res, 404, `Not found: ${url.pathname}`);
+      }
+    } catch (error) {
+      logError(`HTTP ${req.method} ${url.pathname} failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendError(res, 500, error.message);
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Streamable HTTP clients may vanish without DELETE; SSE sessions end with their stream
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [transport, { openResponses, lastActivity }] of activity) {
+      if (openResponses === 0 && lastActivity < cutoff) {
+        transport.close();
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+  server.on('close', () => clearInterval(sweep));
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  return { server, sessions };
+}
+
+export default {
+  DEFAULT_HTTP_PORT,
+  getTransportConfig,
+  startHttpServer
+};
@@ -0,0 +1,206 @@
+/**
+ * Hybrid Search - Keyword retrieval and rank fusion for search_context
+ *
+ * Keyword mode pulls candidates with Chroma's whereDocument $contains filter
+ * and ranks them with BM25, so exact identifiers and error strings are found
+ * even when their embedding is not close to the query. Hybrid mode merges the
+ * keyword and vector lists with reciprocal-rank fusion.
+ *
+ * $contains is case-sensitive, so each term is also matched lowercased and
+ * capitalised. Chroma returns candidates in storage order, not by relevance,
+ * so recall is bounded by MAX_CANDIDATES: when more chunks than that contain
+ * a term, the ones beyond it are never scored.
+ */
+
+export const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Words that would match nearly every document in a $contains filter
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from',
+  'how', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'this', 'to', 'what', 'when',
+  'where', 'which', 'who', 'why', 'with'
+]);
+
+// Candidates scored per keyword search (the recall limit) and per collection.get()
+export const MAX_CANDIDATES = 2000;
+const CANDIDATE_PAGE_SIZE = 500;
+
+/**
+ * Split a query into keyword terms, keeping identifiers intact
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Unique terms
+ */
+export function tokenizeQuery(query) {
+  const terms = query
+    .split(/[^A-Za-z0-9_$.\-:]+/)
+    .map(t => t.replace(/^[.\-:]+|[.\-:]+$/g, ''))
+    .filter(t => t.length >= 2 && !STOPWORDS.has(t.toLowerCase()));
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Spellings of a term to match with the case-sensitive $contains
+ * @param {string} term - Keyword term
+ * @returns {Array<string>} - The term, lowercased and capitalised, without repeats
+ */
+export function termVariants(term) {
+  const lower = term.toLowerCase();
+  return [...new Set([term, lower, lower.charAt(0).toUpperCase() + lower.slice(1)])];
+}
+
+/**
+ * Build a whereDocument filter matching any spelling of any of the terms
+ * @param {Array<string>} terms - Keyword terms
+ * @returns {Object|null} - Chroma whereDocument clause
+ */
+export function buildContainsFilter(terms) {
+  const variants = [...new Set(terms.flatMap(termVariants))];
+  if (variants.length === 0) return null;
+  if (variants.length === 1) return { $contains: variants[0] };
+  return { $or: variants.map(variant => ({ $contains: variant })) };
+}
+
+/**
+ * Count non-overlapping occurrences of a term
+ * @param {string} text - Text to search
+ * @param {string} term - Term to count
+ * @returns {number} - Occurrence count
+ */
+function countOccurrences(text, term) {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+}
+
+/**
+ * Score documents against terms with Okapi BM25, ignoring case
+ * Document frequencies come from the candidate set, which is a reasonable
+ * local approximation since every candidate matched at least one term.
+ * @param {Array<string>} documents - Candidate documents
+ * @param {Array<string>} terms - Query terms
+ * @param {Object} options - {k1, b, phrase}
+ * @returns {Array<number>} - Score per document
+ */
+export function bm25Scores(documents, terms, options = {}) {
+  const { k1 = 1.2, b = 0.75, phrase = null } = options;
+  const docs = documents.map(d => (d || '').toLowerCase());
+  const n = docs.length;
+  if (n === 0) return [];
+
+  const lowerTerms = terms.map(term => term.toLowerCase());
+  const lowerPhrase = phrase ? phrase.toLowerCase() : null;
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / n || 1;
+  const frequencies = docs.map(doc => lowerTerms.map(term => countOccurrences(doc, term)));
+  const docFreq = terms.map((_, t) => frequencies.filter(f => f[t] > 0).length);
+
+  return docs.map((doc, d) => {
+    let score = 0;
+    terms.forEach((_, t) => {
+      const tf = frequencies[d][t];
+      if (tf === 0) return;
+      const idf = Math.log(1 + (n - docFreq[t] + 0.5) / (docFreq[t] + 0.5));
+      score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / avgLength));
+    });
+
+    // The exact query string is the strongest keyword signal
+    if (lowerPhrase && doc.includes(lowerPhrase)) {
+      score *= 2;
+    }
+
+    return score;
+  });
+}
+
+/**
+ * Keyword search over a collection
+ * @param {Collection} collection - ChromaDB collection
+ * @param {string} query - Search query
+ * @param {Object} options - {limit, where, whereDocument}
+ * @returns {Promise<Array<Object>>} - Hits sorted by keyword_score
+ */
+export async function keywordSearch(collection, query, options = {}) {
+  const { limit = 5, where = undefined, whereDocument = undefined } = options;
+  const terms = tokenizeQuery(query);
+  const containsFilter = buildContainsFilter(terms);
+
+  if (!containsFilter) {
+    return [];
+  }
+
+  // Score every candidate up to the cap, not just the first page Chroma returns
+  const candidates = { ids: [], documents: [], metadatas: [] };
+  while (candidates.ids.length < MAX_CANDIDATES) {
+    const pageSize = Math.min(CANDIDATE_PAGE_SIZE, MAX_CANDIDATES - candidates.ids.length);
+    const page = await collection.get({
+      where,
+      whereDocument: whereDocument ? { $and: [whereDocument, containsFilter] } : containsFilter,
+      limit: pageSize,
+      offset: candidates.ids.length,
+      include: ['documents', 'metadatas']
+    });
+    const pageIds = page.ids || [];
+    candidates.ids.push(...pageIds);
+    candidates.documents.push(...(page.documents || []));
+    candidates.metadatas.push(...(page.metadatas || []));
+    if (pageIds.length < pageSize) break;
+  }
+
+  const ids = candidates.ids;
+  const scores = bm25Scores(candidates.documents, terms, {
+    phrase: terms.length > 1 ? query.trim() : null
+  });
+
+  return ids
+    .map((id, idx) => ({
+      id,
+      content: candidates.documents[idx],
+      metadata: candidates.metadatas[idx],
+      keyword_score: Number(scores[idx].toFixed(4))
+    }))
+    .sort((a, b) => b.keyword_score - a.keyword_score)
+    .slice(0, limit);
+}
+
+/**
+ * Merge ranked lists with reciprocal-rank fusion
+ * @param {Object} lists - Ranked hit lists keyed by source name (each hit needs an id)
+ * @param {Object} options - {k, limit}
+ * @returns {Array<Object>} - Merged hits with rrf_score and matched_by
+ */
+export function reciprocalRankFusion(lists, options = {}) {
+  const { k = 60, limit = Infinity } = options;
+  const merged = new Map();
+
+  for (const [source, hits] of Object.entries(lists)) {
+    hits.forEach((hit, rank) => {
+      if (!merged.has(hit.id)) {
+        merged.set(hit.id, { ...hit, rrf_score: 0, matched_by: [] });
+      }
+      const entry = merged.get(hit.id);
+      Object.assign(entry, hit, { rrf_score: entry.rrf_score, matched_by: entry.matched_by });
+      entry.rrf_score += 1 / (k + rank + 1);
+      entry.matched_by.push(source);
+    });
+  }
+
+  return [...merged.values()]
+    .map(hit => ({ ...hit, rrf_score: Number(hit.rrf_score.toFixed(6)) }))
+    .sort((a, b) => b.rrf_score - a.rrf_score)
+    .slice(0, limit);
+}
+
+export default {
+  SEARCH_MODES,
+  MAX_CANDIDATES,
+  tokenizeQuery,
+  termVariants,
+  buildContainsFilter,
+  bm25Scores,
+  keywordSearch,
+  reciprocalRankFusion
+};
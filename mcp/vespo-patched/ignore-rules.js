@@ -0,0 +1,228 @@
+/**
+ * Ignore Rules - .gitignore / .chromaignore matching for scanDirectory
+ *
+ * Follows gitignore semantics: a pattern without a slash matches a name at
+ * any depth, one with a slash is anchored to the directory of the file that
+ * declares it, a trailing slash matches directories only, "**" spans
+ * directories and "!" re-includes. The last matching rule wins, so rules of
+ * deeper directories override those of their parents, and .chromaignore
+ * overrides .gitignore. As in git, nothing inside an ignored directory can be
+ * re-included because the directory is never entered.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { join, dirname, relative, sep } from 'path';
+
+// Read in this order in every directory, so .chromaignore has the last word
+export const IGNORE_FILES = ['.gitignore', '.chromaignore'];
+
+// Stop looking for an enclosing repository after this many parent directories
+const MAX_ANCESTORS = 64;
+
+/**
+ * Convert a path to forward slashes
+ * @param {string} path - Relative path
+ * @returns {string} - Path with "/" separators
+ */
+export function toPosixPath(path) {
+  return path.split(sep).join('/');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Translate a glob into regular expression source
+ * "*" and "?" stay within one path segment; "**" spans segments only as a
+ * whole segment ("**\/x", "x/**", "x/**\/y"), elsewhere it acts like "*".
+ * @param {string} glob - Glob without leading "/" or trailing "/"
+ * @returns {string} - Regular expression source
+ */
+function globSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') &&
+        (i + 2 === glob.length || glob[i + 2] === '/')) {
+      if (i + 2 === glob.length) {
+        source += '.*';
+      } else {
+        source += '(?:.*/)?';
+        i++;
+      }
+      i++;
+    } else if (char === '*') {
+      while (glob[i + 1] === '*') i++;
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      // "[]x]" puts "]" in the class; "[!x]" negates it
+      const end = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/[[\\]/g, '\\$&');
+      source += `[${body}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Parse ignore file lines (or include/exclude globs) into rules
+ * @param {string} text - Ignore file contents, one pattern per line
+ * @param {string} base - Directory of the ignore file, relative to the scan root ('' for the root)
+ * @returns {Array<Object>} - Rules {pattern: RegExp, negate, dirOnly, source}
+ */
+export function parseIgnoreRules(text, base = '') {
+  const prefix = base ? `${escapeRegExp(base)}/` : '';
+  const rules = [];
+
+  for (const raw of text.split(/\r?\n/)) {
+    // Trailing spaces are dropped unless escaped with a backslash
+    let line = raw.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) {
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    if (!line) continue;
+
+    // A slash at the start or in the middle anchors the pattern to its directory
+    const anchored = line.includes('/');
+    const glob = line.replace(/^\//, '');
+    rules.push({
+      pattern: new RegExp(`^${prefix}${anchored ? '' : '(?:.*/)?'}${globSource(glob)}$`),
+      negate,
+      dirOnly,
+      source: raw.trim()
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Whether the last rule matching a path ignores it
+ * @param {Array<Object>} rules - Rules in precedence order (lowest first)
+ * @param {string} path - Path relative to the rules' root, "/"-separated
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} - True if ignored
+ */
+export function isIgnored(rules, path, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.pattern.test(path)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Whether any glob matches a file or one of its parent directories
+ * Used for include globs, where "src/" selects everything under src.
+ * @param {Array<Object>} rules - Rules from parseIgnoreRules
+ * @param {string} path - File path relative to the scan root, "/"-separated
+ * @returns {boolean} - True if matched
+ */
+export function matchesAny(rules, path) {
+  const segments = path.split('/');
+  return rules.some(rule => {
+    if (rule.negate) return false;
+    if (!rule.dirOnly && rule.pattern.test(path)) return true;
+    for (let i = 1; i < segments.length; i++) {
+      if (rule.pattern.test(segments.slice(0, i).join('/'))) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Rules declared by the ignore files of one directory
+ * @param {string} dirPath - Directory to read .gitignore/.chromaignore from
+ * @param {string} root - Directory rule paths are relative to
+ * @returns {Promise<Array<Object>>} - Rules (empty if there are no ignore files)
+ */
+export async function loadIgnoreRules(dirPath, root) {
+  const base = toPosixPath(relative(root, dirPath));
+  const rules = [];
+
+  for (const name of IGNORE_FILES) {
+    try {
+      rules.push(...parseIgnoreRules(await readFile(join(dirPath, name), 'utf-8'), base));
+    } catch (error) {
+      // No ignore file in this directory
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Rules in effect at the top of a scan
+ * When the directory is inside a git repository, the ignore files between the
+ * repository root and the directory apply too, as does .git/info/exclude.
+ * @param {string} dirPath - Directory being scanned
+ * @returns {Promise<Object>} - {root, rules}; rule paths are relative to root
+ */
+export async function loadScanRules(dirPath) {
+  const chain = [dirPath];
+  let root = null;
+
+  for (let current = dirPath, depth = 0; depth < MAX_ANCESTORS; depth++) {
+    try {
+      await stat(join(current, '.git'));
+      root = current;
+      break;
+    } catch (error) {
+      const parent = dirname(current);
+      if (parent === current) break;
+      current = parent;
+      chain.unshift(current);
+    }
+  }
+
+  if (!root) {
+    return { root: dirPath, rules: await loadIgnoreRules(dirPath, dirPath) };
+  }
+
+  const rules = [];
+  try {
+    rules.push(...parseIgnoreRules(await readFile(join(root, '.git', 'info', 'exclude'), 'utf-8')));
+  } catch (error) {
+    // No repository-local excludes
+  }
+  for (const dir of chain.slice(chain.indexOf(root))) {
+    rules.push(...await loadIgnoreRules(dir, root));
+  }
+
+  return { root, rules };
+}
+
+export default {
+  IGNORE_FILES,
+  toPosixPath,
+  parseIgnoreRules,
+  isIgnored,
+  matchesAny,
+  loadIgnoreRules,
+  loadScanRules
+};
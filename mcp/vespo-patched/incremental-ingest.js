@@ -0,0 +1,128 @@
+/**
+ * Incremental Ingest - Content-hash based re-indexing
+ *
+ * Compares the files found on disk against what a collection already holds
+ * (via the `content_hash` and `full_path` chunk metadata) so a re-ingest only
+ * touches files that were added, changed or removed since the last run.
+ */
+
+import { stat } from 'fs/promises';
+import { calculateFileHash } from './duplicate-detector.js';
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Load the files a collection already holds under a base path
+ * @param {Collection} collection - ChromaDB collection
+ * @param {string} basePath - Only files under this path are returned
+ * @returns {Promise<Map<string, {hash: string|null, ids: Array<string>}>>} - Indexed files keyed by full path
+ */
+export async function loadIndexedFiles(collection, basePath) {
+  const indexed = new Map();
+  const prefix = basePath.endsWith('/') ? basePath : `${basePath}/`;
+  let offset = 0;
+
+  while (true) {
+    const page = await collection.get({
+      include: ['metadatas'],
+      limit: PAGE_SIZE,
+      offset
+    });
+
+    const ids = page.ids || [];
+    ids.forEach((id, idx) => {
+      const meta = page.metadatas?.[idx];
+      const fullPath = meta?.full_path;
+      if (!fullPath || !(fullPath === basePath || fullPath.startsWith(prefix))) {
+        return;
+      }
+
+      if (!indexed.has(fullPath)) {
+        indexed.set(fullPath, { hash: meta.content_hash || null, ids: [] });
+      }
+      const entry = indexed.get(fullPath);
+      entry.ids.push(id);
+      // A file with any unhashed chunk must be re-ingested
+      if (!meta.content_hash) {
+        entry.hash = null;
+      }
+    });
+
+    if (ids.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return indexed;
+}
+
+/**
+ * Decide whether one scanned file needs to be (re)ingested
+ * @param {string} file - File found by the scanner
+ * @param {Map} indexed - Result of loadIndexedFiles
+ * @returns {Promise<Object>} - {status: 'added'|'changed'|'unchanged', hash}
+ */
+export async function classifyFile(file, indexed) {
+  let hash;
+  try {
+    hash = await calculateFileHash(file, 'sha256');
+  } catch {
+    // Let the processor report unreadable files
+    return { status: 'added', hash: null };
+  }
+
+  const existing = indexed.get(file);
+  if (!existing) {
+    return { status: 'added', hash };
+  }
+  return { status: existing.hash === hash ? 'unchanged' : 'changed', hash };
+}
+
+/**
+ * Find indexed files that have been deleted from disk
+ * Files that were indexed but not scanned are only removed if they are gone
+ * from disk; filters or max_files may simply have excluded them this run.
+ * @param {Map} indexed - Result of loadIndexedFiles
+ * @param {Set<string>} scanned - Files found by the scanner
+ * @returns {Promise<Array<Object>>} - Removed files {file, ids}
+ */
+export async function findRemovedFiles(indexed, scanned) {
+  const removed = [];
+  for (const [file, entry] of indexed) {
+    if (scanned.has(file)) continue;
+    try {
+      await stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        removed.push({ file, ids: entry.ids });
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Find chunk IDs left over from a previous version of re-ingested files
+ * @param {Array<Object>} results - Newly processed chunks
+ * @param {Map} indexed - Result of loadIndexedFiles
+ * @returns {Array<string>} - IDs that no longer belong to any chunk
+ */
+export function findStaleChunkIds(results, indexed) {
+  const freshIds = new Set(results.map(r => r.id));
+  const reingested = new Set(results.map(r => r.metadata.full_path));
+  const stale = [];
+
+  for (const file of reingested) {
+    const entry = indexed.get(file);
+    if (!entry) continue;
+    stale.push(...entry.ids.filter(id => !freshIds.has(id)));
+  }
+
+  return stale;
+}
+
+export default {
+  loadIndexedFiles,
+  classifyFile,
+  findRemovedFiles,
+  findStaleChunkIds
+};
@@ -8,16 +8,28 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import { ChromaClient } from 'chromadb';
 import { writeFile, readFile, readdir, stat } from 'fs/promises';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
 import { join } from 'path';
 import { logDebug, logWarn, logError } from './logger.js';
 
 // Batch processing imports
 import {
   scanDirectory,
-  batchProcessFiles,
+  walkDirectory,
+  countFiles,
+  processFilesStream,
+  batchFileResults,
   processFile,
   exportCollection,
   importCollection,
@@ -30,8 +42,24 @@ import {
 // EXIF extraction
 import { extractExif, exifToSummary, exifToMetadata } from './exif-extractor.js';
 
-// OpenAI embeddings
-import { createEmbedder } from './openai-embedder.js';
+// Module import/export graph
+import { updateModuleGraph, deleteModuleGraph, loadModuleGraph, findModule, getDependencies, getDependents } from './dependency-graph.js';
+
+// Symbol table for find_symbol / find_references
+import { updateSymbolIndex, deleteSymbolIndex, loadSymbols, findSymbols, findReferences, SYMBOL_MATCH_MODES } from './symbol-index.js';
+
+// Languages the smart chunker can parse
+import { PARSEABLE_EXTENSIONS } from './code-parser.js';
+import { NOTEBOOK_EXTENSIONS } from './notebook-chunker.js';
+
+// Embedding providers (OpenAI, OpenAI-compatible, local)
+import {
+  createEmbeddingProvider,
+  EMBEDDING_PROVIDERS,
+  collectionEmbeddingMetadata,
+  readCollectionEmbedding,
+  getCollectionEmbedder
+} from './embedders.js';
 
 // Watch folder
 import { startWatcher, stopWatcher, listWatchers } from './watch-folder.js';
@@ -39,6 +67,69 @@ import { startWatcher, stopWatcher, listWatchers } from './watch-folder.js';
 // Duplicate detection
 import { findDuplicates, findCollectionDuplicates, compareFiles } from './duplicate-detector.js';
 
+// Keyword / hybrid search
+import { SEARCH_MODES, keywordSearch, reciprocalRankFusion } from './hybrid-search.js';
+
+// Search filters and pagination
+import { INCLUDE_FIELDS, PATH_PREFIX_MAX_FETCH, buildSearchFilters, matchesPathPrefix } from './search-filters.js';
+
+// Result reranking
+import { RERANKERS, RERANK_OVERFETCH, getReranker } from './reranker.js';
+
+// Neighbouring-chunk context
+import { buildContextWindow, getContextWindow } from './context-window.js';
+
+// Token-budgeted context packs
+import { buildContextPack } from './context-pack.js';
+
+// Cross-collection search
+import { selectCollections, isSideCollection, mergeFederatedResults } from './federated-search.js';
+
+// Incremental re-ingest
+import { loadIndexedFiles, classifyFile, findRemovedFiles, findStaleChunkIds } from './incremental-ingest.js';
+
+// MCP resources for collections and indexed files
+import {
+  RESOURCE_PAGE_SIZE,
+  resourcePath,
+  parseResourceUri,
+  cachedCollectionFiles,
+  forgetCollectionFiles,
+  openResourceSession,
+  closeResourceSession,
+  subscribeResource,
+  unsubscribeResource,
+  resourceSessionServers,
+  changedSubscriptions,
+  collectionResource,
+  fileResource,
+  readCollectionResource,
+  readFileResource
+} from './collection-resources.js';
+
+// MCP prompts for retrieval workflows
+import { listPrompts, getPrompt } from './workflow-prompts.js';
+
+// Streamable HTTP / SSE transport
+import { getTransportConfig, startHttpServer } from './http-transport.js';
+
+// Resumable ingest jobs
+import {
+  loadJob,
+  loadCompletedFiles,
+  createJob,
+  resumeJob,
+  checkpointJob,
+  completeJob,
+  failJob,
+  getJobSignal,
+  reportProgress,
+  fileProgressHandler,
+  cancelJob,
+  getJobStatus,
+  listJobs
+} from './ingest-jobs.js';
+
 // CRITICAL: Avoid stdio contamination; only log when DEBUG_MCP=true
 
 function cleanMetadata(metadata) {
@@ -209,6 +300,91 @@ async function getWorkspaceMountInfo() {
   return info;
 }
 
+/**
+ * Update the module graph and symbol index for one batch of ingested files
+ * The graph and symbol index are by-products; a failure must not fail the ingest.
+ * @param {ChromaClient} client - Local Chroma client
+ * @param {string} collection - Collection the files were ingested into
+ * @param {Object} options - {fullPaths, basePath, removed}
+ * @param {Object} totals - Running {module_graph, symbol_index} counts, updated in place
+ */
+async function updateSideIndexes(client, collection, options, totals) {
+  try {
+    // Graph and symbol paths are relative to the workspace, whichever directory was ingested
+    const graph = await updateModuleGraph(client, collection, { ...options, root: WORKSPACE_ROOT });
+    totals.module_graph.files += graph.files;
+    totals.module_graph.edges += graph.edges;
+  } catch (graphError) {
+    logWarn(`Failed to update module graph: ${graphError.message}`);
+    totals.module_graph.error = graphError.message;
+  }
+
+  try {
+    const symbols = await updateSymbolIndex(client, collection, { ...options, root: WORKSPACE_ROOT });
+    totals.symbol_index.symbols += symbols.symbols;
+    totals.symbol_index.files += symbols.files;
+  } catch (symbolError) {
+    logWarn(`Failed to update symbol index: ${symbolError.message}`);
+    totals.symbol_index.error = symbolError.message;
+  }
+}
+
+// Minimum time between two progress notifications of one tool call
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Progress notifier for one tool call
+ * Sends notifications/progress with the request's progress token, throttled
+ * to PROGRESS_INTERVAL_MS and only when progress has grown, as the protocol
+ * requires. A request without a progress token gets a no-op.
+ * @param {Server} server - MCP server
+ * @param {Object} request - tools/call request
+ * @returns {Function} - (progress, total, message) => void
+ */
+function createProgressNotifier(server, request) {
+  const progressToken = request.params?._meta?.progressToken;
+  let lastProgress = -Infinity;
+  let lastSentAt = 0;
+
+  return (progress, total, message) => {
+    if (progressToken === undefined || progress <= lastProgress) return;
+    const finished = total !== undefined && progress >= total;
+    if (!finished && Date.now() - lastSentAt < PROGRESS_INTERVAL_MS) return;
+
+    lastProgress = progress;
+    lastSentAt = Date.now();
+    server.notification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message }
+    }).catch(error => logDebug(`Progress notification failed: ${error.message}`));
+  };
+}
+
+/**
+ * Job fields reported by a finished ingest
+ * @param {Object} job - Job state from ingest-jobs.js
+ * @param {number} alreadyCompleted - Files skipped because an earlier run wrote them
+ * @returns {Object} - {job_id, runs, files_completed, files_skipped_completed, totals}
+ */
+function jobSummary(job, alreadyCompleted) {
+  return {
+    job_id: job.job_id,
+    runs: job.runs,
+    files_completed: job.files_completed,
+    files_skipped_completed: alreadyCompleted,
+    totals: job.totals
+  };
+}
+
+/**
+ * How to pick up a failed ingest, appended to its error message
+ * @param {Object} job - Job state from ingest-jobs.js
+ * @returns {string} - Hint text
+ */
+function resumeHint(job) {
+  return `\nJob '${job.job_id}' has checkpointed ${job.files_completed} files. Call resume_ingest with job_id "${job.job_id}" to continue without redoing them.`;
+}
+
 class ChromaContextMCP {
   constructor() {
     this.server = new Server(
@@ -219,6 +395,8 @@ class ChromaContextMCP {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
         },
       }
     );
@@ -228,8 +406,13 @@ class ChromaContextMCP {
     this.currentEnvironment = null;
     this.remoteUrl = null;
     this.routerEnabled = process.env.CHROMA_ROUTER_ENABLED === 'true';
+    // Resource notifications reach every session in the process, not just this one
+    this.server.oninitialized = () => openResourceSession(this.server);
+    this.server.onclose = () => closeResourceSession(this.server);
 
     this.setupTools();
+    this.setupResources();
+    this.setupPrompts();
   }
 
   async getLocalClient() {
@@ -327,66 +510,1088 @@ class ChromaContextMCP {
       return this.getLocalClient();
     }
 
-    // Initialize environment if needed
-    if (!this.currentEnvironment) {
-      await this.getCurrentEnvironment();
-    }
+    // Initialize environment if needed
+    if (!this.currentEnvironment) {
+      await this.getCurrentEnvironment();
+    }
+
+    if (preferredRoute === 'remote' && this.remoteUrl) {
+      return this.getRemoteClient();
+    }
+
+    return this.getLocalClient();
+  }
+
+  /**
+   * Build the query part of a coll.query() call.
+   * Collections ingested with pre-computed embeddings (smart_ingest) must be
+   * queried with the same provider/model; everything else uses Chroma's default.
+   */
+  async buildQueryInput(coll, text) {
+    const embedder = await getCollectionEmbedder(coll);
+    if (!embedder) {
+      return { queryTexts: [text] };
+    }
+
+    logDebug(`Embedding query with ${embedder.provider}/${embedder.model} for collection ${coll.name}`);
+    return { queryEmbeddings: [await embedder.embedSingle(text)] };
+  }
+
+  /**
+   * Run a search against one collection and return normalized hits.
+   * mode: 'vector' (embedding similarity), 'keyword' (BM25 over $contains
+   * candidates) or 'hybrid' (reciprocal-rank fusion of both).
+   * where/whereDocument are passed to Chroma; pathPrefix is applied to the
+   * results since Chroma has no prefix operator, so the search is repeated
+   * four times deeper until the page is full, the collection is exhausted or
+   * PATH_PREFIX_MAX_FETCH hits have been ranked.
+   * A reranker reorders RERANK_OVERFETCH times as many candidates.
+   */
+  async searchCollection(coll, query, options = {}) {
+    const {
+      mode = 'vector',
+      limit = 5,
+      offset = 0,
+      where = undefined,
+      whereDocument = undefined,
+      pathPrefix = null,
+      reranker = null
+    } = options;
+
+    // Chroma queries have no offset, so fetch the whole window and slice
+    const window = offset + limit;
+    const wanted = window * (reranker ? RERANK_OVERFETCH : 1);
+    let fetchLimit = wanted * (pathPrefix ? 4 : 1);
+    const maxFetch = pathPrefix ? Math.min(await coll.count(), Math.max(fetchLimit, PATH_PREFIX_MAX_FETCH)) : fetchLimit;
+    let hits;
+    while (true) {
+      const ranked = await this.rankCollection(coll, query, { mode, limit: fetchLimit, where, whereDocument });
+      hits = ranked.filter(hit => matchesPathPrefix(hit.metadata, pathPrefix));
+      if (!pathPrefix || hits.length >= wanted || ranked.length < fetchLimit || fetchLimit >= maxFetch) {
+        break;
+      }
+      fetchLimit = Math.min(fetchLimit * 4, maxFetch);
+    }
+
+    if (reranker) {
+      hits = await reranker.rerank(query, hits);
+    }
+
+    return hits.slice(offset, window);
+  }
+
+  // Ranked hits for one mode, before path filtering and pagination
+  async rankCollection(coll, query, options) {
+    const { mode, limit, where, whereDocument } = options;
+
+    if (mode === 'keyword') {
+      return keywordSearch(coll, query, { limit, where, whereDocument });
+    }
+
+    // Hybrid fuses deeper lists so documents ranked lower by one side can still surface
+    const fetchCount = mode === 'hybrid' ? limit * 3 : limit;
+    const results = await coll.query({
+      ...(await this.buildQueryInput(coll, query)),
+      nResults: fetchCount,
+      where,
+      whereDocument
+    });
+
+    const vectorHits = (results.ids?.[0] || []).map((id, idx) => ({
+      id,
+      content: results.documents[0][idx],
+      metadata: results.metadatas[0][idx],
+      distance: results.distances?.[0][idx]
+    }));
+
+    if (mode !== 'hybrid') {
+      return vectorHits;
+    }
+
+    const keywordHits = await keywordSearch(coll, query, { limit: fetchCount, where, whereDocument });
+    return reciprocalRankFusion({ vector: vectorHits, keyword: keywordHits }, { limit });
+  }
+
+  /**
+   * batch_ingest, run as a checkpointed job.
+   * With {resume: true}, args are a saved job's and the files it already
+   * wrote are skipped; otherwise a new job is started under args.job_id.
+   */
+  async batchIngest(args, options = {}) {
+    const { resume = false, onStart = null, notifyProgress = () => {} } = options;
+    // Get repo name first to use as default collection name
+    const repoName = getRepoName();
+    const {
+      path: dirPath,
+      collection = repoName,  // Default to repo name for automatic context retrieval
+      recursive = true,
+      categories = null,
+      extensions = null,
+      include = null,
+      exclude = null,
+      max_files = 100,  // Reduced default for faster response, user can increase if needed
+      include_content = true,
+      include_outputs = false,
+      incremental = false,
+      estimate_eta = false,
+      job_id = null
+    } = args;
+
+    let job = null;
+    try {
+      job = resume ? await resumeJob(job_id) : await createJob('batch_ingest', args, job_id);
+      const signal = getJobSignal(job);
+      const completed = await loadCompletedFiles(job);
+      let alreadyCompleted = 0;
+      if (onStart) onStart(job);
+
+      // Translate host paths (e.g., /Users/foo/project) to container paths (/workspace)
+      const effectivePath = translateToWorkspacePath(dirPath);
+      const workspaceInfo = await getWorkspaceMountInfo();
+      logDebug(`Input path: ${dirPath} -> Effective path: ${effectivePath}, Collection: ${collection}`);
+
+      const client = await this.getLocalClient();
+      const coll = await client.getOrCreateCollection({ name: collection });
+
+      // Incremental mode: only (re)process files whose content hash changed
+      const indexed = incremental ? await loadIndexedFiles(coll, effectivePath) : null;
+      const scanned = new Set();
+      const hashes = new Map();
+      const plan = { added: 0, changed: 0, unchanged: 0 };
+
+      // Scan, process and store as one stream: memory holds a write batch
+      // and the files in flight, never the whole tree
+      const walkOptions = {
+        recursive,
+        categories: categories ? categories.split(',').map(c => c.trim()) : null,
+        extensions: extensions ? extensions.split(',').map(e => e.trim().startsWith('.') ? e.trim() : `.${e.trim()}`) : null,
+        include: include ? include.split(',').map(g => g.trim()).filter(Boolean) : null,
+        exclude: exclude ? exclude.split(',').map(g => g.trim()).filter(Boolean) : null,
+        maxFiles: max_files
+      };
+      // The total is known once the walk ends; an early ETA costs a second walk
+      const files = countWalkedFiles(walkDirectory(effectivePath, walkOptions), job);
+      if (estimate_eta) {
+        countFiles(effectivePath, walkOptions)
+          .then(total => reportProgress(job, { files_total: total }))
+          .catch(countError => logDebug(`Could not count files: ${countError.message}`));
+      }
+
+      const results = processFilesStream(files, {
+        concurrency: 10,
+        includeContent: include_content,
+        includeOutputs: include_outputs,
+        basePath: effectivePath,
+        onProgress: fileProgressHandler(job),
+        select: async (file) => {
+          if (incremental) scanned.add(file);
+          if (completed.has(file)) {
+            alreadyCompleted++;
+            return false;
+          }
+          if (!incremental) return true;
+          const { status, hash } = await classifyFile(file, indexed);
+          if (hash) hashes.set(file, hash);
+          plan[status]++;
+          return status !== 'unchanged';
+        }
+      });
+
+      // Batch insert (ChromaDB limit is ~5000 per batch)
+      const batchSize = 100;
+      const totals = { files_found: 0, files_processed: 0, files_stored: 0, chunks_deleted: 0, errors: 0 };
+      const errorDetails = [];
+      const sideIndexes = { module_graph: { files: 0, edges: 0 }, symbol_index: { symbols: 0, files: 0 } };
+
+      for await (const batch of batchFileResults(results, { batchSize })) {
+        // cancel_job stops between batches; the batch at hand is redone on resume
+        signal.throwIfAborted();
+        const storedBefore = totals.files_stored;
+        totals.files_found += batch.files.length + batch.errors.length + batch.skipped.length;
+        totals.files_processed += batch.files.length;
+        totals.errors += batch.errors.length;
+        errorDetails.push(...batch.errors.slice(0, 10 - errorDetails.length));
+
+        for (let i = 0; i < batch.chunks.length; i += batchSize) {
+          const slice = batch.chunks.slice(i, i + batchSize);
+          const records = {
+            ids: slice.map(r => r.id),
+            documents: slice.map(r => r.content),
+            metadatas: slice.map(r => cleanMetadata({
+              ...r.metadata,
+              batch_ingest: true,
+              source_directory: dirPath,
+              content_hash: hashes.get(r.metadata.full_path)
+            }))
+          };
+
+          // A resumed job may rewrite the batch that was in flight when it stopped
+          if (incremental || job.runs > 1) {
+            await coll.upsert(records);
+          } else {
+            await coll.add(records);
+          }
+          totals.files_stored += slice.length;
+        }
+
+        if (incremental) {
+          // Drop chunks a changed file no longer produces
+          const staleIds = findStaleChunkIds(batch.chunks, indexed);
+          for (let i = 0; i < staleIds.length; i += batchSize) {
+            await coll.delete({ ids: staleIds.slice(i, i + batchSize) });
+          }
+          totals.chunks_deleted += staleIds.length;
+          batch.files.forEach(file => hashes.delete(file));
+        }
+
+        await updateSideIndexes(client, collection, { fullPaths: batch.files, basePath: effectivePath }, sideIndexes);
+
+        // Unchanged files are done too; failed ones are retried on resume
+        await checkpointJob(job, [...batch.files, ...batch.skipped.filter(file => !completed.has(file))], {
+          files_processed: batch.files.length,
+          files_stored: totals.files_stored - storedBefore,
+          errors: batch.errors.length
+        });
+        this.notifyResourcesChanged(collection, { paths: batch.chunks.map(c => resourcePath(c.metadata)), listChanged: false });
+        notifyProgress(totals.files_found, job.progress.files_total ?? undefined,
+          `Stored ${totals.files_stored} chunks from ${totals.files_processed} files`);
+        logDebug(`Stored ${totals.files_stored} documents from ${totals.files_processed} files`);
+      }
+
+      const payload = {
+        success: true,
+        collection,
+        source_directory: dirPath,
+        files_found: totals.files_found,
+        files_processed: totals.files_processed,
+        files_stored: totals.files_stored,
+        errors: totals.errors,
+        error_details: errorDetails
+      };
+
+      if (incremental) {
+        // Ghosts of files deleted from disk
+        const removed = await findRemovedFiles(indexed, scanned);
+        const removedIds = removed.flatMap(r => r.ids);
+        for (let i = 0; i < removedIds.length; i += batchSize) {
+          await coll.delete({ ids: removedIds.slice(i, i + batchSize) });
+        }
+        await updateSideIndexes(client, collection, { basePath: effectivePath, removed: removed.map(r => r.file) }, sideIndexes);
+
+        payload.incremental = {
+          ...plan,
+          removed: removed.length,
+          chunks_deleted: totals.chunks_deleted + removedIds.length,
+          removed_files: removed.slice(0, 20).map(r => r.file)
+        };
+      }
+
+      payload.module_graph = sideIndexes.module_graph;
+      payload.symbol_index = sideIndexes.symbol_index;
+
+      payload.job = jobSummary(job, alreadyCompleted);
+      await completeJob(job, payload);
+      this.notifyResourcesChanged(collection, { paths: [] });
+
+      if (workspaceInfo) {
+        payload.workspace = workspaceInfo;
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(payload, null, 2),
+        }],
+      };
+    } catch (error) {
+      if (job) await failJob(job, error);
+      return {
+        content: [{
+          type: 'text',
+          text: `Error in batch ingest: ${error.message}${job ? resumeHint(job) : ''}`,
+        }],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * smart_ingest, run as a checkpointed job (see batchIngest).
+   * Checkpoints matter most here: every file embedded twice is paid twice.
+   */
+  async smartIngest(args, options = {}) {
+    // Smart code-aware ingestion with pre-computed embeddings
+    const { resume = false, onStart = null, notifyProgress = () => {} } = options;
+    const repoName = getRepoName();
+    const {
+      path: dirPath,
+      collection = repoName,
+      recursive = true,
+      extensions = null,
+      include = null,
+      exclude = null,
+      max_files = 100,
+      chunk_size = 4000,
+      overlap = 200,
+      include_outputs = false,
+      embedding_provider = null,
+      estimate_eta = false,
+      job_id = null
+    } = args;
+
+    let job = null;
+    try {
+      // Initialize embedder (OpenAI, OpenAI-compatible endpoint, or local model)
+      let embedder;
+      try {
+        embedder = createEmbeddingProvider(embedding_provider);
+      } catch (configError) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Error: ${configError.message}`,
+          }],
+          isError: true,
+        };
+      }
+
+      const client = await this.getLocalClient();
+      const coll = await client.getOrCreateCollection({ name: collection });
+
+      // Refuse to mix vector spaces; queries embed with the collection's recorded provider
+      const existingEmbedding = await readCollectionEmbedding(coll);
+      if (existingEmbedding && (existingEmbedding.provider !== embedder.provider || existingEmbedding.model !== embedder.model)) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Error: Collection '${collection}' was embedded with ${existingEmbedding.provider}/${existingEmbedding.model}; ingesting with ${embedder.provider}/${embedder.model} would make it unsearchable. Use that provider or a different collection.`,
+          }],
+          isError: true,
+        };
+      }
+
+      job = resume ? await resumeJob(job_id) : await createJob('smart_ingest', args, job_id);
+      const signal = getJobSignal(job);
+      const completed = await loadCompletedFiles(job);
+      let alreadyCompleted = 0;
+      if (onStart) onStart(job);
+
+      // Translate host paths
+      const effectivePath = translateToWorkspacePath(dirPath);
+      const workspaceInfo = await getWorkspaceMountInfo();
+      logDebug(`Smart ingest - Input path: ${dirPath} -> Effective path: ${effectivePath}, Collection: ${collection}`);
+
+      // Default to every extension the smart chunker can parse, plus notebooks
+      const fileExtensions = extensions
+        ? extensions.split(',').map(e => e.trim().startsWith('.') ? e.trim() : `.${e.trim()}`)
+        : [...PARSEABLE_EXTENSIONS, ...NOTEBOOK_EXTENSIONS];
+
+      // Scan, chunk, embed and store as one stream, one batch at a time
+      const walkOptions = {
+        recursive,
+        extensions: fileExtensions,
+        include: include ? include.split(',').map(g => g.trim()).filter(Boolean) : null,
+        exclude: exclude ? exclude.split(',').map(g => g.trim()).filter(Boolean) : null,
+        maxFiles: max_files
+      };
+      // The total is known once the walk ends; an early ETA costs a second walk
+      const files = countWalkedFiles(walkDirectory(effectivePath, walkOptions), job);
+      if (estimate_eta) {
+        countFiles(effectivePath, walkOptions)
+          .then(total => reportProgress(job, { files_total: total }))
+          .catch(countError => logDebug(`Could not count files: ${countError.message}`));
+      }
+
+      const results = processFilesStream(files, {
+        concurrency: 5, // Lower concurrency for smart processing
+        includeContent: true,
+        basePath: effectivePath,
+        useSmartChunking: true,
+        chunkSize: chunk_size,
+        overlap: overlap,
+        includeOutputs: include_outputs,
+        onProgress: fileProgressHandler(job),
+        select: (file) => {
+          if (!completed.has(file)) return true;
+          alreadyCompleted++;
+          return false;
+        }
+      });
+
+      const batchSize = 100;
+      const totals = { files_found: 0, files_processed: 0, chunks_stored: 0, errors: 0, tokens: 0 };
+      const errorDetails = [];
+      const sideIndexes = { module_graph: { files: 0, edges: 0 }, symbol_index: { symbols: 0, files: 0 } };
+      let embeddingRecorded = false;
+      let filesDone = 0; // including files skipped as already completed
+
+      for await (const batch of batchFileResults(results, { batchSize })) {
+        signal.throwIfAborted();
+        const before = { chunks: totals.chunks_stored, tokens: totals.tokens };
+        const filesTotal = job.progress.files_total ?? undefined;
+        totals.files_found += batch.files.length + batch.errors.length + batch.skipped.length;
+        totals.files_processed += batch.files.length;
+        totals.errors += batch.errors.length;
+        errorDetails.push(...batch.errors.slice(0, 10 - errorDetails.length));
+
+        for (let i = 0; i < batch.chunks.length; i += batchSize) {
+          const slice = batch.chunks.slice(i, i + batchSize);
+          const texts = slice.map(r => r.content);
+          // Embedding is the slow part: advance through the batch's files chunk by chunk
+          const embeddings = await embedder.embed(texts, {
+            onProgress: (p) => notifyProgress(
+              filesDone + batch.files.length * (i + p.processed) / batch.chunks.length,
+              filesTotal,
+              `Embedding chunk ${i + p.processed}/${batch.chunks.length} of the current batch (${totals.chunks_stored} chunks stored)`
+            )
+          });
+          totals.tokens += texts.reduce((sum, t) => sum + embedder.estimateTokens(t), 0);
+
+          // Record the provider on the collection so queries embed the same way
+          // (local models only know their dimensions after the first batch)
+          if (!embeddingRecorded) {
+            const embeddingMetadata = collectionEmbeddingMetadata(embedder);
+            if (coll.metadata?.embedding_provider !== embedder.provider || coll.metadata?.embedding_dimensions !== embeddingMetadata.embedding_dimensions) {
+              // Chroma rejects hnsw:* settings on modify, so carry over everything else
+              const preserved = Object.fromEntries(
+                Object.entries(coll.metadata || {}).filter(([key]) => !key.startsWith('hnsw:'))
+              );
+              await coll.modify({ metadata: { ...preserved, ...embeddingMetadata } });
+            }
+            embeddingRecorded = true;
+          }
+
+          // upsert on resume: the batch in flight when the job stopped may be partly stored
+          await coll[job.runs > 1 ? 'upsert' : 'add']({
+            ids: slice.map(r => r.id),
+            documents: texts,
+            embeddings,
+            metadatas: slice.map(r => ({
+              ...r.metadata,
+              smart_ingest: true,
+              source_directory: dirPath,
+              embedding_model: embedder.model,
+              embedding_provider: embedder.provider
+            }))
+          });
+          totals.chunks_stored += slice.length;
+        }
+
+        await updateSideIndexes(client, collection, { fullPaths: batch.files, basePath: effectivePath }, sideIndexes);
+        await checkpointJob(job, batch.files, {
+          files_processed: batch.files.length,
+          chunks_stored: totals.chunks_stored - before.chunks,
+          embedding_tokens: totals.tokens - before.tokens,
+          errors: batch.errors.length
+        });
+        this.notifyResourcesChanged(collection, { paths: batch.chunks.map(c => resourcePath(c.metadata)), listChanged: false });
+        filesDone += batch.files.length + batch.errors.length + batch.skipped.length;
+        notifyProgress(filesDone, job.progress.files_total ?? undefined, `Stored ${totals.chunks_stored} chunks from ${totals.files_processed} files`);
+        logDebug(`Smart ingest: stored ${totals.chunks_stored} chunks from ${totals.files_processed} files`);
+      }
+
+      // Calculate cost
+      const estimatedCost = embedder.calculateCost(totals.tokens);
+
+      const payload = {
+        success: true,
+        collection,
+        source_directory: dirPath,
+        files_found: totals.files_found,
+        files_processed: totals.files_processed,
+        chunks_created: totals.chunks_stored,
+        chunks_stored: totals.chunks_stored,
+        embedding_provider: embedder.provider,
+        embedding_model: embedder.model,
+        embedding_tokens: totals.tokens,
+        estimated_cost_usd: estimatedCost.toFixed(4),
+        errors: totals.errors,
+        error_details: errorDetails,
+        module_graph: sideIndexes.module_graph,
+        symbol_index: sideIndexes.symbol_index
+      };
+
+      payload.job = jobSummary(job, alreadyCompleted);
+      payload.job.estimated_cost_usd = embedder.calculateCost(job.totals.embedding_tokens || 0).toFixed(4);
+      await completeJob(job, payload);
+      this.notifyResourcesChanged(collection, { paths: [] });
+
+      if (workspaceInfo) {
+        payload.workspace = workspaceInfo;
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(payload, null, 2),
+        }],
+      };
+    } catch (error) {
+      if (job) await failJob(job, error);
+      return {
+        content: [{
+          type: 'text',
+          text: `Error in smart ingest: ${error.message}${job ? resumeHint(job) : ''}\nStack: ${error.stack}`,
+        }],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Tell resource clients of every session that a collection changed.
+   * Subscribers of the collection URI are always notified; subscribers of its
+   * file URIs only for the given resource paths (all files when paths is null).
+   * listChanged also announces a new resource list. The collection's cached
+   * file list is dropped either way.
+   */
+  notifyResourcesChanged(collection, options = {}) {
+    const { paths = null, listChanged = true } = options;
+    const report = error => logDebug(`Resource notification failed: ${error.message}`);
+    forgetCollectionFiles(collection);
+
+    if (listChanged) {
+      for (const server of resourceSessionServers()) {
+        server.sendResourceListChanged().catch(report);
+      }
+    }
+    for (const { server, uri } of changedSubscriptions(collection, paths)) {
+      server.sendResourceUpdated({ uri }).catch(report);
+    }
+  }
+
+  /**
+   * Run batchIngest/smartIngest without waiting for it to finish.
+   * Resolves as soon as the job exists, with its id; an ingest that fails
+   * before that (bad path, embedding config) resolves with its error instead.
+   * Progress and the final result are read with get_job_status.
+   */
+  startBackgroundIngest(tool, args, options = {}) {
+    const ingest = tool === 'smart_ingest' ? this.smartIngest : this.batchIngest;
+
+    return new Promise((resolve) => {
+      let started = false;
+      const onStart = (job) => {
+        started = true;
+        resolve({
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              background: true,
+              job_id: job.job_id,
+              tool,
+              status: job.status,
+              message: `Ingest running in the background. Poll get_job_status with job_id "${job.job_id}", or stop it with cancel_job.`
+            }, null, 2),
+          }],
+        });
+      };
+
+      ingest.call(this, args, { ...options, onStart })
+        .then((result) => {
+          if (!started) {
+            resolve(result);
+          } else if (result.isError) {
+            logWarn(`Background ${tool} ended with an error: ${result.content[0].text.split('\n')[0]}`);
+          }
+        })
+        .catch((error) => {
+          logError(`Background ${tool} crashed`, error?.message || error);
+          if (!started) {
+            resolve({
+              content: [{ type: 'text', text: `Error in ${tool}: ${error.message}` }],
+              isError: true,
+            });
+          }
+        });
+    });
+  }
+
+  setupTools() {
+    // Handle tool calls
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      const notifyProgress = createProgressNotifier(this.server, request);
+
+      switch (name) {
+        case 'search_context': {
+          const { query, collection = 'vinos_codebase', limit = 5, mode = 'vector', rerank = null, expand = 0 } = args;
+
+          try {
+            // Validate filters before hitting Chroma so bad input gets a precise message
+            let filters;
+            let reranker;
+            try {
+              filters = buildSearchFilters(args);
+              reranker = rerank ? getReranker(rerank) : null;
+            } catch (filterError) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error searching context: Invalid argument - ${filterError.message}`,
+                }],
+                isError: true,
+              };
+            }
+
+            if (!SEARCH_MODES.includes(mode)) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error searching context: Unknown mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`,
+                }],
+                isError: true,
+              };
+            }
+
+            const route = await this.routeQuery(query, collection);
+            const client = await this.getClient(route);
+
+            logDebug(`Searching in ${route} ChromaDB, collection: ${collection}, mode: ${mode}`);
+
+            const coll = await client.getOrCreateCollection({ name: collection });
+            const hits = await this.searchCollection(coll, query, {
+              mode,
+              limit,
+              offset: filters.offset,
+              where: filters.where,
+              whereDocument: filters.whereDocument,
+              pathPrefix: filters.pathPrefix,
+              reranker
+            });
+
+            if (hits.length === 0) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify([], null, 2),
+                }],
+              };
+            }
+
+            const formattedResults = hits.map(({ id, content, metadata, distance, ...scores }) => ({
+              id,
+              ...(filters.include.includes('documents') ? { content } : {}),
+              ...(filters.include.includes('metadatas') ? { metadata } : {}),
+              ...(filters.include.includes('distances') && distance !== undefined ? { distance } : {}),
+              ...scores,
+              source: route
+            }));
+
+            // Attach the surrounding code of each hit
+            if (expand > 0) {
+              for (let i = 0; i < hits.length; i++) {
+                formattedResults[i].context = await buildContextWindow(coll, hits[i], { window: expand });
+              }
+            }
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify(formattedResults, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error searching context: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'search_all': {
+          const { query, collections = null, limit = 10, mode = 'vector', rerank = null } = args;
+
+          try {
+            if (!SEARCH_MODES.includes(mode)) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error searching all collections: Unknown mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`,
+                }],
+                isError: true,
+              };
+            }
+
+            let filters;
+            let reranker;
+            try {
+              filters = buildSearchFilters(args);
+              reranker = rerank ? getReranker(rerank) : null;
+            } catch (filterError) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error searching all collections: Invalid argument - ${filterError.message}`,
+                }],
+                isError: true,
+              };
+            }
+
+            await this.getCurrentEnvironment();
+            const targets = [];
+
+            const localClient = await this.getLocalClient();
+            const localNames = (await localClient.listCollections()).map(c => typeof c === 'string' ? c : c.name);
+            for (const name of selectCollections(localNames, collections)) {
+              targets.push({ client: localClient, collection: name, source: 'local' });
+            }
+
+            if (this.remoteUrl) {
+              try {
+                const remoteClient = await this.getRemoteClient();
+                const remoteNames = (await remoteClient.listCollections()).map(c => typeof c === 'string' ? c : c.name);
+                for (const name of selectCollections(remoteNames, collections)) {
+                  targets.push({ client: remoteClient, collection: name, source: 'remote' });
+                }
+              } catch (remoteError) {
+                logDebug(`Could not list remote collections: ${remoteError.message}`);
+              }
+            }
+
+            logDebug(`search_all: querying ${targets.length} collections, mode: ${mode}`);
+
+            // One failing collection (e.g. an embedding provider that is not configured here) must not sink the rest
+            const settled = await Promise.allSettled(targets.map(async (target) => {
+              const coll = await target.client.getCollection({ name: target.collection });
+              const hits = await this.searchCollection(coll, query, {
+                mode,
+                limit: filters.offset + limit,
+                where: filters.where,
+                whereDocument: filters.whereDocument,
+                pathPrefix: filters.pathPrefix,
+                reranker
+              });
+              return { collection: target.collection, source: target.source, hits };
+            }));
+
+            const lists = [];
+            const failures = [];
+            settled.forEach((result, idx) => {
+              if (result.status === 'fulfilled') {
+                lists.push(result.value);
+              } else {
+                failures.push({ collection: targets[idx].collection, source: targets[idx].source, error: result.reason?.message || String(result.reason) });
+              }
+            });
+
+            const merged = mergeFederatedResults(lists, { limit: filters.offset + limit }).slice(filters.offset);
+
+            const payload = {
+              query,
+              mode,
+              collections_searched: lists.map(l => l.collection),
+              results: merged.map(({ id, content, metadata, distance, ...rest }) => ({
+                ...(filters.include.includes('documents') ? { content } : {}),
+                ...(filters.include.includes('metadatas') ? { metadata } : {}),
+                ...(filters.include.includes('distances') && distance !== undefined ? { distance } : {}),
+                ...rest
+              }))
+            };
+
+            if (failures.length > 0) {
+              payload.failed_collections = failures;
+            }
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify(payload, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error searching all collections: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'get_context_window': {
+          const { collection = 'vinos_codebase', id, window = 2, line_numbers = true } = args;
+
+          try {
+            const route = await this.routeQuery(id, collection);
+            const client = await this.getClient(route);
+            const coll = await client.getCollection({ name: collection });
+
+            const region = await getContextWindow(coll, id, { window, lineNumbers: line_numbers });
+
+            if (!region) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error getting context window: No chunk with id '${id}' in collection '${collection}'`,
+                }],
+                isError: true,
+              };
+            }
+
+            return {
+              content: [{
+                type: 'text',
+                text: `${region.file || id} (${region.start_cell ? `cells ${region.start_cell}-${region.end_cell}` : `lines ${region.start_line}-${region.end_line}`}, chunks: ${region.chunk_ids.join(', ')})\n\n${region.text}`,
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error getting context window: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'build_context_pack': {
+          const { question, collection = 'vinos_codebase', token_budget = 4000, limit = 20, mode = 'hybrid', rerank = null } = args;
+
+          try {
+            if (!SEARCH_MODES.includes(mode)) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error building context pack: Unknown mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`,
+                }],
+                isError: true,
+              };
+            }
+
+            let filters;
+            let reranker;
+            try {
+              filters = buildSearchFilters(args);
+              reranker = rerank ? getReranker(rerank) : null;
+            } catch (filterError) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error building context pack: Invalid argument - ${filterError.message}`,
+                }],
+                isError: true,
+              };
+            }
+
+            const route = await this.routeQuery(question, collection);
+            const client = await this.getClient(route);
+            const coll = await client.getCollection({ name: collection });
+
+            const hits = await this.searchCollection(coll, question, {
+              mode,
+              limit,
+              where: filters.where,
+              whereDocument: filters.whereDocument,
+              pathPrefix: filters.pathPrefix,
+              reranker
+            });
+
+            // Count tokens the way the collection's embedder does; Chroma-default collections use the same estimate
+            const embedder = await getCollectionEmbedder(coll);
+            const pack = buildContextPack(hits, {
+              question,
+              budget: token_budget,
+              estimateTokens: embedder ? text => embedder.estimateTokens(text) : undefined
+            });
+
+            logDebug(`build_context_pack: ${pack.chunks}/${hits.length} chunks from ${pack.files} files, ${pack.tokens}/${token_budget} tokens (${pack.skipped.duplicate} duplicate, ${pack.skipped.over_budget} over budget)`);
+
+            return {
+              content: [{
+                type: 'text',
+                text: pack.chunks > 0 ? pack.markdown : `No context found for "${question}" in ${collection}`,
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error building context pack: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'get_dependencies':
+        case 'get_dependents': {
+          const { collection = getRepoName(), depth = 1 } = args;
+          const query = args.file || args.module;
+          const label = name === 'get_dependencies' ? 'getting dependencies' : 'getting dependents';
+
+          try {
+            if (!query) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error ${label}: Invalid argument - file is required`,
+                }],
+                isError: true,
+              };
+            }
+            if (!Number.isInteger(depth) || depth < 1) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error ${label}: Invalid argument - depth must be a positive integer`,
+                }],
+                isError: true,
+              };
+            }
+
+            // The graph is written next to the collection by batch_ingest/smart_ingest
+            const client = await this.getLocalClient();
+            const entries = await loadModuleGraph(client, collection);
+            if (!entries) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error ${label}: No module graph indexed for collection '${collection}'. Re-ingest it with batch_ingest or smart_ingest to build one.`,
+                }],
+                isError: true,
+              };
+            }
+            if (entries.length === 0) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error ${label}: No module graph for collection '${collection}'. Run batch_ingest or smart_ingest first.`,
+                }],
+                isError: true,
+              };
+            }
+
+            const matches = findModule(entries, query);
+            const isPackage = matches.length === 0 && name === 'get_dependents' &&
+              entries.some(e => e.imports.some(imp => imp.external === query));
+
+            if (matches.length !== 1 && !isPackage) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: matches.length === 0
+                    ? `Error ${label}: '${query}' is not in the module graph of '${collection}'`
+                    : `Error ${label}: '${query}' is ambiguous: ${matches.map(m => m.file).join(', ')}`,
+                }],
+                isError: true,
+              };
+            }
+
+            const result = name === 'get_dependencies'
+              ? getDependencies(entries, matches[0], { depth })
+              : getDependents(entries, isPackage ? { package: query } : matches[0], { depth });
 
-    if (preferredRoute === 'remote' && this.remoteUrl) {
-      return this.getRemoteClient();
-    }
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({ collection, depth, ...result }, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error ${label}: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
 
-    return this.getLocalClient();
-  }
+        case 'find_symbol': {
+          const { name: symbolName, collection = getRepoName(), match = 'auto', kind = null, limit = 10 } = args;
 
-  setupTools() {
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+          try {
+            if (!symbolName) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: 'Error finding symbol: Invalid argument - name is required',
+                }],
+                isError: true,
+              };
+            }
+            if (!SYMBOL_MATCH_MODES.includes(match)) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error finding symbol: Invalid argument - match must be one of: ${SYMBOL_MATCH_MODES.join(', ')}`,
+                }],
+                isError: true,
+              };
+            }
 
-      switch (name) {
-        case 'search_context': {
-          const { query, collection = 'vinos_codebase', limit = 5 } = args;
+            // The symbol index is written next to the collection by batch_ingest/smart_ingest
+            const client = await this.getLocalClient();
+            const symbols = await loadSymbols(client, collection);
+            if (symbols.length === 0) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error finding symbol: No symbol index for collection '${collection}'. Run batch_ingest or smart_ingest first.`,
+                }],
+                isError: true,
+              };
+            }
 
-          try {
-            const route = await this.routeQuery(query, collection);
-            const client = await this.getClient(route);
+            const matches = findSymbols(symbols, symbolName, { match, kind, limit });
 
-            logDebug(`Searching in ${route} ChromaDB, collection: ${collection}`);
+            return {
+              content: [{
+                type: 'text',
+                text: matches.length > 0
+                  ? JSON.stringify({ query: symbolName, collection, matches }, null, 2)
+                  : `No symbol matching "${symbolName}" in ${collection}`,
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error finding symbol: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
 
-            const coll = await client.getOrCreateCollection({ name: collection });
-            const results = await coll.query({
-              queryTexts: [query],
-              nResults: limit
-            });
+        case 'find_references': {
+          const { name: symbolName, collection = getRepoName(), limit = 50 } = args;
 
-            if (!results.documents || !results.documents[0] || results.documents[0].length === 0) {
+          try {
+            if (!symbolName) {
               return {
                 content: [{
                   type: 'text',
-                  text: JSON.stringify([], null, 2),
+                  text: 'Error finding references: Invalid argument - name is required',
                 }],
+                isError: true,
               };
             }
 
-            const formattedResults = results.documents[0].map((doc, idx) => ({
-              content: doc,
-              metadata: results.metadatas[0][idx],
-              distance: results.distances?.[0][idx],
-              source: route
-            }));
+            const client = await this.getLocalClient();
+            const coll = await client.getCollection({ name: collection });
+            const symbols = await loadSymbols(client, collection);
+            const result = await findReferences(coll, symbolName, { symbols, limit });
 
             return {
               content: [{
                 type: 'text',
-                text: JSON.stringify(formattedResults, null, 2),
+                text: JSON.stringify({ collection, ...result }, null, 2),
               }],
             };
           } catch (error) {
             return {
               content: [{
                 type: 'text',
-                text: `Error searching context: ${error.message}`,
+                text: `Error finding references: ${error.message}`,
               }],
               isError: true,
             };
@@ -415,11 +1620,16 @@ class ChromaContextMCP {
               cleanedMetadata.environment = this.currentEnvironment;
             }
 
+            // Keep the collection's vector space consistent if it uses pre-computed embeddings
+            const embedder = await getCollectionEmbedder(localColl);
+
             await localColl.add({
               ids: [docId],
               documents: [content],
+              embeddings: embedder ? [await embedder.embedSingle(content)] : undefined,
               metadatas: [cleanedMetadata]
             });
+            this.notifyResourcesChanged(collection, { paths: [] });
 
             return {
               content: [{
@@ -454,9 +1664,11 @@ class ChromaContextMCP {
               }
             }
 
+            // Module graphs and symbol indexes belong to their collection
+            const names = collections => collections.map(c => typeof c === 'string' ? c : c.name).filter(name => !isSideCollection(name));
             const result = {
-              local: localCollections.map(c => typeof c === 'string' ? c : c.name),
-              remote: remoteCollections.map(c => typeof c === 'string' ? c : c.name),
+              local: names(localCollections),
+              remote: names(remoteCollections),
               environment: this.currentEnvironment,
               remoteUrl: this.remoteUrl
             };
@@ -491,7 +1703,7 @@ class ChromaContextMCP {
             try {
               const localColl = await localClient.getCollection({ name: 'component_patterns' });
               results = await localColl.query({
-                queryTexts: [code],
+                ...(await this.buildQueryInput(localColl, code)),
                 nResults: limit,
                 where: { type: 'component' }
               });
@@ -505,7 +1717,7 @@ class ChromaContextMCP {
                 const remoteClient = await this.getRemoteClient();
                 const remoteColl = await remoteClient.getCollection({ name: 'component_patterns' });
                 results = await remoteColl.query({
-                  queryTexts: [code],
+                  ...(await this.buildQueryInput(remoteColl, code)),
                   nResults: limit,
                   where: { type: 'component' }
                 });
@@ -585,6 +1797,8 @@ class ChromaContextMCP {
             recursive = true,
             categories = null,
             extensions = null,
+            include = null,
+            exclude = null,
             max_files = 1000
           } = args;
 
@@ -594,18 +1808,25 @@ class ChromaContextMCP {
             const workspaceInfo = await getWorkspaceMountInfo();
             logDebug(`scan_directory: Input path: ${dirPath} -> Effective path: ${effectivePath}`);
 
+            const globs = {
+              include: include ? include.split(',').map(g => g.trim()).filter(Boolean) : null,
+              exclude: exclude ? exclude.split(',').map(g => g.trim()).filter(Boolean) : null
+            };
+
             const files = await scanDirectory(effectivePath, {
               recursive,
               categories: categories ? categories.split(',').map(c => c.trim()) : null,
               extensions: extensions ? extensions.split(',').map(e => e.trim().startsWith('.') ? e.trim() : `.${e.trim()}`) : null,
+              ...globs,
               maxFiles: max_files
             });
 
-            const stats = await getDirectoryStats(effectivePath, { recursive, maxFiles: max_files });
+            const stats = await getDirectoryStats(effectivePath, { recursive, ...globs, maxFiles: max_files });
 
             const payload = {
               directory: dirPath,
               files_found: files.length,
+              truncated: stats.truncated,
               stats,
               sample_files: files.slice(0, 20),
               has_more: files.length > 20
@@ -632,240 +1853,148 @@ class ChromaContextMCP {
           }
         }
 
-        case 'batch_ingest': {
-          // Get repo name first to use as default collection name
-          const repoName = getRepoName();
-          const {
-            path: dirPath,
-            collection = repoName,  // Default to repo name for automatic context retrieval
-            recursive = true,
-            categories = null,
-            extensions = null,
-            max_files = 100,  // Reduced default for faster response, user can increase if needed
-            include_content = true
-          } = args;
-
-          try {
-            // Translate host paths (e.g., /Users/foo/project) to container paths (/workspace)
-            const effectivePath = translateToWorkspacePath(dirPath);
-            const workspaceInfo = await getWorkspaceMountInfo();
-            logDebug(`Input path: ${dirPath} -> Effective path: ${effectivePath}, Collection: ${collection}`);
-
-            // Scan for files
-            const files = await scanDirectory(effectivePath, {
-              recursive,
-              categories: categories ? categories.split(',').map(c => c.trim()) : null,
-              extensions: extensions ? extensions.split(',').map(e => e.trim().startsWith('.') ? e.trim() : `.${e.trim()}`) : null,
-              maxFiles: max_files
-            });
+        // Background jobs outlive the call, so only foreground runs report progress
+        case 'batch_ingest':
+          return args.background ? this.startBackgroundIngest(name, args) : this.batchIngest(args, { notifyProgress });
 
-            logDebug(`Found ${files.length} files, processing...`);
+        case 'smart_ingest':
+          return args.background ? this.startBackgroundIngest(name, args) : this.smartIngest(args, { notifyProgress });
 
-            // Process files
-            const { results, errors, stats } = await batchProcessFiles(files, {
-              concurrency: 10,
-              includeContent: include_content,
-              basePath: effectivePath,
-              onProgress: (p) => {
-                if (p.processed % 50 === 0) {
-                  logDebug(`Progress: ${p.percent}% (${p.processed}/${p.total})`);
-                }
-              }
-            });
+        case 'resume_ingest': {
+          const { job_id, background = null } = args;
 
-            logDebug(`Processed ${results.length} files, storing in ChromaDB...`);
+          try {
+            const job = await loadJob(job_id);
+            if (!job) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error: No ingest job '${job_id}'`,
+                }],
+                isError: true,
+              };
+            }
 
-            // Store in ChromaDB
-            const client = await this.getLocalClient();
-            const coll = await client.getOrCreateCollection({ name: collection });
+            logDebug(`Resuming ${job.tool} job ${job_id} after ${job.files_completed} files`);
+            // A job started in the background resumes in the background unless told otherwise
+            if (background ?? job.args.background) {
+              return this.startBackgroundIngest(job.tool, job.args, { resume: true });
+            }
+            return job.tool === 'smart_ingest'
+              ? this.smartIngest(job.args, { resume: true, notifyProgress })
+              : this.batchIngest(job.args, { resume: true, notifyProgress });
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error resuming ingest: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
 
-            // Batch insert (ChromaDB limit is ~5000 per batch)
-            const batchSize = 100;
-            let stored = 0;
-
-            for (let i = 0; i < results.length; i += batchSize) {
-              const batch = results.slice(i, i + batchSize);
-
-              await coll.add({
-                ids: batch.map(r => r.id),
-                documents: batch.map(r => r.content),
-                metadatas: batch.map(r => ({
-                  ...r.metadata,
-                  batch_ingest: true,
-                  source_directory: dirPath
-                }))
-              });
+        case 'get_job_status': {
+          const { job_id } = args;
 
-              stored += batch.length;
-              logDebug(`Stored ${stored}/${results.length} documents`);
+          try {
+            const status = await getJobStatus(job_id);
+            if (!status) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Error: No ingest job '${job_id}'`,
+                }],
+                isError: true,
+              };
             }
 
-            const payload = {
-              success: true,
-              collection,
-              source_directory: dirPath,
-              files_found: files.length,
-              files_processed: stats.processed,
-              files_stored: stored,
-              errors: errors.length,
-              error_details: errors.slice(0, 10)
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify(status, null, 2),
+              }],
             };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error getting job status: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
 
-            if (workspaceInfo) {
-              payload.workspace = workspaceInfo;
-            }
+        case 'list_jobs': {
+          const { status = null, limit = 20 } = args || {};
 
+          try {
+            const jobs = await listJobs({ status });
             return {
               content: [{
                 type: 'text',
-                text: JSON.stringify(payload, null, 2),
+                text: JSON.stringify({
+                  total: jobs.length,
+                  jobs: jobs.slice(0, limit).map(job => ({
+                    job_id: job.job_id,
+                    tool: job.tool,
+                    status: job.status,
+                    running: job.running,
+                    collection: job.args.collection,
+                    path: job.args.path,
+                    files_completed: job.files_completed,
+                    files_total: job.progress?.files_total ?? null,
+                    eta_seconds: job.eta_seconds ?? null,
+                    last_error: job.last_error,
+                    updated_at: job.updated_at
+                  }))
+                }, null, 2),
               }],
             };
           } catch (error) {
             return {
               content: [{
                 type: 'text',
-                text: `Error in batch ingest: ${error.message}`,
+                text: `Error listing jobs: ${error.message}`,
               }],
               isError: true,
             };
           }
         }
 
-        case 'smart_ingest': {
-          // Smart code-aware ingestion with OpenAI embeddings
-          const repoName = getRepoName();
-          const {
-            path: dirPath,
-            collection = repoName,
-            recursive = true,
-            extensions = null,
-            max_files = 100,
-            chunk_size = 4000,
-            overlap = 200
-          } = args;
+        case 'cancel_job': {
+          const { job_id } = args;
 
           try {
-            // Check for OpenAI API key
-            if (!process.env.OPENAI_API_KEY) {
+            if (!cancelJob(job_id)) {
+              const job = await loadJob(job_id);
               return {
                 content: [{
                   type: 'text',
-                  text: 'Error: OPENAI_API_KEY environment variable not set. Smart ingestion requires OpenAI embeddings.',
+                  text: job
+                    ? `Error: Job '${job_id}' is not running in this server (status: ${job.status})`
+                    : `Error: No ingest job '${job_id}'`,
                 }],
                 isError: true,
               };
             }
 
-            // Initialize OpenAI embedder
-            const embedder = createEmbedder(process.env.OPENAI_API_KEY);
-
-            // Translate host paths
-            const effectivePath = translateToWorkspacePath(dirPath);
-            const workspaceInfo = await getWorkspaceMountInfo();
-            logDebug(`Smart ingest - Input path: ${dirPath} -> Effective path: ${effectivePath}, Collection: ${collection}`);
-
-            // Default to code file extensions for smart ingestion
-            const defaultExtensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.pyw'];
-            const fileExtensions = extensions
-              ? extensions.split(',').map(e => e.trim().startsWith('.') ? e.trim() : `.${e.trim()}`)
-              : defaultExtensions;
-
-            // Scan for files
-            const files = await scanDirectory(effectivePath, {
-              recursive,
-              extensions: fileExtensions,
-              maxFiles: max_files
-            });
-
-            logDebug(`Found ${files.length} code files, processing with smart chunking...`);
-
-            // Process files with smart chunking enabled
-            const { results, errors, stats } = await batchProcessFiles(files, {
-              concurrency: 5, // Lower concurrency for smart processing
-              includeContent: true,
-              basePath: effectivePath,
-              useSmartChunking: true,
-              chunkSize: chunk_size,
-              overlap: overlap,
-              onProgress: (p) => {
-                if (p.processed % 10 === 0) {
-                  logDebug(`Smart chunking progress: ${p.percent}% (${p.processed}/${p.total})`);
-                }
-              }
-            });
-
-            logDebug(`Processed ${results.length} chunks, generating OpenAI embeddings...`);
-
-            // Generate OpenAI embeddings
-            const texts = results.map(r => r.content);
-            const embeddings = await embedder.embed(texts, { showProgress: true });
-
-            logDebug(`Generated ${embeddings.length} embeddings, storing in ChromaDB...`);
-
-            // Store in ChromaDB with pre-computed embeddings
-            const client = await this.getLocalClient();
-            const coll = await client.getOrCreateCollection({ name: collection });
-
-            // Batch insert with embeddings
-            const batchSize = 100;
-            let stored = 0;
-
-            for (let i = 0; i < results.length; i += batchSize) {
-              const batch = results.slice(i, i + batchSize);
-              const batchEmbeddings = embeddings.slice(i, i + batchSize);
-
-              await coll.add({
-                ids: batch.map(r => r.id),
-                documents: batch.map(r => r.content),
-                embeddings: batchEmbeddings,
-                metadatas: batch.map(r => ({
-                  ...r.metadata,
-                  smart_ingest: true,
-                  source_directory: dirPath,
-                  embedding_model: embedder.model,
-                  embedding_provider: 'openai'
-                }))
-              });
-
-              stored += batch.length;
-              logDebug(`Stored ${stored}/${results.length} chunks`);
-            }
-
-            // Calculate cost
-            const totalTokens = texts.reduce((sum, t) => sum + embedder.estimateTokens(t), 0);
-            const estimatedCost = embedder.calculateCost(totalTokens);
-
-            const payload = {
-              success: true,
-              collection,
-              source_directory: dirPath,
-              files_found: files.length,
-              files_processed: stats.processed,
-              chunks_created: results.length,
-              chunks_stored: stored,
-              embedding_model: embedder.model,
-              embedding_tokens: totalTokens,
-              estimated_cost_usd: estimatedCost.toFixed(4),
-              errors: errors.length,
-              error_details: errors.slice(0, 10)
-            };
-
-            if (workspaceInfo) {
-              payload.workspace = workspaceInfo;
-            }
-
             return {
               content: [{
                 type: 'text',
-                text: JSON.stringify(payload, null, 2),
+                text: JSON.stringify({
+                  success: true,
+                  job_id,
+                  message: 'Cancellation requested. The job stops before its next batch; continue it later with resume_ingest.'
+                }, null, 2),
               }],
             };
           } catch (error) {
             return {
               content: [{
                 type: 'text',
-                text: `Error in smart ingest: ${error.message}\nStack: ${error.stack}`,
+                text: `Error cancelling job: ${error.message}`,
               }],
               isError: true,
             };
@@ -880,6 +2009,8 @@ class ChromaContextMCP {
             name = null,
             categories = null,
             extensions = null,
+            include = null,
+            exclude = null,
             max_files = 200
           } = args;
 
@@ -891,55 +2022,48 @@ class ChromaContextMCP {
             const tempName = name || `${repoName}_quick`;
             logDebug(`Quick loading to collection: ${tempName} (path: ${dirPath} -> ${effectivePath})`);
 
-            // Scan and process
-            const files = await scanDirectory(effectivePath, {
+            const client = await this.getLocalClient();
+            const coll = await client.getOrCreateCollection({ name: tempName });
+
+            // Scan, process and store as one stream
+            const files = walkDirectory(effectivePath, {
               recursive: true,
               categories: categories ? categories.split(',').map(c => c.trim()) : null,
               extensions: extensions ? extensions.split(',').map(e => e.trim().startsWith('.') ? e.trim() : `.${e.trim()}`) : null,
+              include: include ? include.split(',').map(g => g.trim()).filter(Boolean) : null,
+              exclude: exclude ? exclude.split(',').map(g => g.trim()).filter(Boolean) : null,
               maxFiles: max_files
             });
 
-            const { results, stats } = await batchProcessFiles(files, {
+            const results = processFilesStream(files, {
               concurrency: 20, // Higher concurrency for speed
               includeContent: true,
               basePath: effectivePath
             });
 
-            // Store quickly
-            const client = await this.getLocalClient();
-            const coll = await client.getOrCreateCollection({ name: tempName });
-
-            // Single batch if possible
-            if (results.length <= 500) {
-              await coll.add({
-                ids: results.map(r => r.id),
-                documents: results.map(r => r.content),
-                metadatas: results.map(r => ({
-                  ...r.metadata,
-                  temp_collection: true,
-                  loaded_at: new Date().toISOString()
-                }))
-              });
-            } else {
-              // Batch insert
-              for (let i = 0; i < results.length; i += 500) {
-                const batch = results.slice(i, i + 500);
+            let loaded = 0;
+            for await (const batch of batchFileResults(results, { batchSize: 500 })) {
+              for (let i = 0; i < batch.chunks.length; i += 500) {
+                const slice = batch.chunks.slice(i, i + 500);
                 await coll.add({
-                  ids: batch.map(r => r.id),
-                  documents: batch.map(r => r.content),
-                  metadatas: batch.map(r => ({
+                  ids: slice.map(r => r.id),
+                  documents: slice.map(r => r.content),
+                  metadatas: slice.map(r => ({
                     ...r.metadata,
                     temp_collection: true,
                     loaded_at: new Date().toISOString()
                   }))
                 });
+                loaded += slice.length;
               }
             }
 
+            this.notifyResourcesChanged(tempName);
+
             const payload = {
               success: true,
               collection: tempName,
-              files_loaded: results.length,
+              files_loaded: loaded,
               source: dirPath,
               tip: `Use 'search_context' with collection='${tempName}' to search. Use 'unload_collection' to remove when done.`
             };
@@ -971,6 +2095,9 @@ class ChromaContextMCP {
           try {
             const client = await this.getLocalClient();
             await client.deleteCollection({ name: collection });
+            await deleteModuleGraph(client, collection);
+            await deleteSymbolIndex(client, collection);
+            this.notifyResourcesChanged(collection);
 
             return {
               content: [{
@@ -1044,6 +2171,7 @@ class ChromaContextMCP {
               collectionName: collection,
               overwrite
             });
+            this.notifyResourcesChanged(result.collection);
 
             return {
               content: [{
@@ -1077,6 +2205,7 @@ class ChromaContextMCP {
             if (ids) {
               const idList = Array.isArray(ids) ? ids : ids.split(',').map(id => id.trim());
               await coll.delete({ ids: idList });
+              this.notifyResourcesChanged(collection);
 
               return {
                 content: [{
@@ -1093,6 +2222,7 @@ class ChromaContextMCP {
             if (where) {
               const whereClause = typeof where === 'string' ? JSON.parse(where) : where;
               await coll.delete({ where: whereClause });
+              this.notifyResourcesChanged(collection);
 
               return {
                 content: [{
@@ -1188,6 +2318,7 @@ class ChromaContextMCP {
                 ingested_at: ingestedAt
               }))
             });
+            this.notifyResourcesChanged(collection, { paths: [resourcePath(chunks[0].metadata)] });
 
             return {
               content: [{
@@ -1368,6 +2499,7 @@ class ChromaContextMCP {
           try {
             logDebug(`Scanning for duplicates in ${dirPath}...`);
 
+            let sizingTotal = 0;
             const result = await findDuplicates(dirPath, {
               recursive,
               categories: categories ? categories.split(',').map(c => c.trim()) : null,
@@ -1375,6 +2507,13 @@ class ChromaContextMCP {
               hashMethod: hash_method,
               maxFiles: max_files,
               onProgress: (p) => {
+                // Hashing follows sizing; count both phases so progress keeps growing
+                if (p.phase === 'sizing') {
+                  sizingTotal = p.total;
+                  notifyProgress(p.processed, undefined, `Sizing files: ${p.processed}/${p.total}`);
+                } else {
+                  notifyProgress(sizingTotal + p.processed, sizingTotal + p.total, `Hashing possible duplicates: ${p.processed}/${p.total}`);
+                }
                 if (p.processed % 100 === 0) {
                   logDebug(`${p.phase}: ${p.processed}/${p.total}`);
                 }
@@ -1459,22 +2598,305 @@ class ChromaContextMCP {
       return {
         tools: [
           {
-            name: 'search_context',
-            description: 'Search for relevant context in ChromaDB (automatically routes to local or remote)',
+            name: 'search_context',
+            description: 'Search for relevant context in ChromaDB (automatically routes to local or remote)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Search query',
+                },
+                collection: {
+                  type: 'string',
+                  description: 'Collection to search (default: vinos_codebase)',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Number of results (default: 5)',
+                },
+                mode: {
+                  type: 'string',
+                  description: 'Search mode: "vector" (semantic, default), "keyword" (exact identifiers/error strings, BM25-ranked) or "hybrid" (reciprocal-rank fusion of both)',
+                  enum: SEARCH_MODES,
+                },
+                where: {
+                  type: 'object',
+                  description: 'Chroma metadata filter, e.g. {"$and": [{"language": "typescript"}, {"is_exported": true}]}. Operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $and, $or',
+                },
+                where_document: {
+                  type: 'object',
+                  description: 'Chroma document filter, e.g. {"$contains": "TODO"}. Operators: $contains, $not_contains, $and, $or',
+                },
+                path_prefix: {
+                  type: 'string',
+                  description: 'Only return chunks from files under this path (e.g. "src/api")',
+                },
+                language: {
+                  type: 'string',
+                  description: 'Only return chunks in these languages (comma-separated, e.g. "typescript,javascript")',
+                },
+                file_type: {
+                  type: 'string',
+                  description: 'Only return these file types: categories (code, notebooks, documents, data, images, cad) or extensions (".ts,.tsx"), comma-separated',
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Number of results to skip, for pagination (default: 0)',
+                },
+                include: {
+                  type: 'array',
+                  items: { type: 'string', enum: INCLUDE_FIELDS },
+                  description: 'Fields to return per result (default: documents, metadatas, distances)',
+                },
+                rerank: {
+                  type: 'string',
+                  description: 'Rerank over-fetched candidates: "heuristic" (similarity + chunk importance + recency + path match) or "cross-encoder" (offline model). Omit to return raw search order',
+                  enum: RERANKERS,
+                },
+                expand: {
+                  type: 'number',
+                  description: 'Attach the N neighbouring chunks on each side of every hit as a contiguous, line-numbered region (default: 0)',
+                },
+              },
+              required: ['query'],
+            },
+          },
+          {
+            name: 'get_context_window',
+            description: 'Get the code surrounding a search hit: fetches the neighbouring chunks of the same file and stitches them into one contiguous, line-numbered region.',
             inputSchema: {
               type: 'object',
               properties: {
-                query: {
+                id: {
                   type: 'string',
-                  description: 'Search query',
+                  description: 'Chunk id from a search result',
+                },
+                collection: {
+                  type: 'string',
+                  description: 'Collection containing the chunk (default: vinos_codebase)',
+                },
+                window: {
+                  type: 'number',
+                  description: 'Number of chunks to include on each side (default: 2)',
+                },
+                line_numbers: {
+                  type: 'boolean',
+                  description: 'Prefix each line with its line number (default: true)',
+                },
+              },
+              required: ['id'],
+            },
+          },
+          {
+            name: 'build_context_pack',
+            description: 'Answer-ready context for a question: searches, drops overlapping chunks, groups snippets by file and returns compact Markdown that fits a token budget. Prefer this over search_context when the results go straight into a prompt.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                question: {
+                  type: 'string',
+                  description: 'Question or task the context is for',
                 },
                 collection: {
                   type: 'string',
                   description: 'Collection to search (default: vinos_codebase)',
                 },
+                token_budget: {
+                  type: 'number',
+                  description: 'Maximum size of the pack in tokens (default: 4000)',
+                },
                 limit: {
                   type: 'number',
-                  description: 'Number of results (default: 5)',
+                  description: 'Number of candidate chunks to consider, best first (default: 20)',
+                },
+                mode: {
+                  type: 'string',
+                  description: 'Search mode (default: hybrid)',
+                  enum: SEARCH_MODES,
+                },
+                where: {
+                  type: 'object',
+                  description: 'Chroma metadata filter (same syntax as search_context)',
+                },
+                where_document: {
+                  type: 'object',
+                  description: 'Chroma document filter (same syntax as search_context)',
+                },
+                path_prefix: {
+                  type: 'string',
+                  description: 'Only use chunks from files under this path',
+                },
+                language: {
+                  type: 'string',
+                  description: 'Only use chunks in these languages (comma-separated)',
+                },
+                file_type: {
+                  type: 'string',
+                  description: 'Only use these file types: categories or extensions, comma-separated',
+                },
+                rerank: {
+                  type: 'string',
+                  description: 'Rerank candidates before packing: "heuristic" or "cross-encoder"',
+                  enum: RERANKERS,
+                },
+              },
+              required: ['question'],
+            },
+          },
+          {
+            name: 'get_dependencies',
+            description: 'List the modules a file imports, from the import/export graph recorded by batch_ingest and smart_ingest (JavaScript, TypeScript, Python). Imports resolved to repository files are listed with the imported names; third-party imports are listed as packages.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                file: {
+                  type: 'string',
+                  description: 'File path relative to the ingested directory (a path suffix or a path without extension also works)',
+                },
+                collection: {
+                  type: 'string',
+                  description: 'Collection the files were ingested into (default: repo name)',
+                },
+                depth: {
+                  type: 'number',
+                  description: 'Follow imports this many levels deep (default: 1)',
+                },
+              },
+              required: ['file'],
+            },
+          },
+          {
+            name: 'get_dependents',
+            description: 'List the files that import a module or a third-party package, from the import/export graph recorded by batch_ingest and smart_ingest. Use it to see what a change to a file may break.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                module: {
+                  type: 'string',
+                  description: 'File path relative to the ingested directory, or a package name (e.g. "chromadb")',
+                },
+                collection: {
+                  type: 'string',
+                  description: 'Collection the files were ingested into (default: repo name)',
+                },
+                depth: {
+                  type: 'number',
+                  description: 'Follow importers this many levels up (default: 1)',
+                },
+              },
+              required: ['module'],
+            },
+          },
+          {
+            name: 'find_symbol',
+            description: 'Go to definition: look up functions, classes, methods and types by name in the symbol table built by batch_ingest and smart_ingest. Returns the defining file, line range and signature. Use this instead of search_context for "where is X defined".',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Symbol name, or Class.method',
+                },
+                collection: {
+                  type: 'string',
+                  description: 'Collection the files were ingested into (default: repo name)',
+                },
+                match: {
+                  type: 'string',
+                  description: 'exact, prefix or fuzzy (typos, abbreviations like "tTWP"); auto (default) uses the strictest mode that finds something',
+                  enum: SYMBOL_MATCH_MODES,
+                },
+                kind: {
+                  type: 'string',
+                  description: 'Only symbols of this kind (function, class, method, object)',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum matches (default: 10)',
+                },
+              },
+              required: ['name'],
+            },
+          },
+          {
+            name: 'find_references',
+            description: 'Find every whole-identifier occurrence of a name in the files of a collection, with line, column and the line text. The definition is flagged. Files are read from disk, so line numbers reflect the current file contents.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Identifier to look for (for Class.method, the method name is searched)',
+                },
+                collection: {
+                  type: 'string',
+                  description: 'Collection the files were ingested into (default: repo name)',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum occurrences to return (default: 50); the total is always reported',
+                },
+              },
+              required: ['name'],
+            },
+          },
+          {
+            name: 'search_all',
+            description: 'Search across all collections (local and remote) at once. Scores are normalized over all hits together, duplicate chunks are merged, and each hit is tagged with its collection.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Search query',
+                },
+                collections: {
+                  type: 'string',
+                  description: 'Comma-separated collection names or globs, e.g. "api_*,web" (default: all collections)',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Number of merged results (default: 10)',
+                },
+                mode: {
+                  type: 'string',
+                  description: 'Search mode: "vector" (default), "keyword" or "hybrid"',
+                  enum: SEARCH_MODES,
+                },
+                where: {
+                  type: 'object',
+                  description: 'Chroma metadata filter applied to every collection',
+                },
+                where_document: {
+                  type: 'object',
+                  description: 'Chroma document filter applied to every collection',
+                },
+                path_prefix: {
+                  type: 'string',
+                  description: 'Only return chunks from files under this path',
+                },
+                language: {
+                  type: 'string',
+                  description: 'Only return chunks in these languages (comma-separated)',
+                },
+                file_type: {
+                  type: 'string',
+                  description: 'Only return these file types: categories or extensions, comma-separated',
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Number of merged results to skip (default: 0)',
+                },
+                include: {
+                  type: 'array',
+                  items: { type: 'string', enum: INCLUDE_FIELDS },
+                  description: 'Fields to return per result (default: documents, metadatas, distances)',
+                },
+                rerank: {
+                  type: 'string',
+                  description: 'Rerank over-fetched candidates: "heuristic" (similarity + chunk importance + recency + path match) or "cross-encoder" (offline model). Omit to return raw search order',
+                  enum: RERANKERS,
                 },
               },
               required: ['query'],
@@ -1508,7 +2930,7 @@ class ChromaContextMCP {
           },
           {
             name: 'list_collections',
-            description: 'List all ChromaDB collections (both local and remote)',
+            description: 'List all ChromaDB collections (both local and remote), without the module graph and symbol index collections kept next to them',
             inputSchema: {
               type: 'object',
               properties: {},
@@ -1559,15 +2981,23 @@ class ChromaContextMCP {
                 },
                 categories: {
                   type: 'string',
-                  description: 'Comma-separated file categories to include: images, cad, documents, data, code',
+                  description: 'Comma-separated file categories to include: images, cad, documents, data, code, notebooks',
                 },
                 extensions: {
                   type: 'string',
                   description: 'Comma-separated file extensions to include (e.g., ".jpg,.png,.stl")',
                 },
+                include: {
+                  type: 'string',
+                  description: 'Comma-separated globs a file must match, gitignore syntax relative to path (e.g. "src/**/*.ts,docs/")',
+                },
+                exclude: {
+                  type: 'string',
+                  description: 'Comma-separated globs to skip, gitignore syntax relative to path (e.g. "dist/,**/*.test.js"). .gitignore and .chromaignore files are always honoured',
+                },
                 max_files: {
                   type: 'number',
-                  description: 'Maximum files to scan (default: 1000)',
+                  description: 'Maximum files to scan (default: 1000); truncated is true when the directory holds more',
                 },
               },
               required: ['path'],
@@ -1593,12 +3023,20 @@ class ChromaContextMCP {
                 },
                 categories: {
                   type: 'string',
-                  description: 'Comma-separated categories: images, cad, documents, data, code',
+                  description: 'Comma-separated categories: images, cad, documents, data, code, notebooks',
                 },
                 extensions: {
                   type: 'string',
                   description: 'Comma-separated extensions to include',
                 },
+                include: {
+                  type: 'string',
+                  description: 'Comma-separated globs a file must match, gitignore syntax relative to path (e.g. "src/**/*.ts,docs/")',
+                },
+                exclude: {
+                  type: 'string',
+                  description: 'Comma-separated globs to skip, gitignore syntax relative to path (e.g. "dist/,**/*.test.js"). .gitignore and .chromaignore files are always honoured',
+                },
                 max_files: {
                   type: 'number',
                   description: 'Maximum files to process (default: 500)',
@@ -1607,13 +3045,33 @@ class ChromaContextMCP {
                   type: 'boolean',
                   description: 'Extract and store file content for text files (default: true)',
                 },
+                include_outputs: {
+                  type: 'boolean',
+                  description: 'Append the text outputs of Jupyter notebook code cells to their chunks, truncated to 1000 characters (default: false)',
+                },
+                incremental: {
+                  type: 'boolean',
+                  description: 'Only re-ingest files whose content changed, and remove chunks of files deleted from disk (default: false)',
+                },
+                job_id: {
+                  type: 'string',
+                  description: 'Name for this ingest job, used by resume_ingest if it fails midway (default: generated and returned)',
+                },
+                background: {
+                  type: 'boolean',
+                  description: 'Return a job id immediately and ingest in the background; poll get_job_status (use for ingests that may exceed the client\'s tool timeout)',
+                },
+                estimate_eta: {
+                  type: 'boolean',
+                  description: 'Count the files up front so progress and get_job_status have a total and ETA from the start; costs a second directory walk (default: false, the total is known once the walk ends)',
+                },
               },
               required: ['path'],
             },
           },
           {
             name: 'smart_ingest',
-            description: 'Ingest code files with intelligent code-aware chunking and OpenAI embeddings. Automatically detects functions, classes, and logical code boundaries. Supports JavaScript, TypeScript, and Python. Requires OPENAI_API_KEY environment variable.',
+            description: 'Ingest code files with intelligent code-aware chunking and pre-computed embeddings. Automatically detects functions, classes, and logical code boundaries. Supports JavaScript, TypeScript, and Python. Embeds with OpenAI when OPENAI_API_KEY is set, otherwise with an offline local model (override with embedding_provider or EMBEDDING_PROVIDER).',
             inputSchema: {
               type: 'object',
               properties: {
@@ -1631,7 +3089,15 @@ class ChromaContextMCP {
                 },
                 extensions: {
                   type: 'string',
-                  description: 'Comma-separated extensions (default: .js,.jsx,.ts,.tsx,.py)',
+                  description: 'Comma-separated extensions (default: every language the smart chunker parses - JS/TS, Python, Go, Rust, Java, C/C++, C#, Ruby, PHP, Kotlin - plus Jupyter notebooks)',
+                },
+                include: {
+                  type: 'string',
+                  description: 'Comma-separated globs a file must match, gitignore syntax relative to path (e.g. "src/**/*.ts,docs/")',
+                },
+                exclude: {
+                  type: 'string',
+                  description: 'Comma-separated globs to skip, gitignore syntax relative to path (e.g. "dist/,**/*.test.js"). .gitignore and .chromaignore files are always honoured',
                 },
                 max_files: {
                   type: 'number',
@@ -1645,10 +3111,95 @@ class ChromaContextMCP {
                   type: 'number',
                   description: 'Overlap between chunks in characters (default: 200)',
                 },
+                include_outputs: {
+                  type: 'boolean',
+                  description: 'Append the text outputs of Jupyter notebook code cells to their chunks, truncated to 1000 characters (default: false)',
+                },
+                embedding_provider: {
+                  type: 'string',
+                  description: 'Embedding provider: "openai", "openai-compatible" (EMBEDDING_BASE_URL) or "local" (offline ONNX model). Default: EMBEDDING_PROVIDER env, else openai if OPENAI_API_KEY is set, else local',
+                  enum: EMBEDDING_PROVIDERS,
+                },
+                job_id: {
+                  type: 'string',
+                  description: 'Name for this ingest job, used by resume_ingest if it fails midway (default: generated and returned)',
+                },
+                background: {
+                  type: 'boolean',
+                  description: 'Return a job id immediately and ingest in the background; poll get_job_status (use for ingests that may exceed the client\'s tool timeout)',
+                },
+                estimate_eta: {
+                  type: 'boolean',
+                  description: 'Count the files up front so progress and get_job_status have a total and ETA from the start; costs a second directory walk (default: false, the total is known once the walk ends)',
+                },
               },
               required: ['path'],
             },
           },
+          {
+            name: 'resume_ingest',
+            description: 'Resume a batch_ingest or smart_ingest job that failed or was interrupted. Replays the job\'s original arguments and skips every file it already stored, so completed files are not re-embedded.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                job_id: {
+                  type: 'string',
+                  description: 'Job id from the failed ingest\'s error message or result',
+                },
+                background: {
+                  type: 'boolean',
+                  description: 'Resume in the background and return immediately (default: as the job was started)',
+                },
+              },
+              required: ['job_id'],
+            },
+          },
+          {
+            name: 'get_job_status',
+            description: 'Progress of an ingest job: status, files done of files total, current file, counts, errors and ETA. Completed jobs include their final result.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                job_id: {
+                  type: 'string',
+                  description: 'Job id returned by batch_ingest, smart_ingest or resume_ingest',
+                },
+              },
+              required: ['job_id'],
+            },
+          },
+          {
+            name: 'list_jobs',
+            description: 'List ingest jobs, most recent first, with their status and progress',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                status: {
+                  type: 'string',
+                  description: 'Only jobs with this status',
+                  enum: ['running', 'completed', 'failed', 'cancelled'],
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum jobs to return (default: 20)',
+                },
+              },
+            },
+          },
+          {
+            name: 'cancel_job',
+            description: 'Cancel a running ingest job. It stops before its next batch, keeping its checkpoint so resume_ingest can continue it.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                job_id: {
+                  type: 'string',
+                  description: 'Job id to cancel',
+                },
+              },
+              required: ['job_id'],
+            },
+          },
           {
             name: 'quick_load',
             description: 'FAST: Rapidly load files into a temporary collection for quick searching. Perfect for processing a batch of photos/CAD files then unloading.',
@@ -1665,12 +3216,20 @@ class ChromaContextMCP {
                 },
                 categories: {
                   type: 'string',
-                  description: 'File categories to include: images, cad, documents, data, code',
+                  description: 'File categories to include: images, cad, documents, data, code, notebooks',
                 },
                 extensions: {
                   type: 'string',
                   description: 'Specific extensions to include',
                 },
+                include: {
+                  type: 'string',
+                  description: 'Comma-separated globs a file must match, gitignore syntax relative to path (e.g. "src/**/*.ts,docs/")',
+                },
+                exclude: {
+                  type: 'string',
+                  description: 'Comma-separated globs to skip, gitignore syntax relative to path (e.g. "dist/,**/*.test.js"). .gitignore and .chromaignore files are always honoured',
+                },
                 max_files: {
                   type: 'number',
                   description: 'Maximum files (default: 200)',
@@ -1681,7 +3240,7 @@ class ChromaContextMCP {
           },
           {
             name: 'unload_collection',
-            description: 'Delete/unload a collection when done processing. Use after quick_load to clean up temporary data.',
+            description: 'Delete/unload a collection with its module graph and symbol index when done processing. Use after quick_load to clean up temporary data.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -1835,7 +3394,7 @@ class ChromaContextMCP {
                 },
                 categories: {
                   type: 'string',
-                  description: 'File categories to watch: images, cad, documents, data, code',
+                  description: 'File categories to watch: images, cad, documents, data, code, notebooks',
                 },
                 extensions: {
                   type: 'string',
@@ -1894,7 +3453,7 @@ class ChromaContextMCP {
                 },
                 categories: {
                   type: 'string',
-                  description: 'File categories to check: images, cad, documents, data, code',
+                  description: 'File categories to check: images, cad, documents, data, code, notebooks',
                 },
                 extensions: {
                   type: 'string',
@@ -1950,6 +3509,99 @@ class ChromaContextMCP {
     });
   }
 
+  setupResources() {
+    // Collections first, then the files of each collection in name order;
+    // the cursor is "<collection index>:<file offset>"
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const cursor = request.params?.cursor || '0:0';
+      let [index, offset] = cursor.split(':').map(Number);
+      if (!Number.isInteger(index) || !Number.isInteger(offset)) {
+        throw new Error(`Invalid cursor: ${cursor}`);
+      }
+
+      const client = await this.getLocalClient();
+      const collections = await client.listCollections();
+      const names = selectCollections(collections.map(c => typeof c === 'string' ? c : c.name)).sort();
+      const resources = index === 0 && offset === 0 ? names.map(collectionResource) : [];
+
+      while (index < names.length && resources.length < RESOURCE_PAGE_SIZE) {
+        const coll = await client.getCollection({ name: names[index] });
+        const files = await cachedCollectionFiles(coll);
+        const page = files.slice(offset, offset + RESOURCE_PAGE_SIZE - resources.length);
+        resources.push(...page.map(file => fileResource(names[index], file)));
+        offset += page.length;
+        if (offset >= files.length) {
+          index++;
+          offset = 0;
+        }
+      }
+
+      return index < names.length ? { resources, nextCursor: `${index}:${offset}` } : { resources };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'chroma://collection/{name}',
+          name: 'Collection',
+          description: 'Statistics of a ChromaDB collection and the files it holds',
+          mimeType: 'application/json',
+        },
+        {
+          uriTemplate: 'chroma://collection/{name}/file/{+path}',
+          name: 'Indexed file',
+          description: 'A file rebuilt from its chunks; path is the relative_path stored at ingest',
+        },
+      ],
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const target = parseResourceUri(uri);
+      if (!target) {
+        throw new Error(`Unknown resource: ${uri}`);
+      }
+
+      const client = await this.getLocalClient();
+      const coll = await client.getCollection({ name: target.collection });
+      const contents = target.path
+        ? await readFileResource(coll, target.path)
+        : await readCollectionResource(coll);
+      if (!contents) {
+        throw new Error(`No file '${target.path}' in collection '${target.collection}'`);
+      }
+
+      return { contents: [{ ...contents, uri }] };
+    });
+
+    // Ingest tools send resources/updated for subscribed URIs (see notifyResourcesChanged)
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      if (!parseResourceUri(uri)) {
+        throw new Error(`Unknown resource: ${uri}`);
+      }
+      subscribeResource(this.server, uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      unsubscribeResource(this.server, request.params.uri);
+      return {};
+    });
+  }
+
+  setupPrompts() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: listPrompts(),
+    }));
+
+    // Prompts default to the same collection as the ingest tools
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      return getPrompt(name, args, { defaultCollection: getRepoName() });
+    });
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
@@ -1958,7 +3610,30 @@ class ChromaContextMCP {
   }
 }
 
-const server = new ChromaContextMCP();
-server.run().catch((error) => {
-  logError('Server run failed', error?.message || error);
-});
+export { ChromaContextMCP };
+
+function main() {
+  const transportConfig = getTransportConfig();
+
+  if (transportConfig.http) {
+    // One MCP server per HTTP session; stdio is unused, so report on stderr
+    startHttpServer(() => new ChromaContextMCP().server, transportConfig).then(() => {
+      const { host, port, authToken } = transportConfig;
+      process.stderr.write(`chromadb-context MCP listening on http://${host}:${port}/mcp (SSE: /sse)${authToken ? '' : ' without authentication'}\n`);
+    }).catch((error) => {
+      process.stderr.write(`HTTP server failed to start: ${error.message}\n`);
+      process.exit(1);
+    });
+    return;
+  }
+
+  const server = new ChromaContextMCP();
+  server.run().catch((error) => {
+    logError('Server run failed', error?.message || error);
+  });
+}
+
+// Start only when run as a script; tests import the class instead
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
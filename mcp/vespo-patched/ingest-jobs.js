@@ -0,0 +1,380 @@
+/**
+ * Ingest Jobs - Checkpointed, resumable batch_ingest / smart_ingest runs
+ *
+ * Every ingest runs as a named job. The job's arguments, status and running
+ * totals live in <id>.json; the files whose chunks have been written are
+ * appended to <id>.log after each batch, so a crash costs at most one batch.
+ * Resuming replays the saved arguments and skips the logged files, which for
+ * smart_ingest means their embeddings are not paid for twice.
+ *
+ * Jobs running in this process also carry live progress and an AbortController,
+ * so background ingests can be polled and cancelled between batches. Finished,
+ * failed and cancelled jobs are deleted once they are older than
+ * CHROMA_JOBS_RETENTION_DAYS, checked whenever a new job starts.
+ */
+
+import { readFile, writeFile, appendFile, rename, rm, mkdir, readdir } from 'fs/promises';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { logError } from './logger.js';
+
+// Directory for job state; point it at a volume to survive container restarts
+export const JOBS_DIR = process.env.CHROMA_JOBS_DIR || join(process.env.HOME || '/tmp', '.chromadb-jobs');
+
+// Days a finished, failed or cancelled job is kept; 0 keeps jobs forever
+export const JOB_RETENTION_DAYS = Number(process.env.CHROMA_JOBS_RETENTION_DAYS ?? 7);
+
+// Statuses of jobs that will not run again unless resumed by hand
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Job ids become file names
+const JOB_ID_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+// Jobs running in this process: id -> {job, controller}
+const activeJobs = new Map();
+
+/**
+ * Path of a job file
+ * @param {string} jobId - Job id
+ * @param {string} ext - '.json' (state) or '.log' (completed files)
+ * @returns {string} - File path
+ */
+function jobPath(jobId, ext) {
+  return join(JOBS_DIR, `${jobId}${ext}`);
+}
+
+/**
+ * Register a job as running in this process with fresh progress counters
+ * @param {Object} job - Job state
+ */
+function activate(job) {
+  job.progress = {
+    started_at: new Date().toISOString(),
+    files_total: null,
+    files_done: 0,
+    files_processed: 0,
+    current_file: null
+  };
+  activeJobs.set(job.job_id, { job, controller: new AbortController() });
+}
+
+/**
+ * Write job state atomically so a crash mid-write cannot corrupt it
+ * @param {Object} job - Job state
+ */
+async function saveJob(job) {
+  job.updated_at = new Date().toISOString();
+  await mkdir(JOBS_DIR, { recursive: true });
+  const tmpPath = `${jobPath(job.job_id, '.json')}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(job, null, 2));
+  await rename(tmpPath, jobPath(job.job_id, '.json'));
+}
+
+/**
+ * Load a job's state
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>} - Job state, or null if there is no such job
+ */
+export async function loadJob(jobId) {
+  if (!JOB_ID_PATTERN.test(jobId || '')) {
+    throw new Error(`Invalid job id '${jobId}' (use letters, digits, '_', '.' and '-')`);
+  }
+
+  try {
+    return JSON.parse(await readFile(jobPath(jobId, '.json'), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Files a job has already written
+ * @param {Object} job - Job state
+ * @returns {Promise<Set<string>>} - Full paths
+ */
+export async function loadCompletedFiles(job) {
+  try {
+    const log = await readFile(jobPath(job.job_id, '.log'), 'utf-8');
+    return new Set(log.split('\n').filter(Boolean));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Set();
+    throw error;
+  }
+}
+
+/**
+ * Start a new job
+ * An id that names an unfinished job is refused, so its checkpoint is not
+ * overwritten by accident; a finished job's id can be reused.
+ * @param {string} tool - 'batch_ingest' or 'smart_ingest'
+ * @param {Object} args - Tool arguments, replayed on resume
+ * @param {string} jobId - Job id (generated if omitted)
+ * @returns {Promise<Object>} - Job state
+ */
+export async function createJob(tool, args, jobId = null) {
+  const id = jobId || `${tool}-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+  try {
+    await pruneJobs();
+  } catch (error) {
+    logError(`Failed to prune old jobs: ${error.message}`);
+  }
+
+  const existing = await loadJob(id);
+  if (existing && existing.status !== 'completed') {
+    throw new Error(`Job '${id}' already exists with status '${existing.status}'. Use resume_ingest to continue it or choose another job_id.`);
+  }
+
+  await rm(jobPath(id, '.log'), { force: true });
+  const now = new Date().toISOString();
+  const job = {
+    job_id: id,
+    tool,
+    args: { ...args, job_id: id },
+    status: 'running',
+    created_at: now,
+    updated_at: now,
+    runs: 1,
+    files_completed: 0,
+    totals: {},
+    last_error: null
+  };
+  activate(job);
+  await saveJob(job);
+  return job;
+}
+
+/**
+ * Mark a stopped job as running again
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} - Job state
+ */
+export async function resumeJob(jobId) {
+  const job = await loadJob(jobId);
+  if (!job) {
+    throw new Error(`No ingest job '${jobId}' in ${JOBS_DIR}`);
+  }
+  if (job.status === 'completed') {
+    throw new Error(`Job '${jobId}' already completed at ${job.updated_at}`);
+  }
+  if (activeJobs.has(jobId)) {
+    throw new Error(`Job '${jobId}' is still running`);
+  }
+
+  // A 'running' status left behind by a crashed process is resumable too
+  job.status = 'running';
+  job.runs += 1;
+  job.last_error = null;
+  activate(job);
+  await saveJob(job);
+  return job;
+}
+
+/**
+ * Abort signal of a job running in this process
+ * @param {Object} job - Job state
+ * @returns {AbortSignal} - Aborted by cancelJob
+ */
+export function getJobSignal(job) {
+  return activeJobs.get(job.job_id).controller.signal;
+}
+
+/**
+ * Update a running job's live progress
+ * Kept in memory; it is written to the state file with the next checkpoint.
+ * @param {Object} job - Job state
+ * @param {Object} update - Progress fields, e.g. {files_done, current_file}
+ */
+export function reportProgress(job, update) {
+  Object.assign(job.progress, update);
+}
+
+/**
+ * Pass walked files through, recording how many there were once the walk ends
+ * @param {AsyncIterable<string>} files - Walked files
+ * @param {Object} job - Job state
+ * @returns {AsyncGenerator<string>} - The same files
+ */
+export async function* countWalkedFiles(files, job) {
+  let count = 0;
+  for await (const file of files) {
+    count++;
+    yield file;
+  }
+  reportProgress(job, { files_total: count });
+}
+
+/**
+ * processFilesStream onProgress callback that feeds a job's progress
+ * @param {Object} job - Job state
+ * @returns {Function} - ({processed, current, skipped}) => void
+ */
+export function fileProgressHandler(job) {
+  return ({ processed, current, skipped }) => {
+    job.progress.files_done = processed;
+    job.progress.current_file = current;
+    if (!skipped) job.progress.files_processed++;
+  };
+}
+
+/**
+ * Ask a running job to stop after the batch it is writing
+ * @param {string} jobId - Job id
+ * @returns {boolean} - False if the job is not running in this process
+ */
+export function cancelJob(jobId) {
+  const active = activeJobs.get(jobId);
+  if (!active) return false;
+  active.controller.abort(new Error(`Job '${jobId}' was cancelled`));
+  return true;
+}
+
+/**
+ * Record files whose chunks are written and add to the job's totals
+ * @param {Object} job - Job state (updated in place)
+ * @param {Array<string>} files - Full paths finished in this batch
+ * @param {Object} counts - Numeric totals to add, e.g. {chunks_stored, tokens}
+ */
+export async function checkpointJob(job, files, counts = {}) {
+  if (files.length > 0) {
+    await mkdir(JOBS_DIR, { recursive: true });
+    await appendFile(jobPath(job.job_id, '.log'), files.map(f => `${f}\n`).join(''));
+  }
+
+  job.files_completed += files.length;
+  for (const [key, value] of Object.entries(counts)) {
+    job.totals[key] = (job.totals[key] || 0) + value;
+  }
+  await saveJob(job);
+}
+
+/**
+ * Mark a job completed and drop its checkpoint log
+ * @param {Object} job - Job state
+ * @param {Object} result - Final tool payload, kept for get_job_status
+ */
+export async function completeJob(job, result = null) {
+  job.status = 'completed';
+  job.result = result;
+  activeJobs.delete(job.job_id);
+  await saveJob(job);
+  await rm(jobPath(job.job_id, '.log'), { force: true });
+}
+
+/**
+ * Mark a job failed (or cancelled), keeping its checkpoint for resume_ingest
+ * @param {Object} job - Job state
+ * @param {Error} error - Cause
+ */
+export async function failJob(job, error) {
+  job.status = activeJobs.get(job.job_id)?.controller.signal.aborted ? 'cancelled' : 'failed';
+  job.last_error = error.message;
+  activeJobs.delete(job.job_id);
+  try {
+    await saveJob(job);
+  } catch (saveError) {
+    // The checkpoint log is intact, so the job stays resumable
+    logError(`Failed to save job ${job.job_id}: ${saveError.message}`);
+  }
+}
+
+/**
+ * Status of a job with elapsed time and ETA
+ * The ETA extrapolates the rate of the current run; it is null until the
+ * file count is known and a file has been processed.
+ * @param {Object} job - Job state
+ * @returns {Object} - Job state plus running, elapsed_seconds and eta_seconds
+ */
+function describeJob(job) {
+  const running = activeJobs.has(job.job_id);
+  const status = { ...job, running };
+  if (!running || !job.progress) return status;
+
+  const { started_at, files_total, files_done, files_processed } = job.progress;
+  const elapsed = (Date.now() - Date.parse(started_at)) / 1000;
+  status.elapsed_seconds = Math.round(elapsed);
+  status.eta_seconds = files_total !== null && files_processed > 0
+    ? Math.round((elapsed / files_processed) * Math.max(0, files_total - files_done))
+    : null;
+  return status;
+}
+
+/**
+ * Current state of a job, live if it runs in this process
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>} - Job status, or null if there is no such job
+ */
+export async function getJobStatus(jobId) {
+  const active = activeJobs.get(jobId);
+  const job = active ? active.job : await loadJob(jobId);
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * All known jobs, most recently updated first
+ * @param {Object} options - {status: only jobs with this status}
+ * @returns {Promise<Array<Object>>} - Job statuses without their final results
+ */
+export async function listJobs(options = {}) {
+  const { status = null } = options;
+  let names = [];
+  try {
+    names = (await readdir(JOBS_DIR)).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const jobs = [];
+  for (const name of names) {
+    const jobId = name.slice(0, -'.json'.length);
+    try {
+      const { result, ...job } = await getJobStatus(jobId);
+      if (!status || job.status === status) jobs.push(job);
+    } catch (error) {
+      logError(`Skipping unreadable job file ${name}: ${error.message}`);
+    }
+  }
+
+  return jobs.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+/**
+ * Delete finished, failed and cancelled jobs not updated within the retention period
+ * Jobs still running, or left 'running' by a crashed process, are kept.
+ * @param {Object} options - {retentionDays (default JOB_RETENTION_DAYS), now: ms timestamp}
+ * @returns {Promise<Array<string>>} - Ids of deleted jobs
+ */
+export async function pruneJobs(options = {}) {
+  const { retentionDays = JOB_RETENTION_DAYS, now = Date.now() } = options;
+  if (!(retentionDays > 0)) return [];
+
+  const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+  const pruned = [];
+  for (const job of await listJobs()) {
+    if (job.running || !TERMINAL_STATUSES.includes(job.status) || Date.parse(job.updated_at) >= cutoff) continue;
+    await rm(jobPath(job.job_id, '.log'), { force: true });
+    await rm(jobPath(job.job_id, '.json'), { force: true });
+    pruned.push(job.job_id);
+  }
+  return pruned;
+}
+
+export default {
+  JOBS_DIR,
+  JOB_RETENTION_DAYS,
+  loadJob,
+  loadCompletedFiles,
+  createJob,
+  resumeJob,
+  checkpointJob,
+  completeJob,
+  failJob,
+  getJobSignal,
+  reportProgress,
+  countWalkedFiles,
+  fileProgressHandler,
+  cancelJob,
+  getJobStatus,
+  listJobs,
+  pruneJobs
+};
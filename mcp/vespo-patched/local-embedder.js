@@ -0,0 +1,151 @@
+/**
+ * Local Embedder - Offline embeddings with transformers.js (ONNX)
+ * Uses the chromadb-default-embed runtime that ChromaDB already depends on,
+ * so no source code ever leaves the container.
+ */
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Lazy load transformers.js - it pulls in onnxruntime at import time
+let transformers = null;
+async function getTransformers() {
+  if (!transformers) {
+    transformers = await import('chromadb-default-embed');
+  }
+  return transformers;
+}
+
+export class LocalEmbedder {
+  constructor(options = {}) {
+    this.provider = 'local';
+    this.model = options.model || DEFAULT_MODEL;
+    this.dimensions = options.dimensions || null; // Known after the first embedding
+    this.batchSize = options.batchSize || 32;
+    this.quantized = options.quantized !== undefined ? options.quantized : true;
+    this.cacheDir = options.cacheDir || null;
+    this.allowRemoteModels = options.allowRemoteModels !== undefined ? options.allowRemoteModels : true;
+    this.costPerMillionTokens = 0;
+
+    this.pipelinePromise = null;
+  }
+
+  /**
+   * Load the feature-extraction pipeline once
+   * @returns {Promise<Function>} - Pipeline function
+   */
+  async getPipeline() {
+    if (!this.pipelinePromise) {
+      this.pipelinePromise = (async () => {
+        const { pipeline, env } = await getTransformers();
+        env.allowRemoteModels = this.allowRemoteModels;
+        if (this.cacheDir) {
+          env.cacheDir = this.cacheDir;
+        }
+        return pipeline('feature-extraction', this.model, { quantized: this.quantized });
+      })();
+
+      // Allow a retry after a failed model load
+      this.pipelinePromise.catch(() => {
+        this.pipelinePromise = null;
+      });
+    }
+    return this.pipelinePromise;
+  }
+
+  /**
+   * Generate embeddings for an array of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Embedding options
+   * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
+   */
+  async embed(texts, options = {}) {
+    if (!texts || texts.length === 0) {
+      return [];
+    }
+
+    const { onProgress = null } = options;
+    const extractor = await this.getPipeline();
+    const batches = this.createBatches(texts, this.batchSize);
+    const allEmbeddings = [];
+
+    for (let i = 0; i < batches.length; i++) {
+      const output = await extractor(batches[i], { pooling: 'mean', normalize: true });
+      allEmbeddings.push(...output.tolist());
+
+      if (onProgress) {
+        onProgress({ processed: allEmbeddings.length, total: texts.length, batch: i + 1, batches: batches.length });
+      }
+    }
+
+    if (!this.dimensions && allEmbeddings.length > 0) {
+      this.dimensions = allEmbeddings[0].length;
+    }
+
+    return allEmbeddings;
+  }
+
+  /**
+   * Generate a single embedding
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} - Embedding vector
+   */
+  async embedSingle(text) {
+    const embeddings = await this.embed([text]);
+    return embeddings[0];
+  }
+
+  /**
+   * Estimate tokens in text (rough approximation)
+   * @param {string} text - Text to estimate
+   * @returns {number} - Estimated token count
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Local embeddings are free
+   * @returns {number} - Cost in USD
+   */
+  calculateCost() {
+    return 0;
+  }
+
+  /**
+   * Create batches from an array
+   * @param {Array} items - Items to batch
+   * @param {number} size - Batch size
+   * @returns {Array<Array>} - Array of batches
+   */
+  createBatches(items, size) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) {
+      batches.push(items.slice(i, i + size));
+    }
+    return batches;
+  }
+
+  /**
+   * Get embedding model information
+   * @returns {Object} - Model info
+   */
+  getModelInfo() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      dimensions: this.dimensions,
+      costPerMillionTokens: this.costPerMillionTokens,
+      batchSize: this.batchSize,
+      quantized: this.quantized
+    };
+  }
+}
+
+/**
+ * Create a local embedder instance
+ * @param {Object} options - Embedder options
+ * @returns {LocalEmbedder} - Embedder instance
+ */
+export function createLocalEmbedder(options = {}) {
+  return new LocalEmbedder(options);
+}
@@ -0,0 +1,231 @@
+/**
+ * Notebook Chunker - Per-cell chunking for Jupyter notebooks
+ *
+ * An .ipynb file is JSON, and read as text its code is buried under cell
+ * metadata and base64 images. Here every markdown, code and raw cell becomes
+ * its own chunk that remembers its cell index and type. Code cells of Python
+ * notebooks go through the Python parser in code-parser.js so the functions
+ * and classes a cell defines are named; a cell too large for one chunk is
+ * split between top-level statements. Text outputs can be appended to their
+ * cell, truncated.
+ */
+
+import { extractChunks } from './code-parser.js';
+import { chunkDocument } from './document-chunker.js';
+
+export const NOTEBOOK_EXTENSIONS = ['.ipynb'];
+
+// Kernel languages code-parser.js understands, as a file name it can detect
+const PARSER_PATHS = {
+  python: 'cell.py',
+  javascript: 'cell.js',
+  typescript: 'cell.ts'
+};
+
+// Output MIME types worth indexing; images, HTML and widgets are skipped
+const TEXT_OUTPUT_TYPES = ['text/plain', 'text/markdown'];
+
+// Colour codes in tracebacks and progress bars
+const ANSI_ESCAPE = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Join a notebook multiline string (stored as a string or a list of lines)
+ * @param {string|Array<string>} source - Cell source or output text
+ * @returns {string} - Text
+ */
+function joinText(source) {
+  return Array.isArray(source) ? source.join('') : (source || '');
+}
+
+/**
+ * Parse an nbformat 4 notebook into cells
+ * @param {string} text - Notebook JSON
+ * @returns {Object} - {language, cells: [{index, type, source, executionCount, outputs}]}
+ */
+export function parseNotebook(text) {
+  const notebook = JSON.parse(text);
+  if (!Array.isArray(notebook.cells)) {
+    throw new Error('Not an nbformat 4 notebook (no "cells" array)');
+  }
+
+  const meta = notebook.metadata || {};
+  return {
+    language: String(meta.kernelspec?.language || meta.language_info?.name || 'python').toLowerCase(),
+    cells: notebook.cells.map((cell, index) => ({
+      index,
+      type: cell.cell_type,
+      source: joinText(cell.source),
+      executionCount: cell.execution_count ?? null,
+      outputs: Array.isArray(cell.outputs) ? cell.outputs : []
+    }))
+  };
+}
+
+/**
+ * Text of a code cell's outputs: streams, plain-text results and error summaries
+ * @param {Array<Object>} outputs - Cell outputs
+ * @returns {string} - Output text
+ */
+function outputText(outputs) {
+  const parts = [];
+  for (const output of outputs) {
+    if (output.output_type === 'stream') {
+      parts.push(joinText(output.text));
+    } else if (output.output_type === 'error') {
+      parts.push(`${output.ename}: ${output.evalue}`);
+    } else if (output.data) {
+      const type = TEXT_OUTPUT_TYPES.find(t => output.data[t] !== undefined);
+      if (type) parts.push(joinText(output.data[type]));
+    }
+  }
+  return parts.map(part => part.trim()).filter(Boolean).join('\n').replace(ANSI_ESCAPE, '');
+}
+
+/**
+ * Split an oversized code cell before top-level statements
+ * A statement starts in column 0 and is not a closing bracket, an
+ * else/except clause, or the line after a decorator or comment.
+ * @param {Array<string>} lines - Cell lines
+ * @param {number} maxChunkSize - Target chunk size in characters
+ * @returns {Array<Array<number>>} - [start, end] line ranges (0-indexed, end inclusive)
+ */
+function splitCode(lines, maxChunkSize) {
+  const ranges = [];
+  let start = 0;
+  let size = 0;
+  let lastBreak = -1;
+  let inString = false; // inside a triple-quoted string
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const prev = lines[i - 1] || '';
+    const statement = !inString && /^[^\s)\]}]/.test(line) && !/^(elif|else|except|finally)\b/.test(line) &&
+      !/^[@#]/.test(prev) && !/[\\,([{]\s*$/.test(prev);
+    if (statement && i > start) lastBreak = i;
+
+    size += line.length + 1;
+    if (size > maxChunkSize && lastBreak > start) {
+      ranges.push([start, lastBreak - 1]);
+      start = lastBreak;
+      size = lines.slice(start, i + 1).reduce((sum, l) => sum + l.length + 1, 0);
+      lastBreak = -1;
+    }
+
+    if (((line.match(/"""|'''/g) || []).length % 2) === 1) inString = !inString;
+  }
+
+  ranges.push([start, lines.length - 1]);
+  return ranges;
+}
+
+/**
+ * Top-level functions and classes a code cell defines
+ * @param {string} source - Cell source
+ * @param {string} language - Kernel language
+ * @returns {Promise<Array<Object>>} - Parser chunks {type, name, startLine, signature}
+ */
+async function cellDefinitions(source, language) {
+  const parserPath = PARSER_PATHS[language];
+  if (!parserPath) return [];
+
+  const lines = source.split('\n');
+  try {
+    const chunks = await extractChunks(source, parserPath);
+    return chunks
+      .filter(chunk => chunk.type !== 'other' && !chunk.parentChunk)
+      // The Python regex can start a match on the blank lines before "def"
+      .map(chunk => {
+        let line = chunk.startLine - 1;
+        while (line < lines.length - 1 && !lines[line].trim()) line++;
+        return { ...chunk, startLine: line + 1 };
+      })
+      // Methods are reported too; only definitions in column 0 are top-level
+      .filter(chunk => /^\S/.test(lines[chunk.startLine - 1] || ''));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Chunk a Jupyter notebook by cell
+ * @param {string} text - Notebook JSON
+ * @param {Object} options - {maxChunkSize, includeOutputs, maxOutputChars}
+ * @returns {Promise<Object>} - {language, cellCount, chunks: [{content, cellIndex, cellType,
+ *   executionCount, startLine, endLine, partNumber, totalParts, name, signature, defines,
+ *   headingPath, hasOutput, outputTruncated}]}
+ */
+export async function chunkNotebook(text, options = {}) {
+  const { maxChunkSize = 4000, includeOutputs = false, maxOutputChars = 1000 } = options;
+  const { language, cells } = parseNotebook(text);
+  const chunks = [];
+
+  for (const cell of cells) {
+    if (!cell.source.trim()) continue;
+    const lines = cell.source.split('\n');
+    const parts = [];
+
+    if (cell.type === 'code') {
+      const definitions = await cellDefinitions(cell.source, language);
+      for (const [start, end] of splitCode(lines, maxChunkSize)) {
+        const defined = definitions.filter(d => d.startLine >= start + 1 && d.startLine <= end + 1);
+        parts.push({
+          content: lines.slice(start, end + 1).join('\n'),
+          startLine: start + 1,
+          endLine: end + 1,
+          name: defined.length === 1 ? defined[0].name : null,
+          signature: defined.length === 1 ? defined[0].signature || null : null,
+          defines: defined.map(d => d.name)
+        });
+      }
+    } else if (cell.type === 'markdown' && cell.source.length > maxChunkSize) {
+      for (const section of chunkDocument(cell.source, 'cell.md', { maxChunkSize })) {
+        parts.push({
+          content: section.content,
+          startLine: section.startLine,
+          endLine: section.endLine,
+          name: section.heading,
+          headingPath: section.headingPath
+        });
+      }
+    } else {
+      const heading = cell.type === 'markdown' ? cell.source.match(/^ {0,3}#{1,6}\s+(.+?)\s*#*\s*$/m) : null;
+      parts.push({
+        content: cell.source,
+        startLine: 1,
+        endLine: lines.length,
+        name: heading ? heading[1] : null
+      });
+    }
+
+    // Outputs follow the last part of their cell
+    const output = includeOutputs && cell.type === 'code' ? outputText(cell.outputs) : '';
+    parts.forEach((part, idx) => {
+      const last = idx === parts.length - 1;
+      const chunk = {
+        ...part,
+        cellIndex: cell.index,
+        cellType: cell.type,
+        executionCount: cell.executionCount,
+        partNumber: idx,
+        totalParts: parts.length,
+        hasOutput: false,
+        outputTruncated: false
+      };
+      if (last && output) {
+        const truncated = output.length > maxOutputChars;
+        chunk.content = `${chunk.content.trimEnd()}\n\n# Output:\n${truncated ? `${output.slice(0, maxOutputChars)}\n[... truncated ...]` : output}`;
+        chunk.hasOutput = true;
+        chunk.outputTruncated = truncated;
+      }
+      chunks.push(chunk);
+    });
+  }
+
+  return { language, cellCount: cells.length, chunks };
+}
+
+export default {
+  NOTEBOOK_EXTENSIONS,
+  parseNotebook,
+  chunkNotebook
+};
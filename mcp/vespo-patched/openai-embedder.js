@@ -1,26 +1,39 @@
 /**
  * OpenAI Embedder - Generate embeddings using OpenAI's text-embedding-3-large
  * Includes retry logic, batch processing, and cost tracking
+ *
+ * Also serves any OpenAI-compatible /embeddings endpoint (vLLM, Ollama,
+ * LM Studio, TEI...) when constructed with a baseURL.
  */
 
 import OpenAI from 'openai';
 
 export class OpenAIEmbedder {
   constructor(apiKey, options = {}) {
-    if (!apiKey) {
+    if (!apiKey && !options.baseURL) {
       throw new Error('OpenAI API key is required');
     }
 
-    this.client = new OpenAI({ apiKey });
+    this.provider = options.baseURL ? 'openai-compatible' : 'openai';
+    this.client = new OpenAI({
+      // Self-hosted endpoints often need no key, but the SDK insists on one
+      apiKey: apiKey || 'not-needed',
+      baseURL: options.baseURL
+    });
     this.model = options.model || 'text-embedding-3-large';
-    this.dimensions = options.dimensions || 3072; // text-embedding-3-large default
+    // Other models (and compatible servers) get no dimensions param unless asked
+    this.dimensions = options.dimensions || (this.model === 'text-embedding-3-large' ? 3072 : null); // text-embedding-3-large default
     this.maxRetries = options.maxRetries || 3;
     this.batchSize = options.batchSize || 100; // OpenAI allows up to 2048, but 100 is safer
     this.requestsPerMinute = options.requestsPerMinute || 3000; // Rate limiting
     this.tokensPerMinute = options.tokensPerMinute || 1000000; // Rate limiting
 
-    // Cost per million tokens (as of 2025)
-    this.costPerMillionTokens = this.model === 'text-embedding-3-large' ? 0.13 : 0.02;
+    // Cost per million tokens (as of 2025); self-hosted endpoints are free
+    if (this.provider === 'openai-compatible') {
+      this.costPerMillionTokens = 0;
+    } else {
+      this.costPerMillionTokens = this.model === 'text-embedding-3-large' ? 0.13 : 0.02;
+    }
 
     // Rate limiting state
     this.requestCount = 0;
@@ -39,7 +52,7 @@ export class OpenAIEmbedder {
       return [];
     }
 
-    const { showProgress = false } = options;
+    const { showProgress = false, onProgress = null } = options;
 
     // Split into batches
     const batches = this.createBatches(texts, this.batchSize);
@@ -62,7 +75,7 @@ export class OpenAIEmbedder {
           model: this.model,
           input: batch,
           encoding_format: 'float',
-          dimensions: this.dimensions
+          ...(this.dimensions ? { dimensions: this.dimensions } : {})
         });
       });
 
@@ -70,10 +83,16 @@ export class OpenAIEmbedder {
       const embeddings = result.data.map(d => d.embedding);
       allEmbeddings.push(...embeddings);
 
-      // Track usage
-      totalTokens += result.usage.total_tokens;
-      this.tokenCount += result.usage.total_tokens;
+      // Track usage (compatible servers do not always report it)
+      const usedTokens = result.usage?.total_tokens
+        ?? batch.reduce((sum, text) => sum + this.estimateTokens(text), 0);
+      totalTokens += usedTokens;
+      this.tokenCount += usedTokens;
       this.requestCount++;
+
+      if (onProgress) {
+        onProgress({ processed: allEmbeddings.length, total: texts.length, batch: i + 1, batches: batches.length });
+      }
     }
 
     if (showProgress) {
@@ -220,6 +239,7 @@ export class OpenAIEmbedder {
    */
   getModelInfo() {
     return {
+      provider: this.provider,
       model: this.model,
       dimensions: this.dimensions,
       costPerMillionTokens: this.costPerMillionTokens,
@@ -0,0 +1,218 @@
+/**
+ * Reranker - Reorder over-fetched search hits before they are returned
+ *
+ * Rerankers share one method: rerank(query, hits) -> hits sorted by rerank_score.
+ * - heuristic      Local scorer combining similarity, smart-chunker chunk_score,
+ *                  file recency (modified_at) and query/path term overlap
+ * - cross-encoder  Offline transformers.js cross-encoder (RERANK_MODEL)
+ */
+
+export const RERANKERS = ['heuristic', 'cross-encoder'];
+
+// How many candidates to fetch per returned result when reranking
+export const RERANK_OVERFETCH = 5;
+
+const HEURISTIC_WEIGHTS = {
+  similarity: 0.6,
+  chunkScore: 0.15,
+  recency: 0.1,
+  pathMatch: 0.15
+};
+
+const DEFAULT_CROSS_ENCODER = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+/**
+ * Split text into lowercase word parts, breaking camelCase and snake_case
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Terms
+ */
+function splitTerms(text) {
+  return (text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length >= 2);
+}
+
+/**
+ * Min-max normalize values to 0-1 (all-equal values map to 1)
+ * @param {Array<number|null>} values - Values (null = missing)
+ * @param {number} fallback - Value used for missing entries
+ * @returns {Array<number>} - Normalized values
+ */
+function normalize(values, fallback = 0.5) {
+  const present = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+  if (present.length === 0) return values.map(() => fallback);
+
+  const max = Math.max(...present);
+  const min = Math.min(...present);
+  return values.map(v => {
+    if (v === null || v === undefined || Number.isNaN(v)) return fallback;
+    return max === min ? 1 : (v - min) / (max - min);
+  });
+}
+
+/**
+ * Similarity from the search stage, relative to the best candidate (0-1)
+ * Ratios keep small distance gaps small, unlike min-max scaling.
+ * @param {Array<Object>} hits - Candidate hits
+ * @returns {Array<number>} - Similarity per hit
+ */
+function relativeSimilarity(hits) {
+  const scoreField = ['rrf_score', 'keyword_score'].find(f => hits.some(h => h[f] !== undefined));
+
+  if (scoreField) {
+    const max = Math.max(...hits.map(h => h[scoreField] || 0));
+    return hits.map(h => (max > 0 ? (h[scoreField] || 0) / max : 1));
+  }
+
+  const distances = hits.map(h => (typeof h.distance === 'number' ? h.distance : null));
+  const present = distances.filter(d => d !== null);
+  if (present.length === 0) return hits.map(() => 0.5);
+
+  const best = Math.min(...present);
+  return distances.map(d => {
+    if (d === null) return 0.5;
+    return d <= 0 ? 1 : best / d;
+  });
+}
+
+export class HeuristicReranker {
+  constructor(weights = {}) {
+    this.name = 'heuristic';
+    this.weights = { ...HEURISTIC_WEIGHTS, ...weights };
+  }
+
+  /**
+   * Rerank hits with the weighted local score
+   * @param {string} query - Search query
+   * @param {Array<Object>} hits - Candidate hits
+   * @returns {Promise<Array<Object>>} - Hits sorted by rerank_score
+   */
+  async rerank(query, hits) {
+    if (hits.length === 0) return [];
+
+    const queryTerms = new Set(splitTerms(query));
+    const similarity = relativeSimilarity(hits);
+    const chunkScores = hits.map(h => {
+      const score = h.metadata?.chunk_score;
+      return typeof score === 'number' ? score / 10 : 0.5;
+    });
+    const recency = normalize(hits.map(h => {
+      const time = Date.parse(h.metadata?.modified_at);
+      return Number.isNaN(time) ? null : time;
+    }));
+    const pathMatch = hits.map(h => {
+      if (queryTerms.size === 0) return 0;
+      const pathTerms = new Set(splitTerms(`${h.metadata?.relative_path || h.metadata?.filename || ''} ${h.metadata?.name || ''}`));
+      let matched = 0;
+      for (const term of queryTerms) {
+        if (pathTerms.has(term)) matched++;
+      }
+      return matched / queryTerms.size;
+    });
+
+    const w = this.weights;
+    return hits
+      .map((hit, idx) => ({
+        ...hit,
+        rerank_score: Number((
+          w.similarity * similarity[idx] +
+          w.chunkScore * chunkScores[idx] +
+          w.recency * recency[idx] +
+          w.pathMatch * pathMatch[idx]
+        ).toFixed(4))
+      }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+  }
+}
+
+export class CrossEncoderReranker {
+  constructor(options = {}) {
+    this.name = 'cross-encoder';
+    this.model = options.model || DEFAULT_CROSS_ENCODER;
+    this.quantized = options.quantized !== undefined ? options.quantized : true;
+    this.maxLength = options.maxLength || 512;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load tokenizer and model once
+   * @returns {Promise<{tokenizer: Function, model: Function}>}
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const { AutoTokenizer, AutoModelForSequenceClassification, env } = await import('chromadb-default-embed');
+        env.allowRemoteModels = process.env.LOCAL_EMBEDDING_ALLOW_REMOTE !== 'false';
+        if (process.env.LOCAL_EMBEDDING_CACHE_DIR) {
+          env.cacheDir = process.env.LOCAL_EMBEDDING_CACHE_DIR;
+        }
+        const tokenizer = await AutoTokenizer.from_pretrained(this.model);
+        const model = await AutoModelForSequenceClassification.from_pretrained(this.model, { quantized: this.quantized });
+        return { tokenizer, model };
+      })();
+
+      // Allow a retry after a failed model load
+      this.loadPromise.catch(() => {
+        this.loadPromise = null;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Rerank hits by cross-encoder relevance of (query, chunk) pairs
+   * @param {string} query - Search query
+   * @param {Array<Object>} hits - Candidate hits
+   * @returns {Promise<Array<Object>>} - Hits sorted by rerank_score
+   */
+  async rerank(query, hits) {
+    if (hits.length === 0) return [];
+
+    const { tokenizer, model } = await this.load();
+    const inputs = tokenizer(new Array(hits.length).fill(query), {
+      text_pair: hits.map(h => h.content || ''),
+      padding: true,
+      truncation: true,
+      max_length: this.maxLength
+    });
+    const { logits } = await model(inputs);
+    const scores = logits.sigmoid().tolist().map(row => row[0]);
+
+    return hits
+      .map((hit, idx) => ({ ...hit, rerank_score: Number(scores[idx].toFixed(4)) }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+  }
+}
+
+// Model-backed rerankers are expensive to load, so keep one per name
+const rerankerCache = new Map();
+
+/**
+ * Get a reranker by name
+ * @param {string|boolean} name - Reranker name, or true for the default (RERANKER env or heuristic)
+ * @returns {Object} - Reranker instance
+ */
+export function getReranker(name) {
+  const resolved = name === true ? (process.env.RERANKER || 'heuristic') : name;
+
+  if (!RERANKERS.includes(resolved)) {
+    throw new Error(`Unknown reranker "${resolved}". Supported: ${RERANKERS.join(', ')}`);
+  }
+
+  if (!rerankerCache.has(resolved)) {
+    rerankerCache.set(resolved, resolved === 'cross-encoder'
+      ? new CrossEncoderReranker({ model: process.env.RERANK_MODEL })
+      : new HeuristicReranker());
+  }
+  return rerankerCache.get(resolved);
+}
+
+export default {
+  RERANKERS,
+  RERANK_OVERFETCH,
+  HeuristicReranker,
+  CrossEncoderReranker,
+  getReranker
+};
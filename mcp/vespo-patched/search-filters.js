@@ -0,0 +1,263 @@
+/**
+ * Search Filters - Validate and build metadata/document filters for search_context
+ *
+ * Chroma rejects malformed filters with opaque server errors, so everything
+ * is checked here first and reported with the offending path.
+ */
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin'];
+const LOGICAL_OPERATORS = ['$and', '$or'];
+const DOCUMENT_OPERATORS = ['$contains', '$not_contains'];
+
+export const INCLUDE_FIELDS = ['documents', 'metadatas', 'distances'];
+
+// Deepest ranked list searched to fill a path_prefix page; rarer prefixes get a short page
+export const PATH_PREFIX_MAX_FETCH = 2000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Parse a filter argument that may arrive as a JSON string
+ * @param {Object|string|null} value - Filter argument
+ * @param {string} name - Argument name for error messages
+ * @returns {Object|null} - Parsed filter
+ */
+function parseFilterArg(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error(`${name} must be a JSON object`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Validate a Chroma metadata where clause
+ * @param {Object} where - Where clause
+ * @param {string} path - Location for error messages
+ */
+export function validateWhere(where, path = 'where') {
+  if (!isPlainObject(where)) {
+    throw new Error(`${path} must be an object`);
+  }
+
+  const keys = Object.keys(where);
+  if (keys.length !== 1) {
+    throw new Error(`${path} must have exactly one key; combine conditions with $and/$or`);
+  }
+
+  const [key] = keys;
+  const value = where[key];
+
+  if (LOGICAL_OPERATORS.includes(key)) {
+    if (!Array.isArray(value) || value.length < 2) {
+      throw new Error(`${path}.${key} must be an array of at least two conditions`);
+    }
+    value.forEach((clause, idx) => validateWhere(clause, `${path}.${key}[${idx}]`));
+    return;
+  }
+
+  if (key.startsWith('$')) {
+    throw new Error(`${path}: unknown operator ${key}`);
+  }
+
+  if (isScalar(value)) return;
+
+  if (!isPlainObject(value) || Object.keys(value).length !== 1) {
+    throw new Error(`${path}.${key} must be a string, number, boolean or a single-operator object`);
+  }
+
+  const [op] = Object.keys(value);
+  const operand = value[op];
+
+  if (!COMPARISON_OPERATORS.includes(op)) {
+    throw new Error(`${path}.${key}: unknown operator ${op} (supported: ${COMPARISON_OPERATORS.join(', ')})`);
+  }
+
+  if (op === '$in' || op === '$nin') {
+    if (!Array.isArray(operand) || operand.length === 0 || !operand.every(isScalar)) {
+      throw new Error(`${path}.${key}.${op} must be a non-empty array of scalars`);
+    }
+  } else if (['$gt', '$gte', '$lt', '$lte'].includes(op)) {
+    if (typeof operand !== 'number') {
+      throw new Error(`${path}.${key}.${op} must be a number`);
+    }
+  } else if (!isScalar(operand)) {
+    throw new Error(`${path}.${key}.${op} must be a string, number or boolean`);
+  }
+}
+
+/**
+ * Validate a Chroma whereDocument clause
+ * @param {Object} whereDocument - Document clause
+ * @param {string} path - Location for error messages
+ */
+export function validateWhereDocument(whereDocument, path = 'where_document') {
+  if (!isPlainObject(whereDocument) || Object.keys(whereDocument).length !== 1) {
+    throw new Error(`${path} must be an object with exactly one key`);
+  }
+
+  const [key] = Object.keys(whereDocument);
+  const value = whereDocument[key];
+
+  if (LOGICAL_OPERATORS.includes(key)) {
+    if (!Array.isArray(value) || value.length < 2) {
+      throw new Error(`${path}.${key} must be an array of at least two conditions`);
+    }
+    value.forEach((clause, idx) => validateWhereDocument(clause, `${path}.${key}[${idx}]`));
+    return;
+  }
+
+  if (!DOCUMENT_OPERATORS.includes(key)) {
+    throw new Error(`${path}: unknown operator ${key} (supported: ${[...DOCUMENT_OPERATORS, ...LOGICAL_OPERATORS].join(', ')})`);
+  }
+
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error(`${path}.${key} must be a non-empty string`);
+  }
+}
+
+/**
+ * Combine clauses with $and, dropping empty ones
+ * @param {Array<Object|null>} clauses - Clauses to combine
+ * @returns {Object|undefined} - Combined clause
+ */
+export function combineClauses(clauses) {
+  const present = clauses.filter(Boolean);
+  if (present.length === 0) return undefined;
+  if (present.length === 1) return present[0];
+  return { $and: present };
+}
+
+/**
+ * Match a single value or a list of values against a metadata field
+ * @param {string} field - Metadata field
+ * @param {string|Array<string>} value - Value(s)
+ * @returns {Object} - Where clause
+ */
+function fieldClause(field, value) {
+  const values = Array.isArray(value)
+    ? value
+    : String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return values.length === 1 ? { [field]: values[0] } : { [field]: { $in: values } };
+}
+
+/**
+ * Normalize a path prefix to the relative_path form stored in metadata
+ * @param {string} prefix - User supplied prefix
+ * @returns {string} - Normalized prefix
+ */
+export function normalizePathPrefix(prefix) {
+  return prefix
+    .replace(/\\/g, '/')
+    .replace(/^\/workspace(\/|$)/, '')
+    .replace(/^\.\//, '')
+    .replace(/^\/+/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Check whether a path is a prefix path itself or lies below it
+ * Matches whole segments only: src/a covers src/a and src/a/b.js, not src/api.
+ * @param {string} path - Path with forward slashes
+ * @param {string} prefix - Normalized prefix
+ * @returns {boolean}
+ */
+function isUnderPath(path, prefix) {
+  return path === prefix || path.startsWith(`${prefix}/`);
+}
+
+/**
+ * Check whether a hit lives under a path prefix
+ * @param {Object} metadata - Chunk metadata
+ * @param {string} prefix - Normalized prefix
+ * @returns {boolean} - True if the hit matches
+ */
+export function matchesPathPrefix(metadata, prefix) {
+  if (!prefix) return true;
+  const relativePath = (metadata?.relative_path || '').replace(/\\/g, '/');
+  const fullPath = (metadata?.full_path || '').replace(/\\/g, '/');
+  return isUnderPath(relativePath, prefix)
+    || isUnderPath(fullPath, `/workspace/${prefix}`)
+    || isUnderPath(fullPath, `/${prefix}`);
+}
+
+/**
+ * Build validated search filters from search_context arguments
+ * @param {Object} args - Tool arguments
+ * @returns {Object} - {where, whereDocument, pathPrefix, offset, include}
+ */
+export function buildSearchFilters(args = {}) {
+  const {
+    where = null,
+    where_document = null,
+    language = null,
+    file_type = null,
+    path_prefix = null,
+    offset = 0,
+    include = null
+  } = args;
+
+  const whereClause = parseFilterArg(where, 'where');
+  if (whereClause) validateWhere(whereClause);
+
+  const whereDocument = parseFilterArg(where_document, 'where_document');
+  if (whereDocument) validateWhereDocument(whereDocument);
+
+  const clauses = [whereClause];
+  if (language) {
+    clauses.push(fieldClause('language', language));
+  }
+  if (file_type) {
+    // ".ts" style values filter by extension, anything else by file_type (code, images, ...)
+    const values = Array.isArray(file_type) ? file_type : String(file_type).split(',').map(v => v.trim());
+    const extensions = values.filter(v => v.startsWith('.')).map(v => v.toLowerCase());
+    const types = values.filter(v => v && !v.startsWith('.'));
+    const typeClauses = [
+      extensions.length ? fieldClause('extension', extensions) : null,
+      types.length ? fieldClause('file_type', types) : null
+    ].filter(Boolean);
+    clauses.push(typeClauses.length === 2 ? { $or: typeClauses } : typeClauses[0]);
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+
+  let includeFields = INCLUDE_FIELDS;
+  if (include) {
+    includeFields = Array.isArray(include) ? include : String(include).split(',').map(f => f.trim());
+    const unknown = includeFields.filter(f => !INCLUDE_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      throw new Error(`include: unknown field(s) ${unknown.join(', ')} (supported: ${INCLUDE_FIELDS.join(', ')})`);
+    }
+  }
+
+  return {
+    where: combineClauses(clauses),
+    whereDocument: whereDocument || undefined,
+    pathPrefix: path_prefix ? normalizePathPrefix(path_prefix) : null,
+    offset,
+    include: includeFields
+  };
+}
+
+export default {
+  INCLUDE_FIELDS,
+  PATH_PREFIX_MAX_FETCH,
+  validateWhere,
+  validateWhereDocument,
+  combineClauses,
+  normalizePathPrefix,
+  matchesPathPrefix,
+  buildSearchFilters
+};
@@ -29,7 +29,7 @@ export async function intelligentChunk(content, filePath, options = {}) {
   }
 
   // Parse code to extract functions/classes
-  const parsedChunks = extractChunks(content, filePath);
+  const parsedChunks = await extractChunks(content, filePath);
   const finalChunks = [];
 
   for (const chunk of parsedChunks) {
@@ -75,7 +75,7 @@ async function splitWithOverlap(chunk, options) {
 
   // Calculate lines per chunk (approximate)
   const avgLineLength = chunk.content.length / lines.length;
-  const linesPerChunk = Math.floor(maxChunkSize / avgLineLength);
+  const linesPerChunk = Math.max(1, Math.floor(maxChunkSize / avgLineLength));
   const overlapLines = Math.floor(overlap / avgLineLength);
 
   let currentLine = 0;
@@ -84,8 +84,10 @@ async function splitWithOverlap(chunk, options) {
   while (currentLine < lines.length) {
     const endLine = Math.min(currentLine + linesPerChunk, lines.length);
 
-    // Find optimal split point near endLine
-    const splitPoint = findOptimalSplitPoint(lines, currentLine, endLine, language);
+    // Find optimal split point near endLine; the final part takes the rest
+    const splitPoint = endLine === lines.length
+      ? lines.length
+      : findOptimalSplitPoint(lines, currentLine, endLine, language);
 
     // Extract chunk content
     let chunkLines = lines.slice(currentLine, splitPoint);
@@ -107,14 +109,14 @@ async function splitWithOverlap(chunk, options) {
       isPartial: true,
       partNumber: partNumber,
       totalParts: 0, // Will be updated after loop
-      parentChunk: chunk.name,
+      parentChunk: chunk.parentChunk || chunk.name,
       // Only include docstring in first part
       docstring: partNumber === 0 ? chunk.docstring : null
     });
 
-    // Move to next chunk with overlap
-    currentLine = splitPoint - overlapLines;
-    if (currentLine >= lines.length - overlapLines) {
+    // Move to next chunk with overlap, always advancing at least one line
+    currentLine = Math.max(splitPoint - overlapLines, currentLine + 1);
+    if (splitPoint >= lines.length || currentLine >= lines.length - overlapLines) {
       break;
     }
     partNumber++;
@@ -136,7 +138,8 @@ async function splitWithOverlap(chunk, options) {
  */
 function findOptimalSplitPoint(lines, startLine, idealEndLine, language) {
   const windowSize = 10;
-  const searchStart = Math.max(startLine, idealEndLine - windowSize);
+  // Never split at startLine itself, which would produce an empty chunk
+  const searchStart = Math.max(startLine + 1, idealEndLine - windowSize);
   const searchEnd = Math.min(lines.length, idealEndLine + windowSize);
 
   let bestScore = -1;
@@ -166,14 +169,12 @@ function scoreSplitPoint(line, language) {
   if (!trimmed) return 10;
 
   // Comment line - good split
-  if (language === 'javascript' || language === 'typescript') {
-    if (trimmed.startsWith('//') || trimmed.startsWith('/*') || trimmed.startsWith('*')) {
-      return 8;
-    }
-  } else if (language === 'python') {
+  if (language === 'python' || language === 'ruby') {
     if (trimmed.startsWith('#')) {
       return 8;
     }
+  } else if (trimmed.startsWith('//') || trimmed.startsWith('/*') || trimmed.startsWith('*')) {
+    return 8;
   }
 
   // Closing braces/brackets - good split
@@ -392,7 +393,7 @@ function scoreChunk(chunk) {
   if (chunk.name && !chunk.name.startsWith('_')) score += 1;
 
   // Functions/classes more important than other code
-  if (chunk.type === 'function') score += 1;
+  if (chunk.type === 'function' || chunk.type === 'method') score += 1;
   if (chunk.type === 'class') score += 1;
 
   // Has documentation
@@ -0,0 +1,385 @@
+/**
+ * Symbol Index - Name lookup for declarations found at ingest time
+ *
+ * The declarations the smart chunker finds (functions, classes, methods,
+ * types) are recorded in a side collection (<collection>_symbols), one entry
+ * per symbol with its file, line range and signature. find_symbol matches
+ * names exactly, by prefix or fuzzily; find_references scans the files whose
+ * chunks mention a name for whole-identifier occurrences.
+ */
+
+import { readFile } from 'fs/promises';
+import { extractChunks, detectLanguage } from './code-parser.js';
+import { generateDocId } from './batch-processor.js';
+import { storedPath } from './dependency-graph.js';
+import { logWarn } from './logger.js';
+
+export const SYMBOL_INDEX_SUFFIX = '_symbols';
+
+export const SYMBOL_MATCH_MODES = ['auto', 'exact', 'prefix', 'fuzzy'];
+
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 100;
+
+// Whole-file chunks (unknown or unparseable code) are not declarations
+const SKIPPED_CHUNK_TYPES = ['other'];
+
+/**
+ * Name of the side collection holding a collection's symbols
+ * @param {string} collection - Source collection name
+ * @returns {string} - Symbol collection name
+ */
+export function symbolIndexCollectionName(collection) {
+  return `${collection}${SYMBOL_INDEX_SUFFIX}`;
+}
+
+/**
+ * Extract the declarations of ingested files
+ * @param {Array<string>} fullPaths - Ingested files
+ * @param {string} root - Root of stored paths (files outside it keep their absolute path)
+ * @returns {Promise<Array<Object>>} - Symbols {name, kind, parent, file, full_path, language, start_line, end_line, signature, is_exported}
+ */
+export async function buildSymbolEntries(fullPaths, root) {
+  const symbols = [];
+
+  for (const fullPath of fullPaths) {
+    const language = detectLanguage(fullPath);
+    if (language === 'unknown') continue;
+
+    try {
+      const code = await readFile(fullPath, 'utf-8');
+      const chunks = await extractChunks(code, fullPath);
+
+      for (const chunk of chunks) {
+        if (!chunk.name || SKIPPED_CHUNK_TYPES.includes(chunk.type)) continue;
+        symbols.push({
+          name: chunk.name,
+          kind: chunk.type,
+          parent: chunk.parentChunk || null,
+          file: storedPath(root, fullPath),
+          full_path: fullPath,
+          language,
+          start_line: chunk.startLine,
+          end_line: chunk.endLine,
+          signature: chunk.signature || null,
+          is_exported: chunk.isExported || false
+        });
+      }
+    } catch (error) {
+      logWarn(`Failed to extract symbols from ${fullPath}: ${error.message}`);
+    }
+  }
+
+  return symbols;
+}
+
+/**
+ * Get (or create) the side collection of a collection's symbols
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<Collection>} - Symbol collection
+ */
+async function getSymbolCollection(client, collection) {
+  return client.getOrCreateCollection({
+    name: symbolIndexCollectionName(collection),
+    metadata: { source_collection: collection, purpose: 'symbol_index' }
+  });
+}
+
+/**
+ * Look up the side collection of a collection's symbols without creating it
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<Collection|null>} - Symbol collection, or null if none was indexed
+ */
+async function findSymbolCollection(client, collection) {
+  try {
+    return await client.getCollection({ name: symbolIndexCollectionName(collection) });
+  } catch (error) {
+    if (error.name === 'ChromaNotFoundError' || /does not exist/i.test(error.message)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Delete every symbol recorded for the given files
+ * @param {Collection} symbolCollection - Symbol collection
+ * @param {Array<string>} fullPaths - Files
+ */
+async function deleteFileSymbols(symbolCollection, fullPaths) {
+  for (let i = 0; i < fullPaths.length; i += BATCH_SIZE) {
+    await symbolCollection.delete({ where: { full_path: { $in: fullPaths.slice(i, i + BATCH_SIZE) } } });
+  }
+}
+
+/**
+ * Replace the symbols of re-ingested files and drop those of removed files
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @param {Object} options - {fullPaths: ingested files, basePath, root, removed: deleted files}
+ * @returns {Promise<Object>} - {symbols, files}
+ */
+export async function updateSymbolIndex(client, collection, options = {}) {
+  const { fullPaths = [], basePath, root = basePath, removed = [] } = options;
+  const files = [...new Set(fullPaths)];
+  const symbols = await buildSymbolEntries(files, root);
+
+  // Batches without declarations only touch an index that already exists
+  const symbolCollection = symbols.length > 0
+    ? await getSymbolCollection(client, collection)
+    : await findSymbolCollection(client, collection);
+  if (!symbolCollection) return { symbols: 0, files: 0 };
+
+  // Symbols are keyed by position, so a file's old entries are dropped first
+  await deleteFileSymbols(symbolCollection, [...files, ...removed]);
+
+  for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
+    const batch = symbols.slice(i, i + BATCH_SIZE);
+    await symbolCollection.upsert({
+      ids: batch.map(s => generateDocId(`${s.full_path}#${s.kind}:${s.name}@${s.start_line}`, 'symbol')),
+      documents: batch.map(s => s.signature || `${s.kind} ${s.name}`),
+      // Symbols are looked up by name only; a constant vector keeps the
+      // collection's embedding function from ever running
+      embeddings: batch.map(() => [0]),
+      // Chroma rejects null metadata values
+      metadatas: batch.map(s => Object.fromEntries(
+        Object.entries({ ...s, name_lower: s.name.toLowerCase(), source_collection: collection })
+          .filter(([, value]) => value !== null)
+      ))
+    });
+  }
+
+  return { symbols: symbols.length, files: new Set(symbols.map(s => s.full_path)).size };
+}
+
+/**
+ * Delete a collection's symbol index, if it has one
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<boolean>} - True if an index was deleted
+ */
+export async function deleteSymbolIndex(client, collection) {
+  if (!await findSymbolCollection(client, collection)) return false;
+  await client.deleteCollection({ name: symbolIndexCollectionName(collection) });
+  return true;
+}
+
+/**
+ * Load every symbol of a collection
+ * @param {ChromaClient} client - ChromaDB client
+ * @param {string} collection - Source collection name
+ * @returns {Promise<Array<Object>>} - Symbols (none if no index was built)
+ */
+export async function loadSymbols(client, collection) {
+  const symbolCollection = await findSymbolCollection(client, collection);
+  if (!symbolCollection) return [];
+  const symbols = [];
+  let offset = 0;
+
+  while (true) {
+    const page = await symbolCollection.get({ include: ['metadatas'], limit: PAGE_SIZE, offset });
+    const metadatas = page.metadatas || [];
+    symbols.push(...metadatas);
+
+    if (metadatas.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return symbols;
+}
+
+/**
+ * Edit distance between two strings, giving up above a maximum
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 when larger
+ */
+function boundedLevenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Check whether the query's characters appear in order in a name (tTWP -> translateToWorkspacePath)
+ * @param {string} query - Lowercase query
+ * @param {string} name - Lowercase name
+ * @returns {boolean} - True for a subsequence
+ */
+function isSubsequence(query, name) {
+  let position = 0;
+  for (const char of name) {
+    if (char === query[position]) position++;
+    if (position === query.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Score how well a name matches a query
+ * @param {string} query - Query as typed
+ * @param {string} name - Symbol name (or Parent.name)
+ * @returns {Object|null} - {match: exact|prefix|fuzzy, score: 0-1}, or null
+ */
+function scoreName(query, name) {
+  if (name === query) return { match: 'exact', score: 1 };
+
+  const q = query.toLowerCase();
+  const n = name.toLowerCase();
+  if (n === q) return { match: 'exact', score: 0.95 };
+  if (n.startsWith(q)) return { match: 'prefix', score: 0.6 + 0.3 * (q.length / n.length) };
+  if (n.includes(q)) return { match: 'fuzzy', score: 0.4 + 0.2 * (q.length / n.length) };
+
+  const maxDistance = Math.max(1, Math.floor(q.length / 4));
+  const distance = boundedLevenshtein(q, n, maxDistance);
+  if (distance <= maxDistance) return { match: 'fuzzy', score: 0.5 - 0.1 * distance };
+  if (isSubsequence(q, n)) return { match: 'fuzzy', score: 0.2 + 0.2 * (q.length / n.length) };
+
+  return null;
+}
+
+/**
+ * Find symbols by name
+ * "auto" returns exact matches if there are any, else prefix matches, else
+ * fuzzy ones; the other modes return their tier and every stricter one.
+ * @param {Array<Object>} symbols - Symbols from loadSymbols
+ * @param {string} query - Name, or Parent.name for methods
+ * @param {Object} options - {match, kind, limit}
+ * @returns {Array<Object>} - Symbols with match and score, best first
+ */
+export function findSymbols(symbols, query, options = {}) {
+  const { match = 'auto', kind = null, limit = 10 } = options;
+  const tiers = { exact: 0, prefix: 1, fuzzy: 2 };
+
+  const scored = [];
+  for (const symbol of symbols) {
+    if (kind && symbol.kind !== kind) continue;
+
+    const candidates = [scoreName(query, symbol.name)];
+    if (symbol.parent) candidates.push(scoreName(query, `${symbol.parent}.${symbol.name}`));
+    const best = candidates.filter(Boolean).sort((a, b) => b.score - a.score)[0];
+    if (best) scored.push({ ...symbol, ...best });
+  }
+
+  let allowed;
+  if (match === 'auto') {
+    const bestTier = Math.min(...scored.map(s => tiers[s.match]));
+    allowed = s => tiers[s.match] === bestTier;
+  } else {
+    allowed = s => tiers[s.match] <= tiers[match];
+  }
+
+  return scored
+    .filter(allowed)
+    .sort((a, b) => b.score - a.score || (b.is_exported ? 1 : 0) - (a.is_exported ? 1 : 0) || a.file.localeCompare(b.file))
+    .slice(0, limit)
+    .map(({ name_lower, source_collection, ...symbol }) => ({ ...symbol, score: Number(symbol.score.toFixed(4)) }));
+}
+
+/**
+ * Files of a collection whose chunks contain some text
+ * @param {Collection} collection - Source collection
+ * @param {string} text - Text to look for
+ * @returns {Promise<Map<string, string>>} - full_path -> relative path
+ */
+async function filesContaining(collection, text) {
+  const files = new Map();
+  let offset = 0;
+
+  while (true) {
+    const page = await collection.get({
+      whereDocument: { $contains: text },
+      include: ['metadatas'],
+      limit: PAGE_SIZE,
+      offset
+    });
+    const metadatas = page.metadatas || [];
+    for (const meta of metadatas) {
+      if (meta?.full_path && !files.has(meta.full_path)) {
+        files.set(meta.full_path, meta.relative_path || meta.full_path);
+      }
+    }
+
+    if (metadatas.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return files;
+}
+
+/**
+ * Find whole-identifier occurrences of a name in the files of a collection
+ * @param {Collection} collection - Source collection (chunks narrow down the files to read)
+ * @param {string} name - Identifier, or Parent.name (the last segment is searched)
+ * @param {Object} options - {symbols: definitions to flag, limit}
+ * @returns {Promise<Object>} - {name, files_searched, total, references, unreadable}
+ */
+export async function findReferences(collection, name, options = {}) {
+  const { symbols = [], limit = 50 } = options;
+  const identifier = name.split('.').pop();
+  const escaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`, 'g');
+
+  const definitions = symbols.filter(s => s.name === identifier);
+  const files = await filesContaining(collection, identifier);
+  const references = [];
+  const unreadable = [];
+  let total = 0;
+
+  for (const [fullPath, file] of [...files.entries()].sort((a, b) => a[1].localeCompare(b[1]))) {
+    let lines;
+    try {
+      lines = (await readFile(fullPath, 'utf-8')).split('\n');
+    } catch {
+      unreadable.push(file);
+      continue;
+    }
+
+    // The first occurrence inside a definition's range is the definition itself
+    const pending = definitions.filter(d => d.full_path === fullPath);
+
+    lines.forEach((text, idx) => {
+      const line = idx + 1;
+      for (const m of text.matchAll(pattern)) {
+        const defIndex = pending.findIndex(d => line >= d.start_line && line <= d.end_line);
+        const definition = defIndex !== -1;
+        if (definition) pending.splice(defIndex, 1);
+
+        total++;
+        if (references.length < limit) {
+          references.push({ file, line, column: m.index + 1, text: text.trim().slice(0, 200), definition });
+        }
+      }
+    });
+  }
+
+  return { name: identifier, files_searched: files.size, total, references, unreadable };
+}
+
+export default {
+  SYMBOL_INDEX_SUFFIX,
+  SYMBOL_MATCH_MODES,
+  symbolIndexCollectionName,
+  buildSymbolEntries,
+  updateSymbolIndex,
+  deleteSymbolIndex,
+  loadSymbols,
+  findSymbols,
+  findReferences
+};
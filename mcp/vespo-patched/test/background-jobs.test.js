@@ -0,0 +1,92 @@
+import { describe, test, expect } from 'bun:test';
+import { createJob, completeJob, failJob, getJobSignal } from '../ingest-jobs.js';
+import { ChromaContextMCP } from '../index.js';
+import { connectClient } from './mcp-client.js';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+/**
+ * Server whose batchIngest runs a real job that waits for release()
+ * and stops early if cancelled
+ */
+function serverWithGatedIngest() {
+  const server = new ChromaContextMCP();
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  let finished;
+  const done = new Promise(resolve => { finished = resolve; });
+
+  server.batchIngest = async (args, { onStart }) => {
+    const job = await createJob('batch_ingest', args, args.job_id);
+    onStart(job);
+    await gate;
+    try {
+      getJobSignal(job).throwIfAborted();
+      await completeJob(job, { success: true, files_stored: 3 });
+    } catch (error) {
+      await failJob(job, error);
+    }
+    finished();
+    return { content: [{ type: 'text', text: '{}' }] };
+  };
+
+  return { server, release, done };
+}
+
+describe('background ingests', () => {
+  test('batch_ingest returns the job id at once and get_job_status follows it', async () => {
+    const { server, release, done } = serverWithGatedIngest();
+    const { callTool, close } = await connectClient(server);
+
+    const started = parse(await callTool('batch_ingest', { path: '.', background: true, job_id: 'bg-1' }));
+    expect(started).toMatchObject({ success: true, background: true, job_id: 'bg-1', status: 'running' });
+
+    const running = parse(await callTool('get_job_status', { job_id: 'bg-1' }));
+    expect(running.running).toBe(true);
+
+    release();
+    await done;
+    const finished = parse(await callTool('get_job_status', { job_id: 'bg-1' }));
+    expect([finished.status, finished.running, finished.result.files_stored]).toEqual(['completed', false, 3]);
+    await close();
+  });
+
+  test('cancel_job stops a running job and list_jobs reports it', async () => {
+    const { server, release, done } = serverWithGatedIngest();
+    const { callTool, close } = await connectClient(server);
+    await callTool('batch_ingest', { path: '.', background: true, job_id: 'bg-2', collection: 'repo' });
+
+    const cancelled = parse(await callTool('cancel_job', { job_id: 'bg-2' }));
+    expect(cancelled.success).toBe(true);
+    release();
+    await done;
+
+    const listed = parse(await callTool('list_jobs', { status: 'cancelled' }));
+    expect(listed.jobs.map(j => [j.job_id, j.status, j.collection])).toContainEqual(['bg-2', 'cancelled', 'repo']);
+
+    const again = await callTool('cancel_job', { job_id: 'bg-2' });
+    expect(again.isError).toBe(true);
+    expect(again.content[0].text).toContain("is not running in this server (status: cancelled)");
+    await close();
+  });
+
+  test('an ingest that fails before its job starts returns the error', async () => {
+    const server = new ChromaContextMCP();
+    server.batchIngest = async () => ({ content: [{ type: 'text', text: 'Error in batch ingest: bad path' }], isError: true });
+    const { callTool, close } = await connectClient(server);
+
+    const result = await callTool('batch_ingest', { path: '/nowhere', background: true });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Error in batch ingest: bad path');
+    await close();
+  });
+
+  test('unknown jobs are reported as errors', async () => {
+    const { callTool, close } = await connectClient();
+
+    expect((await callTool('get_job_status', { job_id: 'missing' })).content[0].text).toBe("Error: No ingest job 'missing'");
+    expect((await callTool('cancel_job', { job_id: 'missing' })).content[0].text).toBe("Error: No ingest job 'missing'");
+    await close();
+  });
+});
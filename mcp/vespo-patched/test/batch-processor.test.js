@@ -0,0 +1,134 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  walkDirectory, scanDirectory, countFiles, getDirectoryStats, processFile, processFilesStream, batchFileResults
+} from '../batch-processor.js';
+
+let dir;
+
+const collect = async iterable => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'batch-'));
+  await mkdir(join(dir, 'src'));
+  await mkdir(join(dir, 'node_modules'));
+  await writeFile(join(dir, 'README.md'), '# Readme\n');
+  await writeFile(join(dir, 'notes.txt'), 'plain text notes\n');
+  await writeFile(join(dir, 'src', 'a.js'), 'export function a() {\n  return 1;\n}\n');
+  await writeFile(join(dir, 'src', 'b.py'), 'def b():\n    return 2\n');
+  await writeFile(join(dir, 'node_modules', 'dep.js'), 'module.exports = 1;\n');
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('directory walking', () => {
+  test('yields files lazily, skipping excluded directories', async () => {
+    const files = (await collect(walkDirectory(dir))).map(f => f.slice(dir.length + 1)).sort();
+    expect(files).toEqual(['README.md', 'notes.txt', 'src/a.js', 'src/b.py']);
+  });
+
+  test('filters by extension, category and recursion, and stops at maxFiles', async () => {
+    expect(await countFiles(dir, { extensions: ['.js', '.py'] })).toBe(2);
+    expect(await countFiles(dir, { categories: ['code'] })).toBe(2);
+    expect(await countFiles(dir, { recursive: false })).toBe(2);
+    expect(await scanDirectory(dir, { maxFiles: 3 })).toHaveLength(3);
+  });
+});
+
+describe('getDirectoryStats', () => {
+  test('counts files by category and extension', async () => {
+    const stats = await getDirectoryStats(dir);
+
+    expect(stats.total_files).toBe(4);
+    expect(stats.by_extension).toEqual({ '.md': 1, '.txt': 1, '.js': 1, '.py': 1 });
+    expect(stats.by_category.code).toBe(2);
+    expect(stats.total_size).toBeGreaterThan(0);
+    expect(stats.truncated).toBe(false);
+  });
+
+  test('stops at maxFiles and reports the truncation', async () => {
+    const capped = await getDirectoryStats(dir, { maxFiles: 2 });
+    const exact = await getDirectoryStats(dir, { maxFiles: 4 });
+
+    expect([capped.total_files, capped.truncated]).toEqual([2, true]);
+    expect([exact.total_files, exact.truncated]).toEqual([4, false]);
+  });
+});
+
+describe('processFile', () => {
+  test('reads plain text files', async () => {
+    const [chunk] = await processFile(join(dir, 'notes.txt'), { basePath: dir });
+
+    expect(chunk.content).toContain('plain text notes');
+    expect(chunk.metadata.relative_path).toBe('notes.txt');
+  });
+
+  test('smart chunking splits code into named chunks', async () => {
+    const chunks = await processFile(join(dir, 'src', 'a.js'), { basePath: dir, useSmartChunking: true });
+
+    expect(chunks[0].metadata.chunking_method).toBe('smart');
+    expect(chunks.map(c => [c.metadata.chunk_type, c.metadata.name])).toEqual([['function', 'a']]);
+  });
+});
+
+describe('processFilesStream', () => {
+  test('yields chunks, skips and errors without holding the whole list', async () => {
+    const pulled = [];
+    async function* source() {
+      for (const file of ['notes.txt', 'README.md', 'bad.txt', 'src/a.js']) {
+        pulled.push(file);
+        yield join(dir, file);
+      }
+    }
+    const progress = [];
+
+    const stream = processFilesStream(source(), {
+      concurrency: 2,
+      select: async file => {
+        if (file.endsWith('bad.txt')) throw new Error('unreadable');
+        return !file.endsWith('README.md');
+      },
+      onProgress: p => progress.push(p)
+    });
+    const first = await stream.next();
+    expect(pulled.length).toBeLessThanOrEqual(3);
+
+    const results = [first.value, ...await collect(stream)];
+    const byName = Object.fromEntries(results.map(r => [r.file.slice(dir.length + 1), r]));
+
+    expect(Object.keys(byName).sort()).toEqual(['README.md', 'bad.txt', 'notes.txt', 'src/a.js']);
+    expect(byName['README.md'].skipped).toBe(true);
+    expect(byName['bad.txt'].error).toBe('unreadable');
+    expect(byName['notes.txt'].chunks.length).toBeGreaterThan(0);
+    expect(progress.map(p => p.processed)).toEqual([1, 2, 3, 4]);
+    expect(progress.filter(p => p.failed)).toHaveLength(1);
+  });
+});
+
+describe('batchFileResults', () => {
+  test('batches end on file boundaries and carry skips and errors', async () => {
+    const chunks = n => Array.from({ length: n }, (_, i) => ({ id: String(i) }));
+    const results = [
+      { file: 'a', chunks: chunks(2) },
+      { file: 'b', skipped: true },
+      { file: 'c', chunks: chunks(5) },
+      { file: 'd', error: 'boom' },
+      { file: 'e', chunks: chunks(1) }
+    ];
+
+    const batches = await collect(batchFileResults(results, { batchSize: 3 }));
+
+    expect(batches.map(b => [b.files, b.chunks.length, b.skipped, b.errors.map(e => e.file)])).toEqual([
+      [['a', 'c'], 7, ['b'], []],
+      [['e'], 1, [], ['d']]
+    ]);
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, test, expect } from 'bun:test';
+import { detectLanguage, extractChunks, PARSEABLE_EXTENSIONS } from '../code-parser.js';
+
+const summary = chunks => chunks.map(c => [c.type, c.name, c.startLine, c.endLine]);
+
+describe('detectLanguage', () => {
+  test('maps extensions of every supported language', () => {
+    expect(['a.ts', 'b.go', 'c.rs', 'D.java', 'e.hpp', 'f.cs', 'g.rb', 'h.php', 'i.kts', 'j.cjs'].map(detectLanguage))
+      .toEqual(['typescript', 'go', 'rust', 'java', 'cpp', 'csharp', 'ruby', 'php', 'kotlin', 'javascript']);
+    expect(detectLanguage('README.md')).toBe('unknown');
+    expect(PARSEABLE_EXTENSIONS).toContain('.tsx');
+  });
+});
+
+describe('extractChunks with tree-sitter', () => {
+  test('TypeScript keeps type syntax that acorn rejects', async () => {
+    const code = [
+      'export interface User { id: number }',
+      'export function load(id: number): User {',
+      '  return { id };',
+      '}'
+    ].join('\n');
+
+    const chunks = await extractChunks(code, 'src/user.ts');
+
+    expect(summary(chunks)).toEqual([['class', 'User', 1, 1], ['function', 'load', 2, 4]]);
+    expect(chunks[1].isExported).toBe(true);
+    expect(chunks[1].content).toContain('return { id };');
+  });
+
+  test('TSX uses its own grammar', async () => {
+    const chunks = await extractChunks('export function Home() {\n  return <div>hi</div>;\n}\n', 'Home.tsx');
+    expect(summary(chunks)).toEqual([['function', 'Home', 1, 3]]);
+  });
+
+  test('Go functions and types', async () => {
+    const code = 'package main\n\nfunc Add(a int, b int) int {\n\treturn a + b\n}\n\ntype Point struct { X int }\n';
+    expect(summary(await extractChunks(code, 'math.go'))).toEqual([['function', 'Add', 3, 5], ['class', 'Point', 7, 7]]);
+  });
+
+  test('Rust functions, structs and impls', async () => {
+    const code = 'pub fn add(a: i32) -> i32 { a }\nstruct P { x: i32 }\nimpl P {\n    fn get(&self) -> i32 { self.x }\n}\n';
+    const chunks = await extractChunks(code, 'lib.rs');
+    expect(summary(chunks)).toEqual([['function', 'add', 1, 1], ['class', 'P', 2, 2], ['class', 'P', 3, 3], ['method', 'get', 4, 5]]);
+    expect(chunks[3].parentChunk).toBe('P');
+  });
+
+  test('Java, C#, Kotlin, Ruby, PHP and C++ produce named chunks', async () => {
+    const samples = {
+      'A.java': 'public class A {\n  public int run() { return 1; }\n}\n',
+      'B.cs': 'public class B {\n  public int Run() { return 1; }\n}\n',
+      'c.kt': 'fun greet(name: String): String {\n  return "hi $name"\n}\n',
+      'd.rb': 'class Dog\n  def bark\n    "woof"\n  end\nend\n',
+      'e.php': '<?php\nfunction render($x) {\n  return $x;\n}\n',
+      'f.cpp': 'int square(int x) {\n  return x * x;\n}\n'
+    };
+    const expected = { 'A.java': 'A', 'B.cs': 'B', 'c.kt': 'greet', 'd.rb': 'Dog', 'e.php': 'render', 'f.cpp': 'square' };
+
+    for (const [file, code] of Object.entries(samples)) {
+      const chunks = await extractChunks(code, file);
+      expect(chunks.map(c => c.name)).toContain(expected[file]);
+    }
+  });
+
+  test('Java and C# classes are split into methods and trailing fields', async () => {
+    const java = [
+      'public class Account {',
+      '  private int balance;',
+      '  /** Opens an empty account */',
+      '  public Account() {}',
+      '  public int deposit(int amount) {',
+      '    return balance += amount;',
+      '  }',
+      '  private String owner;',
+      '  static class Audit {',
+      '    void log() {}',
+      '  }',
+      '}'
+    ].join('\n');
+    const csharp = [
+      'public class Cart {',
+      '  public int Total() { return 0; }',
+      '  public int Count { get; set; }',
+      '}'
+    ].join('\n');
+
+    const javaChunks = await extractChunks(java, 'Account.java');
+    const csharpChunks = await extractChunks(csharp, 'Cart.cs');
+
+    expect(summary(javaChunks)).toEqual([
+      ['class', 'Account', 1, 2],
+      ['method', 'Account', 4, 4],
+      ['method', 'deposit', 5, 7],
+      ['field', 'owner', 8, 8],
+      ['class', 'Audit', 9, 9],
+      ['method', 'log', 10, 12]
+    ]);
+    expect(javaChunks.slice(1).map(c => c.parentChunk)).toEqual(['Account', 'Account', 'Account', 'Account', 'Audit']);
+    expect(javaChunks[1].docstring).toBe('/** Opens an empty account */');
+    expect(javaChunks[2].signature).toBe('public int deposit(int amount)');
+    expect(summary(csharpChunks)).toEqual([['class', 'Cart', 1, 1], ['method', 'Total', 2, 2], ['field', 'Count', 3, 4]]);
+  });
+
+  test('TypeScript classes are split like JavaScript ones, decorators included', async () => {
+    const code = [
+      'export class Button {',
+      '  label = "ok";',
+      '  @HostListener("click")',
+      '  onClick() {}',
+      '  render(): string { return this.label; }',
+      '}'
+    ].join('\n');
+
+    const chunks = await extractChunks(code, 'button.ts');
+
+    expect(summary(chunks)).toEqual([
+      ['class', 'Button', 1, 2],
+      ['method', 'onClick', 3, 4],
+      ['method', 'render', 5, 6]
+    ]);
+    expect(chunks.every(c => c.isExported)).toBe(true);
+    expect(chunks[1].content.startsWith('@HostListener("click")')).toBe(true);
+  });
+
+  test('files without declarations become one module chunk', async () => {
+    const chunks = await extractChunks('package main\n\nvar x = 1\n', 'vars.go');
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ type: 'other', name: 'module', startLine: 1, endLine: 4 });
+  });
+});
+
+describe('extractChunks splitting classes and objects', () => {
+  const uncoveredLines = (code, chunks) => code.split('\n')
+    .map((line, i) => ({ line, number: i + 1 }))
+    .filter(({ line, number }) => line.trim() && !chunks.some(c => c.startLine <= number && number <= c.endLine));
+
+  test('class fields after a method keep their own chunk', async () => {
+    const code = [
+      'class Config {',
+      '  load() {',
+      '    return readConfig();',
+      '  }',
+      '  static DEFAULT_TIMEOUT = 30000;',
+      '  retries = 5;',
+      '}'
+    ].join('\n');
+
+    const chunks = await extractChunks(code, 'config.js');
+
+    expect(summary(chunks)).toEqual([
+      ['class', 'Config', 1, 1],
+      ['method', 'load', 2, 4],
+      ['field', 'DEFAULT_TIMEOUT, retries', 5, 7]
+    ]);
+    expect(chunks[2].parentChunk).toBe('Config');
+    expect(uncoveredLines(code, chunks)).toEqual([]);
+  });
+
+  test('fields between methods get their own chunk and the last method closes the class', async () => {
+    const code = [
+      'class Queue {',
+      '  items = [];',
+      '  push(item) { this.items.push(item); }',
+      '  limit = 10;',
+      '  pop() { return this.items.pop(); }',
+      '}'
+    ].join('\n');
+
+    const chunks = await extractChunks(code, 'queue.js');
+
+    expect(summary(chunks)).toEqual([
+      ['class', 'Queue', 1, 2],
+      ['method', 'push', 3, 3],
+      ['field', 'limit', 4, 4],
+      ['method', 'pop', 5, 6]
+    ]);
+    expect(uncoveredLines(code, chunks)).toEqual([]);
+  });
+
+  test('object properties after a method keep their own chunk', async () => {
+    const code = [
+      'module.exports = {',
+      '  run() {},',
+      '  MAX_RETRIES: 42',
+      '};'
+    ].join('\n');
+
+    const chunks = await extractChunks(code, 'index.js');
+
+    expect(summary(chunks)).toEqual([
+      ['object', 'module.exports', 1, 1],
+      ['method', 'run', 2, 2],
+      ['property', 'MAX_RETRIES', 3, 4]
+    ]);
+    expect(chunks[2].content).toContain('MAX_RETRIES: 42');
+    expect(uncoveredLines(code, chunks)).toEqual([]);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  resourcePath, collectionUri, fileUri, parseResourceUri, listCollectionFiles, fileResource,
+  readCollectionResource, readFileResource
+} from '../collection-resources.js';
+import { fakeClient, fakeCollection } from './fake-collection.js';
+import { connectClient } from './mcp-client.js';
+
+// Two chunks of src/app.js and one of a file ingested on its own
+const records = [
+  { id: 'a0', document: '// File: src/app.js\nline 1\nline 2', metadata: { full_path: '/workspace/src/app.js', relative_path: 'src/app.js', chunk_index: 0, start_line: 1, file_type: 'code' } },
+  { id: 'a1', document: '// File: src/app.js\nline 3', metadata: { full_path: '/workspace/src/app.js', relative_path: 'src/app.js', chunk_index: 1, start_line: 3, file_type: 'code' } },
+  { id: 'n0', document: '// File: notes.md\n# Notes', metadata: { full_path: '/home/me/notes.md', file_type: 'documents' } },
+  { id: 'x0', document: 'free text', metadata: { source: 'manual' } }
+];
+
+describe('resource URIs', () => {
+  test('encode collection names and path segments and parse back', () => {
+    const uri = fileUri('my repo', 'docs/a b#1.md');
+
+    expect(uri).toBe('chroma://collection/my%20repo/file/docs/a%20b%231.md');
+    expect(parseResourceUri(uri)).toEqual({ collection: 'my repo', path: 'docs/a b#1.md' });
+    expect(parseResourceUri(collectionUri('repo'))).toEqual({ collection: 'repo', path: null });
+  });
+
+  test('reject foreign and malformed URIs', () => {
+    expect(parseResourceUri('file:///etc/passwd')).toBeNull();
+    expect(parseResourceUri('chroma://collection/')).toBeNull();
+    expect(parseResourceUri('chroma://collection/%E0%A4%A/file/x')).toBeNull();
+  });
+
+  test('files are named by relative path, else full path', () => {
+    expect(resourcePath({ relative_path: 'a.js', full_path: '/w/a.js' })).toBe('a.js');
+    expect(resourcePath({ full_path: '/w/a.js' })).toBe('/w/a.js');
+    expect(resourcePath({ source: 'manual' })).toBeNull();
+  });
+});
+
+describe('collection contents', () => {
+  test('listCollectionFiles groups chunks by file', async () => {
+    const files = await listCollectionFiles(fakeCollection(records));
+
+    expect(files.map(f => [f.path, f.chunks, f.file_type])).toEqual([
+      ['/home/me/notes.md', 1, 'documents'],
+      ['src/app.js', 2, 'code']
+    ]);
+    expect(fileResource('repo', files[1])).toMatchObject({ mimeType: 'text/javascript', description: 'src/app.js rebuilt from 2 chunks' });
+  });
+
+  test('collection resource reports counts and file URIs', async () => {
+    const contents = await readCollectionResource(fakeCollection(records, { name: 'repo', metadata: { embedding_provider: 'openai' } }));
+    const stats = JSON.parse(contents.text);
+
+    expect(stats).toMatchObject({
+      collection: 'repo',
+      metadata: { embedding_provider: 'openai' },
+      document_count: 4,
+      file_count: 2,
+      file_types: { code: 1, documents: 1 },
+      files_truncated: false
+    });
+    expect(stats.files[1].uri).toBe('chroma://collection/repo/file/src/app.js');
+  });
+
+  test('file resource rebuilds the file from its chunks', async () => {
+    const collection = fakeCollection(records, { name: 'repo' });
+
+    expect((await readFileResource(collection, 'src/app.js')).text).toBe('line 1\nline 2\nline 3');
+    expect((await readFileResource(collection, '/home/me/notes.md')).mimeType).toBe('text/markdown');
+    expect(await readFileResource(collection, 'missing.js')).toBeNull();
+  });
+});
+
+describe('resource handlers', () => {
+  const connectWith = async collections => {
+    const connection = await connectClient();
+    const client = fakeClient(collections);
+    connection.server.getLocalClient = async () => client;
+    return connection;
+  };
+  const resourceNotifications = notifications => notifications
+    .filter(n => n.method.startsWith('notifications/resources/'))
+    .map(n => n.params?.uri ?? 'list_changed');
+
+  test('resources/list lists collections then their files, skipping side collections', async () => {
+    const { client, close } = await connectWith({
+      repo: fakeCollection(records, { name: 'repo' }),
+      repo_symbols: fakeCollection([], { name: 'repo_symbols' })
+    });
+
+    const { resources, nextCursor } = await client.listResources();
+
+    expect(resources.map(r => r.uri)).toEqual([
+      'chroma://collection/repo',
+      'chroma://collection/repo/file//home/me/notes.md',
+      'chroma://collection/repo/file/src/app.js'
+    ]);
+    expect(nextCursor).toBeUndefined();
+    await close();
+  });
+
+  test('paging scans a collection once until it changes', async () => {
+    const many = Array.from({ length: 600 }, (_, i) => ({
+      id: `f${i}`, document: 'x', metadata: { relative_path: `src/f${String(i).padStart(3, '0')}.js` }
+    }));
+    const big = fakeCollection(many, { name: 'big' });
+    const { server, client, close } = await connectWith({ big });
+
+    const first = await client.listResources();
+    const second = await client.listResources({ cursor: first.nextCursor });
+    expect([first.resources.length, second.resources.length, second.nextCursor]).toEqual([500, 101, undefined]);
+    expect(big.getCalls).toHaveLength(1);
+
+    server.notifyResourcesChanged('big', { listChanged: false });
+    await client.listResources({ cursor: first.nextCursor });
+    expect(big.getCalls).toHaveLength(2);
+
+    // Written to by another process: the chunk count gives it away
+    big.records.push({ id: 'late', document: 'x', metadata: { relative_path: 'src/late.js' } });
+    const last = await client.listResources({ cursor: first.nextCursor });
+    expect(big.getCalls).toHaveLength(3);
+    expect(last.resources.map(r => r.uri)).toContain('chroma://collection/big/file/src/late.js');
+    await close();
+  });
+
+  test('resources/read serves files and rejects unknown ones', async () => {
+    const { client, close } = await connectWith({ repo: fakeCollection(records, { name: 'repo' }) });
+
+    const { contents } = await client.readResource({ uri: 'chroma://collection/repo/file/src/app.js' });
+    expect(contents[0].text).toBe('line 1\nline 2\nline 3');
+
+    await expect(client.readResource({ uri: 'chroma://collection/repo/file/nope.js' })).rejects.toThrow("No file 'nope.js' in collection 'repo'");
+    await expect(client.readResource({ uri: 'https://example.com' })).rejects.toThrow('Unknown resource');
+    await close();
+  });
+
+  test('subscribed file URIs get resources/updated when their collection changes', async () => {
+    const { server, client, notifications, close } = await connectWith({});
+
+    await client.subscribeResource({ uri: 'chroma://collection/repo/file/src/app.js' });
+    await client.subscribeResource({ uri: 'chroma://collection/other' });
+    server.notifyResourcesChanged('repo', { paths: ['src/app.js'], listChanged: false });
+    server.notifyResourcesChanged('repo', { paths: ['src/other.js'] });
+    // Messages arrive in order, so a round trip flushes the notifications
+    await client.ping();
+
+    expect(resourceNotifications(notifications)).toEqual(['chroma://collection/repo/file/src/app.js', 'list_changed']);
+
+    await client.unsubscribeResource({ uri: 'chroma://collection/repo/file/src/app.js' });
+    server.notifyResourcesChanged('repo', { paths: ['src/app.js'], listChanged: false });
+    await client.ping();
+    expect(resourceNotifications(notifications)).toHaveLength(2);
+    await close();
+  });
+
+  test('changes made in one session reach subscribers of every session', async () => {
+    const writer = await connectWith({});
+    const reader = await connectWith({});
+
+    await reader.client.subscribeResource({ uri: 'chroma://collection/repo' });
+    writer.server.notifyResourcesChanged('repo', { paths: ['src/app.js'] });
+    await Promise.all([writer.client.ping(), reader.client.ping()]);
+
+    expect(resourceNotifications(reader.notifications)).toEqual(['list_changed', 'chroma://collection/repo']);
+    expect(resourceNotifications(writer.notifications)).toEqual(['list_changed']);
+
+    // A closed session is forgotten with its subscriptions
+    await reader.close();
+    writer.server.notifyResourcesChanged('repo');
+    await writer.client.ping();
+    expect(resourceNotifications(reader.notifications)).toHaveLength(2);
+    expect(resourceNotifications(writer.notifications)).toEqual(['list_changed', 'list_changed']);
+    await writer.close();
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, test, expect } from 'bun:test';
+import { buildContextPack, defaultEstimateTokens } from '../context-pack.js';
+
+function hit(id, file, startLine, lines, meta = {}) {
+  return {
+    id,
+    content: `// File: ${file}\n${lines.join('\n')}`,
+    metadata: { full_path: `/workspace/${file}`, relative_path: file, start_line: startLine, language: 'javascript', ...meta }
+  };
+}
+
+const numbered = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `line ${from + i}`);
+
+describe('buildContextPack', () => {
+  test('groups snippets by file and trims lines already packed', () => {
+    const pack = buildContextPack([
+      hit('a', 'src/a.js', 1, numbered(1, 5), { chunk_type: 'function', name: 'start' }),
+      hit('b', 'src/b.js', 10, numbered(10, 12)),
+      hit('a2', 'src/a.js', 4, numbered(4, 8))
+    ], { question: 'how does start work?', budget: 1000 });
+
+    expect(pack.files).toBe(2);
+    expect(pack.chunks).toBe(3);
+    expect(pack.markdown.startsWith('# Context: how does start work?\n')).toBe(true);
+    expect(pack.markdown.match(/^## src\/a\.js$/gm)).toHaveLength(1);
+    // Lines 4-5 appear once, and the continuation is merged into one fence
+    expect(pack.markdown.match(/line 4\n/g)).toHaveLength(1);
+    expect(pack.markdown).toContain('L1-8 · function `start`\n```javascript\nline 1');
+  });
+
+  test('skips hits whose lines are already covered and duplicate documents', () => {
+    const pack = buildContextPack([
+      hit('a', 'src/a.js', 1, numbered(1, 10)),
+      hit('inner', 'src/a.js', 3, numbered(3, 6)),
+      { id: 'n1', content: 'same note', metadata: {} },
+      { id: 'n2', content: 'same note', metadata: {} }
+    ]);
+
+    expect(pack.skipped.duplicate).toBe(2);
+  });
+
+  test('packs only the lines around chunks an enclosing chunk contains', () => {
+    const pack = buildContextPack([
+      hit('load', 'src/config.js', 3, numbered(3, 5), { chunk_type: 'method', name: 'load' }),
+      hit('save', 'src/config.js', 7, numbered(7, 8), { chunk_type: 'method', name: 'save' }),
+      hit('Config', 'src/config.js', 1, numbered(1, 10), { chunk_type: 'class', name: 'Config' })
+    ], { budget: 1000 });
+
+    for (let line = 1; line <= 10; line++) {
+      expect(pack.markdown.match(new RegExp(`^line ${line}$`, 'gm'))).toHaveLength(1);
+    }
+    expect(pack.chunks).toBe(5);
+    expect(pack.markdown).toContain('L1-10 · class `Config`, method `load`, method `save`\n```javascript\nline 1');
+  });
+
+  test('stays within the token budget, truncating the last snippet that fits', () => {
+    const hits = Array.from({ length: 20 }, (_, i) => hit(`h${i}`, `src/f${i}.js`, 1, numbered(1, 40)));
+
+    const pack = buildContextPack(hits, { budget: 500 });
+
+    expect(pack.tokens).toBeLessThanOrEqual(500);
+    expect(pack.skipped.over_budget).toBeGreaterThan(0);
+    expect(pack.markdown).toContain('(truncated)');
+  });
+
+  test('uses the supplied token counter', () => {
+    const counted = [];
+    const pack = buildContextPack([hit('a', 'a.js', 1, ['x'])], {
+      estimateTokens: text => {
+        counted.push(text);
+        return defaultEstimateTokens(text);
+      }
+    });
+
+    expect(counted.length).toBeGreaterThan(0);
+    expect(pack.tokens).toBe(defaultEstimateTokens(pack.markdown));
+  });
+
+  test('uses a longer fence when the code contains one', () => {
+    const pack = buildContextPack([hit('md', 'README.md', 1, ['```js', 'x', '```'], { language: 'markdown' })]);
+    expect(pack.markdown).toContain('````markdown\n```js');
+  });
+});
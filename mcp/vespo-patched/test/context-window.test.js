@@ -0,0 +1,111 @@
+import { describe, test, expect } from 'bun:test';
+import { stripChunkHeader, formatWithLineNumbers, buildContextWindow, getContextWindow, reconstructFile } from '../context-window.js';
+import { fakeCollection } from './fake-collection.js';
+
+const FILE = '/workspace/src/app.js';
+
+// Chunks of app.js: lines 1-4, 3-6 (overlapping) and 9-10 (lines 7-8 not indexed)
+function lineChunk(index, startLine, lines, extra = {}) {
+  return {
+    id: `app_${index}`,
+    document: `// File: src/app.js\n${lines.join('\n')}`,
+    metadata: { full_path: FILE, relative_path: 'src/app.js', chunk_index: index, total_chunks: 3, start_line: startLine, ...extra }
+  };
+}
+
+const lineChunks = [
+  lineChunk(0, 1, ['line 1', 'line 2', 'line 3', 'line 4']),
+  lineChunk(1, 3, ['line 3', 'line 4', 'line 5', 'line 6']),
+  lineChunk(2, 9, ['line 9', 'line 10'])
+];
+
+describe('helpers', () => {
+  test('strips the file header and numbers lines with aligned width', () => {
+    expect(stripChunkHeader('// File: a.js\ncode')).toBe('code');
+    expect(formatWithLineNumbers(['a', 'b'], 9)).toBe(' 9 | a\n10 | b');
+  });
+});
+
+describe('buildContextWindow', () => {
+  test('stitches line chunks without repeating overlaps and marks gaps', async () => {
+    const collection = fakeCollection(lineChunks);
+
+    const region = await buildContextWindow(collection, lineChunks[1], { window: 1, lineNumbers: false });
+
+    expect(region.chunk_ids).toEqual(['app_0', 'app_1', 'app_2']);
+    expect(region.start_line).toBe(1);
+    expect(region.end_line).toBe(10);
+    expect(region.text.split('\n')).toEqual([
+      'line 1', 'line 2', 'line 3', 'line 4', 'line 5', 'line 6',
+      '... (lines 7-8 not indexed) ...',
+      'line 9', 'line 10'
+    ]);
+  });
+
+  test('limits the window to the requested neighbours', async () => {
+    const region = await buildContextWindow(fakeCollection(lineChunks), lineChunks[0], { window: 0 });
+
+    expect(region.chunk_ids).toEqual(['app_0']);
+    expect(region.text).toBe('1 | line 1\n2 | line 2\n3 | line 3\n4 | line 4');
+  });
+
+  test('drops the synthetic signature line of split function parts', async () => {
+    const parts = [
+      lineChunk(0, 1, ['function big() {', '  a();'], { total_chunks: 2 }),
+      lineChunk(1, 3, ['function big() {', '  b();', '}'], { total_chunks: 2, is_partial: true, part_number: 1, signature: 'function big() {' })
+    ];
+
+    const region = await buildContextWindow(fakeCollection(parts), parts[0], { window: 1, lineNumbers: false });
+
+    expect(region.text).toBe('function big() {\n  a();\n  b();\n}');
+  });
+
+  test('stitches character chunks and counts their line numbers', async () => {
+    const source = 'alpha\nbeta\ngamma\ndelta\n';
+    const charChunk = (index, start, end) => ({
+      id: `txt_${index}`,
+      document: `// File: notes.txt\n${source.slice(start, end)}`,
+      metadata: { full_path: '/workspace/notes.txt', chunk_index: index, total_chunks: 3, start_char: start }
+    });
+    const chunks = [charChunk(0, 0, 8), charChunk(1, 6, 17), charChunk(2, 15, source.length)];
+
+    const region = await buildContextWindow(fakeCollection(chunks), chunks[2], { window: 0, lineNumbers: false });
+    const file = await reconstructFile(fakeCollection(chunks), '/workspace/notes.txt');
+
+    expect(region.start_line).toBe(3);
+    expect(region.text).toBe('a\ndelta\n');
+    expect(file).toEqual({ chunk_count: 3, text: source });
+  });
+
+  test('shows neighbouring notebook cells with their headers', async () => {
+    const cells = [0, 1, 2].map(i => ({
+      id: `nb_${i}`,
+      document: `// File: a.ipynb | Cell ${i + 1}/3\nprint(${i})`,
+      metadata: { full_path: '/workspace/a.ipynb', chunk_index: i, total_chunks: 3, cell_index: i }
+    }));
+
+    const region = await buildContextWindow(fakeCollection(cells), cells[1], { window: 1 });
+
+    expect(region).toMatchObject({ start_cell: 1, end_cell: 3, chunk_ids: ['nb_0', 'nb_1', 'nb_2'] });
+    expect(region.text).toContain('Cell 2/3\nprint(1)');
+  });
+
+  test('returns standalone documents as they are', async () => {
+    const doc = { id: 'note', document: 'remember this', metadata: { filename: 'note' } };
+
+    const region = await buildContextWindow(fakeCollection([doc]), { ...doc, content: doc.document });
+
+    expect(region).toMatchObject({ file: 'note', start_line: 1, end_line: 1, chunk_ids: ['note'], text: '1 | remember this' });
+  });
+});
+
+describe('getContextWindow and reconstructFile', () => {
+  test('look chunks up by id and rebuild whole files', async () => {
+    const collection = fakeCollection(lineChunks);
+
+    expect(await getContextWindow(collection, 'missing')).toBeNull();
+    expect((await getContextWindow(collection, 'app_2', { window: 0 })).start_line).toBe(9);
+    expect((await reconstructFile(collection, FILE)).chunk_count).toBe(3);
+    expect(await reconstructFile(collection, '/workspace/none.js')).toBeNull();
+  });
+});
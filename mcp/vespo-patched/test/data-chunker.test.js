@@ -0,0 +1,86 @@
+import { describe, test, expect } from 'bun:test';
+import { chunkData } from '../data-chunker.js';
+
+const pad = n => 'x'.repeat(n);
+
+describe('chunkData with JSON', () => {
+  test('splits oversized keys into child key paths on whole lines', () => {
+    const text = JSON.stringify({ name: 'app', services: { api: { env: pad(80) }, db: { env: pad(80) } }, tail: 1 }, null, 2);
+
+    const chunks = chunkData(text, 'config.json', { maxChunkSize: 120 });
+
+    expect(chunks.map(c => [c.keyPath, c.startLine, c.endLine])).toEqual([
+      ['name', 1, 2],
+      ['services.api.env', 3, 6],
+      ['services.db', 7, 10],
+      ['tail', 11, 12]
+    ]);
+    expect(chunks.map(c => c.content).join('\n')).toBe(text);
+  });
+
+  test('minified JSON is cut by character offsets', () => {
+    const text = `{"a":1,"b":"${pad(100)}","c":3}`;
+
+    const chunks = chunkData(text, 'min.json', { maxChunkSize: 60 });
+
+    expect(chunks.map(c => [c.keyPath, c.startChar, c.endChar])).toEqual([['a', 0, 7], ['b', 7, 114], ['c', 114, 120]]);
+    expect(chunks[0].startLine).toBeUndefined();
+  });
+
+  test('small files stay in one chunk and broken files return null', () => {
+    expect(chunkData('{"a": 1, "b": 2}', 'small.json')).toEqual([
+      { content: '{"a": 1, "b": 2}', format: 'json', keyPath: 'a, b', startChar: 0, endChar: 16 }
+    ]);
+    expect(chunkData('not json', 'bad.json')).toBeNull();
+  });
+});
+
+describe('chunkData with YAML', () => {
+  test('packs top-level keys and list items up to the limit', () => {
+    const text = `a: 1\nlist:\n  - x: ${pad(60)}\n  - y: ${pad(60)}\nz: 2\n`;
+
+    const chunks = chunkData(text, 'values.yml', { maxChunkSize: 80 });
+
+    expect(chunks.map(c => [c.keyPath, c.startLine, c.endLine])).toEqual([['a, list[0]', 1, 3], ['list[1], z', 4, 5]]);
+  });
+});
+
+describe('chunkData with CSV', () => {
+  test('keeps quoted multi-line fields in their row and repeats the header', () => {
+    const text = `id,name\n1,"multi\nline"\n2,${pad(50)}\n3,c\n`;
+
+    const chunks = chunkData(text, 'people.csv', { maxChunkSize: 60 });
+
+    expect(chunks.map(c => [c.keyPath, c.startLine, c.endLine, c.repeatedHeader])).toEqual([
+      ['rows 1-1', 1, 3, false],
+      ['rows 2-2', 4, 4, true],
+      ['rows 3-3', 5, 5, true]
+    ]);
+    expect(chunks[2].content).toBe('id,name\n3,c');
+    expect(chunks[0].columns).toBe('id,name');
+  });
+
+  test('a header without rows returns null', () => {
+    expect(chunkData('only,header\n', 'empty.csv')).toBeNull();
+  });
+});
+
+describe('chunkData with TOML and INI', () => {
+  test('TOML sections, arrays of tables and root keys', () => {
+    const text = 'title = "x"\n[server]\nport = 1\n[[db]]\nhost = "a"\n[[db]]\nhost = "b"\n';
+
+    const chunks = chunkData(text, 'app.toml', { maxChunkSize: 20 });
+
+    expect(chunks.map(c => [c.keyPath, c.startLine, c.endLine])).toEqual([
+      ['(root)', 1, 1], ['server', 2, 3], ['db[0]', 4, 5], ['db[1]', 6, 7]
+    ]);
+  });
+
+  test('INI comments before the first section do not make a root record', () => {
+    const text = '; settings\n[main]\nkey = value\n[extra]\nother = 1\n';
+
+    const chunks = chunkData(text, 'app.ini', { maxChunkSize: 20 });
+
+    expect(chunks.map(c => [c.keyPath, c.startLine, c.endLine])).toEqual([['main', 1, 3], ['extra', 4, 5]]);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  buildModuleGraphEntries, countEdges, updateModuleGraph, loadModuleGraph,
+  moduleGraphCollectionName, findModule, getDependencies, getDependents
+} from '../dependency-graph.js';
+import { fakeClient, fakeCollection } from './fake-collection.js';
+import { connectClient } from './mcp-client.js';
+
+let dir;
+
+const write = async (file, content) => {
+  await mkdir(join(dir, file, '..'), { recursive: true });
+  await writeFile(join(dir, file), content);
+  return join(dir, file);
+};
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'module-graph-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('buildModuleGraphEntries', () => {
+  test('resolves relative JS/TS imports and names external packages', async () => {
+    const files = [
+      await write('src/index.ts', "import { load } from './loader.js';\nimport fp from 'lodash/fp';\nimport x from '@scope/pkg/sub';\nexport const run = () => load();\n"),
+      await write('src/loader.ts', "import './missing';\nexport function load() {}\n")
+    ];
+
+    const entries = await buildModuleGraphEntries(files, dir);
+    const index = entries.find(e => e.file === 'src/index.ts');
+
+    expect(index.imports.map(i => i.resolved || i.external)).toEqual(['src/loader.ts', 'lodash', '@scope/pkg']);
+    expect(index.exports).toContain('run');
+    expect(entries.find(e => e.file === 'src/loader.ts').imports[0].resolved).toBeUndefined();
+    expect(countEdges(entries)).toBe(1);
+  });
+
+  test('resolves Python package and relative imports', async () => {
+    const files = [
+      await write('app/main.py', 'from . import util\nfrom app.models import User\nimport requests\n'),
+      await write('app/util.py', 'def helper():\n    pass\n'),
+      await write('app/models/__init__.py', 'class User:\n    pass\n')
+    ];
+
+    const entries = await buildModuleGraphEntries(files, dir);
+    const main = entries.find(e => e.file === 'app/main.py');
+
+    expect(main.imports.map(i => i.resolved || i.external)).toEqual(['app/util.py', 'app/models/__init__.py', 'requests']);
+  });
+
+  test('skips files in languages without import extraction', async () => {
+    const files = [await write('README.md', '# Title\n'), await write('main.go', 'package main\n')];
+    expect(await buildModuleGraphEntries(files, dir)).toEqual([]);
+  });
+});
+
+describe('module graph storage', () => {
+  test('round-trips entries and forgets removed files', async () => {
+    const client = fakeClient();
+    const a = await write('a.js', "import { b } from './b.js';\n");
+    const b = await write('b.js', 'export const b = 1;\n');
+
+    expect(await updateModuleGraph(client, 'repo', { fullPaths: [a, b, a], basePath: dir })).toEqual({ files: 2, edges: 1 });
+    expect((await loadModuleGraph(client, 'repo')).map(e => e.file).sort()).toEqual(['a.js', 'b.js']);
+
+    await updateModuleGraph(client, 'repo', { basePath: dir, removed: [b] });
+    expect((await loadModuleGraph(client, 'repo')).map(e => e.file)).toEqual(['a.js']);
+  });
+
+  test('stores paths against a fixed root across ingests of subdirectories', async () => {
+    const client = fakeClient();
+    const app = await write('web/app.js', "import { util } from '../lib/util.js';\n");
+    const util = await write('lib/util.js', 'export const util = 1;\n');
+
+    await updateModuleGraph(client, 'repo', { fullPaths: [app], basePath: join(dir, 'web'), root: dir });
+    await updateModuleGraph(client, 'repo', { fullPaths: [util], basePath: join(dir, 'lib'), root: dir });
+    const entries = await loadModuleGraph(client, 'repo');
+
+    expect(entries.map(e => e.file).sort()).toEqual(['lib/util.js', 'web/app.js']);
+    expect(entries.find(e => e.file === 'web/app.js').imports[0].resolved).toBe('lib/util.js');
+    expect(getDependents(entries, { file: 'lib/util.js' }).dependents.map(d => d.file)).toEqual(['web/app.js']);
+  });
+
+  test('reading a collection without a graph returns null and creates nothing', async () => {
+    const client = fakeClient();
+
+    expect(await loadModuleGraph(client, 'repo')).toBeNull();
+    await updateModuleGraph(client, 'repo', { basePath: dir, removed: ['/gone.js'] });
+
+    expect(client.collections[moduleGraphCollectionName('repo')]).toBeUndefined();
+  });
+});
+
+describe('graph queries', () => {
+  const entries = [
+    { file: 'src/app.js', full_path: '/r/src/app.js', exports: ['start'], imports: [
+      { source: './db', kind: 'import', names: ['db'], resolved: 'src/db.js' },
+      { source: 'express', kind: 'import', names: ['default'], external: 'express' }
+    ] },
+    { file: 'src/db.js', full_path: '/r/src/db.js', exports: ['db'], imports: [
+      { source: './config', kind: 'import', names: ['config'], resolved: 'src/config.js' },
+      { source: './gone', kind: 'import', names: [] }
+    ] },
+    { file: 'src/config.js', full_path: '/r/src/config.js', exports: ['config'], imports: [] },
+    { file: 'test/config.js', full_path: '/r/test/config.js', exports: [], imports: [
+      { source: 'express', kind: 'require', names: [], external: 'express' }
+    ] }
+  ];
+
+  test('findModule matches exact, suffix and extensionless paths', () => {
+    expect(findModule(entries, './src/db.js').map(e => e.file)).toEqual(['src/db.js']);
+    expect(findModule(entries, '/r/src/app.js').map(e => e.file)).toEqual(['src/app.js']);
+    expect(findModule(entries, 'app').map(e => e.file)).toEqual(['src/app.js']);
+    expect(findModule(entries, 'config.js').map(e => e.file)).toEqual(['src/config.js', 'test/config.js']);
+  });
+
+  test('getDependencies walks imports to the requested depth', () => {
+    const shallow = getDependencies(entries, entries[0]);
+    expect(shallow.dependencies.map(d => d.file)).toEqual(['src/db.js']);
+    expect(shallow.external).toEqual([{ package: 'express', imported_by: ['src/app.js'] }]);
+
+    const deep = getDependencies(entries, entries[0], { depth: 2 });
+    expect(deep.dependencies.map(d => [d.file, d.depth, d.via])).toEqual([
+      ['src/db.js', 1, 'src/app.js'],
+      ['src/config.js', 2, 'src/db.js']
+    ]);
+    expect(getDependencies(entries, entries[1]).unresolved).toEqual(['./gone']);
+  });
+
+  test('getDependents walks importers of a file or a package', () => {
+    expect(getDependents(entries, { file: 'src/config.js' }, { depth: 2 }).dependents.map(d => [d.file, d.depth]))
+      .toEqual([['src/db.js', 1], ['src/app.js', 2]]);
+    expect(getDependents(entries, { package: 'express' }).dependents.map(d => d.file))
+      .toEqual(['src/app.js', 'test/config.js']);
+  });
+});
+
+describe('module graph tools', () => {
+  const connect = async (client) => {
+    const connection = await connectClient();
+    connection.server.getLocalClient = async () => client;
+    return connection;
+  };
+
+  test('get_dependencies asks for a re-ingest when the collection has no graph', async () => {
+    const client = fakeClient();
+    const { callTool, close } = await connect(client);
+
+    const result = await callTool('get_dependencies', { collection: 'repo', file: 'a.js' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("No module graph indexed for collection 'repo'");
+    expect(result.content[0].text).toContain('Re-ingest');
+    expect(Object.keys(client.collections)).toEqual([]);
+    await close();
+  });
+
+  test('unload_collection deletes the graph and list_collections hides it', async () => {
+    const client = fakeClient({ repo: fakeCollection(), other: fakeCollection() });
+    const a = await write('a.js', 'export const a = 1;\n');
+    await updateModuleGraph(client, 'repo', { fullPaths: [a], basePath: dir });
+    await updateModuleGraph(client, 'other', { fullPaths: [a], basePath: dir });
+    const { callTool, close } = await connect(client);
+
+    const listed = JSON.parse((await callTool('list_collections')).content[0].text);
+    await callTool('unload_collection', { collection: 'repo' });
+
+    expect(listed.local).toEqual(['repo', 'other']);
+    expect(Object.keys(client.collections)).toEqual(['other', moduleGraphCollectionName('other')]);
+    await close();
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test, expect } from 'bun:test';
+import { chunkDocument } from '../document-chunker.js';
+
+const summary = chunks => chunks.map(c => [c.startLine, c.endLine, c.headingPath.join(' > ')]);
+const paragraph = (word, count) => Array.from({ length: count }, () => word).join(' ');
+
+describe('chunkDocument with Markdown', () => {
+  test('cuts at headings and records the breadcrumb', () => {
+    const text = [
+      '# Guide',
+      paragraph('intro', 60),
+      '',
+      '## Install',
+      paragraph('install', 60),
+      '',
+      '## Usage',
+      paragraph('usage', 60)
+    ].join('\n');
+
+    const chunks = chunkDocument(text, 'README.md', { maxChunkSize: 1000 });
+
+    expect(summary(chunks)).toEqual([[1, 3, 'Guide'], [4, 6, 'Guide > Install'], [7, 8, 'Guide > Usage']]);
+    expect(chunks[1].heading).toBe('Install');
+    expect(chunks[1].level).toBe(2);
+  });
+
+  test('keeps a near-empty heading with its first subsection', () => {
+    const text = ['## Setup', '', '### Linux', paragraph('apt', 80), '', '### macOS', paragraph('brew', 80)].join('\n');
+
+    const chunks = chunkDocument(text, 'docs/setup.md', { maxChunkSize: 1000 });
+
+    expect(summary(chunks)).toEqual([[1, 5, 'Setup > Linux'], [6, 7, 'Setup > macOS']]);
+  });
+
+  test('ignores headings in fenced code and front matter, and reads setext headings', () => {
+    const text = [
+      '---',
+      '# title: not a heading',
+      '---',
+      'Overview',
+      '========',
+      '```bash',
+      '# a comment, not a heading',
+      '```',
+      'Details',
+      '-------',
+      'text'
+    ].join('\n');
+
+    const chunks = chunkDocument(text, 'a.markdown');
+
+    // Short sections fold into their subsection, so only the deepest breadcrumb is left
+    expect(summary(chunks)).toEqual([[1, 11, 'Overview > Details']]);
+  });
+
+  test('splits oversized sections at blank lines but never inside a fence', () => {
+    const fence = ['```js', ...Array.from({ length: 20 }, (_, i) => `const v${i} = ${i};`), '', 'more();', '```'];
+    const text = ['# Big', paragraph('alpha', 40), '', ...fence, '', paragraph('omega', 40)].join('\n');
+    const lines = text.split('\n');
+
+    const chunks = chunkDocument(text, 'big.md', { maxChunkSize: 300 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(c => c.headingPath.join() === 'Big')).toBe(true);
+    const fenceStart = lines.indexOf('```js') + 1;
+    const fenceEnd = lines.lastIndexOf('```') + 1;
+    expect(chunks.some(c => c.startLine <= fenceStart && c.endLine >= fenceEnd)).toBe(true);
+    // Chunks are contiguous, non-overlapping line ranges
+    chunks.slice(1).forEach((c, i) => expect(c.startLine).toBe(chunks[i].endLine + 1));
+    expect(chunks.map(c => c.content).join('\n')).toBe(text);
+  });
+});
+
+describe('chunkDocument with reStructuredText', () => {
+  test('levels follow the order adornment styles appear in', () => {
+    const text = [
+      '=====',
+      'Title',
+      '=====',
+      paragraph('lead', 60),
+      '',
+      'Section',
+      '-------',
+      paragraph('body', 60),
+      '',
+      'Example::',
+      '',
+      '    Not a heading',
+      '    -------------',
+      '',
+      'Other',
+      '-----',
+      paragraph('tail', 60)
+    ].join('\n');
+
+    const chunks = chunkDocument(text, 'index.rst', { maxChunkSize: 1000 });
+
+    expect(summary(chunks)).toEqual([[1, 5, 'Title'], [6, 14, 'Title > Section'], [15, 17, 'Title > Other']]);
+    expect(chunks.map(c => c.level)).toEqual([1, 2, 2]);
+  });
+});
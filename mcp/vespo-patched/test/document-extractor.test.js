@@ -0,0 +1,186 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { deflateRawSync } from 'zlib';
+import { extractDocumentText, chunkExtractedText } from '../document-extractor.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'documents-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Build a zip archive with deflated entries
+ * @param {Object<string, string>} files - Contents by entry name
+ * @returns {Buffer} - Archive bytes
+ */
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const data = deflateRawSync(Buffer.from(text));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Build a PDF with one line of text per page
+ * @param {Array<string>} pages - Page texts
+ * @returns {Buffer} - PDF bytes
+ */
+function pdf(pages) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pages.forEach((text, i) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+describe('extractDocumentText', () => {
+  test('RTF drops control words and destinations and keeps pages', async () => {
+    const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Writer;}\\f0 Caf\\\'e9 \\b bold\\b0\\par ' +
+      'Snowman \\u9731?\\par\\page Second \\{page\\}\\par}';
+    await writeFile(join(dir, 'notes.rtf'), rtf, 'latin1');
+
+    const result = await extractDocumentText(join(dir, 'notes.rtf'));
+
+    expect(result.text).toBe('Café bold\n\nSnowman ☃\n\nSecond {page}');
+    expect(result.pages).toEqual([{ page: 1, start: 0 }, { page: 2, start: result.text.indexOf('Second') }]);
+    expect(result.pageCount).toBe(2);
+    expect(result.format).toBe('rtf');
+  });
+
+  test('DOCX paragraphs, tabs and explicit page breaks', async () => {
+    const xml = '<w:document><w:body>' +
+      '<w:p><w:pPr><w:tabs><w:tab w:val="left"/></w:tabs></w:pPr><w:r><w:t>Name</w:t><w:tab/><w:t>Value &amp; more</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:br w:type="page"/><w:t>Next page</w:t></w:r></w:p>' +
+      '</w:body></w:document>';
+    await writeFile(join(dir, 'report.docx'), zip({ 'word/document.xml': xml }));
+
+    const result = await extractDocumentText(join(dir, 'report.docx'));
+
+    expect(result.text).toBe('Name\tValue & more\n\nNext page');
+    expect(result.pages.map(p => p.page)).toEqual([1, 2]);
+  });
+
+  test('DOCX without page breaks has no page numbers', async () => {
+    const xml = '<w:document><w:body><w:p><w:r><w:t>Only</w:t></w:r></w:p></w:body></w:document>';
+    await writeFile(join(dir, 'short.docx'), zip({ 'word/document.xml': xml }));
+
+    const result = await extractDocumentText(join(dir, 'short.docx'));
+
+    expect(result).toEqual({ text: 'Only', pages: [], pageCount: null, format: 'docx' });
+  });
+
+  test('ODT headings, spaces, annotations and soft page breaks', async () => {
+    const xml = '<office:document-content><office:body><office:text>' +
+      '<text:h>Title</text:h>' +
+      '<text:p>a<text:s text:c="3"/>b<office:annotation><text:p>comment</text:p></office:annotation></text:p>' +
+      '<text:soft-page-break/>' +
+      '<text:p>Page two</text:p>' +
+      '</office:text></office:body></office:document-content>';
+    await writeFile(join(dir, 'paper.odt'), zip({ 'content.xml': xml }));
+
+    const result = await extractDocumentText(join(dir, 'paper.odt'));
+
+    expect(result.text).toBe('Title\n\na   b\n\nPage two');
+    expect(result.pages.map(p => p.page)).toEqual([1, 2]);
+  });
+
+  test('PDF text per page', async () => {
+    await writeFile(join(dir, 'slides.pdf'), pdf(['Hello first page', 'Goodbye second page']));
+
+    const result = await extractDocumentText(join(dir, 'slides.pdf'));
+
+    expect(result.text).toContain('Hello first page');
+    expect(result.text).toContain('Goodbye second page');
+    expect(result.pages.map(p => p.page)).toEqual([1, 2]);
+    expect(result.pageCount).toBe(2);
+  });
+
+  test('archives without the document part are rejected', async () => {
+    await writeFile(join(dir, 'broken.docx'), zip({ 'other.xml': '<x/>' }));
+    await writeFile(join(dir, 'plain.docx'), 'not a zip');
+
+    await expect(extractDocumentText(join(dir, 'broken.docx'))).rejects.toThrow('Missing word/document.xml');
+    await expect(extractDocumentText(join(dir, 'plain.docx'))).rejects.toThrow('Not a zip archive');
+  });
+
+  test('archive parts that inflate past the limit are rejected', async () => {
+    const xml = `<w:document><w:body><w:p><w:r><w:t>${'a'.repeat(5000)}</w:t></w:r></w:p></w:body></w:document>`;
+    await writeFile(join(dir, 'bomb.docx'), zip({ 'word/document.xml': xml }));
+
+    await expect(extractDocumentText(join(dir, 'bomb.docx'), { maxEntrySize: 1000 }))
+      .rejects.toThrow('word/document.xml inflates to more than 1000 bytes');
+    expect((await extractDocumentText(join(dir, 'bomb.docx'))).text).toHaveLength(5000);
+  });
+});
+
+describe('chunkExtractedText', () => {
+  test('cuts at paragraph breaks and records the pages each chunk spans', () => {
+    const first = 'alpha '.repeat(20).trim();
+    const second = 'beta '.repeat(20).trim();
+    const text = `${first}\n\n${second}`;
+    const extracted = { text, pages: [{ page: 1, start: 0 }, { page: 2, start: text.indexOf('beta') }] };
+
+    const chunks = chunkExtractedText(extracted, { maxChunkSize: 150 });
+
+    expect(chunks.map(c => c.content)).toEqual([`${first}\n\n`, second]);
+    expect(chunks.map(c => [c.pageStart, c.pageEnd])).toEqual([[1, 1], [2, 2]]);
+    expect(chunks[1].startChar).toBe(chunks[0].endChar);
+  });
+
+  test('documents without page numbers get null pages', () => {
+    const chunks = chunkExtractedText({ text: 'short', pages: [] });
+    expect(chunks).toEqual([{ content: 'short', startChar: 0, endChar: 5, pageStart: null, pageEnd: null }]);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, test, expect, beforeEach, afterEach, afterAll } from 'bun:test';
+import { createServer } from 'http';
+import {
+  resolveEmbeddingProvider,
+  createEmbeddingProvider,
+  collectionEmbeddingMetadata,
+  readCollectionEmbedding,
+  getCollectionEmbedder
+} from '../embedders.js';
+import { LocalEmbedder } from '../local-embedder.js';
+import { fakeCollection } from './fake-collection.js';
+
+const ENV_KEYS = [
+  'EMBEDDING_PROVIDER', 'OPENAI_API_KEY', 'OPENAI_EMBEDDING_MODEL', 'EMBEDDING_BASE_URL',
+  'EMBEDDING_MODEL', 'EMBEDDING_API_KEY', 'EMBEDDING_DIMENSIONS', 'LOCAL_EMBEDDING_MODEL'
+];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  for (const key of ENV_KEYS) delete process.env[key];
+});
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe('resolveEmbeddingProvider', () => {
+  test('prefers the explicit provider, then EMBEDDING_PROVIDER', () => {
+    process.env.EMBEDDING_PROVIDER = 'openai-compatible';
+    expect(resolveEmbeddingProvider('local')).toBe('local');
+    expect(resolveEmbeddingProvider()).toBe('openai-compatible');
+  });
+
+  test('falls back to openai with a key and local without one', () => {
+    expect(resolveEmbeddingProvider()).toBe('local');
+    process.env.OPENAI_API_KEY = 'sk-test';
+    expect(resolveEmbeddingProvider()).toBe('openai');
+  });
+});
+
+describe('createEmbeddingProvider', () => {
+  test('creates a local embedder without touching the network', () => {
+    process.env.LOCAL_EMBEDDING_MODEL = 'Xenova/test-model';
+    const embedder = createEmbeddingProvider('local');
+
+    expect(embedder).toBeInstanceOf(LocalEmbedder);
+    expect(embedder.getModelInfo()).toMatchObject({ provider: 'local', model: 'Xenova/test-model', costPerMillionTokens: 0 });
+    expect(embedder.calculateCost(1000000)).toBe(0);
+  });
+
+  test('refuses openai without a key and openai-compatible without an endpoint', () => {
+    expect(() => createEmbeddingProvider('openai')).toThrow('OPENAI_API_KEY');
+    expect(() => createEmbeddingProvider('openai-compatible')).toThrow('EMBEDDING_BASE_URL');
+    expect(() => createEmbeddingProvider('nope')).toThrow('Unknown embedding provider "nope"');
+  });
+
+  test('openai uses text-embedding-3-large with 3072 dimensions by default', () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    const embedder = createEmbeddingProvider('openai');
+
+    expect(embedder.provider).toBe('openai');
+    expect(embedder.model).toBe('text-embedding-3-large');
+    expect(embedder.dimensions).toBe(3072);
+  });
+
+  test('EMBEDDING_DIMENSIONS overrides the model default', () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.EMBEDDING_DIMENSIONS = '256';
+    expect(createEmbeddingProvider('openai').dimensions).toBe(256);
+  });
+});
+
+describe('openai-compatible endpoint', () => {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push({ url: req.url, payload });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      // No usage block, like many self-hosted servers
+      res.end(JSON.stringify({
+        object: 'list',
+        data: payload.input.map((text, index) => ({ object: 'embedding', index, embedding: [text.length, index] }))
+      }));
+    });
+  });
+  const listening = new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  afterAll(() => server.close());
+
+  test('posts to the configured endpoint without a dimensions param and reports progress', async () => {
+    await listening;
+    process.env.EMBEDDING_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    process.env.EMBEDDING_MODEL = 'nomic-embed-text';
+    const embedder = createEmbeddingProvider('openai-compatible');
+    embedder.batchSize = 2;
+    const progress = [];
+
+    const vectors = await embedder.embed(['a', 'bb', 'ccc'], { onProgress: p => progress.push(p.processed) });
+
+    expect(embedder.provider).toBe('openai-compatible');
+    expect(embedder.calculateCost(1000000)).toBe(0);
+    expect(vectors).toEqual([[1, 0], [2, 1], [3, 0]]);
+    expect(progress).toEqual([2, 3]);
+    expect(requests.map(r => r.url)).toEqual(['/v1/embeddings', '/v1/embeddings']);
+    expect(requests[0].payload.model).toBe('nomic-embed-text');
+    expect(requests[0].payload).not.toHaveProperty('dimensions');
+    // Token usage is estimated when the server does not report it
+    expect(embedder.tokenCount).toBeGreaterThan(0);
+  });
+});
+
+describe('collection embedding metadata', () => {
+  test('records provider, model and dimensions on the collection', () => {
+    expect(collectionEmbeddingMetadata({ provider: 'openai', model: 'text-embedding-3-large', dimensions: 3072 }))
+      .toEqual({ embedding_provider: 'openai', embedding_model: 'text-embedding-3-large', embedding_dimensions: 3072 });
+    expect(collectionEmbeddingMetadata({ provider: 'local', model: 'Xenova/all-MiniLM-L6-v2', dimensions: null }))
+      .toEqual({ embedding_provider: 'local', embedding_model: 'Xenova/all-MiniLM-L6-v2' });
+  });
+
+  test('reads the provider from the collection metadata first', async () => {
+    const collection = fakeCollection([], { metadata: { embedding_provider: 'local', embedding_model: 'Xenova/m' } });
+
+    expect(await readCollectionEmbedding(collection)).toEqual({ provider: 'local', model: 'Xenova/m', dimensions: null });
+    expect(collection.getCalls).toHaveLength(0);
+  });
+
+  test('falls back to a stored chunk for older collections', async () => {
+    const collection = fakeCollection([
+      { id: 'c1', metadata: { embedding_provider: 'openai', embedding_model: 'text-embedding-3-small', embedding_dimensions: 1536 } }
+    ]);
+
+    expect(await readCollectionEmbedding(collection)).toEqual({ provider: 'openai', model: 'text-embedding-3-small', dimensions: 1536 });
+  });
+
+  test('returns null for collections embedded by Chroma itself', async () => {
+    const collection = fakeCollection([{ id: 'c1', metadata: { file_name: 'a.js' } }]);
+
+    expect(await readCollectionEmbedding(collection)).toBeNull();
+    expect(await getCollectionEmbedder(collection)).toBeNull();
+  });
+
+  test('reuses one query embedder per provider and model', async () => {
+    const metadata = { embedding_provider: 'local', embedding_model: 'Xenova/cached' };
+    const first = await getCollectionEmbedder(fakeCollection([], { metadata }));
+    const second = await getCollectionEmbedder(fakeCollection([], { metadata }));
+
+    expect(first).toBeInstanceOf(LocalEmbedder);
+    expect(first.model).toBe('Xenova/cached');
+    expect(second).toBe(first);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Fake Collection - In-memory stand-in for a ChromaDB collection
+ *
+ * Supports the parts of the collection API the modules under test use:
+ * get/query/add/upsert/delete/count with metadata `where` ($and, $or and the
+ * comparison operators) and `whereDocument` ($contains, $and, $or). query()
+ * ranks by storage order rather than by embedding. fakeClient() serves a set
+ * of them by name.
+ */
+
+function matchesWhere(metadata, where) {
+  if (!where) return true;
+  if (where.$and) return where.$and.every(clause => matchesWhere(metadata, clause));
+  if (where.$or) return where.$or.some(clause => matchesWhere(metadata, clause));
+
+  return Object.entries(where).every(([key, condition]) => {
+    const value = metadata?.[key];
+    if (condition === null || typeof condition !== 'object') return value === condition;
+    const [[op, operand]] = Object.entries(condition);
+    switch (op) {
+      case '$eq': return value === operand;
+      case '$ne': return value !== operand;
+      case '$gt': return value > operand;
+      case '$gte': return value >= operand;
+      case '$lt': return value < operand;
+      case '$lte': return value <= operand;
+      case '$in': return operand.includes(value);
+      case '$nin': return !operand.includes(value);
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+}
+
+function matchesDocument(document, whereDocument) {
+  if (!whereDocument) return true;
+  if (whereDocument.$and) return whereDocument.$and.every(clause => matchesDocument(document, clause));
+  if (whereDocument.$or) return whereDocument.$or.some(clause => matchesDocument(document, clause));
+  if ('$contains' in whereDocument) return (document || '').includes(whereDocument.$contains);
+  if ('$not_contains' in whereDocument) return !(document || '').includes(whereDocument.$not_contains);
+  throw new Error(`Unsupported document filter ${JSON.stringify(whereDocument)}`);
+}
+
+/**
+ * Create a fake collection
+ * @param {Array<Object>} records - {id, document, metadata}
+ * @param {Object} options - {name, metadata}
+ * @returns {Object} - Collection-like object; `records` holds the live data
+ */
+export function fakeCollection(records = [], options = {}) {
+  const { name = 'test_collection', metadata = null } = options;
+
+  const collection = {
+    name,
+    metadata,
+    records: [...records],
+    getCalls: [],
+    queryCalls: [],
+
+    async get({ ids, where, whereDocument, limit, offset = 0 } = {}) {
+      collection.getCalls.push({ ids, where, whereDocument, limit, offset });
+      const matched = collection.records
+        .filter(r => (!ids || ids.includes(r.id)) && matchesWhere(r.metadata, where) && matchesDocument(r.document, whereDocument))
+        .slice(offset, limit ? offset + limit : undefined);
+      return {
+        ids: matched.map(r => r.id),
+        documents: matched.map(r => r.document),
+        metadatas: matched.map(r => r.metadata)
+      };
+    },
+
+    // Vector query stand-in: storage order, with distances growing by rank
+    async query({ nResults = 10, where, whereDocument } = {}) {
+      collection.queryCalls.push({ nResults, where, whereDocument });
+      const matched = collection.records
+        .filter(r => matchesWhere(r.metadata, where) && matchesDocument(r.document, whereDocument))
+        .slice(0, nResults);
+      return {
+        ids: [matched.map(r => r.id)],
+        documents: [matched.map(r => r.document)],
+        metadatas: [matched.map(r => r.metadata)],
+        distances: [matched.map((_, i) => i / 100)]
+      };
+    },
+
+    async upsert({ ids, documents, metadatas }) {
+      ids.forEach((id, i) => {
+        collection.records = collection.records.filter(r => r.id !== id);
+        collection.records.push({ id, document: documents?.[i], metadata: metadatas?.[i] });
+      });
+    },
+
+    async add(params) {
+      const existing = params.ids.find(id => collection.records.some(r => r.id === id));
+      if (existing) throw new Error(`ID already exists: ${existing}`);
+      return collection.upsert(params);
+    },
+
+    async delete({ ids, where } = {}) {
+      collection.records = collection.records.filter(r => !(ids ? ids.includes(r.id) : matchesWhere(r.metadata, where)));
+    },
+
+    async count() {
+      return collection.records.length;
+    }
+  };
+
+  return collection;
+}
+
+/**
+ * Create a fake client holding named fake collections
+ * getCollection() and deleteCollection() throw ChromaNotFoundError for
+ * unknown names, like the chromadb client does.
+ * @param {Object<string, Object>} collections - Collections by name
+ * @returns {Object} - Client-like object; `collections` holds the live map
+ */
+export function fakeClient(collections = {}) {
+  const client = {
+    collections: { ...collections },
+
+    async getCollection({ name }) {
+      if (!client.collections[name]) {
+        const error = new Error(`Collection ${name} does not exist.`);
+        error.name = 'ChromaNotFoundError';
+        throw error;
+      }
+      return client.collections[name];
+    },
+
+    async getOrCreateCollection({ name, metadata = null }) {
+      client.collections[name] ??= fakeCollection([], { name, metadata });
+      return client.collections[name];
+    },
+
+    async listCollections() {
+      return Object.keys(client.collections);
+    },
+
+    async deleteCollection({ name }) {
+      await client.getCollection({ name });
+      delete client.collections[name];
+    }
+  };
+
+  return client;
+}
@@ -0,0 +1,84 @@
+import { describe, test, expect } from 'bun:test';
+import { selectCollections, normalizeScores, mergeFederatedResults } from '../federated-search.js';
+
+describe('selectCollections', () => {
+  const names = ['api_v1', 'api_v2', 'web', 'web_module_graph', 'web_symbols', 'vinos_state'];
+
+  test('skips internal and side collections by default', () => {
+    expect(selectCollections(names)).toEqual(['api_v1', 'api_v2', 'web']);
+  });
+
+  test('selects by comma-separated names and globs', () => {
+    expect(selectCollections(names, 'api_*')).toEqual(['api_v1', 'api_v2']);
+    expect(selectCollections(names, 'web, api_v?')).toEqual(['api_v1', 'api_v2', 'web']);
+    expect(selectCollections(names, ['nope'])).toEqual([]);
+  });
+});
+
+describe('normalizeScores', () => {
+  test('maps distances to 0-1 with the best hit at 1', () => {
+    const scored = normalizeScores([{ distance: 0.2 }, { distance: 0.6 }, { distance: 1.0 }]);
+    expect(scored.map(h => h.score)).toEqual([1, 0.5, 0]);
+  });
+
+  test('prefers rerank, rrf and keyword scores over distance', () => {
+    expect(normalizeScores([{ rrf_score: 0.03, distance: 9 }, { rrf_score: 0.01, distance: 0 }]).map(h => h.score)).toEqual([1, 0]);
+    expect(normalizeScores([{ keyword_score: 2 }]).map(h => h.score)).toEqual([1]);
+  });
+});
+
+describe('mergeFederatedResults', () => {
+  test('ranks across collections and collapses the same chunk', () => {
+    const shared = { full_path: '/workspace/src/a.js', chunk_index: 2 };
+    const merged = mergeFederatedResults([
+      {
+        collection: 'one',
+        source: 'local',
+        hits: [{ id: 'x', content: 'a', metadata: shared, distance: 0.1 }, { id: 'y', content: 'b', metadata: { full_path: '/b.js' }, distance: 0.5 }]
+      },
+      {
+        collection: 'two',
+        source: 'remote',
+        hits: [{ id: 'z', content: 'a', metadata: shared, distance: 0.3 }, { id: 'w', content: 'c', metadata: {}, distance: 0.9 }]
+      }
+    ], { limit: 10 });
+
+    expect(merged.map(h => h.id)).toEqual(['x', 'y', 'w']);
+    expect(merged[0]).toMatchObject({ collection: 'one', source: 'local', also_in: ['two'] });
+  });
+
+  test('keeps different chunks at the same path in different repositories', () => {
+    const path = { full_path: '/workspace/src/index.js', chunk_index: 0 };
+    const merged = mergeFederatedResults([
+      { collection: 'repo_a', source: 'local', hits: [{ id: 'a', content: 'export const a = 1;', metadata: { ...path, content_hash: 'h1' }, distance: 0.2 }] },
+      { collection: 'repo_b', source: 'local', hits: [{ id: 'b', content: 'export const b = 2;', metadata: { ...path, content_hash: 'h2' }, distance: 0.4 }] }
+    ]);
+
+    expect(merged.map(h => h.collection)).toEqual(['repo_a', 'repo_b']);
+    expect(merged.every(h => h.also_in.length === 0)).toBe(true);
+  });
+
+  test('collapses the same file chunk by content hash across collections', () => {
+    const merged = mergeFederatedResults([
+      { collection: 'one', source: 'local', hits: [{ id: 'a', content: 'x', metadata: { full_path: '/workspace/a.js', content_hash: 'h', chunk_index: 1 }, distance: 0.2 }] },
+      { collection: 'two', source: 'local', hits: [{ id: 'b', content: 'x', metadata: { full_path: '/workspace/lib/a.js', content_hash: 'h', chunk_index: 1 }, distance: 0.4 }] }
+    ]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ collection: 'one', also_in: ['two'] });
+  });
+
+  test('scores the pool together so a weak collection stays low', () => {
+    const merged = mergeFederatedResults([
+      { collection: 'relevant', source: 'local', hits: [{ id: 'r1', content: 'r1', distance: 0.1 }, { id: 'r2', content: 'r2', distance: 0.3 }] },
+      { collection: 'unrelated', source: 'local', hits: [{ id: 'u1', content: 'u1', distance: 1.1 }] }
+    ]);
+
+    expect(merged.map(h => [h.id, h.score])).toEqual([['r1', 1], ['r2', 0.8], ['u1', 0]]);
+  });
+
+  test('honours limit', () => {
+    const hits = Array.from({ length: 5 }, (_, i) => ({ id: `h${i}`, content: `c${i}`, distance: i }));
+    expect(mergeFederatedResults([{ collection: 'c', source: 'local', hits }], { limit: 2 })).toHaveLength(2);
+  });
+});
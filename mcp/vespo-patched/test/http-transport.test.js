@@ -0,0 +1,169 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { LATEST_PROTOCOL_VERSION, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { getTransportConfig, startHttpServer, DEFAULT_HTTP_PORT } from '../http-transport.js';
+import { resourceSessionServers } from '../collection-resources.js';
+import { ChromaContextMCP } from '../index.js';
+
+const TOKEN = 'test-token';
+const auth = { Authorization: `Bearer ${TOKEN}` };
+
+const waitFor = async condition => {
+  for (let i = 0; i < 50 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  return condition();
+};
+
+describe('getTransportConfig', () => {
+  test('defaults to stdio on loopback', () => {
+    expect(getTransportConfig([], {})).toEqual({
+      http: false, host: '127.0.0.1', port: DEFAULT_HTTP_PORT, authToken: null, allowedOrigins: []
+    });
+  });
+
+  test('flags override the environment', () => {
+    const env = { MCP_TRANSPORT: 'stdio', MCP_HTTP_PORT: '9000', MCP_AUTH_TOKEN: 't', MCP_ALLOWED_ORIGINS: 'http://a, http://b' };
+
+    expect(getTransportConfig(['--http', '--port', '9100', '--host', '0.0.0.0'], env)).toEqual({
+      http: true, host: '0.0.0.0', port: 9100, authToken: 't', allowedOrigins: ['http://a', 'http://b']
+    });
+    expect(getTransportConfig([], { MCP_TRANSPORT: 'HTTP' }).http).toBe(true);
+  });
+});
+
+describe('startHttpServer', () => {
+  let server;
+  let sessions;
+  let base;
+  const instances = []; // ChromaContextMCP per session, in creation order
+
+  beforeAll(async () => {
+    const createMcpServer = () => {
+      const instance = new ChromaContextMCP();
+      instances.push(instance);
+      return instance.server;
+    };
+    ({ server, sessions } = await startHttpServer(createMcpServer, {
+      port: 0, authToken: TOKEN, allowedOrigins: ['http://allowed.test']
+    }));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  test('refuses to listen beyond loopback without a token', async () => {
+    await expect(startHttpServer(() => null, { host: '0.0.0.0', port: 0 })).rejects.toThrow(/without MCP_AUTH_TOKEN/);
+  });
+
+  test('health is open, everything else needs the token and an allowed origin', async () => {
+    const health = await fetch(`${base}/health`);
+    expect(health.status).toBe(200);
+    expect(await health.json()).toEqual({ status: 'ok', sessions: 0 });
+
+    const noToken = await fetch(`${base}/mcp`, { method: 'POST', body: '{}' });
+    expect(noToken.status).toBe(401);
+    expect(noToken.headers.get('www-authenticate')).toBe('Bearer');
+    expect((await fetch(`${base}/mcp`, { method: 'POST', headers: { Authorization: 'Bearer wrong' } })).status).toBe(401);
+
+    const badOrigin = await fetch(`${base}/mcp`, { method: 'POST', headers: { ...auth, Origin: 'http://evil.test' } });
+    expect(badOrigin.status).toBe(403);
+    expect((await fetch(`${base}/nope`, { headers: auth })).status).toBe(404);
+  });
+
+  test('streamable HTTP needs initialize first and a known session id', async () => {
+    const post = (body, headers = {}) => fetch(`${base}/mcp`, {
+      method: 'POST',
+      headers: { ...auth, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body
+    });
+
+    expect((await post(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }))).status).toBe(400);
+    expect((await post('not json')).status).toBe(400);
+    expect((await post(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }), { 'Mcp-Session-Id': 'unknown' })).status).toBe(404);
+    expect((await fetch(`${base}/mcp`, { headers: auth })).status).toBe(400);
+    expect(sessions.size).toBe(0);
+  });
+
+  test('streamable HTTP sessions serve requests until terminated', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${base}/mcp`), { requestInit: { headers: auth } });
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(transport);
+
+    expect(sessions.has(transport.sessionId)).toBe(true);
+    expect(transport.protocolVersion).toBe(LATEST_PROTOCOL_VERSION);
+    const { prompts } = await client.listPrompts();
+    expect(prompts.map(p => p.name)).toContain('explain_module');
+
+    await transport.terminateSession();
+    expect(await waitFor(() => sessions.size === 0)).toBe(true);
+    await client.close();
+  });
+
+  test('every client gets its own session', async () => {
+    const connect = async () => {
+      const transport = new StreamableHTTPClientTransport(new URL(`${base}/mcp`), { requestInit: { headers: auth } });
+      const client = new Client({ name: 'test', version: '1.0.0' });
+      await client.connect(transport);
+      return { client, transport };
+    };
+
+    const first = await connect();
+    const second = await connect();
+
+    expect(first.transport.sessionId).not.toBe(second.transport.sessionId);
+    expect(sessions.size).toBe(2);
+    await first.transport.terminateSession();
+    expect((await second.client.listPrompts()).prompts).toHaveLength(4);
+
+    await second.transport.terminateSession();
+    await first.client.close();
+    await second.client.close();
+    expect(await waitFor(() => sessions.size === 0)).toBe(true);
+  });
+
+  test('resource changes in one session reach subscribers in another', async () => {
+    const connect = async () => {
+      const transport = new StreamableHTTPClientTransport(new URL(`${base}/mcp`), { requestInit: { headers: auth } });
+      const client = new Client({ name: 'test', version: '1.0.0' });
+      await client.connect(transport);
+      return { client, transport, instance: instances[instances.length - 1] };
+    };
+    const writer = await connect();
+    const reader = await connect();
+    const updated = [];
+    reader.client.setNotificationHandler(ResourceUpdatedNotificationSchema, n => { updated.push(n.params.uri); });
+
+    await reader.client.subscribeResource({ uri: 'chroma://collection/repo' });
+    writer.instance.notifyResourcesChanged('repo', { listChanged: false });
+
+    expect(await waitFor(() => updated.length === 1)).toBe(true);
+    expect(updated).toEqual(['chroma://collection/repo']);
+
+    await reader.transport.terminateSession();
+    expect(await waitFor(() => !resourceSessionServers().includes(reader.instance.server))).toBe(true);
+    await writer.transport.terminateSession();
+    await writer.client.close();
+    await reader.client.close();
+    expect(await waitFor(() => sessions.size === 0)).toBe(true);
+  });
+
+  test('legacy SSE sessions end with their stream', async () => {
+    const transport = new SSEClientTransport(new URL(`${base}/sse`), {
+      requestInit: { headers: auth },
+      eventSourceInit: { fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...auth } }) }
+    });
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(transport);
+
+    expect(sessions.size).toBe(1);
+    const result = await client.getPrompt({ name: 'find_where_implemented', arguments: { feature: 'retry', collection: 'repo' } });
+    expect(result.messages[0].content.text).toContain('query="retry", collection="repo"');
+
+    await client.close();
+    expect(await waitFor(() => sessions.size === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  MAX_CANDIDATES,
+  tokenizeQuery,
+  termVariants,
+  buildContainsFilter,
+  bm25Scores,
+  keywordSearch,
+  reciprocalRankFusion
+} from '../hybrid-search.js';
+import { fakeCollection } from './fake-collection.js';
+
+describe('tokenizeQuery', () => {
+  test('keeps identifiers intact and drops stopwords and repeats', () => {
+    expect(tokenizeQuery('where is the parseConfig.load() called in app.js?'))
+      .toEqual(['parseConfig.load', 'called', 'app.js']);
+    expect(tokenizeQuery('ECONNREFUSED ECONNREFUSED a')).toEqual(['ECONNREFUSED']);
+  });
+});
+
+describe('buildContainsFilter', () => {
+  test('matches the term as typed, lowercased and capitalised', () => {
+    expect(termVariants('Parser')).toEqual(['Parser', 'parser']);
+    expect(termVariants('parser')).toEqual(['parser', 'Parser']);
+    expect(termVariants('HTTPClient')).toEqual(['HTTPClient', 'httpclient', 'Httpclient']);
+  });
+
+  test('builds one $contains per spelling', () => {
+    expect(buildContainsFilter([])).toBeNull();
+    expect(buildContainsFilter(['x1'])).toEqual({ $or: [{ $contains: 'x1' }, { $contains: 'X1' }] });
+    expect(buildContainsFilter(['Parser', 'load'])).toEqual({
+      $or: [{ $contains: 'Parser' }, { $contains: 'parser' }, { $contains: 'load' }, { $contains: 'Load' }]
+    });
+  });
+});
+
+describe('bm25Scores', () => {
+  test('ranks documents with more and rarer matches higher, ignoring case', () => {
+    const scores = bm25Scores(['parser parser token', 'Parser once', 'nothing relevant'], ['parser']);
+
+    expect(scores[0]).toBeGreaterThan(scores[1]);
+    expect(scores[1]).toBeGreaterThan(0);
+    expect(scores[2]).toBe(0);
+  });
+
+  test('doubles the score of documents containing the exact phrase', () => {
+    const [withPhrase, without] = bm25Scores(['retry on rate limit', 'limit the rate, then retry'], ['retry', 'rate', 'limit'], {
+      phrase: 'Retry on rate limit'
+    });
+
+    expect(withPhrase).toBeGreaterThan(without * 1.5);
+  });
+});
+
+describe('keywordSearch', () => {
+  test('finds documents whatever the case of the query', async () => {
+    const collection = fakeCollection([
+      { id: 'a', document: 'function parser() {}', metadata: {} },
+      { id: 'b', document: 'class Parser {}', metadata: {} },
+      { id: 'c', document: 'unrelated', metadata: {} }
+    ]);
+
+    const hits = await keywordSearch(collection, 'PARSER', { limit: 5 });
+
+    expect(hits.map(h => h.id).sort()).toEqual(['a', 'b']);
+  });
+
+  test('scores candidates beyond the first page before ranking', async () => {
+    const records = Array.from({ length: 1200 }, (_, i) => ({
+      id: `weak${i}`,
+      document: `token filler text number ${i} with padding to make it long enough`,
+      metadata: {}
+    }));
+    records.push({ id: 'best', document: 'token token token', metadata: {} });
+
+    const hits = await keywordSearch(fakeCollection(records), 'token', { limit: 1 });
+
+    expect(hits[0].id).toBe('best');
+  });
+
+  test('stops at MAX_CANDIDATES and combines with the caller filters', async () => {
+    const records = Array.from({ length: MAX_CANDIDATES + 100 }, (_, i) => ({
+      id: `d${i}`,
+      document: 'needle',
+      metadata: { language: i % 2 ? 'python' : 'javascript' }
+    }));
+    const collection = fakeCollection(records);
+
+    const hits = await keywordSearch(collection, 'needle', {
+      limit: 3,
+      where: { language: 'python' },
+      whereDocument: { $not_contains: 'haystack' }
+    });
+
+    expect(hits).toHaveLength(3);
+    expect(hits.every(h => h.metadata.language === 'python')).toBe(true);
+    const fetched = collection.getCalls.reduce((sum, call) => sum + call.limit, 0);
+    expect(fetched).toBeLessThanOrEqual(MAX_CANDIDATES);
+    expect(collection.getCalls[0].whereDocument.$and[0]).toEqual({ $not_contains: 'haystack' });
+  });
+
+  test('returns nothing for queries made only of stopwords', async () => {
+    expect(await keywordSearch(fakeCollection([{ id: 'a', document: 'the', metadata: {} }]), 'the of a')).toEqual([]);
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  test('ranks hits found by both lists first and records who found them', () => {
+    const merged = reciprocalRankFusion({
+      vector: [{ id: 'v1', distance: 0.1 }, { id: 'both', distance: 0.2 }],
+      keyword: [{ id: 'both', keyword_score: 3 }, { id: 'k1', keyword_score: 1 }]
+    });
+
+    expect(merged[0]).toMatchObject({ id: 'both', matched_by: ['vector', 'keyword'], distance: 0.2, keyword_score: 3 });
+    expect(merged[0].rrf_score).toBeCloseTo(1 / 62 + 1 / 61, 6);
+    expect(merged.map(h => h.id).slice(1).sort()).toEqual(['k1', 'v1']);
+  });
+
+  test('honours limit', () => {
+    const merged = reciprocalRankFusion({ a: [{ id: 1 }, { id: 2 }, { id: 3 }] }, { limit: 2 });
+    expect(merged.map(h => h.id)).toEqual([1, 2]);
+  });
+});
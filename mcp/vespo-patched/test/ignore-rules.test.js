@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { parseIgnoreRules, isIgnored, matchesAny, loadScanRules } from '../ignore-rules.js';
+import { scanDirectory } from '../batch-processor.js';
+
+const ignored = (text, path, isDirectory = false, base = '') => isIgnored(parseIgnoreRules(text, base), path, isDirectory);
+
+describe('parseIgnoreRules and isIgnored', () => {
+  test('unanchored patterns match at any depth, anchored ones from their directory', () => {
+    expect(ignored('*.log', 'a/b/debug.log')).toBe(true);
+    expect(ignored('/build', 'build')).toBe(true);
+    expect(ignored('/build', 'src/build')).toBe(false);
+    expect(ignored('docs/*.md', 'docs/a.md')).toBe(true);
+    expect(ignored('docs/*.md', 'docs/sub/a.md')).toBe(false);
+  });
+
+  test('"**" spans directories only as a whole segment', () => {
+    expect(ignored('**/tmp', 'a/b/tmp')).toBe(true);
+    expect(ignored('out/**', 'out/x/y.js')).toBe(true);
+    expect(ignored('a/**/z', 'a/z')).toBe(true);
+    expect(ignored('a/**/z', 'a/b/c/z')).toBe(true);
+    expect(ignored('a**b', 'a/x/b')).toBe(false);
+  });
+
+  test('directory-only rules, negation and the last match wins', () => {
+    expect(ignored('cache/', 'cache', true)).toBe(true);
+    expect(ignored('cache/', 'cache', false)).toBe(false);
+    expect(ignored('*.env\n!example.env', 'example.env')).toBe(false);
+    expect(ignored('!keep.txt\n*.txt', 'keep.txt')).toBe(true);
+  });
+
+  test('comments, escapes, character classes and trailing spaces', () => {
+    expect(parseIgnoreRules('# comment\n\n   \n')).toEqual([]);
+    expect(ignored('\\#notes', '#notes')).toBe(true);
+    expect(ignored('\\!bang', '!bang')).toBe(true);
+    expect(ignored('file[0-9].txt', 'file7.txt')).toBe(true);
+    expect(ignored('file[!0-9].txt', 'file7.txt')).toBe(false);
+    expect(ignored('name   ', 'name')).toBe(true);
+    expect(ignored('a?c', 'a/c')).toBe(false);
+  });
+
+  test('rules of a nested ignore file only apply below it', () => {
+    expect(ignored('*.tmp', 'pkg/a.tmp', false, 'pkg')).toBe(true);
+    expect(ignored('*.tmp', 'a.tmp', false, 'pkg')).toBe(false);
+    expect(ignored('/dist', 'pkg/dist', true, 'pkg')).toBe(true);
+  });
+});
+
+describe('matchesAny', () => {
+  test('include globs select files or whole directories', () => {
+    const rules = parseIgnoreRules('src/\n*.md');
+    expect(matchesAny(rules, 'src/deep/a.js')).toBe(true);
+    expect(matchesAny(rules, 'docs/guide.md')).toBe(true);
+    expect(matchesAny(rules, 'test/a.js')).toBe(false);
+    expect(matchesAny(rules, 'src')).toBe(false);
+  });
+});
+
+describe('directory scans', () => {
+  let dir;
+
+  const write = async (file, content = 'x') => {
+    await mkdir(join(dir, file, '..'), { recursive: true });
+    await writeFile(join(dir, file), content);
+  };
+  const scan = async (path, options) => (await scanDirectory(path, options)).map(f => relative(dir, f)).sort();
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'ignore-'));
+    await mkdir(join(dir, '.git', 'info'), { recursive: true });
+    await write('.git/info/exclude', 'secret.txt\n');
+    await write('.gitignore', 'dist/\n*.tmp\n');
+    await write('pkg/.chromaignore', 'fixtures/\n!keep.tmp\n');
+    for (const file of ['a.js', 'secret.txt', 'x.tmp', 'dist/out.js', 'pkg/b.js', 'pkg/keep.tmp',
+      'pkg/fixtures/big.json', 'pkg/src/c.ts', 'docs/guide.md']) {
+      await write(file);
+    }
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('honours .git/info/exclude, .gitignore and nested .chromaignore files', async () => {
+    expect(await scan(dir)).toEqual(['a.js', 'docs/guide.md', 'pkg/.chromaignore', 'pkg/b.js', 'pkg/keep.tmp', 'pkg/src/c.ts']);
+  });
+
+  test('scanning a subdirectory still applies the repository rules', async () => {
+    const { root, rules } = await loadScanRules(join(dir, 'pkg'));
+    expect(root).toBe(dir);
+    expect(rules.length).toBeGreaterThan(0);
+
+    expect(await scan(join(dir, 'pkg'))).toEqual(['pkg/.chromaignore', 'pkg/b.js', 'pkg/keep.tmp', 'pkg/src/c.ts']);
+  });
+
+  test('include and exclude globs, and turning ignore files off', async () => {
+    expect(await scan(dir, { include: ['pkg/', '*.md'], exclude: ['**/src'] }))
+      .toEqual(['docs/guide.md', 'pkg/.chromaignore', 'pkg/b.js', 'pkg/keep.tmp']);
+    expect(await scan(dir, { respectIgnoreFiles: false })).toContain('dist/out.js');
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { loadIndexedFiles, classifyFile, findRemovedFiles, findStaleChunkIds } from '../incremental-ingest.js';
+import { calculateFileHash } from '../duplicate-detector.js';
+import { fakeCollection } from './fake-collection.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'incremental-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('loadIndexedFiles', () => {
+  test('groups chunk ids by file and keeps only files under the base path', async () => {
+    const collection = fakeCollection([
+      { id: 'a1', metadata: { full_path: '/repo/a.js', content_hash: 'h1' } },
+      { id: 'a2', metadata: { full_path: '/repo/a.js', content_hash: 'h1' } },
+      { id: 'b1', metadata: { full_path: '/repository/b.js', content_hash: 'h2' } },
+      { id: 'c1', metadata: { full_path: '/repo/sub/c.js', content_hash: 'h3' } }
+    ]);
+
+    const indexed = await loadIndexedFiles(collection, '/repo');
+
+    expect([...indexed.keys()].sort()).toEqual(['/repo/a.js', '/repo/sub/c.js']);
+    expect(indexed.get('/repo/a.js')).toEqual({ hash: 'h1', ids: ['a1', 'a2'] });
+  });
+
+  test('treats a file with any unhashed chunk as unhashed', async () => {
+    const collection = fakeCollection([
+      { id: 'a1', metadata: { full_path: '/repo/a.js', content_hash: 'h1' } },
+      { id: 'a2', metadata: { full_path: '/repo/a.js' } }
+    ]);
+
+    const indexed = await loadIndexedFiles(collection, '/repo/');
+
+    expect(indexed.get('/repo/a.js').hash).toBeNull();
+  });
+
+  test('pages through large collections', async () => {
+    const records = Array.from({ length: 2500 }, (_, i) => ({
+      id: `id${i}`,
+      metadata: { full_path: `/repo/f${i % 1200}.js`, content_hash: 'h' }
+    }));
+
+    const indexed = await loadIndexedFiles(fakeCollection(records), '/repo');
+
+    expect(indexed.size).toBe(1200);
+    expect(indexed.get('/repo/f0.js').ids).toEqual(['id0', 'id1200', 'id2400']);
+  });
+});
+
+describe('classifyFile', () => {
+  test('reports added, unchanged and changed files by content hash', async () => {
+    const file = join(dir, 'a.js');
+    await writeFile(file, 'export const a = 1;\n');
+    const hash = await calculateFileHash(file, 'sha256');
+
+    expect(await classifyFile(file, new Map())).toEqual({ status: 'added', hash });
+    expect(await classifyFile(file, new Map([[file, { hash, ids: [] }]]))).toEqual({ status: 'unchanged', hash });
+    expect((await classifyFile(file, new Map([[file, { hash: 'old', ids: [] }]]))).status).toBe('changed');
+  });
+
+  test('lets unreadable files through as added', async () => {
+    expect(await classifyFile(join(dir, 'missing.js'), new Map())).toEqual({ status: 'added', hash: null });
+  });
+});
+
+describe('findRemovedFiles', () => {
+  test('reports indexed files that are gone from disk, not ones merely not scanned', async () => {
+    const kept = join(dir, 'kept.js');
+    const filtered = join(dir, 'filtered.js');
+    await writeFile(kept, '1');
+    await writeFile(filtered, '2');
+    const deleted = join(dir, 'deleted.js');
+    const indexed = new Map([
+      [kept, { hash: 'h', ids: ['k1'] }],
+      [filtered, { hash: 'h', ids: ['f1'] }],
+      [deleted, { hash: 'h', ids: ['d1', 'd2'] }]
+    ]);
+
+    const removed = await findRemovedFiles(indexed, new Set([kept]));
+
+    expect(removed).toEqual([{ file: deleted, ids: ['d1', 'd2'] }]);
+  });
+});
+
+describe('findStaleChunkIds', () => {
+  test('returns old chunk ids of re-ingested files that the new chunks did not reuse', () => {
+    const indexed = new Map([
+      ['/repo/a.js', { hash: 'h', ids: ['a1', 'a2', 'a3'] }],
+      ['/repo/b.js', { hash: 'h', ids: ['b1'] }]
+    ]);
+    const results = [
+      { id: 'a1', metadata: { full_path: '/repo/a.js' } },
+      { id: 'a4', metadata: { full_path: '/repo/a.js' } }
+    ];
+
+    expect(findStaleChunkIds(results, indexed)).toEqual(['a2', 'a3']);
+  });
+});
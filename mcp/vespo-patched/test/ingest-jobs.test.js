@@ -0,0 +1,162 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { readFile, writeFile, rm, mkdir } from 'fs/promises';
+import { join } from 'path';
+import {
+  JOBS_DIR, loadJob, loadCompletedFiles, createJob, resumeJob, checkpointJob, completeJob, failJob,
+  getJobSignal, reportProgress, countWalkedFiles, fileProgressHandler, cancelJob, getJobStatus, listJobs, pruneJobs
+} from '../ingest-jobs.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Write a job file directly, as an earlier process would have left it
+const writeJob = async (jobId, status, updatedAt) => {
+  await mkdir(JOBS_DIR, { recursive: true });
+  await writeFile(join(JOBS_DIR, `${jobId}.json`), JSON.stringify({
+    job_id: jobId, tool: 'batch_ingest', args: {}, status, updated_at: new Date(updatedAt).toISOString()
+  }));
+  await writeFile(join(JOBS_DIR, `${jobId}.log`), '/repo/a.js\n');
+};
+
+beforeEach(async () => {
+  await rm(JOBS_DIR, { recursive: true, force: true });
+});
+
+describe('job lifecycle', () => {
+  test('tests never write to the home directory', () => {
+    expect(JOBS_DIR).toBe(process.env.CHROMA_JOBS_DIR);
+    expect(JOBS_DIR.startsWith(process.env.HOME || '/nonexistent')).toBe(false);
+  });
+
+  test('checkpoints record files and totals, completion drops the log', async () => {
+    const job = await createJob('smart_ingest', { path: '/repo' }, 'job-1');
+    expect(job.args).toEqual({ path: '/repo', job_id: 'job-1' });
+
+    await checkpointJob(job, ['/repo/a.js', '/repo/b.js'], { chunks_stored: 5 });
+    await checkpointJob(job, ['/repo/c.js'], { chunks_stored: 2, tokens: 10 });
+
+    expect([...await loadCompletedFiles(job)]).toEqual(['/repo/a.js', '/repo/b.js', '/repo/c.js']);
+    const saved = await loadJob('job-1');
+    expect(saved.files_completed).toBe(3);
+    expect(saved.totals).toEqual({ chunks_stored: 7, tokens: 10 });
+
+    await completeJob(job, { stored: 3 });
+    expect((await loadJob('job-1')).status).toBe('completed');
+    expect((await loadCompletedFiles(job)).size).toBe(0);
+  });
+
+  test('a failed job keeps its checkpoint and resumes where it stopped', async () => {
+    const job = await createJob('batch_ingest', { path: '/repo' }, 'job-2');
+    await checkpointJob(job, ['/repo/a.js']);
+    await failJob(job, new Error('Chroma went away'));
+
+    const failed = await loadJob('job-2');
+    expect([failed.status, failed.last_error]).toEqual(['failed', 'Chroma went away']);
+    await expect(createJob('batch_ingest', {}, 'job-2')).rejects.toThrow("already exists with status 'failed'");
+
+    const resumed = await resumeJob('job-2');
+    expect([resumed.status, resumed.runs, resumed.last_error]).toEqual(['running', 2, null]);
+    expect([...await loadCompletedFiles(resumed)]).toEqual(['/repo/a.js']);
+    await expect(resumeJob('job-2')).rejects.toThrow('is still running');
+  });
+
+  test('completed jobs cannot be resumed but their id can be reused', async () => {
+    const job = await createJob('batch_ingest', {}, 'job-3');
+    await completeJob(job);
+
+    await expect(resumeJob('job-3')).rejects.toThrow('already completed');
+    await expect(resumeJob('nope')).rejects.toThrow("No ingest job 'nope'");
+    expect((await createJob('batch_ingest', {}, 'job-3')).runs).toBe(1);
+  });
+
+  test('invalid ids are refused before touching the file system', async () => {
+    await expect(loadJob('../etc/passwd')).rejects.toThrow('Invalid job id');
+  });
+});
+
+describe('running jobs', () => {
+  test('cancelling aborts the signal and marks the job cancelled', async () => {
+    const job = await createJob('batch_ingest', {}, 'job-4');
+    const signal = getJobSignal(job);
+
+    expect(cancelJob('job-4')).toBe(true);
+    expect(signal.aborted).toBe(true);
+    await failJob(job, signal.reason);
+
+    expect((await loadJob('job-4')).status).toBe('cancelled');
+    expect(cancelJob('job-4')).toBe(false);
+  });
+
+  test('status carries live progress and an ETA', async () => {
+    const job = await createJob('smart_ingest', {}, 'job-5');
+    reportProgress(job, { files_total: 4 });
+    const onProgress = fileProgressHandler(job);
+    onProgress({ processed: 1, current: '/repo/a.js', skipped: true });
+    onProgress({ processed: 2, current: '/repo/b.js', skipped: false });
+
+    const status = await getJobStatus('job-5');
+
+    expect(status.running).toBe(true);
+    expect(status.progress).toMatchObject({ files_total: 4, files_done: 2, files_processed: 1, current_file: '/repo/b.js' });
+    expect(status.eta_seconds).toBeGreaterThanOrEqual(0);
+    expect(await getJobStatus('missing')).toBeNull();
+    await completeJob(job);
+  });
+
+  test('the file total is recorded once the walk ends', async () => {
+    const job = await createJob('batch_ingest', {}, 'job-8');
+    const walked = [];
+
+    for await (const file of countWalkedFiles(['/repo/a.js', '/repo/b.js', '/repo/c.js'], job)) {
+      walked.push(file);
+      expect(job.progress.files_total).toBeNull();
+    }
+
+    expect(walked).toHaveLength(3);
+    expect(job.progress.files_total).toBe(3);
+    await completeJob(job);
+  });
+
+  test('listJobs filters by status and leaves out results', async () => {
+    const done = await createJob('batch_ingest', {}, 'job-6');
+    await completeJob(done, { big: 'payload' });
+    const open = await createJob('batch_ingest', {}, 'job-7');
+
+    const all = await listJobs();
+    expect(all.map(j => j.job_id).sort()).toEqual(['job-6', 'job-7']);
+    expect(all.every(j => !('result' in j))).toBe(true);
+    expect((await listJobs({ status: 'completed' })).map(j => j.job_id)).toEqual(['job-6']);
+    await completeJob(open);
+  });
+});
+
+describe('pruneJobs', () => {
+  test('deletes terminal jobs past the retention period only', async () => {
+    const now = Date.now();
+    await writeJob('old-completed', 'completed', now - 10 * DAY);
+    await writeJob('old-failed', 'failed', now - 10 * DAY);
+    await writeJob('old-cancelled', 'cancelled', now - 10 * DAY);
+    await writeJob('old-crashed', 'running', now - 10 * DAY);
+    await writeJob('recent', 'completed', now - DAY);
+
+    const pruned = await pruneJobs({ retentionDays: 7, now });
+
+    expect(pruned.sort()).toEqual(['old-cancelled', 'old-completed', 'old-failed']);
+    expect((await listJobs()).map(j => j.job_id).sort()).toEqual(['old-crashed', 'recent']);
+    await expect(readFile(join(JOBS_DIR, 'old-failed.log'))).rejects.toThrow();
+  });
+
+  test('zero retention keeps everything', async () => {
+    await writeJob('ancient', 'completed', 0);
+    expect(await pruneJobs({ retentionDays: 0 })).toEqual([]);
+    expect(await loadJob('ancient')).not.toBeNull();
+  });
+
+  test('starting a job prunes expired ones', async () => {
+    await writeJob('expired', 'completed', Date.now() - 30 * DAY);
+
+    const job = await createJob('batch_ingest', {}, 'job-8');
+
+    expect(await loadJob('expired')).toBeNull();
+    await completeJob(job);
+  });
+});
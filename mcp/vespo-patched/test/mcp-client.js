@@ -0,0 +1,60 @@
+/**
+ * MCP Client - Drive a ChromaContextMCP server through the protocol
+ *
+ * Connects an SDK client to the server over a linked InMemoryTransport pair,
+ * so tests call tools, read resources and get prompts the way a real client
+ * does. Every notification the server sends arrives in `notifications`,
+ * including progress for tokens the client did not register.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { ChromaContextMCP } from '../index.js';
+
+/**
+ * Connect a client to a server
+ * @param {ChromaContextMCP} server - Server to drive (a new one by default)
+ * @returns {Promise<Object>} - {server, client, notifications, callTool, close}
+ */
+export async function connectClient(server = new ChromaContextMCP()) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const notifications = [];
+
+  await Promise.all([server.server.connect(serverTransport), client.connect(clientTransport)]);
+
+  const deliver = clientTransport.onmessage;
+  clientTransport.onmessage = (message, extra) => {
+    if ('method' in message && !('id' in message)) notifications.push(message);
+    deliver(message, extra);
+  };
+  // Progress for a token given by hand has no handler on the client; it is recorded above
+  client.onerror = () => {};
+
+  return {
+    server,
+    client,
+    notifications,
+
+    /**
+     * Call a tool, optionally with request _meta such as a progressToken
+     * @param {string} name - Tool name
+     * @param {Object} args - Tool arguments
+     * @param {Object} meta - Request _meta
+     * @returns {Promise<Object>} - Tool result
+     */
+    callTool(name, args = {}, meta = undefined) {
+      return client.request(
+        { method: 'tools/call', params: { name, arguments: args, ...(meta ? { _meta: meta } : {}) } },
+        CallToolResultSchema
+      );
+    },
+
+    close: () => client.close()
+  };
+}
+
+export default {
+  connectClient
+};
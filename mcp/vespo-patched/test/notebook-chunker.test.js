@@ -0,0 +1,87 @@
+import { describe, test, expect } from 'bun:test';
+import { parseNotebook, chunkNotebook } from '../notebook-chunker.js';
+
+const notebook = (cells, metadata = { kernelspec: { language: 'python' } }) =>
+  JSON.stringify({ nbformat: 4, metadata, cells });
+
+const code = (source, outputs = [], executionCount = 1) =>
+  ({ cell_type: 'code', source, outputs, execution_count: executionCount, metadata: {} });
+const markdown = source => ({ cell_type: 'markdown', source, metadata: {} });
+
+describe('parseNotebook', () => {
+  test('joins line lists and reads the kernel language', () => {
+    const parsed = parseNotebook(notebook([code(['import os\n', 'print(1)'])], { language_info: { name: 'R' } }));
+
+    expect(parsed.language).toBe('r');
+    expect(parsed.cells).toEqual([{ index: 0, type: 'code', source: 'import os\nprint(1)', executionCount: 1, outputs: [] }]);
+  });
+
+  test('rejects JSON without cells', () => {
+    expect(() => parseNotebook('{"nbformat": 3}')).toThrow('no "cells" array');
+  });
+});
+
+describe('chunkNotebook', () => {
+  test('one chunk per non-empty cell, naming definitions and headings', async () => {
+    const text = notebook([
+      markdown('# Analysis\nSome notes'),
+      code('def load(path):\n    return open(path).read()\n'),
+      code('   '),
+      code('import pandas as pd\n\nclass Model:\n    pass\n\ndef fit():\n    pass'),
+      { cell_type: 'raw', source: 'raw text', metadata: {} }
+    ]);
+
+    const { language, cellCount, chunks } = await chunkNotebook(text);
+
+    expect(language).toBe('python');
+    expect(cellCount).toBe(5);
+    expect(chunks.map(c => [c.cellIndex, c.cellType, c.name])).toEqual([
+      [0, 'markdown', 'Analysis'],
+      [1, 'code', 'load'],
+      [3, 'code', null],
+      [4, 'raw', null]
+    ]);
+    expect(chunks[1].signature).toContain('def load(path)');
+    expect(chunks[2].defines).toEqual(['Model', 'fit']);
+  });
+
+  test('splits oversized code cells between top-level statements', async () => {
+    const source = Array.from({ length: 6 }, (_, i) => `def f${i}():\n    return ${i}\n`).join('\n');
+
+    const { chunks } = await chunkNotebook(notebook([code(source)]), { maxChunkSize: 60 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(c => /^def f\d/.test(c.content))).toBe(true);
+    expect(chunks.map(c => c.content).join('\n')).toBe(source);
+    expect(chunks.map(c => c.partNumber)).toEqual(chunks.map((_, i) => i));
+    expect(chunks.every(c => c.totalParts === chunks.length)).toBe(true);
+  });
+
+  test('appends text outputs to the last part, truncated and without colour codes', async () => {
+    const outputs = [
+      { output_type: 'stream', name: 'stdout', text: ['loading\n'] },
+      { output_type: 'display_data', data: { 'image/png': 'iVBOR...', 'text/plain': '<Figure>' } },
+      { output_type: 'error', ename: 'ValueError', evalue: '\x1b[31mbad\x1b[0m', traceback: [] }
+    ];
+    const text = notebook([code('run()', outputs)]);
+
+    const without = await chunkNotebook(text);
+    const full = await chunkNotebook(text, { includeOutputs: true });
+    const short = await chunkNotebook(text, { includeOutputs: true, maxOutputChars: 10 });
+
+    expect(without.chunks[0].content).toBe('run()');
+    expect(full.chunks[0].content).toBe('run()\n\n# Output:\nloading\n<Figure>\nValueError: bad');
+    expect(full.chunks[0].hasOutput).toBe(true);
+    expect(short.chunks[0].content).toBe('run()\n\n# Output:\nloading\n<F\n[... truncated ...]');
+    expect(short.chunks[0].outputTruncated).toBe(true);
+  });
+
+  test('large markdown cells are split by heading', async () => {
+    const body = 'word '.repeat(60);
+    const text = notebook([markdown(`# Intro\n${body}\n\n## Details\n${body}`)]);
+
+    const { chunks } = await chunkNotebook(text, { maxChunkSize: 400 });
+
+    expect(chunks.map(c => [c.name, c.headingPath])).toEqual([['Intro', ['Intro']], ['Details', ['Intro', 'Details']]]);
+  });
+});
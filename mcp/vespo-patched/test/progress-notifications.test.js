@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { OpenAIEmbedder } from '../openai-embedder.js';
+import { ChromaContextMCP } from '../index.js';
+import { connectClient } from './mcp-client.js';
+
+const progressOf = notifications => notifications.filter(n => n.method === 'notifications/progress').map(n => n.params);
+
+describe('tool progress notifications', () => {
+  test('forwards ingest progress with the request token, growing and throttled', async () => {
+    const server = new ChromaContextMCP();
+    server.batchIngest = async (args, { notifyProgress }) => {
+      notifyProgress(1, 10, 'first');
+      notifyProgress(2, 10, 'too soon');
+      notifyProgress(1, 10, 'going back');
+      notifyProgress(10, 10, 'done');
+      return { content: [{ type: 'text', text: '{}' }] };
+    };
+
+    const { callTool, notifications, close } = await connectClient(server);
+
+    await callTool('batch_ingest', { path: '.' }, { progressToken: 'tok-1' });
+
+    expect(progressOf(notifications)).toEqual([
+      { progressToken: 'tok-1', progress: 1, total: 10, message: 'first' },
+      { progressToken: 'tok-1', progress: 10, total: 10, message: 'done' }
+    ]);
+    await close();
+  });
+
+  test('sends nothing without a progress token or for background runs', async () => {
+    const server = new ChromaContextMCP();
+    let received = null;
+    server.batchIngest = async (args, options) => {
+      received = options;
+      options.notifyProgress?.(5, 5, 'done');
+      return { content: [{ type: 'text', text: 'Error in batch ingest: stop' }], isError: true };
+    };
+    const { callTool, notifications, close } = await connectClient(server);
+
+    await callTool('batch_ingest', { path: '.' });
+    expect(progressOf(notifications)).toEqual([]);
+
+    await callTool('batch_ingest', { path: '.', background: true }, { progressToken: 'tok-2' });
+    expect(received.notifyProgress).toBeUndefined();
+    expect(progressOf(notifications)).toEqual([]);
+    await close();
+  });
+
+  describe('find_duplicates', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'dupes-'));
+      // The detector reports every 100 files sized and every 50 hashed
+      for (let i = 0; i < 110; i++) {
+        await writeFile(join(dir, `copy${i}.txt`), 'same content');
+      }
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('reports sizing then hashing as one growing count', async () => {
+      const { callTool, notifications, close } = await connectClient();
+      // Let a second pass between updates so the throttle lets each through
+      const realNow = Date.now;
+      let clock = realNow();
+      Date.now = () => (clock += 1000);
+
+      let result;
+      try {
+        result = await callTool('find_duplicates', { path: dir }, { progressToken: 7 });
+      } finally {
+        Date.now = realNow;
+      }
+
+      expect(result.isError).toBeFalsy();
+      expect(progressOf(notifications).map(p => [p.progressToken, p.progress, p.total])).toEqual([
+        [7, 100, undefined],
+        [7, 160, 220],
+        [7, 210, 220]
+      ]);
+      await close();
+    });
+  });
+});
+
+describe('OpenAIEmbedder progress', () => {
+  test('reports texts embedded after every request', async () => {
+    const embedder = new OpenAIEmbedder('key', { batchSize: 2, model: 'text-embedding-3-small' });
+    embedder.client = {
+      embeddings: {
+        create: async ({ input }) => ({ data: input.map(() => ({ embedding: [0.1] })), usage: { total_tokens: input.length } })
+      }
+    };
+    const updates = [];
+
+    const vectors = await embedder.embed(['a', 'b', 'c'], { onProgress: p => updates.push(p) });
+
+    expect(vectors).toHaveLength(3);
+    expect(updates).toEqual([
+      { processed: 2, total: 3, batch: 1, batches: 2 },
+      { processed: 3, total: 3, batch: 2, batches: 2 }
+    ]);
+  });
+});
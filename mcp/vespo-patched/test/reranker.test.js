@@ -0,0 +1,59 @@
+import { describe, test, expect } from 'bun:test';
+import { HeuristicReranker, CrossEncoderReranker, getReranker } from '../reranker.js';
+
+describe('HeuristicReranker', () => {
+  const reranker = new HeuristicReranker();
+
+  test('keeps similarity order when nothing else differs', async () => {
+    const hits = [{ id: 'far', distance: 0.9 }, { id: 'near', distance: 0.3 }];
+
+    const ranked = await reranker.rerank('anything', hits);
+
+    expect(ranked.map(h => h.id)).toEqual(['near', 'far']);
+    expect(ranked[0].rerank_score).toBeGreaterThan(ranked[1].rerank_score);
+  });
+
+  test('lifts hits whose path or name matches the query terms', async () => {
+    const hits = [
+      { id: 'other', distance: 0.30, metadata: { relative_path: 'src/util/strings.js' } },
+      { id: 'match', distance: 0.32, metadata: { relative_path: 'src/auth/sessionStore.js', name: 'refreshSession' } }
+    ];
+
+    const ranked = await reranker.rerank('refresh session store', hits);
+
+    expect(ranked[0].id).toBe('match');
+  });
+
+  test('uses chunk importance and recency as tie-breakers', async () => {
+    const hits = [
+      { id: 'old', distance: 0.5, metadata: { chunk_score: 2, modified_at: '2020-01-01T00:00:00Z' } },
+      { id: 'new', distance: 0.5, metadata: { chunk_score: 9, modified_at: '2026-01-01T00:00:00Z' } }
+    ];
+
+    expect((await reranker.rerank('q', hits)).map(h => h.id)).toEqual(['new', 'old']);
+  });
+
+  test('reranks hybrid results by their fusion score', async () => {
+    const hits = [{ id: 'b', rrf_score: 0.01 }, { id: 'a', rrf_score: 0.03 }];
+    expect((await reranker.rerank('q', hits)).map(h => h.id)).toEqual(['a', 'b']);
+  });
+
+  test('returns an empty list for no hits', async () => {
+    expect(await reranker.rerank('q', [])).toEqual([]);
+  });
+});
+
+describe('getReranker', () => {
+  test('resolves names, the default and caches instances', () => {
+    const saved = process.env.RERANKER;
+    delete process.env.RERANKER;
+    try {
+      expect(getReranker(true)).toBeInstanceOf(HeuristicReranker);
+      expect(getReranker('heuristic')).toBe(getReranker(true));
+      expect(getReranker('cross-encoder')).toBeInstanceOf(CrossEncoderReranker);
+      expect(() => getReranker('bogus')).toThrow('Unknown reranker "bogus"');
+    } finally {
+      if (saved !== undefined) process.env.RERANKER = saved;
+    }
+  });
+});
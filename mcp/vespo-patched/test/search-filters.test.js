@@ -0,0 +1,158 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  PATH_PREFIX_MAX_FETCH,
+  validateWhere,
+  validateWhereDocument,
+  combineClauses,
+  normalizePathPrefix,
+  matchesPathPrefix,
+  buildSearchFilters
+} from '../search-filters.js';
+import { ChromaContextMCP } from '../index.js';
+import { fakeCollection } from './fake-collection.js';
+
+describe('validateWhere', () => {
+  test('accepts scalar, operator and logical clauses', () => {
+    expect(() => validateWhere({ language: 'python' })).not.toThrow();
+    expect(() => validateWhere({ start_line: { $gte: 10 } })).not.toThrow();
+    expect(() => validateWhere({ $and: [{ language: 'go' }, { chunk_type: { $in: ['function', 'method'] } }] })).not.toThrow();
+  });
+
+  test('reports the offending path', () => {
+    expect(() => validateWhere({ a: 1, b: 2 })).toThrow('exactly one key');
+    expect(() => validateWhere({ $and: [{ a: 1 }] })).toThrow('where.$and must be an array of at least two');
+    expect(() => validateWhere({ $or: [{ a: 1 }, { b: { $like: 'x' } }] })).toThrow('where.$or[1].b: unknown operator $like');
+    expect(() => validateWhere({ size: { $gt: '10' } })).toThrow('where.size.$gt must be a number');
+    expect(() => validateWhere({ tag: { $in: [] } })).toThrow('non-empty array');
+  });
+});
+
+describe('validateWhereDocument', () => {
+  test('accepts $contains, $not_contains and logical combinations', () => {
+    expect(() => validateWhereDocument({ $or: [{ $contains: 'a' }, { $not_contains: 'b' }] })).not.toThrow();
+  });
+
+  test('rejects unknown operators and empty strings', () => {
+    expect(() => validateWhereDocument({ $regex: 'x' })).toThrow('unknown operator $regex');
+    expect(() => validateWhereDocument({ $contains: '' })).toThrow('non-empty string');
+  });
+});
+
+describe('combineClauses', () => {
+  test('drops empty clauses and only wraps several in $and', () => {
+    expect(combineClauses([null, undefined])).toBeUndefined();
+    expect(combineClauses([null, { a: 1 }])).toEqual({ a: 1 });
+    expect(combineClauses([{ a: 1 }, { b: 2 }])).toEqual({ $and: [{ a: 1 }, { b: 2 }] });
+  });
+});
+
+describe('path prefixes', () => {
+  test('normalizes to the relative_path form', () => {
+    expect(normalizePathPrefix('/workspace/src/api/')).toBe('src/api');
+    expect(normalizePathPrefix('./src\\api')).toBe('src/api');
+    expect(normalizePathPrefix('/workspace')).toBe('');
+  });
+
+  test('matches whole path segments only', () => {
+    const hit = path => ({ relative_path: path, full_path: `/workspace/${path}` });
+
+    expect(matchesPathPrefix(hit('src/a/index.js'), 'src/a')).toBe(true);
+    expect(matchesPathPrefix(hit('src/a'), 'src/a')).toBe(true);
+    expect(matchesPathPrefix(hit('src/api/index.js'), 'src/a')).toBe(false);
+    expect(matchesPathPrefix(hit('lib/src/a/index.js'), 'src/a')).toBe(false);
+    expect(matchesPathPrefix({ full_path: '/workspace/src/a/x.js' }, 'src/a')).toBe(true);
+    expect(matchesPathPrefix({ full_path: '/data/src/a/x.js' }, 'data/src')).toBe(true);
+    expect(matchesPathPrefix(hit('anything.js'), null)).toBe(true);
+  });
+});
+
+describe('buildSearchFilters', () => {
+  test('combines where, language and file_type filters', () => {
+    const filters = buildSearchFilters({
+      where: '{"is_exported": true}',
+      language: 'typescript,javascript',
+      file_type: '.TS,code',
+      path_prefix: '/workspace/src/',
+      offset: 10,
+      include: 'documents,metadatas'
+    });
+
+    expect(filters).toEqual({
+      where: {
+        $and: [
+          { is_exported: true },
+          { language: { $in: ['typescript', 'javascript'] } },
+          { $or: [{ extension: '.ts' }, { file_type: 'code' }] }
+        ]
+      },
+      whereDocument: undefined,
+      pathPrefix: 'src',
+      offset: 10,
+      include: ['documents', 'metadatas']
+    });
+  });
+
+  test('rejects bad JSON, offsets and include fields', () => {
+    expect(() => buildSearchFilters({ where: '{oops' })).toThrow('where must be a JSON object');
+    expect(() => buildSearchFilters({ offset: -1 })).toThrow('offset must be a non-negative integer');
+    expect(() => buildSearchFilters({ include: 'embeddings' })).toThrow('unknown field(s) embeddings');
+  });
+});
+
+describe('searchCollection with path_prefix', () => {
+  // 300 chunks elsewhere rank before the 12 under src/rare
+  const records = [
+    ...Array.from({ length: 300 }, (_, i) => ({
+      id: `other${i}`,
+      document: 'handler code',
+      metadata: { relative_path: `src/rarely/f${i}.js` }
+    })),
+    ...Array.from({ length: 12 }, (_, i) => ({
+      id: `rare${i}`,
+      document: 'handler code',
+      metadata: { relative_path: `src/rare/f${i}.js` }
+    }))
+  ];
+  const server = new ChromaContextMCP();
+
+  for (const mode of ['vector', 'keyword', 'hybrid']) {
+    test(`${mode} search keeps fetching until the page is full`, async () => {
+      const hits = await server.searchCollection(fakeCollection(records), 'handler', {
+        mode,
+        limit: 5,
+        offset: 5,
+        pathPrefix: 'src/rare'
+      });
+
+      expect(hits).toHaveLength(5);
+      expect(hits.every(hit => hit.metadata.relative_path.startsWith('src/rare/'))).toBe(true);
+    });
+  }
+
+  test('stops once the collection is exhausted', async () => {
+    const collection = fakeCollection(records);
+
+    const hits = await server.searchCollection(collection, 'handler', { limit: 5, pathPrefix: 'src/none' });
+
+    expect(hits).toEqual([]);
+    expect(collection.queryCalls.length).toBeLessThanOrEqual(4);
+  });
+
+  test('stops at PATH_PREFIX_MAX_FETCH and counts the collection once', async () => {
+    const large = Array.from({ length: PATH_PREFIX_MAX_FETCH * 3 }, (_, i) => ({
+      id: `f${i}`,
+      document: 'handler code',
+      metadata: { relative_path: `lib/f${i}.js` }
+    }));
+    const collection = fakeCollection(large);
+    let counts = 0;
+    const count = collection.count;
+    collection.count = () => { counts++; return count(); };
+
+    const hits = await server.searchCollection(collection, 'handler', { limit: 5, pathPrefix: 'src/none' });
+
+    expect(hits).toEqual([]);
+    expect(counts).toBe(1);
+    expect(Math.max(...collection.queryCalls.map(call => call.nResults))).toBe(PATH_PREFIX_MAX_FETCH);
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Test Setup - Keeps test runs out of the user's real state
+ *
+ * Preloaded by bunfig.toml before any module is imported, so modules that
+ * read their directories from the environment at load time pick up a
+ * temporary one.
+ */
+
+import { afterAll } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const stateDir = mkdtempSync(join(tmpdir(), 'vespo-test-'));
+process.env.CHROMA_JOBS_DIR = join(stateDir, 'jobs');
+
+afterAll(() => {
+  rmSync(stateDir, { recursive: true, force: true });
+});
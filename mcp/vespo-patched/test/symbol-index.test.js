@@ -0,0 +1,161 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  buildSymbolEntries, updateSymbolIndex, loadSymbols, findSymbols, findReferences, symbolIndexCollectionName
+} from '../symbol-index.js';
+import { fakeClient, fakeCollection } from './fake-collection.js';
+import { connectClient } from './mcp-client.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'symbols-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const symbol = (name, extra = {}) => ({
+  name, kind: 'function', parent: null, file: `src/${name}.js`, full_path: `/r/src/${name}.js`,
+  start_line: 1, end_line: 3, is_exported: false, ...extra
+});
+
+describe('buildSymbolEntries', () => {
+  test('records declarations with their parents and skips whole-file chunks', async () => {
+    const code = 'export class Store {\n  get(key) {\n    return key;\n  }\n}\n\nfunction helper() {}\n';
+    await writeFile(join(dir, 'store.js'), code);
+    await writeFile(join(dir, 'data.js'), 'console.log(1);\n');
+    await writeFile(join(dir, 'notes.txt'), 'plain text\n');
+
+    const symbols = await buildSymbolEntries(['store.js', 'data.js', 'notes.txt'].map(f => join(dir, f)), dir);
+
+    expect(symbols.map(s => [s.kind, s.name, s.parent, s.start_line, s.is_exported])).toEqual([
+      ['class', 'Store', null, 1, true],
+      ['method', 'get', 'Store', 2, true],
+      ['function', 'helper', null, 7, false]
+    ]);
+    expect(symbols[0].file).toBe('store.js');
+  });
+
+  test('stores paths relative to the root, and absolute outside it', async () => {
+    await writeFile(join(dir, 'a.js'), 'function a() {}\n');
+
+    const [inside] = await buildSymbolEntries([join(dir, 'a.js')], join(dir, '..'));
+    const [outside] = await buildSymbolEntries([join(dir, 'a.js')], join(dir, 'sub'));
+
+    expect(inside.file).toBe(join(dir.split('/').pop(), 'a.js'));
+    expect(outside.file).toBe(join(dir, 'a.js'));
+  });
+});
+
+describe('symbol index storage', () => {
+  test('replaces the symbols of re-ingested files and drops removed ones', async () => {
+    const client = fakeClient();
+    const a = join(dir, 'a.js');
+    const b = join(dir, 'b.js');
+    await writeFile(a, 'function first() {}\n');
+    await writeFile(b, 'function other() {}\n');
+    await updateSymbolIndex(client, 'repo', { fullPaths: [a, b], basePath: dir });
+
+    await writeFile(a, 'function second() {}\n');
+    const result = await updateSymbolIndex(client, 'repo', { fullPaths: [a], basePath: dir, removed: [b] });
+
+    expect(result).toEqual({ symbols: 1, files: 1 });
+    expect((await loadSymbols(client, 'repo')).map(s => s.name)).toEqual(['second']);
+  });
+
+  test('loading a collection without an index returns nothing and creates nothing', async () => {
+    const client = fakeClient();
+
+    expect(await loadSymbols(client, 'repo')).toEqual([]);
+    expect(client.collections[symbolIndexCollectionName('repo')]).toBeUndefined();
+  });
+
+  test('batches without declarations create no index', async () => {
+    const client = fakeClient();
+    const notes = join(dir, 'notes.md');
+    await writeFile(notes, '# Notes\n');
+
+    const result = await updateSymbolIndex(client, 'repo', { fullPaths: [notes], basePath: dir, removed: [join(dir, 'gone.js')] });
+
+    expect(result).toEqual({ symbols: 0, files: 0 });
+    expect(client.collections[symbolIndexCollectionName('repo')]).toBeUndefined();
+  });
+
+  test('unload_collection deletes the symbol index and list_collections hides it', async () => {
+    const client = fakeClient({ repo: fakeCollection() });
+    const a = join(dir, 'a.js');
+    await writeFile(a, 'function a() {}\n');
+    await updateSymbolIndex(client, 'repo', { fullPaths: [a], basePath: dir });
+    const { server, callTool, close } = await connectClient();
+    server.getLocalClient = async () => client;
+
+    const listed = JSON.parse((await callTool('list_collections')).content[0].text);
+    await callTool('unload_collection', { collection: 'repo' });
+
+    expect(listed.local).toEqual(['repo']);
+    expect(Object.keys(client.collections)).toEqual([]);
+    await close();
+  });
+});
+
+describe('findSymbols', () => {
+  const symbols = [
+    symbol('translateToWorkspacePath', { is_exported: true }),
+    symbol('translate'),
+    symbol('translateAll'),
+    symbol('save', { kind: 'method', parent: 'Store' }),
+    symbol('load', { kind: 'method', parent: 'Store' })
+  ];
+
+  test('auto mode returns the best tier only', () => {
+    expect(findSymbols(symbols, 'translate').map(s => [s.name, s.match])).toEqual([['translate', 'exact']]);
+    expect(findSymbols(symbols, 'transl').map(s => s.name)).toEqual(['translate', 'translateAll', 'translateToWorkspacePath']);
+  });
+
+  test('explicit modes include stricter tiers', () => {
+    expect(findSymbols(symbols, 'translate', { match: 'prefix' }).map(s => s.match))
+      .toEqual(['exact', 'prefix', 'prefix']);
+  });
+
+  test('fuzzy matches typos, subsequences and Parent.name', () => {
+    expect(findSymbols(symbols, 'transalte').map(s => s.name)).toEqual(['translate']);
+    expect(findSymbols(symbols, 'tTWP').map(s => s.name)).toEqual(['translateToWorkspacePath']);
+    expect(findSymbols(symbols, 'Store.save').map(s => [s.name, s.match])).toEqual([['save', 'exact']]);
+  });
+
+  test('filters by kind and limits results', () => {
+    expect(findSymbols(symbols, 'Store', { kind: 'method' }).map(s => s.name).sort()).toEqual(['load', 'save']);
+    expect(findSymbols(symbols, 'trans', { limit: 1 })).toHaveLength(1);
+  });
+});
+
+describe('findReferences', () => {
+  test('finds whole identifiers and flags the definition', async () => {
+    const defFile = join(dir, 'lib.js');
+    const useFile = join(dir, 'app.js');
+    await writeFile(defFile, 'export function load() {\n  return 1;\n}\nconst loader = load;\n');
+    await writeFile(useFile, 'import { load } from "./lib.js";\nload(); reload();\n');
+    const collection = fakeCollection([
+      { id: 'c1', document: 'function load()', metadata: { full_path: defFile, relative_path: 'lib.js' } },
+      { id: 'c2', document: 'load();', metadata: { full_path: useFile, relative_path: 'app.js' } },
+      { id: 'c3', document: 'load again', metadata: { full_path: join(dir, 'gone.js'), relative_path: 'gone.js' } }
+    ]);
+    const symbols = [{ name: 'load', full_path: defFile, start_line: 1, end_line: 3 }];
+
+    const result = await findReferences(collection, 'Store.load', { symbols });
+
+    expect(result.name).toBe('load');
+    expect(result.files_searched).toBe(3);
+    expect(result.unreadable).toEqual(['gone.js']);
+    expect(result.references.map(r => [r.file, r.line, r.column, r.definition])).toEqual([
+      ['app.js', 1, 10, false],
+      ['app.js', 2, 1, false],
+      ['lib.js', 1, 17, true],
+      ['lib.js', 4, 16, false]
+    ]);
+  });
+});
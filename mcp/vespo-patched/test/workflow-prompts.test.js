@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'bun:test';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { listPrompts, getPrompt } from '../workflow-prompts.js';
+import { connectClient } from './mcp-client.js';
+
+describe('listPrompts', () => {
+  test('lists every prompt with its arguments and no builder', () => {
+    const prompts = listPrompts();
+
+    expect(prompts.map(p => p.name)).toEqual(['explain_module', 'find_where_implemented', 'onboard_repo', 'review_duplicates']);
+    for (const prompt of prompts) {
+      expect(prompt.description).toBeTruthy();
+      expect(prompt.build).toBeUndefined();
+    }
+    expect(prompts[0].arguments).toEqual([
+      expect.objectContaining({ name: 'module', required: true }),
+      expect.objectContaining({ name: 'collection', required: false })
+    ]);
+  });
+});
+
+describe('getPrompt', () => {
+  test('expands into one user message naming the tools and arguments', () => {
+    const result = getPrompt('explain_module', { module: 'src/auth.js', collection: 'repo' });
+
+    expect(result.description).toContain('Explain what a module does');
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0].role).toBe('user');
+    expect(result.messages[0].content.type).toBe('text');
+    expect(result.messages[0].content.text).toContain('`get_dependencies` with file="src/auth.js", collection="repo"');
+  });
+
+  test('defaults the collection', () => {
+    const text = getPrompt('find_where_implemented', { feature: 'retry' }, { defaultCollection: 'my_repo' }).messages[0].content.text;
+
+    expect(text).toContain('query="retry", collection="my_repo"');
+  });
+
+  test('review_duplicates scans a path when given, else the collection', () => {
+    const onDisk = getPrompt('review_duplicates', { path: '/data' }).messages[0].content.text;
+    const inCollection = getPrompt('review_duplicates', { collection: 'docs' }).messages[0].content.text;
+
+    expect(onDisk).toContain('`find_duplicates` with path="/data"');
+    expect(inCollection).toContain('`find_collection_duplicates` with collection="docs"');
+    expect(inCollection).not.toContain('find_duplicates`');
+  });
+
+  test('rejects unknown prompts and missing arguments as invalid params', () => {
+    expect(() => getPrompt('nope')).toThrow(McpError);
+    expect(() => getPrompt('nope')).toThrow(expect.objectContaining({ code: ErrorCode.InvalidParams }));
+    expect(() => getPrompt('explain_module', {})).toThrow(/requires: module/);
+    expect(() => getPrompt('explain_module', {})).toThrow(expect.objectContaining({ code: ErrorCode.InvalidParams }));
+  });
+});
+
+describe('prompt handlers', () => {
+  test('prompts/list and prompts/get serve the prompts', async () => {
+    const { client, close } = await connectClient();
+
+    const { prompts } = await client.listPrompts();
+    const result = await client.getPrompt({ name: 'onboard_repo', arguments: { collection: 'repo' } });
+
+    expect(prompts).toHaveLength(4);
+    expect(result.messages[0].content.text).toContain('`get_collection_info` with collection="repo"');
+    await close();
+  });
+
+  test('prompts/get reports bad requests with code -32602', async () => {
+    const { client, close } = await connectClient();
+
+    const error = await client.getPrompt({ name: 'explain_module', arguments: {} }).catch(e => e);
+
+    expect(error).toBeInstanceOf(McpError);
+    expect(error.code).toBe(-32602);
+    expect(error.message).toContain('requires: module');
+    await close();
+  });
+});
@@ -0,0 +1,654 @@
+/**
+ * Tree-sitter Parser - WASM grammars for languages Acorn and regex cannot parse
+ *
+ * Grammars come prebuilt from tree-sitter-wasms and are loaded on first use.
+ * Top-level declarations (descending into namespaces, modules and export
+ * wrappers) become chunks with the same shape parseJavaScript produces, and
+ * classes are split into a head, their methods and the members after the
+ * first method, as parseJavaScript does for JavaScript classes.
+ */
+
+import Parser from 'web-tree-sitter';
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import { logDebug } from './logger.js';
+
+const require = createRequire(import.meta.url);
+
+// Node types that hold a declaration list but are not chunks themselves
+const CONTAINER_TYPES = new Set([
+  'export_statement', 'ambient_declaration', 'expression_statement', 'internal_module', 'module',
+  'namespace_definition', 'namespace_declaration', 'file_scoped_namespace_declaration',
+  'mod_item', 'declaration_list', 'body_statement', 'linkage_specification', 'statement_block'
+]);
+
+const COMMENT_TYPES = new Set(['comment', 'line_comment', 'block_comment', 'multiline_comment']);
+
+/**
+ * Per-language grammar file and declaration node types
+ * functions/classes map tree-sitter node types to chunk types; methods are
+ * the member types inside a class body that get a chunk of their own.
+ */
+const LANGUAGE_SPECS = {
+  typescript: {
+    grammar: 'typescript',
+    functions: ['function_declaration', 'generator_function_declaration', 'function_signature'],
+    classes: ['class_declaration', 'abstract_class_declaration', 'interface_declaration', 'enum_declaration', 'type_alias_declaration'],
+    methods: ['method_definition', 'abstract_method_signature'],
+    variables: ['lexical_declaration', 'variable_declaration']
+  },
+  tsx: {
+    grammar: 'tsx',
+    functions: ['function_declaration', 'generator_function_declaration', 'function_signature'],
+    classes: ['class_declaration', 'abstract_class_declaration', 'interface_declaration', 'enum_declaration', 'type_alias_declaration'],
+    methods: ['method_definition', 'abstract_method_signature'],
+    variables: ['lexical_declaration', 'variable_declaration']
+  },
+  go: {
+    grammar: 'go',
+    functions: ['function_declaration', 'method_declaration'],
+    classes: ['type_declaration']
+  },
+  rust: {
+    grammar: 'rust',
+    functions: ['function_item', 'macro_definition'],
+    classes: ['struct_item', 'enum_item', 'union_item', 'trait_item', 'impl_item', 'type_item'],
+    methods: ['function_item', 'function_signature_item']
+  },
+  java: {
+    grammar: 'java',
+    functions: [],
+    classes: ['class_declaration', 'interface_declaration', 'enum_declaration', 'record_declaration', 'annotation_type_declaration'],
+    methods: ['method_declaration', 'constructor_declaration', 'compact_constructor_declaration']
+  },
+  c: {
+    grammar: 'c',
+    functions: ['function_definition'],
+    classes: ['struct_specifier', 'union_specifier', 'enum_specifier', 'type_definition']
+  },
+  cpp: {
+    grammar: 'cpp',
+    functions: ['function_definition'],
+    classes: ['class_specifier', 'struct_specifier', 'union_specifier', 'enum_specifier', 'type_definition'],
+    methods: ['function_definition']
+  },
+  csharp: {
+    grammar: 'c_sharp',
+    functions: [],
+    classes: ['class_declaration', 'interface_declaration', 'struct_declaration', 'enum_declaration', 'record_declaration', 'delegate_declaration'],
+    methods: ['method_declaration', 'constructor_declaration', 'destructor_declaration', 'operator_declaration', 'conversion_operator_declaration']
+  },
+  ruby: {
+    grammar: 'ruby',
+    functions: ['method', 'singleton_method'],
+    classes: ['class'],
+    methods: ['method', 'singleton_method']
+  },
+  php: {
+    grammar: 'php',
+    functions: ['function_definition'],
+    classes: ['class_declaration', 'interface_declaration', 'trait_declaration', 'enum_declaration'],
+    methods: ['method_declaration']
+  },
+  kotlin: {
+    grammar: 'kotlin',
+    functions: ['function_declaration'],
+    classes: ['class_declaration', 'object_declaration'],
+    methods: ['function_declaration', 'secondary_constructor']
+  }
+};
+
+export const TREE_SITTER_LANGUAGES = Object.keys(LANGUAGE_SPECS);
+
+let initPromise = null;
+const languageCache = new Map();
+
+/**
+ * Initialize the WASM runtime and load a grammar once
+ * @param {string} language - Key of LANGUAGE_SPECS
+ * @returns {Promise<Object>} - Tree-sitter Language
+ */
+async function loadLanguage(language) {
+  if (!initPromise) {
+    initPromise = Parser.init();
+    // Allow a retry if the runtime failed to load
+    initPromise.catch(() => {
+      initPromise = null;
+    });
+  }
+  await initPromise;
+
+  if (!languageCache.has(language)) {
+    const grammarDir = join(dirname(require.resolve('tree-sitter-wasms/package.json')), 'out');
+    const wasmPath = join(grammarDir, `tree-sitter-${LANGUAGE_SPECS[language].grammar}.wasm`);
+    logDebug(`Loading tree-sitter grammar ${wasmPath}`);
+    const loading = Parser.Language.load(wasmPath);
+    languageCache.set(language, loading);
+    loading.catch(() => languageCache.delete(language));
+  }
+  return languageCache.get(language);
+}
+
+/**
+ * Resolve the identifier of a C/C++ declarator chain (pointers, functions, references)
+ * @param {Object} node - Declarator node
+ * @returns {string|null} - Name
+ */
+function declaratorName(node) {
+  let current = node;
+  while (current) {
+    if (/identifier$|^destructor_name$|^operator_name$/.test(current.type)) {
+      return current.text;
+    }
+    current = current.childForFieldName('declarator')
+      || current.namedChildren.find(c => /declarator$|identifier$/.test(c.type));
+  }
+  return null;
+}
+
+/**
+ * Name of a declaration node
+ * @param {Object} node - Declaration node
+ * @returns {string} - Name, or 'anonymous'
+ */
+function declarationName(node) {
+  const named = node.childForFieldName('name');
+  if (named) return named.text;
+
+  switch (node.type) {
+    case 'function_definition':
+    case 'type_definition':
+      return declaratorName(node.childForFieldName('declarator')) || 'anonymous';
+    case 'type_declaration': {
+      // Go: type ( A struct{}; B int ) names every spec
+      const names = node.namedChildren
+        .filter(c => c.type === 'type_spec' || c.type === 'type_alias')
+        .map(c => c.childForFieldName('name')?.text)
+        .filter(Boolean);
+      return names.join(', ') || 'anonymous';
+    }
+    case 'impl_item': {
+      const type = node.childForFieldName('type')?.text;
+      const trait = node.childForFieldName('trait')?.text;
+      return trait ? `${trait} for ${type}` : (type || 'anonymous');
+    }
+    default: {
+      // Kotlin has no name fields
+      const identifier = node.namedChildren.find(c => c.type === 'simple_identifier' || c.type === 'type_identifier');
+      return identifier ? identifier.text : 'anonymous';
+    }
+  }
+}
+
+/**
+ * Body node of a declaration, used to cut the signature
+ * @param {Object} node - Declaration node
+ * @returns {Object|null} - Body node
+ */
+function declarationBody(node) {
+  return node.childForFieldName('body')
+    || node.namedChildren.find(c => /body|block|declaration_list|compound_statement/.test(c.type))
+    || null;
+}
+
+/**
+ * Text from the start of a declaration to its body, on one line
+ * @param {Object} node - Declaration node (the chunk's outer node)
+ * @param {Object} declaration - Inner declaration node
+ * @param {string} code - Full source code
+ * @returns {string} - Signature
+ */
+function extractSignature(node, declaration, code) {
+  const body = declarationBody(declaration);
+  const end = body ? body.startIndex : declaration.endIndex;
+  const text = code.substring(node.startIndex, end).trim();
+  return (body ? text : text.split('\n')[0]).replace(/\s+/g, ' ');
+}
+
+/**
+ * Comments directly above a node (no blank line in between)
+ * @param {Object} node - Chunk node
+ * @returns {string|null} - Comment text
+ */
+function extractDocComment(node) {
+  const comments = [];
+  let expectedRow = node.startPosition.row;
+  let sibling = node.previousNamedSibling;
+
+  while (sibling && COMMENT_TYPES.has(sibling.type) && sibling.endPosition.row >= expectedRow - 1) {
+    comments.unshift(sibling.text);
+    expectedRow = sibling.startPosition.row;
+    sibling = sibling.previousNamedSibling;
+  }
+
+  return comments.length > 0 ? comments.join('\n').trim() : null;
+}
+
+/**
+ * Whether a declaration is visible outside its file/package
+ * @param {string} language - Language key
+ * @param {Object} declaration - Declaration node
+ * @param {string} name - Declaration name
+ * @param {boolean} exported - Wrapped in an export statement
+ * @returns {boolean} - True if public/exported
+ */
+function isPublicDeclaration(language, declaration, name, exported) {
+  const modifiers = declaration.namedChildren
+    .filter(c => /modifier/.test(c.type))
+    .map(c => c.text)
+    .join(' ');
+
+  switch (language) {
+    case 'typescript':
+    case 'tsx':
+      return exported;
+    case 'go':
+      return /^[A-Z]/.test(name);
+    case 'rust':
+      return /\bpub\b/.test(modifiers);
+    case 'java':
+    case 'csharp':
+      return /\bpublic\b/.test(modifiers);
+    case 'php':
+      // Top-level PHP functions and classes are always global
+      return true;
+    case 'kotlin':
+      return !/\b(private|internal)\b/.test(modifiers);
+    case 'c':
+    case 'cpp':
+      return !/\bstatic\b/.test(modifiers || declaration.text.split('\n')[0]);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Function value of a TS variable declaration (const f = () => {}), if any
+ * @param {Object} node - lexical_declaration / variable_declaration
+ * @returns {Object|null} - {declarator, value}
+ */
+function functionDeclarator(node) {
+  for (const declarator of node.namedChildren.filter(c => c.type === 'variable_declarator')) {
+    const value = declarator.childForFieldName('value');
+    if (value && ['arrow_function', 'function_expression', 'function', 'generator_function'].includes(value.type)) {
+      return { declarator, value };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a chunk for a declaration
+ * @param {Object} node - Outer node (includes export/template wrappers)
+ * @param {Object} declaration - Declaration node
+ * @param {string} type - 'function' or 'class'
+ * @param {Object} context - {code, language, exported}
+ * @returns {Object} - Chunk
+ */
+function buildChunk(node, declaration, type, context) {
+  const { code, language, exported } = context;
+  let name = declarationName(declaration);
+  let signature = extractSignature(node, declaration, code);
+
+  const variable = context.spec.variables?.includes(declaration.type) ? functionDeclarator(declaration) : null;
+  if (variable) {
+    name = variable.declarator.childForFieldName('name')?.text || 'anonymous';
+    const body = variable.value.childForFieldName('body');
+    signature = code.substring(node.startIndex, body ? body.startIndex : variable.value.endIndex).trim().replace(/\s+/g, ' ');
+  }
+
+  const chunk = {
+    type,
+    name,
+    startLine: node.startPosition.row + 1,
+    endLine: node.endPosition.row + 1,
+    startChar: node.startIndex,
+    endChar: node.endIndex,
+    content: code.substring(node.startIndex, node.endIndex),
+    signature,
+    docstring: extractDocComment(node),
+    isAsync: /\b(async|suspend)\b/.test(signature),
+    isGenerator: declaration.type.startsWith('generator_') || variable?.value.type === 'generator_function'
+  };
+
+  if (isPublicDeclaration(language, declaration, name, exported)) {
+    chunk.isExported = true;
+  }
+
+  return chunk;
+}
+
+/**
+ * Readable name of a class member
+ * Fields keep their name in a declarator or pattern rather than a name field,
+ * so the first identifier outside the member's type is used.
+ * @param {Object} member - Member node
+ * @returns {string} - Name
+ */
+function memberName(member) {
+  const named = member.childForFieldName('name');
+  if (named) return named.text;
+
+  const find = (node) => {
+    const type = node.childForFieldName('type');
+    for (const child of node.namedChildren) {
+      if (type && child.id === type.id) continue;
+      if (/^(identifier|field_identifier|property_identifier|simple_identifier|constant|variable_name)$/.test(child.type)) {
+        return child.text;
+      }
+      const found = find(child);
+      if (found) return found;
+    }
+    return null;
+  };
+  return find(member) || member.text.split('\n')[0].trim();
+}
+
+/**
+ * Start a member chunk at the decorators written above it (TypeScript keeps
+ * method decorators as siblings in the class body)
+ * @param {Object} chunk - Member chunk
+ * @param {Object} member - Member node
+ * @param {string} code - Full source code
+ * @returns {Object} - The chunk
+ */
+function includeDecorators(chunk, member, code) {
+  let first = member;
+  while (first.previousNamedSibling?.type === 'decorator') {
+    first = first.previousNamedSibling;
+  }
+  if (first !== member) {
+    chunk.startLine = first.startPosition.row + 1;
+    chunk.startChar = first.startIndex;
+    chunk.content = code.substring(first.startIndex, chunk.endChar);
+  }
+  return chunk;
+}
+
+/**
+ * Chunks for a class: the whole class when it has no methods, else a head
+ * (everything before the first method and its comments), one chunk per method
+ * or nested class, and one per run of other members after the first method
+ * @param {Object} node - Outer node (includes export/template wrappers)
+ * @param {Object} declaration - Class declaration node
+ * @param {Object} context - {code, language, spec, exported}
+ * @param {string|null} parentName - Enclosing class of a nested class
+ * @returns {Array} - Chunks in source order
+ */
+function buildClassChunks(node, declaration, context, parentName = null) {
+  const { code, spec } = context;
+  const chunk = buildChunk(node, declaration, 'class', context);
+  if (parentName) chunk.parentChunk = parentName;
+
+  const body = declarationBody(declaration);
+  const members = body
+    ? body.namedChildren.filter(c => !COMMENT_TYPES.has(c.type) && c.type !== 'decorator')
+    : [];
+  const isMethod = member => spec.methods?.includes(member.type);
+  const isNestedClass = member => spec.classes.includes(member.type) && declarationBody(member);
+  const first = members.find(member => isMethod(member) || isNestedClass(member));
+  if (!first) return [chunk];
+
+  // Leave the first method's comments and decorators to the method
+  let headEnd = first;
+  while (headEnd.previousNamedSibling && (COMMENT_TYPES.has(headEnd.previousNamedSibling.type) || headEnd.previousNamedSibling.type === 'decorator')) {
+    headEnd = headEnd.previousNamedSibling;
+  }
+  chunk.content = code.substring(node.startIndex, headEnd.startIndex).trimEnd();
+  chunk.endChar = node.startIndex + chunk.content.length;
+  chunk.endLine = chunk.startLine + (chunk.content.match(/\n/g) || []).length;
+
+  const chunks = [chunk];
+  let run = null;
+  for (const member of members) {
+    if (isNestedClass(member)) {
+      run = null;
+      chunks.push(...buildClassChunks(member, member, context, chunk.name));
+    } else if (isMethod(member)) {
+      run = null;
+      chunks.push(includeDecorators({ ...buildChunk(member, member, 'method', context), parentChunk: chunk.name }, member, code));
+    } else if (member.startIndex > first.startIndex) {
+      if (!run) {
+        run = [];
+        chunks.push({ type: 'field', members: run, parentChunk: chunk.name });
+      }
+      run.push(member);
+    }
+  }
+
+  const split = chunks.map(({ members: run, ...part }) => {
+    if (!run) return part;
+    const from = run[0];
+    const to = run[run.length - 1];
+    return {
+      ...part,
+      name: run.map(memberName).join(', '),
+      startLine: from.startPosition.row + 1,
+      endLine: to.endPosition.row + 1,
+      startChar: from.startIndex,
+      endChar: to.endIndex,
+      content: code.substring(from.startIndex, to.endIndex),
+      signature: null,
+      docstring: null
+    };
+  }).sort((a, b) => a.startChar - b.startChar);
+
+  // The last chunk takes the closing brace (or end)
+  const last = split[split.length - 1];
+  last.endLine = node.endPosition.row + 1;
+  last.endChar = node.endIndex;
+  last.content = code.substring(last.startChar, node.endIndex);
+  return split;
+}
+
+/**
+ * Collect declaration chunks under a node
+ * @param {Object} node - Node whose children are scanned
+ * @param {Object} context - {code, language, spec, exported}
+ * @param {Array} chunks - Output
+ * @param {Object} outer - Wrapper node to use for positions (export/template)
+ */
+function collectChunks(node, context, chunks, outer = null) {
+  for (const child of node.namedChildren) {
+    const wrapper = outer || child;
+    const { spec } = context;
+
+    if (spec.functions.includes(child.type)) {
+      chunks.push(buildChunk(wrapper, child, 'function', context));
+    } else if (spec.classes.includes(child.type)) {
+      // Forward declarations (struct S;) have no body and are not worth a chunk
+      if (child.type.endsWith('_specifier') && !declarationBody(child)) continue;
+      chunks.push(...buildClassChunks(wrapper, child, context));
+    } else if (spec.variables?.includes(child.type) && functionDeclarator(child)) {
+      chunks.push(buildChunk(wrapper, child, 'function', context));
+    } else if (child.type === 'declaration' && child.namedChildren.some(c => spec.classes.includes(c.type))) {
+      // C/C++: struct/class definitions appear inside declarations ("struct S {...};")
+      collectChunks(child, context, chunks, wrapper);
+    } else if (child.type === 'export_statement') {
+      collectChunks(child, { ...context, exported: true }, chunks, child);
+    } else if (child.type === 'template_declaration') {
+      collectChunks(child, context, chunks, child);
+    } else if (CONTAINER_TYPES.has(child.type)) {
+      // Namespaces and modules are not chunks; their members are
+      collectChunks(child, context, chunks, null);
+    }
+  }
+}
+
+/**
+ * Parse code with tree-sitter
+ * @param {string} code - Source code
+ * @param {string} language - Key of LANGUAGE_SPECS
+ * @returns {Promise<Array>} - Chunks sorted by position (empty if none found)
+ */
+export async function parseWithTreeSitter(code, language) {
+  const spec = LANGUAGE_SPECS[language];
+  if (!spec) {
+    throw new Error(`No tree-sitter grammar for ${language}`);
+  }
+
+  const grammar = await loadLanguage(language);
+  const parser = new Parser();
+  try {
+    parser.setLanguage(grammar);
+    const tree = parser.parse(code);
+    const chunks = [];
+    try {
+      collectChunks(tree.rootNode, { code, language, spec, exported: false }, chunks);
+    } finally {
+      tree.delete();
+    }
+    return chunks.sort((a, b) => a.startChar - b.startChar);
+  } finally {
+    parser.delete();
+  }
+}
+
+/**
+ * Unquoted value of a string node
+ * @param {Object} node - string node
+ * @returns {string|null} - Value
+ */
+function stringValue(node) {
+  return node ? node.text.replace(/^['"`]|['"`]$/g, '') : null;
+}
+
+/**
+ * Names bound by an import clause ('default', '*' or the imported name)
+ * @param {Object} node - import_statement
+ * @returns {Array<string>} - Imported names
+ */
+function importedNames(node) {
+  const clause = node.namedChildren.find(c => c.type === 'import_clause');
+  if (!clause) return [];
+
+  return clause.namedChildren.flatMap(child => {
+    if (child.type === 'identifier') return ['default'];
+    if (child.type === 'namespace_import') return ['*'];
+    if (child.type === 'named_imports') {
+      return child.namedChildren
+        .filter(s => s.type === 'import_specifier')
+        .map(s => s.childForFieldName('name').text);
+    }
+    return [];
+  });
+}
+
+/**
+ * Names an export statement exports, and the names it re-exports from its source
+ * @param {Object} node - export_statement
+ * @returns {Object} - {exported, imported}
+ */
+function exportNames(node) {
+  const exported = [];
+  const imported = [];
+
+  if (node.children.some(c => c.type === 'default' || c.type === '=')) {
+    exported.push('default');
+  }
+  if (node.children.some(c => c.type === '*')) {
+    imported.push('*');
+  }
+
+  const declaration = node.childForFieldName('declaration');
+  if (declaration && !exported.includes('default')) {
+    const declarators = declaration.namedChildren.filter(c => c.type === 'variable_declarator');
+    const names = declarators.length > 0
+      ? declarators.map(d => d.childForFieldName('name')?.text)
+      : [declaration.childForFieldName('name')?.text];
+    exported.push(...names.filter(Boolean));
+  }
+
+  for (const child of node.namedChildren) {
+    if (child.type === 'export_clause') {
+      for (const specifier of child.namedChildren.filter(c => c.type === 'export_specifier')) {
+        const name = specifier.childForFieldName('name').text;
+        imported.push(name);
+        exported.push(specifier.childForFieldName('alias')?.text || name);
+      }
+    } else if (child.type === 'namespace_export') {
+      imported.push('*');
+      exported.push(child.namedChildren[child.namedChildren.length - 1].text);
+    }
+  }
+
+  return { exported, imported };
+}
+
+/**
+ * Names destructured from a require() call (const { a, b: c } = require('x'))
+ * @param {Object} call - call_expression
+ * @returns {Array<string>} - Required names
+ */
+function requiredNames(call) {
+  const pattern = call.parent?.type === 'variable_declarator' ? call.parent.childForFieldName('name') : null;
+  if (pattern?.type !== 'object_pattern') return [];
+
+  return pattern.namedChildren.map(child => {
+    if (child.type === 'pair_pattern') return child.childForFieldName('key')?.text;
+    return child.type.startsWith('shorthand_property') ? child.text : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Extract imports and exports from TypeScript/TSX
+ * @param {string} code - Source code
+ * @param {string} language - 'typescript' or 'tsx'
+ * @returns {Promise<Object>} - {imports: [{source, kind, names}], exports: [name]}
+ */
+export async function extractModuleInfoWithTreeSitter(code, language) {
+  const grammar = await loadLanguage(language);
+  const parser = new Parser();
+  const imports = [];
+  const exports = new Set();
+
+  const visit = (node) => {
+    if (node.type === 'import_statement') {
+      const requireClause = node.namedChildren.find(c => c.type === 'import_require_clause');
+      const source = node.childForFieldName('source') || requireClause?.childForFieldName('source');
+      if (source) {
+        imports.push({ source: stringValue(source), kind: 'import', names: requireClause ? ['default'] : importedNames(node) });
+      }
+      return;
+    }
+
+    if (node.type === 'export_statement') {
+      const { exported, imported } = exportNames(node);
+      const source = node.childForFieldName('source');
+      if (source) {
+        imports.push({ source: stringValue(source), kind: 'reexport', names: imported });
+      }
+      exported.forEach(name => exports.add(name));
+    } else if (node.type === 'call_expression') {
+      const fn = node.childForFieldName('function');
+      const arg = node.childForFieldName('arguments')?.namedChildren[0];
+      if (fn && arg?.type === 'string' && (fn.type === 'import' || fn.text === 'require')) {
+        imports.push({ source: stringValue(arg), kind: fn.type === 'import' ? 'dynamic' : 'require', names: requiredNames(node) });
+      }
+    }
+
+    for (const child of node.namedChildren) {
+      visit(child);
+    }
+  };
+
+  try {
+    parser.setLanguage(grammar);
+    const tree = parser.parse(code);
+    try {
+      visit(tree.rootNode);
+    } finally {
+      tree.delete();
+    }
+  } finally {
+    parser.delete();
+  }
+
+  return { imports, exports: [...exports] };
+}
+
+export default {
+  TREE_SITTER_LANGUAGES,
+  parseWithTreeSitter,
+  extractModuleInfoWithTreeSitter
+};
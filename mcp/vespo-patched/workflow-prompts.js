@@ -0,0 +1,131 @@
+/**
+ * Workflow Prompts - MCP prompts that chain the retrieval tools
+ *
+ * Each prompt expands into one user message telling the model which tools
+ * to call, in which order and with which arguments, so common workflows
+ * ("explain this module", "where is X implemented") do not have to be
+ * retyped. The prompts only describe tool calls; nothing runs until the
+ * model makes them.
+ */
+
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Prompt definitions
+ * arguments are listed by prompts/list; build() receives the arguments with
+ * the collection defaulted and returns the message text.
+ */
+const PROMPTS = [
+  {
+    name: 'explain_module',
+    description: 'Explain what a module does, its public API, and how it fits into the codebase',
+    arguments: [
+      { name: 'module', description: 'File path or module name, e.g. src/auth/session.ts', required: true },
+      { name: 'collection', description: 'Collection the repository was ingested into (default: repository name)', required: false }
+    ],
+    build: ({ module, collection }) => `Explain the module \`${module}\` in collection \`${collection}\`.
+
+1. Call \`get_dependencies\` with file="${module}", collection="${collection}", depth=1 to see what it imports.
+2. Call \`get_dependents\` with module="${module}", collection="${collection}", depth=1 to see who uses it.
+3. Call \`build_context_pack\` with question="What does ${module} do and what does it export?", collection="${collection}", path_prefix set to the module's path, to read its code.
+4. For each exported function or class that is still unclear, call \`find_symbol\` with its name and then \`get_context_window\` on the hit.
+
+Then write the explanation: purpose in one or two sentences, the public API with one line per export, the important internal flow, what it depends on and what depends on it, and anything surprising. Cite files as path:line.`
+  },
+  {
+    name: 'find_where_implemented',
+    description: 'Find where a feature or behaviour is implemented, with file and line references',
+    arguments: [
+      { name: 'feature', description: 'Feature or behaviour to locate, e.g. "retry on rate limit"', required: true },
+      { name: 'collection', description: 'Collection the repository was ingested into (default: repository name)', required: false }
+    ],
+    build: ({ feature, collection }) => `Find where "${feature}" is implemented in collection \`${collection}\`.
+
+1. Call \`search_context\` with query="${feature}", collection="${collection}", mode="hybrid", rerank="heuristic", limit=10.
+2. Pick the function, class and method names among the hits that look responsible and call \`find_symbol\` for each to get its definition.
+3. Call \`get_context_window\` on the most relevant hits to read the surrounding code.
+4. If the entry point is unclear, call \`find_references\` on the main symbol to see where it is called from.
+
+Answer with the implementing locations as path:line, most important first, with one sentence each on what happens there. Say so if the feature does not seem to exist.`
+  },
+  {
+    name: 'onboard_repo',
+    description: 'Index a repository if needed and write an onboarding guide to its structure',
+    arguments: [
+      { name: 'path', description: 'Repository path to ingest if the collection is empty (default: /workspace)', required: false },
+      { name: 'collection', description: 'Collection for the repository (default: repository name)', required: false }
+    ],
+    build: ({ path = '/workspace', collection }) => `Help me get started with the repository at \`${path}\` (collection \`${collection}\`).
+
+1. Call \`get_collection_info\` with collection="${collection}". If it does not exist or is empty, call \`batch_ingest\` with path="${path}", collection="${collection}", incremental=true, max_files=5000, background=true, and poll \`get_job_status\` until the job completes.
+2. Call \`search_context\` with collection="${collection}" for the entry points ("main entry point", "server startup", "CLI commands") and for the README or docs.
+3. For the central modules you find, call \`get_dependents\` to see how widely they are used and \`get_dependencies\` to see how they connect.
+4. Call \`build_context_pack\` with question="How is this project structured and how does a request flow through it?", collection="${collection}".
+
+Then write an onboarding guide: what the project does, how the directories are organized, the main entry points, the key modules and how they depend on each other, how to build and run it, and where to start reading. Cite files as path:line.`
+  },
+  {
+    name: 'review_duplicates',
+    description: 'Find duplicate files on disk or in a collection and recommend which copies to keep',
+    arguments: [
+      { name: 'path', description: 'Directory to scan for duplicate files', required: false },
+      { name: 'collection', description: 'Collection to check for duplicate documents (used when no path is given)', required: false }
+    ],
+    build: ({ path, collection }) => `${path
+      ? `Review duplicate files under \`${path}\`.
+
+1. Call \`find_duplicates\` with path="${path}", hash_method="partial".
+2. For the largest groups, call \`compare_files\` on pairs whose names or folders differ to confirm they are identical.`
+      : `Review duplicate documents in collection \`${collection}\`.
+
+1. Call \`find_collection_duplicates\` with collection="${collection}".
+2. Call \`get_collection_info\` with collection="${collection}" to see how its documents were ingested.`}
+
+Then summarize the duplicate groups by wasted space, and for each group recommend which copy to keep and why (canonical location, newest, best name). Do not delete anything: list the deletions as a plan and ask me to confirm before calling \`batch_delete\` or removing files.`
+  }
+];
+
+/**
+ * Prompts for prompts/list
+ * @returns {Array<Object>} - {name, description, arguments}
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+/**
+ * Expand a prompt for prompts/get
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments (strings)
+ * @param {Object} options - {defaultCollection}
+ * @returns {Object} - {description, messages}
+ * @throws {McpError} - InvalidParams for an unknown prompt or missing arguments
+ */
+export function getPrompt(name, args = {}, options = {}) {
+  const { defaultCollection = 'vinos_codebase' } = options;
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Prompt '${name}' requires: ${missing.join(', ')}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: prompt.build({ ...args, collection: args.collection || defaultCollection })
+      }
+    }]
+  };
+}
+
+export default {
+  listPrompts,
+  getPrompt
+};